@@ -0,0 +1,107 @@
+/**
+ * Rendering of decision table analysis results
+ */
+
+import { createElement } from './dom-utils.js';
+import { getDecisionLabel } from './decision-engine.js';
+
+/**
+ * Builds an HTML table with the given header and rows
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cell texts per row
+ * @returns {HTMLTableElement} The table
+ */
+function createTable(headers, rows) {
+  const table = createElement('table', 'analysis-table');
+  const headerRow = table.createTHead().insertRow();
+  headers.forEach(header => headerRow.appendChild(createElement('th', null, header)));
+
+  const body = table.createTBody();
+  rows.forEach(cells => {
+    const row = body.insertRow();
+    cells.forEach(cell => {
+      row.insertCell().textContent = cell;
+    });
+  });
+
+  return table;
+}
+
+/**
+ * Renders the completeness analysis: the uncovered input combinations of
+ * every table that has some, those with an unknown input apart, and the
+ * tables that could not be analysed
+ * @param {HTMLElement} container - Element to fill (existing content is replaced)
+ * @param {Array} analyses - Result of analyzeCompleteness
+ */
+export function renderCompletenessReport(container, analyses) {
+  container.replaceChildren();
+
+  const complete = analyses.filter(analysis =>
+    !analysis.error && analysis.gaps.length === 0 && analysis.unknownGaps.length === 0
+  );
+  container.appendChild(createElement(
+    'p',
+    'analysis-summary',
+    `${complete.length} of ${analyses.length} decision tables cover all input combinations.`
+  ));
+
+  analyses.forEach(({ decision, gaps, truncated, unknownGaps, unknownTruncated, error }) => {
+    if (error) {
+      container.appendChild(createElement('h3', null, getDecisionLabel(decision)));
+      container.appendChild(createElement('p', 'analysis-error', `Not analysed: ${error}`));
+      return;
+    }
+    if (gaps.length === 0 && unknownGaps.length === 0) {
+      return;
+    }
+
+    container.appendChild(createElement('h3', null, getDecisionLabel(decision)));
+    const headers = decision.decisionTable.inputs.map(input => input.label || input.id);
+    if (gaps.length > 0) {
+      container.appendChild(createElement(
+        'p',
+        null,
+        `No rule covers ${gaps.length === 1 ? 'this combination' : `these ${gaps.length} combinations`}${truncated ? ' (list truncated)' : ''}:`
+      ));
+      container.appendChild(createTable(headers, gaps));
+    }
+    if (unknownGaps.length > 0) {
+      container.appendChild(createElement(
+        'p',
+        null,
+        `With unknown (null) inputs, no rule covers ${unknownGaps.length === 1 ? 'this combination' : `these ${unknownGaps.length} combinations`}${unknownTruncated ? ' (list truncated)' : ''}:`
+      ));
+      container.appendChild(createTable(headers, unknownGaps));
+    }
+  });
+}
+
+/**
+ * Renders the simplification suggestions: for every table that can be
+ * reduced, the rule counts before and after and the changes
+ * @param {HTMLElement} container - Element to fill (existing content is replaced)
+ * @param {Array} analyses - Result of analyzeSimplification
+ */
+export function renderSimplificationReport(container, analyses) {
+  container.replaceChildren();
+
+  const reducible = analyses.filter(analysis => analysis.simplification?.changed);
+  if (reducible.length === 0) {
+    container.appendChild(createElement('p', 'analysis-summary', 'No decision table can be simplified.'));
+    return;
+  }
+
+  reducible.forEach(({ decision, simplification }) => {
+    const before = decision.decisionTable.rules.length;
+    const after = simplification.rules.length;
+    container.appendChild(createElement('h3', null, getDecisionLabel(decision)));
+    container.appendChild(createElement('p', null, `${before} rules can be reduced to ${after} ${after === 1 ? 'rule' : 'rules'}:`));
+
+    const list = createElement('ul', 'analysis-changes');
+    [...simplification.removed, ...simplification.merged].forEach(change => {
+      list.appendChild(createElement('li', null, change.message));
+    });
+    container.appendChild(list);
+  });
+}
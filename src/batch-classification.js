@@ -0,0 +1,329 @@
+/**
+ * Batch classification of case line lists
+ *
+ * A CSV with one row per notified case is read, its columns are mapped to
+ * the case inputs of the model and every row is run through the decision
+ * requirements graph. The category and the matched rules are appended as
+ * new columns.
+ */
+
+import { getCaseInputs, evaluateDecisionGraph, getOutputKey, getDecisionLabel } from './decision-engine.js';
+import { getCategoryColumn } from './case-categories.js';
+import { downloadBlob, formatCsvField } from './download.js';
+
+// Columns appended to the classified line list
+export const RESULT_COLUMNS = ['category', 'matched_rules', 'classification_error'];
+
+// Summary key for rows that did not yield a category
+export const NO_CATEGORY = '';
+
+/**
+ * Custom error class for unreadable line lists
+ */
+export class LineListError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LineListError';
+  }
+}
+
+/**
+ * Detects the delimiter of a CSV from its header line
+ * Spreadsheets with German locale export ";" separated files.
+ */
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const count = char => header.split(char).length - 1;
+  return [';', '\t'].find(char => count(char) > count(',')) || ',';
+}
+
+/**
+ * Parses CSV text into a header and data rows
+ * Quoted fields may contain delimiters, doubled quotes and line breaks.
+ * Empty lines are skipped.
+ * @param {string} text - CSV content
+ * @returns {{delimiter: string, headers: Array<string>, rows: Array<Array<string>>}} Parsed table
+ * @throws {LineListError} If the text has no header or an unterminated quote
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new LineListError('Unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    throw new LineListError('The file contains no header line');
+  }
+
+  const [headers, ...rows] = nonEmpty;
+  return { delimiter, headers: headers.map(header => header.trim()), rows };
+}
+
+/**
+ * Normalizes a name for matching column headers
+ */
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * Maps CSV columns to case inputs
+ * A column matches an input if its header equals the variable name, the
+ * label or the id of the inputData element (ignoring case, spaces,
+ * underscores and hyphens).
+ * @param {Array<string>} headers - Column headers
+ * @param {Array} caseInputs - Case inputs from getCaseInputs
+ * @param {Array} [inputData] - Parsed inputData elements
+ * @returns {{columns: Object, missing: Array<string>, unused: Array<string>}}
+ *   Column index per variable, variables without a column and headers
+ *   not mapped to any variable
+ */
+export function mapColumns(headers, caseInputs, inputData = []) {
+  const normalized = headers.map(normalizeName);
+  const columns = {};
+
+  caseInputs.forEach(caseInput => {
+    const element = inputData.find(input => input.variable === caseInput.variable);
+    const names = [caseInput.variable, caseInput.label, element?.name, element?.id]
+      .filter(Boolean)
+      .map(normalizeName);
+    const index = normalized.findIndex(header => header !== '' && names.includes(header));
+    if (index !== -1) {
+      columns[caseInput.variable] = index;
+    }
+  });
+
+  const used = new Set(Object.values(columns));
+  return {
+    columns,
+    missing: caseInputs.map(caseInput => caseInput.variable).filter(variable => columns[variable] === undefined),
+    unused: headers.filter((header, index) => !used.has(index))
+  };
+}
+
+/**
+ * Converts a CSV cell to the value type of a case input
+ * Booleans accept true/false, ja/nein, yes/no, x and 1/0; numbers accept a
+ * decimal comma. Empty and unreadable cells become null.
+ * @param {string} text - Cell content
+ * @param {string} type - 'boolean', 'number' or 'string'
+ * @returns {*} Converted value
+ */
+export function convertCellValue(text, type) {
+  const value = (text || '').trim();
+  if (value === '') {
+    return null;
+  }
+
+  switch (type) {
+    case 'boolean': {
+      const lower = value.toLowerCase();
+      if (['true', 'wahr', 'ja', 'j', 'yes', 'y', 'x', '1'].includes(lower)) {
+        return true;
+      }
+      if (['false', 'falsch', 'nein', 'n', 'no', '0'].includes(lower)) {
+        return false;
+      }
+      return null;
+    }
+    case 'number': {
+      const number = Number(value.replace(',', '.'));
+      return Number.isNaN(number) ? null : number;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Returns the decision whose result is the case category: the Falldefinition
+ * classification, otherwise the only final decision
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {Object|null} Decision or null if no single one qualifies
+ */
+export function getCategoryDecision(dmnData) {
+  if (dmnData.fallkategorien?.decisionTable) {
+    return dmnData.fallkategorien;
+  }
+
+  const decisions = (dmnData.allDecisions || []).filter(decision => decision.decisionTable);
+  const requiredIds = new Set(decisions.flatMap(decision => decision.requiredDecisions || []));
+  const finals = decisions.filter(decision => !requiredIds.has(decision.id));
+  return finals.length === 1 ? finals[0] : null;
+}
+
+/**
+ * Returns the result key of the output column holding the category
+ * The mapping profile names the column of the classification decision;
+ * otherwise the first output column is used.
+ * @param {Object} decision - Category decision
+ * @param {string} [outputName] - Output name or label from the profile
+ * @returns {string} Result key
+ */
+export function getCategoryOutputKey(decision, outputName = '') {
+  const index = getCategoryColumn(decision, outputName);
+  return getOutputKey(decision.decisionTable.outputs[index], index);
+}
+
+/**
+ * Reads the category from the result of the category decision
+ * Multi-hit results list the distinct categories of all matched rules.
+ * @param {string} key - Result key of the category column
+ * @param {Object|Array|null} result - Table result after the hit policy
+ * @returns {string} Category, or NO_CATEGORY
+ */
+function getCategory(key, result) {
+  const values = (Array.isArray(result) ? result : [result])
+    .map(outputs => (outputs ? outputs[key] : null))
+    .filter(value => value !== null && value !== undefined && value !== '')
+    .map(String);
+  return [...new Set(values)].join('; ') || NO_CATEGORY;
+}
+
+/**
+ * Describes the rules each decision matched, e.g. "Klinisches Bild: 1; Fallkategorie: 3"
+ */
+function formatMatchedRules(evaluation) {
+  return evaluation.order
+    .map(id => evaluation.results[id])
+    .filter(({ decision }) => decision.decisionTable)
+    .map(({ decision, matches }) => {
+      const rules = matches.map(match => match.index + 1);
+      return `${getDecisionLabel(decision)}: ${rules.length > 0 ? rules.join(', ') : '-'}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Classifies every row of a line list with the decision model
+ * @param {Object} dmnData - Parsed DMN data
+ * @param {{headers: Array<string>, rows: Array<Array<string>>}} table - Result of parseCsv
+ * @returns {{caseInputs: Array, mapping: Object, categoryDecision: Object|null,
+ *   rows: Array<{values: Object, category: string, matchedRules: string, error: string|null}>,
+ *   summary: Array<{category: string, count: number}>, errors: number}}
+ *   Per-row results, case counts per category (most frequent first, rows
+ *   without a category last) and the number of rows that failed
+ * @throws {LineListError} If no column matches a case input
+ */
+export function classifyLineList(dmnData, table) {
+  const caseInputs = getCaseInputs(dmnData);
+  const mapping = mapColumns(table.headers, caseInputs, dmnData.inputData);
+  if (Object.keys(mapping.columns).length === 0) {
+    throw new LineListError(
+      `No column matches an input of the model (expected e.g. ${caseInputs.slice(0, 3).map(c => c.variable).join(', ')})`
+    );
+  }
+
+  const categoryDecision = getCategoryDecision(dmnData);
+  const categoryKey = categoryDecision
+    ? getCategoryOutputKey(categoryDecision, categoryDecision === dmnData.fallkategorien ? dmnData.categoryOutput : '')
+    : null;
+  const counts = new Map();
+  let errors = 0;
+
+  const rows = table.rows.map(row => {
+    const values = {};
+    caseInputs.forEach(caseInput => {
+      const index = mapping.columns[caseInput.variable];
+      values[caseInput.variable] = index === undefined ? null : convertCellValue(row[index], caseInput.type);
+    });
+
+    const result = { values, category: NO_CATEGORY, matchedRules: '', error: null };
+    try {
+      const evaluation = evaluateDecisionGraph(dmnData, values);
+      const categoryResult = categoryDecision ? evaluation.results[categoryDecision.id] : null;
+      result.category = categoryResult ? getCategory(categoryKey, categoryResult.result) : NO_CATEGORY;
+      result.matchedRules = formatMatchedRules(evaluation);
+    } catch (error) {
+      result.error = error.message;
+      errors++;
+    }
+
+    if (!result.error) {
+      counts.set(result.category, (counts.get(result.category) || 0) + 1);
+    }
+    return result;
+  });
+
+  const summary = [...counts.entries()]
+    .map(([category, count]) => ({ category, count }))
+    .sort((a, b) => {
+      if ((a.category === NO_CATEGORY) !== (b.category === NO_CATEGORY)) {
+        return a.category === NO_CATEGORY ? 1 : -1;
+      }
+      return b.count - a.count || a.category.localeCompare(b.category);
+    });
+
+  return { caseInputs, mapping, categoryDecision, rows, summary, errors };
+}
+
+/**
+ * Writes the line list with the classification columns appended
+ * The original columns and delimiter are kept.
+ * @param {{delimiter: string, headers: Array<string>, rows: Array<Array<string>>}} table - Result of parseCsv
+ * @param {Object} classification - Result of classifyLineList
+ * @returns {string} CSV text
+ */
+export function lineListToCsv(table, classification) {
+  const { delimiter, headers } = table;
+  const lines = [[...headers, ...RESULT_COLUMNS]];
+
+  table.rows.forEach((row, index) => {
+    const { category, matchedRules, error } = classification.rows[index];
+    const cells = headers.map((header, i) => row[i] ?? '');
+    lines.push([...cells, category, matchedRules, error || '']);
+  });
+
+  return lines.map(cells => cells.map(cell => formatCsvField(cell, delimiter)).join(delimiter)).join('\n') + '\n';
+}
+
+/**
+ * Triggers download of a classified line list
+ * @param {string} content - CSV text
+ * @param {string} filename - Output filename
+ */
+export function downloadLineList(content, filename) {
+  // The byte order mark lets spreadsheet programs detect UTF-8
+  downloadBlob(['\uFEFF', content], filename, 'text/csv;charset=utf-8');
+}
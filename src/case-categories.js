@@ -0,0 +1,138 @@
+/**
+ * Falldefinition categories derived from the classification decision
+ *
+ * Every distinct value of the category output column is one category, no
+ * matter in which order the rules list them or how many rules set it. The
+ * label and description of a category are taken, in this order, from the
+ * categories extension element of the model, from output columns named
+ * "Bezeichnung"/"Label" and "Beschreibung"/"Description", from a value
+ * written as "A - Label", and from the rule annotations.
+ */
+
+import { evaluateExpression } from './feel.js';
+
+const LABEL_COLUMNS = ['bezeichnung', 'label'];
+const DESCRIPTION_COLUMNS = ['beschreibung', 'description'];
+
+// "A - Klinisch-labordiagnostisch bestätigter Fall"
+const CODED_VALUE = /^([\p{L}\p{N}]{1,3})\s*[-–:]\s+(.+)$/u;
+
+/**
+ * Returns the index of the output column holding the category
+ * @param {Object} decision - Classification decision with decisionTable
+ * @param {string} [outputName] - Output name or label from the mapping profile
+ * @returns {number} Column index, the first column if the name is not found
+ */
+export function getCategoryColumn(decision, outputName = '') {
+  const index = decision.decisionTable.outputs
+    .findIndex(output => outputName && (output.name === outputName || output.label === outputName));
+  return Math.max(index, 0);
+}
+
+/**
+ * Finds the output column, other than the category column, with one of the names
+ */
+function findColumn(outputs, names, categoryColumn) {
+  return outputs.findIndex((output, index) => index !== categoryColumn
+    && [output.name, output.label].some(name => name && names.includes(name.trim().toLowerCase())));
+}
+
+/**
+ * Reads an output entry as text ('"A"' becomes 'A'; prose stays as written)
+ */
+function readEntry(rule, column) {
+  if (column === -1) {
+    return '';
+  }
+  const value = evaluateExpression(rule.outputEntries[column] || '');
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+/**
+ * Returns the annotation of a rule: its first annotation cell or description
+ */
+function readAnnotation(rule) {
+  return (rule.annotationEntries || []).find(entry => entry && entry.trim())?.trim() || rule.description || '';
+}
+
+/**
+ * Adds a text to a list unless it is empty or already listed
+ */
+function addUnique(list, text) {
+  if (text && !list.includes(text)) {
+    list.push(text);
+  }
+}
+
+/**
+ * Derives the categories of the classification decision
+ * @param {Object} dmnData - Parsed DMN data ({fallkategorien, categoryOutput,
+ *   categoryDefinitions})
+ * @returns {Array<{value: string, code: string, label: string, description: string, rules: Array<number>, defined: boolean}>}
+ *   One entry per category value: code is the part before " - " (or the
+ *   whole value), rules the indices of the rules setting it, defined whether
+ *   the categories extension lists it. Categories follow the order of the
+ *   extension element, otherwise they are sorted by code.
+ */
+export function deriveCategories(dmnData) {
+  const decision = dmnData.fallkategorien;
+  if (!decision?.decisionTable) {
+    return [];
+  }
+
+  const { outputs, rules } = decision.decisionTable;
+  const categoryColumn = getCategoryColumn(decision, dmnData.categoryOutput);
+  const labelColumn = findColumn(outputs, LABEL_COLUMNS, categoryColumn);
+  const descriptionColumn = findColumn(outputs, DESCRIPTION_COLUMNS, categoryColumn);
+  const definitions = dmnData.categoryDefinitions || [];
+
+  const byValue = new Map();
+  const getEntry = value => {
+    if (!byValue.has(value)) {
+      const coded = value.match(CODED_VALUE);
+      byValue.set(value, {
+        value,
+        code: coded ? coded[1] : value,
+        labels: coded ? [coded[2]] : [],
+        descriptions: [],
+        annotations: [],
+        rules: [],
+        definition: null
+      });
+    }
+    return byValue.get(value);
+  };
+
+  definitions.forEach(definition => {
+    const entry = getEntry(definition.value);
+    entry.definition = entry.definition || definition;
+  });
+
+  rules.forEach((rule, index) => {
+    const value = readEntry(rule, categoryColumn);
+    if (!value) {
+      return;
+    }
+    const entry = getEntry(value);
+    entry.rules.push(index);
+    addUnique(entry.labels, readEntry(rule, labelColumn));
+    addUnique(entry.descriptions, readEntry(rule, descriptionColumn));
+    addUnique(entry.annotations, readAnnotation(rule));
+  });
+
+  const categories = [...byValue.values()].map(entry => ({
+    value: entry.value,
+    code: entry.code,
+    // A label column wins over the label written into the value
+    label: entry.definition?.label || entry.labels[entry.labels.length - 1] || '',
+    description: entry.definition?.description
+      || (entry.descriptions.length > 0 ? entry.descriptions : entry.annotations).join('\n'),
+    rules: entry.rules,
+    defined: !!entry.definition
+  }));
+
+  if (definitions.length === 0) {
+    categories.sort((a, b) => a.code.localeCompare(b.code, 'de', { numeric: true }));
+  }
+  return categories;
+}
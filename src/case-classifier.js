@@ -0,0 +1,220 @@
+/**
+ * Interactive case classification form and result view
+ */
+
+import { createElement } from './dom-utils.js';
+import { getDecisionLabel } from './decision-engine.js';
+
+/**
+ * Creates a select element
+ * @param {Array<Array<string>>} options - Value and text of each option
+ * @returns {HTMLSelectElement}
+ */
+function createSelect(options) {
+  const select = document.createElement('select');
+  options.forEach(([value, text]) => {
+    const option = createElement('option', null, text);
+    option.value = value;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+/**
+ * Creates the widget for one case input
+ * Booleans become a select of yes, no and unknown (null), numbers number
+ * fields and strings with known values a select; everything else is a text
+ * field.
+ * @param {Object} caseInput - Case input from getCaseInputs
+ * @param {string} id - Element id
+ * @returns {HTMLElement} Input or select element
+ */
+function createWidget(caseInput, id) {
+  let widget;
+
+  if (caseInput.type === 'boolean') {
+    widget = createSelect([['', 'unknown'], ['true', 'yes'], ['false', 'no']]);
+  } else if (caseInput.type === 'string' && caseInput.options.length > 0) {
+    widget = createSelect([['', '–'], ...caseInput.options.map(option => [option, option])]);
+  } else {
+    widget = document.createElement('input');
+    switch (caseInput.type) {
+      case 'number':
+        widget.type = 'number';
+        widget.step = 'any';
+        break;
+      default:
+        widget.type = 'text';
+    }
+  }
+
+  widget.id = id;
+  widget.name = caseInput.variable;
+  return widget;
+}
+
+/**
+ * Renders the form fields for the case inputs and a submit button
+ * @param {HTMLFormElement} form - Form to fill (existing content is replaced)
+ * @param {Array} caseInputs - Case inputs from getCaseInputs
+ */
+export function renderCaseForm(form, caseInputs) {
+  form.replaceChildren();
+
+  caseInputs.forEach((caseInput, index) => {
+    const id = `case-input-${index}`;
+    const field = createElement('div', `case-field case-field-${caseInput.type}`);
+    const label = createElement('label', null, caseInput.label);
+    label.htmlFor = id;
+    const widget = createWidget(caseInput, id);
+
+    field.append(label, widget);
+    if (caseInput.description) {
+      field.appendChild(createElement('small', 'case-help', caseInput.description));
+    }
+    form.appendChild(field);
+  });
+
+  const submit = createElement('button', 'btn', 'Classify');
+  submit.type = 'submit';
+  form.appendChild(submit);
+}
+
+/**
+ * Reads the case values from a form rendered by renderCaseForm
+ * Empty fields and unknown booleans are passed on as null.
+ * @param {HTMLFormElement} form - The case form
+ * @param {Array} caseInputs - Case inputs the form was rendered from
+ * @returns {Object} Case values keyed by variable name
+ */
+export function readCaseForm(form, caseInputs) {
+  const values = {};
+
+  caseInputs.forEach((caseInput, index) => {
+    const widget = form.querySelector(`#case-input-${index}`);
+    if (!widget) {
+      return;
+    }
+
+    if (widget.value.trim() === '') {
+      values[caseInput.variable] = null;
+    } else if (caseInput.type === 'boolean') {
+      values[caseInput.variable] = widget.value === 'true';
+    } else if (caseInput.type === 'number') {
+      const number = Number(widget.value);
+      values[caseInput.variable] = Number.isNaN(number) ? null : number;
+    } else {
+      values[caseInput.variable] = widget.value;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Formats a decision result for display
+ * @param {*} result - Decision value or table result
+ * @returns {string} Readable text
+ */
+export function formatResult(result) {
+  if (result === null || result === undefined) {
+    return 'no result';
+  }
+  if (Array.isArray(result)) {
+    return result.length > 0 ? result.map(formatResult).join('; ') : 'no result';
+  }
+  if (typeof result === 'object') {
+    const entries = Object.entries(result).filter(([, value]) => value !== null && value !== '');
+    return entries.length > 0
+      ? entries.map(([key, value]) => `${key}: ${formatResult(value)}`).join(', ')
+      : 'no result';
+  }
+  return String(result);
+}
+
+/**
+ * Renders the classification of a case: the result of the final decisions
+ * followed by every evaluated decision with the rules that matched
+ * @param {HTMLElement} container - Element to fill (existing content is replaced)
+ * @param {Object} evaluation - Result of evaluateDecisionGraph
+ * @param {Object} [explanation] - Result of explainEvaluation, shown as German text
+ */
+export function renderClassification(container, evaluation, explanation = null) {
+  container.replaceChildren();
+
+  container.appendChild(createElement('h3', null, 'Result'));
+  const summary = createElement('dl', 'classification-summary');
+  evaluation.finalDecisions.forEach(id => {
+    const { decision, result } = evaluation.results[id];
+    summary.appendChild(createElement('dt', null, getDecisionLabel(decision)));
+    summary.appendChild(createElement('dd', null, formatResult(result)));
+  });
+  container.appendChild(summary);
+
+  container.appendChild(createElement('h4', null, 'Decision path'));
+  const path = createElement('ol', 'classification-path');
+  evaluation.order.forEach(id => {
+    const { decision, matches, value } = evaluation.results[id];
+    const item = document.createElement('li');
+    item.appendChild(createElement('strong', null, getDecisionLabel(decision)));
+
+    const rules = matches.map(match => match.index + 1);
+    const detail = rules.length === 0
+      ? 'no rule matched'
+      : `${rules.length === 1 ? 'rule' : 'rules'} ${rules.join(', ')} → ${formatResult(value)}`;
+    item.appendChild(document.createTextNode(`: ${detail}`));
+    path.appendChild(item);
+  });
+  container.appendChild(path);
+
+  if (explanation) {
+    container.appendChild(createElement('h4', null, 'Explanation (German)'));
+    explanation.summary.forEach(sentence => {
+      container.appendChild(createElement('p', 'classification-explanation', sentence));
+    });
+  }
+}
+
+/**
+ * Renders the outcome of a line list classification: the number of cases
+ * per category and notes on the column mapping and failed rows
+ * @param {HTMLElement} container - Element to fill (existing content is replaced)
+ * @param {Object} classification - Result of classifyLineList
+ */
+export function renderLineListSummary(container, classification) {
+  container.replaceChildren();
+
+  const { rows, summary, errors, mapping, categoryDecision } = classification;
+  const title = categoryDecision ? getDecisionLabel(categoryDecision) : 'Category';
+  container.appendChild(createElement('h3', null, `${rows.length} ${rows.length === 1 ? 'case' : 'cases'} classified`));
+
+  const table = createElement('table', 'line-list-summary');
+  const headerRow = table.createTHead().insertRow();
+  headerRow.appendChild(createElement('th', null, title));
+  headerRow.appendChild(createElement('th', null, 'Cases'));
+  const body = table.createTBody();
+  summary.forEach(({ category, count }) => {
+    const row = body.insertRow();
+    row.insertCell().textContent = category || 'no category';
+    row.insertCell().textContent = String(count);
+  });
+  if (errors > 0) {
+    const row = body.insertRow();
+    row.insertCell().textContent = 'not classified (error)';
+    row.insertCell().textContent = String(errors);
+  }
+  container.appendChild(table);
+
+  const notes = [];
+  if (mapping.missing.length > 0) {
+    notes.push(`No column for ${mapping.missing.join(', ')}; treated as missing values`);
+  }
+  if (mapping.unused.length > 0) {
+    notes.push(`Columns not used: ${mapping.unused.join(', ')}`);
+  }
+  if (notes.length > 0) {
+    const list = createElement('ul', 'line-list-notes');
+    notes.forEach(note => list.appendChild(createElement('li', null, note)));
+    container.appendChild(list);
+  }
+}
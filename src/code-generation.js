@@ -0,0 +1,353 @@
+/**
+ * Shared utilities for generating source code from DMN decision tables
+ */
+
+import { parseUnaryTests, evaluateExpression, collectLiterals } from './feel.js';
+import { getOutputKey, getValueType, getDecisionLabel } from './decision-engine.js';
+import { downloadBlob } from './download.js';
+
+const TRANSLITERATIONS = { 'ä': 'ae', 'ö': 'oe', 'ü': 'ue', 'Ä': 'Ae', 'Ö': 'Oe', 'Ü': 'Ue', 'ß': 'ss' };
+
+/**
+ * Error thrown when a decision table cannot be translated into code
+ */
+export class CodeGenerationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CodeGenerationError';
+  }
+}
+
+/**
+ * Splits a label or variable name into ASCII identifier words
+ * @param {string} text - E.g. "Krankheitsbedingter Tod" or "antigen_nachweis"
+ * @returns {Array<string>} Words, e.g. ["Krankheitsbedingter", "Tod"]
+ */
+function toIdentifierWords(text) {
+  const ascii = (text || '')
+    .replace(/[\u00e4\u00f6\u00fc\u00c4\u00d6\u00dc\u00df]/g, char => TRANSLITERATIONS[char])
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+
+  return ascii
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(word => word);
+}
+
+/**
+ * Ensures an identifier does not start with a digit
+ */
+function ensureValidStart(identifier, fallback) {
+  if (!identifier) {
+    return fallback;
+  }
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+/**
+ * Converts text to a PascalCase identifier
+ * @param {string} text - Label or name
+ * @param {string} fallback - Identifier to use if text has no usable characters
+ * @returns {string}
+ */
+export function toPascalCase(text, fallback = 'Value') {
+  const words = toIdentifierWords(text);
+  const identifier = words.map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+  return ensureValidStart(identifier, fallback);
+}
+
+/**
+ * Converts text to a camelCase identifier
+ * @param {string} text - Label or name
+ * @param {string} fallback - Identifier to use if text has no usable characters
+ * @returns {string}
+ */
+export function toCamelCase(text, fallback = 'value') {
+  const pascal = toPascalCase(text, '');
+  if (!pascal) {
+    return fallback;
+  }
+  if (pascal.startsWith('_')) {
+    return pascal;
+  }
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Returns a name that is not yet in the set of used names, and reserves it
+ * @param {string} name - Desired name
+ * @param {Set<string>} used - Names already taken
+ * @returns {string}
+ */
+export function reserveName(name, used) {
+  let candidate = name;
+  let counter = 2;
+  while (used.has(candidate)) {
+    candidate = `${name}${counter++}`;
+  }
+  used.add(candidate);
+  return candidate;
+}
+
+/**
+ * Infers a generic value type from a list of sample values
+ * @param {Array} values - Literal values
+ * @returns {string} 'boolean', 'number' or 'string'
+ */
+function typeFromValues(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length > 0 && present.every(value => typeof value === 'boolean')) {
+    return 'boolean';
+  }
+  if (present.length > 0 && present.every(value => typeof value === 'number')) {
+    return 'number';
+  }
+  return 'string';
+}
+
+/**
+ * Parses a rule's input entry, adding the rule position to FEEL errors
+ */
+function parseEntry(text, ruleIndex, inputIndex, decisionName) {
+  try {
+    return parseUnaryTests(text);
+  } catch (error) {
+    throw new CodeGenerationError(
+      `${decisionName}, rule ${ruleIndex + 1}, input ${inputIndex + 1}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Prepares a decision for code generation: resolves identifiers, value types,
+ * parsed input entries and output literals
+ * @param {Object} decision - Parsed decision with a decision table
+ * @param {Object} options - Naming options
+ * @param {Function} options.typeName - Converts a label to a type name
+ * @param {Function} options.memberName - Converts a label to a member name
+ * @param {Set<string>} options.usedTypeNames - Type names already taken
+ * @returns {Object} Code model of the decision
+ * @throws {CodeGenerationError} If an input entry is not a supported unary test,
+ *   or a SUM, MIN or MAX aggregation has no number output
+ */
+export function buildDecisionModel(decision, { typeName, memberName, usedTypeNames }) {
+  const { decisionTable } = decision;
+  const decisionName = getDecisionLabel(decision);
+  const className = reserveName(typeName(decisionName), usedTypeNames);
+
+  const parsedRules = decisionTable.rules.map((rule, ruleIndex) => ({
+    id: rule.id || '',
+    index: ruleIndex,
+    tests: decisionTable.inputs.map((input, i) =>
+      parseEntry(rule.inputEntries[i] || '', ruleIndex, i, decisionName)
+    ),
+    values: decisionTable.outputs.map((output, i) => {
+      const text = rule.outputEntries[i] || '';
+      return text.trim() === '' ? null : evaluateExpression(text);
+    })
+  }));
+
+  const usedMembers = new Set();
+  const inputs = decisionTable.inputs.map((input, i) => {
+    const source = /^[\p{L}_][\p{L}\p{N}_]*$/u.test(input.expression) ? input.expression : (input.label || input.id);
+    const samples = parsedRules.flatMap(rule => collectLiterals(rule.tests[i]));
+    return {
+      input,
+      variable: input.expression || input.label || input.id,
+      member: reserveName(memberName(source), usedMembers),
+      type: getValueType(input.typeRef) || typeFromValues(samples)
+    };
+  });
+
+  const usedOutputMembers = new Set();
+  const outputs = decisionTable.outputs.map((output, i) => {
+    const samples = parsedRules.map(rule => rule.values[i]);
+    return {
+      output,
+      key: getOutputKey(output, i),
+      member: reserveName(memberName(getOutputKey(output, i)), usedOutputMembers),
+      type: getValueType(output.typeRef) || typeFromValues(samples),
+      priorities: output.outputValues ? collectLiterals(parseUnaryTests(output.outputValues)) : null
+    };
+  });
+
+  // SUM, MIN and MAX are only defined for numbers
+  const aggregation = decisionTable.aggregation || '';
+  if (['SUM', 'MIN', 'MAX'].includes(aggregation) && outputs[0]?.type !== 'number') {
+    throw new CodeGenerationError(
+      `${decisionName}: COLLECT ${aggregation} needs a number output, "${outputs[0]?.key || ''}" is not a number`
+    );
+  }
+
+  // Output literals must match the declared output type
+  parsedRules.forEach(rule => {
+    rule.values = rule.values.map((value, i) => {
+      if (value === null || outputs[i].type !== 'string') {
+        return value;
+      }
+      return String(value);
+    });
+  });
+
+  return {
+    decision,
+    name: decisionName,
+    className,
+    hitPolicy: decisionTable.hitPolicy || 'UNIQUE',
+    aggregation,
+    inputs,
+    outputs,
+    rules: parsedRules
+  };
+}
+
+/**
+ * Translates a parsed unary test into a boolean expression of the target language
+ * @param {Object} node - Parsed unary test (see parseUnaryTests)
+ * @param {string} subject - Expression holding the tested input value
+ * @param {string} type - Generic value type of the input
+ * @param {Object} syntax - Language specific expression builders
+ * @param {Function} resolveName - Maps a FEEL name to an expression, or returns null
+ * @returns {string} Boolean expression
+ * @throws {CodeGenerationError} If a referenced name is unknown
+ */
+export function translateUnaryTest(node, subject, type, syntax, resolveName) {
+  const operand = endpoint => {
+    if (endpoint.type === 'literal') {
+      return syntax.literal(endpoint.value, type);
+    }
+    const resolved = resolveName(endpoint.value);
+    if (!resolved) {
+      throw new CodeGenerationError(`Unknown variable "${endpoint.value}" in input entry`);
+    }
+    return resolved;
+  };
+
+  switch (node.type) {
+    case 'any':
+      return syntax.alwaysTrue;
+    case 'not':
+      return syntax.not(translateUnaryTest(node.test, subject, type, syntax, resolveName));
+    case 'list':
+      return syntax.or(node.tests.map(test => translateUnaryTest(test, subject, type, syntax, resolveName)));
+    case 'compare':
+      if (node.operand.type === 'literal' && node.operand.value === null) {
+        return node.operator === '!=' ? syntax.isNotNull(subject) : syntax.isNull(subject);
+      }
+      return syntax.compare(subject, node.operator, operand(node.operand), type);
+    case 'range':
+      return syntax.and([
+        syntax.compare(subject, node.startInclusive ? '>=' : '>', operand(node.start), type),
+        syntax.compare(subject, node.endInclusive ? '<=' : '<', operand(node.end), type)
+      ]);
+    default:
+      throw new CodeGenerationError(`Unsupported unary test "${node.type}"`);
+  }
+}
+
+/**
+ * Determines where each table input of a decision gets its value when the
+ * decision is evaluated as part of the decision requirements graph: from the
+ * output of a required decision or from the case data
+ * @param {Object} model - Decision code model
+ * @param {Map<string, Object>} modelsById - Code models keyed by decision id
+ * @returns {Array<Object>} Per input either {type: 'decision', model, output}
+ *   or {type: 'case', variable}
+ */
+export function resolveInputSources(model, modelsById) {
+  const required = (model.decision.requiredDecisions || [])
+    .map(id => modelsById.get(id))
+    .filter(Boolean);
+
+  return model.inputs.map(input => {
+    for (const requiredModel of required) {
+      const output = requiredModel.outputs.find(o => o.key === input.variable);
+      if (output) {
+        return { type: 'decision', model: requiredModel, output };
+      }
+      const decisionName = requiredModel.decision.name;
+      if (requiredModel.outputs.length === 1 && (decisionName === input.variable || requiredModel.decision.id === input.variable)) {
+        return { type: 'decision', model: requiredModel, output: requiredModel.outputs[0] };
+      }
+    }
+    return { type: 'case', variable: input.variable };
+  });
+}
+
+/**
+ * Collects the fields of the case data that feeds a decision requirements graph:
+ * all inputData variables plus table inputs not provided by a required decision
+ * @param {Object} dmnData - Parsed DMN data
+ * @param {Array<Object>} models - Decision code models
+ * @param {Map<string, Object>} modelsById - Code models keyed by decision id
+ * @returns {Array<{variable: string, type: string, description: string}>}
+ * @throws {CodeGenerationError} If a table input reads a variable with another
+ *   type than its inputData or another table input declares
+ */
+export function collectCaseFields(dmnData, models, modelsById) {
+  const fields = new Map();
+
+  (dmnData.inputData || []).forEach(input => {
+    if (!input.variable || fields.has(input.variable)) {
+      return;
+    }
+    // Layout-only inputData (documentation sections) carries no variable type
+    if (!input.typeRef && !models.some(m => m.inputs.some(i => i.variable === input.variable))) {
+      return;
+    }
+    fields.set(input.variable, {
+      variable: input.variable,
+      type: getValueType(input.typeRef),
+      description: input.description || input.documentation || input.name,
+      origin: `inputData "${input.name || input.id}"`
+    });
+  });
+
+  models.forEach(model => {
+    resolveInputSources(model, modelsById).forEach((source, i) => {
+      if (source.type !== 'case') {
+        return;
+      }
+      const { type } = model.inputs[i];
+      const origin = `decision "${model.name}"`;
+      const existing = fields.get(source.variable);
+      if (!existing) {
+        fields.set(source.variable, {
+          variable: source.variable,
+          type,
+          description: model.inputs[i].input.label || '',
+          origin
+        });
+        return;
+      }
+      if (!existing.type) {
+        Object.assign(existing, { type, origin });
+      } else if (existing.type !== type) {
+        throw new CodeGenerationError(
+          `Variable "${source.variable}" is a ${existing.type} in ${existing.origin} but a ${type} in ${origin}`
+        );
+      }
+    });
+  });
+
+  return [...fields.values()].map(({ origin, ...field }) => ({ ...field, type: field.type || 'string' }));
+}
+
+/**
+ * Returns all decisions of the parsed DMN that have a decision table
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {Array} Decisions with decision tables
+ */
+export function getTableDecisions(dmnData) {
+  return (dmnData.allDecisions || []).filter(decision => decision.decisionTable);
+}
+
+/**
+ * Triggers download of generated source code
+ * @param {string} code - Source code
+ * @param {string} filename - Output filename
+ */
+export function downloadCode(code, filename) {
+  downloadBlob(code, filename, 'text/plain;charset=utf-8');
+}
@@ -0,0 +1,351 @@
+/**
+ * C# code generation for DMN decision tables
+ */
+
+import {
+  buildDecisionModel,
+  translateUnaryTest,
+  getTableDecisions,
+  toPascalCase
+} from './code-generation.js';
+
+const CSHARP_TYPES = {
+  boolean: 'bool?',
+  number: 'decimal?',
+  string: 'string?'
+};
+
+/**
+ * Escapes text for a C# string literal
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text without surrounding quotes
+ */
+function escapeString(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Escapes text for an XML doc comment
+ */
+function escapeComment(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * C# expression builders used by translateUnaryTest
+ */
+const csharpSyntax = {
+  alwaysTrue: 'true',
+  literal(value, type) {
+    if (value === null) {
+      return 'null';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'true' : 'false';
+    }
+    if (typeof value === 'number' && type !== 'string') {
+      return `${value}m`;
+    }
+    return `"${escapeString(value)}"`;
+  },
+  compare(subject, operator, operand, type) {
+    const op = operator === '=' ? '==' : operator;
+    if (type === 'string' && !['==', '!='].includes(op)) {
+      return `(${subject} != null && string.CompareOrdinal(${subject}, ${operand}) ${op} 0)`;
+    }
+    return `${subject} ${op} ${operand}`;
+  },
+  and(parts) {
+    return `(${parts.join(' && ')})`;
+  },
+  or(parts) {
+    return `(${parts.join(' || ')})`;
+  },
+  not(part) {
+    return `!(${part})`;
+  },
+  isNull(subject) {
+    return `${subject} == null`;
+  },
+  isNotNull(subject) {
+    return `${subject} != null`;
+  }
+};
+
+/**
+ * Builds the condition of a rule
+ * @param {Object} model - Decision code model
+ * @param {Object} rule - Rule of the code model
+ * @returns {string} C# boolean expression
+ */
+function buildCondition(model, rule) {
+  const resolveName = name => {
+    const input = model.inputs.find(i => i.variable === name);
+    return input ? `input.${input.member}` : null;
+  };
+
+  const conditions = rule.tests
+    .map((test, i) => {
+      const input = model.inputs[i];
+      return translateUnaryTest(test, `input.${input.member}`, input.type, csharpSyntax, resolveName);
+    })
+    .filter(condition => condition !== 'true');
+
+  return conditions.length > 0 ? conditions.join('\n                && ') : 'true';
+}
+
+/**
+ * Builds the output record construction of a rule
+ */
+function buildOutputValue(model, rule) {
+  const values = model.outputs.map((output, i) => csharpSyntax.literal(rule.values[i], output.type));
+  return `new ${model.className}Output(${values.join(', ')})`;
+}
+
+/**
+ * Builds the output priority comparer used by PRIORITY and OUTPUT ORDER tables
+ */
+function buildPriorityMethod(model) {
+  const lines = [];
+  lines.push(`        private static int Priority(${model.className}Output output)`);
+  lines.push('        {');
+
+  const prioritized = model.outputs.filter(output => output.priorities);
+  if (prioritized.length === 0) {
+    lines.push('            return 0;');
+  } else {
+    lines.push('            var rank = 0;');
+    prioritized.forEach(output => {
+      const values = output.priorities.map(value => csharpSyntax.literal(value, output.type));
+      const size = output.priorities.length + 1;
+      lines.push(`            rank = rank * ${size} + RankOf(new object?[] { ${values.join(', ')} }, output.${output.member});`);
+    });
+    lines.push('            return rank;');
+  }
+
+  lines.push('        }');
+  lines.push('');
+  lines.push('        private static int RankOf(object?[] priorities, object? value)');
+  lines.push('        {');
+  lines.push('            var index = Array.IndexOf(priorities, value);');
+  lines.push('            return index < 0 ? priorities.Length : index;');
+  lines.push('        }');
+  return lines;
+}
+
+/**
+ * Determines the return type of the Evaluate method for the hit policy
+ */
+function getReturnType(model) {
+  const outputType = `${model.className}Output`;
+  if (model.hitPolicy === 'COLLECT' && model.aggregation) {
+    if (model.aggregation === 'COUNT') {
+      return 'int';
+    }
+    return CSHARP_TYPES[model.outputs[0].type];
+  }
+  if (['COLLECT', 'RULE ORDER', 'OUTPUT ORDER'].includes(model.hitPolicy)) {
+    return `List<${outputType}>`;
+  }
+  return `${outputType}?`;
+}
+
+/**
+ * Builds the Evaluate method body implementing rules and hit policy
+ * @param {Object} model - Decision code model
+ * @returns {Array<string>} Lines of code
+ */
+function buildEvaluateBody(model) {
+  const lines = [];
+  const indent = '            ';
+
+  if (model.hitPolicy === 'FIRST') {
+    for (const rule of model.rules) {
+      const condition = buildCondition(model, rule);
+      lines.push(`${indent}// Rule ${rule.index + 1}${rule.id ? ` (${rule.id})` : ''}`);
+      // A rule without conditions always fires; later rules are unreachable
+      if (condition === 'true') {
+        lines.push(`${indent}return ${buildOutputValue(model, rule)};`);
+        return lines;
+      }
+      lines.push(`${indent}if (${condition})`);
+      lines.push(`${indent}{`);
+      lines.push(`${indent}    return ${buildOutputValue(model, rule)};`);
+      lines.push(`${indent}}`);
+      lines.push('');
+    }
+    lines.push(`${indent}return null;`);
+    return lines;
+  }
+
+  lines.push(`${indent}var matches = new List<(int Rule, ${model.className}Output Output)>();`);
+  lines.push('');
+  model.rules.forEach(rule => {
+    const condition = buildCondition(model, rule);
+    const add = `matches.Add((${rule.index + 1}, ${buildOutputValue(model, rule)}));`;
+    lines.push(`${indent}// Rule ${rule.index + 1}${rule.id ? ` (${rule.id})` : ''}`);
+    if (condition === 'true') {
+      lines.push(`${indent}${add}`);
+    } else {
+      lines.push(`${indent}if (${condition})`);
+      lines.push(`${indent}{`);
+      lines.push(`${indent}    ${add}`);
+      lines.push(`${indent}}`);
+    }
+    lines.push('');
+  });
+
+  switch (model.hitPolicy) {
+    case 'UNIQUE':
+      lines.push(`${indent}if (matches.Count > 1)`);
+      lines.push(`${indent}{`);
+      lines.push(`${indent}    throw new InvalidOperationException("UNIQUE hit policy violated: rules " + string.Join(", ", matches.Select(m => m.Rule)) + " match");`);
+      lines.push(`${indent}}`);
+      lines.push(`${indent}return matches.Count == 1 ? matches[0].Output : null;`);
+      break;
+    case 'ANY':
+      lines.push(`${indent}if (matches.Select(m => m.Output).Distinct().Count() > 1)`);
+      lines.push(`${indent}{`);
+      lines.push(`${indent}    throw new InvalidOperationException("ANY hit policy violated: rules " + string.Join(", ", matches.Select(m => m.Rule)) + " match with different outputs");`);
+      lines.push(`${indent}}`);
+      lines.push(`${indent}return matches.Count > 0 ? matches[0].Output : null;`);
+      break;
+    case 'PRIORITY':
+      lines.push(`${indent}return matches.OrderBy(m => Priority(m.Output)).ThenBy(m => m.Rule).Select(m => m.Output).FirstOrDefault();`);
+      break;
+    case 'OUTPUT ORDER':
+      lines.push(`${indent}return matches.OrderBy(m => Priority(m.Output)).ThenBy(m => m.Rule).Select(m => m.Output).ToList();`);
+      break;
+    case 'COLLECT':
+      if (model.aggregation) {
+        const member = model.outputs[0].member;
+        lines.push(`${indent}var values = matches.Select(m => m.Output.${member}).Where(v => v != null).ToList();`);
+        switch (model.aggregation) {
+          case 'COUNT':
+            lines.push(`${indent}return values.Count;`);
+            break;
+          case 'SUM':
+            lines.push(`${indent}return values.Count == 0 ? null : values.Sum();`);
+            break;
+          case 'MIN':
+            lines.push(`${indent}return values.Count == 0 ? null : values.Min();`);
+            break;
+          case 'MAX':
+            lines.push(`${indent}return values.Count == 0 ? null : values.Max();`);
+            break;
+          default:
+            break;
+        }
+        break;
+      }
+      lines.push(`${indent}return matches.Select(m => m.Output).ToList();`);
+      break;
+    default:
+      lines.push(`${indent}return matches.Select(m => m.Output).ToList();`);
+      break;
+  }
+
+  return lines;
+}
+
+/**
+ * Generates the input record, output record and evaluator class of a decision
+ * @param {Object} model - Decision code model
+ * @returns {Array<string>} Lines of code
+ */
+function generateDecisionClass(model) {
+  const lines = [];
+  const { className } = model;
+
+  const inputParams = model.inputs.map(i => `${CSHARP_TYPES[i.type]} ${i.member}`);
+  const outputParams = model.outputs.map(o => `${CSHARP_TYPES[o.type]} ${o.member}`);
+
+  lines.push('    /// <summary>');
+  lines.push(`    /// Input values for the decision "${escapeComment(model.name)}".`);
+  lines.push('    /// </summary>');
+  lines.push(`    public record ${className}Input(${inputParams.join(', ')});`);
+  lines.push('');
+  lines.push('    /// <summary>');
+  lines.push(`    /// Output values of the decision "${escapeComment(model.name)}".`);
+  lines.push('    /// </summary>');
+  lines.push(`    public record ${className}Output(${outputParams.join(', ')});`);
+  lines.push('');
+  lines.push('    /// <summary>');
+  lines.push(`    /// Decision "${escapeComment(model.name)}" (hit policy ${model.hitPolicy}${model.aggregation ? ` ${model.aggregation}` : ''}).`);
+  if (model.decision.documentation) {
+    lines.push(`    /// ${escapeComment(model.decision.documentation)}`);
+  }
+  lines.push('    /// </summary>');
+  lines.push(`    public static class ${className}`);
+  lines.push('    {');
+  lines.push(`        public static ${getReturnType(model)} Evaluate(${className}Input input)`);
+  lines.push('        {');
+  lines.push(...buildEvaluateBody(model));
+  lines.push('        }');
+
+  if (['PRIORITY', 'OUTPUT ORDER'].includes(model.hitPolicy)) {
+    lines.push('');
+    lines.push(...buildPriorityMethod(model));
+  }
+
+  lines.push('    }');
+  return lines;
+}
+
+/**
+ * Generates C# code for all decision tables of the DMN
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {string} C# source code
+ * @throws {CodeGenerationError} If a decision table cannot be translated
+ */
+export function generateCSharpCode(dmnData) {
+  const { metadata = {} } = dmnData;
+  const usedTypeNames = new Set();
+
+  const models = getTableDecisions(dmnData).map(decision =>
+    buildDecisionModel(decision, {
+      typeName: text => toPascalCase(text, 'Decision'),
+      memberName: text => toPascalCase(text, 'Value'),
+      usedTypeNames
+    })
+  );
+
+  const namespace = `Epilogic.Falldefinitionen${metadata.krankheit ? `.${toPascalCase(metadata.krankheit)}` : ''}`;
+
+  const lines = [];
+  lines.push('// <auto-generated>');
+  lines.push('//   Generated by Epilogic from a DMN decision model.');
+  if (metadata.krankheit) {
+    lines.push(`//   ${metadata.krankheit}${metadata.erreger ? ` (${metadata.erreger})` : ''}`);
+  }
+  if (metadata.stand || metadata.version) {
+    lines.push(`//   Stand: ${metadata.stand || '-'}, Version: ${metadata.version || '-'}`);
+  }
+  lines.push('// </auto-generated>');
+  lines.push('');
+  lines.push('#nullable enable');
+  lines.push('');
+  lines.push('using System;');
+  lines.push('using System.Collections.Generic;');
+  lines.push('using System.Linq;');
+  lines.push('');
+  lines.push(`namespace ${namespace}`);
+  lines.push('{');
+  models.forEach((model, index) => {
+    if (index > 0) {
+      lines.push('');
+    }
+    lines.push(...generateDecisionClass(model));
+  });
+  lines.push('}');
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,615 @@
+/**
+ * Decision table execution for parsed DMN decisions
+ */
+
+import { evaluateUnaryTests, evaluateExpression, resolveName, parseUnaryTests, collectLiterals } from './feel.js';
+
+/**
+ * Hit policies defined by DMN and their single-letter table abbreviations
+ */
+export const HIT_POLICIES = {
+  'UNIQUE': 'U',
+  'FIRST': 'F',
+  'PRIORITY': 'P',
+  'ANY': 'A',
+  'COLLECT': 'C',
+  'RULE ORDER': 'R',
+  'OUTPUT ORDER': 'O'
+};
+
+const AGGREGATION_SYMBOLS = {
+  'SUM': '+',
+  'COUNT': '#',
+  'MIN': '<',
+  'MAX': '>'
+};
+
+/**
+ * Error thrown when the matched rules violate the table's hit policy
+ */
+export class HitPolicyError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {Array<number>} ruleIndices - Indices of the conflicting rules
+   */
+  constructor(message, ruleIndices = []) {
+    super(message);
+    this.name = 'HitPolicyError';
+    this.ruleIndices = ruleIndices;
+  }
+}
+
+/**
+ * Returns the hit policy of a decision table including its aggregation
+ * @param {Object} decisionTable - Parsed decision table
+ * @returns {string} E.g. "FIRST" or "COLLECT SUM"
+ */
+export function getHitPolicyLabel(decisionTable) {
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE';
+  if (hitPolicy === 'COLLECT' && decisionTable.aggregation) {
+    return `${hitPolicy} ${decisionTable.aggregation}`;
+  }
+  return hitPolicy;
+}
+
+/**
+ * Returns the hit policy abbreviation shown in the table corner (e.g. "F", "C+")
+ * @param {Object} decisionTable - Parsed decision table
+ * @returns {string}
+ */
+export function getHitPolicyAbbreviation(decisionTable) {
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE';
+  const abbreviation = HIT_POLICIES[hitPolicy] || hitPolicy;
+  if (hitPolicy === 'COLLECT' && decisionTable.aggregation) {
+    return abbreviation + (AGGREGATION_SYMBOLS[decisionTable.aggregation] || '');
+  }
+  return abbreviation;
+}
+
+/**
+ * Returns the display name of a decision
+ * @param {Object} decision - Parsed decision
+ * @returns {string} Label, else name, else id
+ */
+export function getDecisionLabel(decision) {
+  return decision.label || decision.name || decision.id;
+}
+
+/**
+ * Determines the name under which an output value is returned
+ * @param {Object} output - Output column from the decision table
+ * @param {number} index - Column index
+ * @returns {string} Output key
+ */
+export function getOutputKey(output, index) {
+  return output.name || output.label || output.id || `output${index + 1}`;
+}
+
+/**
+ * Maps a DMN typeRef to the kind of value an input holds
+ * @param {string} typeRef - DMN type reference
+ * @returns {string|null} 'boolean', 'number', 'string' or null if unknown
+ */
+export function getValueType(typeRef) {
+  switch ((typeRef || '').toLowerCase()) {
+    case 'boolean':
+      return 'boolean';
+    case 'number':
+    case 'integer':
+    case 'long':
+    case 'double':
+      return 'number';
+    case '':
+      return null;
+    default:
+      return 'string';
+  }
+}
+
+/**
+ * Resolves the value of a decision table input column from the context
+ * Falls back to the column label when the input expression is empty
+ * (dmn-js leaves it empty until the modeler fills it in).
+ * @param {Object} input - Input column from the decision table
+ * @param {Object} context - Input values keyed by variable name
+ * @returns {*} The input value, or null if it is not provided
+ */
+export function resolveInputValue(input, context) {
+  const expression = (input.expression || '').trim();
+
+  if (expression === '') {
+    const value = resolveName(input.label || input.id || '', context);
+    return value === undefined ? null : value;
+  }
+
+  const value = resolveName(expression, context);
+  if (value !== undefined) {
+    return value;
+  }
+
+  const evaluated = evaluateExpression(expression, context);
+  return evaluated === expression ? null : evaluated;
+}
+
+/**
+ * Evaluates the output entries of a rule
+ * @param {Object} rule - Rule from the decision table
+ * @param {Array} outputs - Output columns
+ * @param {Object} context - Input values
+ * @returns {Object} Output values keyed by output name
+ */
+function evaluateRuleOutputs(rule, outputs, context) {
+  const result = {};
+  outputs.forEach((output, i) => {
+    result[getOutputKey(output, i)] = evaluateExpression(rule.outputEntries[i] || '', context);
+  });
+  return result;
+}
+
+/**
+ * Checks whether all input entries of a rule are satisfied
+ * @param {Object} rule - Rule from the decision table
+ * @param {Array} inputValues - Resolved value per input column
+ * @param {Object} context - Input values (for name references in entries)
+ * @param {number} index - Rule index, used in error messages
+ * @returns {boolean}
+ */
+function ruleMatches(rule, inputValues, context, index) {
+  return inputValues.every((value, i) => {
+    try {
+      return evaluateUnaryTests(rule.inputEntries[i] || '', value, context);
+    } catch (error) {
+      error.message = `Rule ${index + 1}, input ${i + 1}: ${error.message}`;
+      throw error;
+    }
+  });
+}
+
+/**
+ * Reads the priority list of each output column from its outputValues
+ * @param {Array} outputs - Output columns
+ * @returns {Array<Array|null>} Allowed values in priority order, per output
+ */
+function getOutputPriorities(outputs) {
+  return outputs.map(output => {
+    if (!output.outputValues) {
+      return null;
+    }
+    const node = parseUnaryTests(output.outputValues);
+    const tests = node.type === 'list' ? node.tests : [node];
+    return tests
+      .filter(test => test.type === 'compare' && test.operand.type === 'literal')
+      .map(test => test.operand.value);
+  });
+}
+
+/**
+ * Sorts matches by output priority (PRIORITY and OUTPUT ORDER hit policies)
+ * @param {Array} matches - Matched rules
+ * @param {Array} outputs - Output columns
+ * @returns {Array} Matches, highest priority first
+ */
+function sortByPriority(matches, outputs) {
+  const priorities = getOutputPriorities(outputs);
+  const rank = (match, i) => {
+    const values = priorities[i];
+    if (!values) {
+      return 0;
+    }
+    const position = values.indexOf(match.outputs[getOutputKey(outputs[i], i)]);
+    return position === -1 ? values.length : position;
+  };
+
+  return [...matches].sort((a, b) => {
+    for (let i = 0; i < outputs.length; i++) {
+      const difference = rank(a, i) - rank(b, i);
+      if (difference !== 0) {
+        return difference;
+      }
+    }
+    return a.index - b.index;
+  });
+}
+
+/**
+ * Applies a COLLECT aggregation to the matched outputs
+ * @param {string} aggregation - SUM, COUNT, MIN or MAX
+ * @param {Array} matches - Matched rules
+ * @param {Array} outputs - Output columns
+ * @returns {Object} Aggregated value keyed by the output name
+ */
+function aggregate(aggregation, matches, outputs) {
+  const key = getOutputKey(outputs[0], 0);
+  const values = matches.map(match => match.outputs[key]).filter(value => value !== null);
+
+  if (aggregation === 'COUNT') {
+    return { [key]: values.length };
+  }
+
+  if (values.length === 0) {
+    return { [key]: null };
+  }
+
+  switch (aggregation) {
+    case 'SUM':
+      return { [key]: values.reduce((sum, value) => sum + value, 0) };
+    case 'MIN':
+      return { [key]: values.reduce((min, value) => (value < min ? value : min)) };
+    case 'MAX':
+      return { [key]: values.reduce((max, value) => (value > max ? value : max)) };
+    default:
+      throw new HitPolicyError(`Unknown aggregation "${aggregation}"`);
+  }
+}
+
+/**
+ * Determines the table result from the matched rules according to the hit policy
+ * @param {Object} decisionTable - Parsed decision table
+ * @param {Array} matches - Matched rules in table order
+ * @returns {Object|Array|null} Output object for single-hit policies and
+ *   aggregations, array of output objects for multi-hit policies
+ * @throws {HitPolicyError} If the matches violate a UNIQUE or ANY table
+ */
+function applyHitPolicy(decisionTable, matches) {
+  const { outputs } = decisionTable;
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE';
+
+  switch (hitPolicy) {
+    case 'UNIQUE':
+      if (matches.length > 1) {
+        throw new HitPolicyError(
+          `UNIQUE hit policy violated: rules ${matches.map(m => m.index + 1).join(', ')} match`,
+          matches.map(m => m.index)
+        );
+      }
+      return matches.length === 1 ? matches[0].outputs : null;
+
+    case 'ANY': {
+      const distinct = new Set(matches.map(m => JSON.stringify(m.outputs)));
+      if (distinct.size > 1) {
+        throw new HitPolicyError(
+          `ANY hit policy violated: rules ${matches.map(m => m.index + 1).join(', ')} match with different outputs`,
+          matches.map(m => m.index)
+        );
+      }
+      return matches.length > 0 ? matches[0].outputs : null;
+    }
+
+    case 'FIRST':
+      return matches.length > 0 ? matches[0].outputs : null;
+
+    case 'PRIORITY': {
+      const sorted = sortByPriority(matches, outputs);
+      return sorted.length > 0 ? sorted[0].outputs : null;
+    }
+
+    case 'RULE ORDER':
+      return matches.map(m => m.outputs);
+
+    case 'OUTPUT ORDER':
+      return sortByPriority(matches, outputs).map(m => m.outputs);
+
+    case 'COLLECT':
+      if (decisionTable.aggregation) {
+        return aggregate(decisionTable.aggregation, matches, outputs);
+      }
+      return matches.map(m => m.outputs);
+
+    default:
+      throw new HitPolicyError(`Unknown hit policy "${hitPolicy}"`);
+  }
+}
+
+/**
+ * Evaluates a decision table against a set of input values
+ * @param {Object} decisionTable - Parsed decision table ({hitPolicy, aggregation, inputs, outputs, rules})
+ * @param {Object} context - Input values keyed by input expression / variable name
+ * @returns {{inputValues: Array, matches: Array<{index: number, id: string, outputs: Object}>, outputs: Array<Object>, result: Object|Array|null}}
+ *   The resolved value of each input column, all matching rules in table
+ *   order, their output values and the table result after applying the
+ *   hit policy
+ * @throws {FeelError} If an input entry is not a supported FEEL unary test
+ * @throws {HitPolicyError} If the matches violate the hit policy
+ */
+export function evaluateDecisionTable(decisionTable, context = {}) {
+  const { inputs, outputs, rules } = decisionTable;
+  const inputValues = inputs.map(input => resolveInputValue(input, context));
+
+  const matches = [];
+  rules.forEach((rule, index) => {
+    if (ruleMatches(rule, inputValues, context, index)) {
+      matches.push({
+        index,
+        id: rule.id || '',
+        outputs: evaluateRuleOutputs(rule, outputs, context)
+      });
+    }
+  });
+
+  return {
+    inputValues,
+    matches,
+    outputs: matches.map(match => match.outputs),
+    result: applyHitPolicy(decisionTable, matches)
+  };
+}
+
+/**
+ * Error thrown when the decision requirements graph cannot be evaluated
+ */
+export class DecisionGraphError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {Array<string>} decisionIds - Ids of the decisions involved
+   */
+  constructor(message, decisionIds = []) {
+    super(message);
+    this.name = 'DecisionGraphError';
+    this.decisionIds = decisionIds;
+  }
+}
+
+/**
+ * Orders decisions so that every decision comes after the decisions it requires
+ * Decisions without dependencies keep their document order.
+ * @param {Array} decisions - Parsed decisions (see extractDecisions)
+ * @returns {Array} Decisions in evaluation order
+ * @throws {DecisionGraphError} If the requirements contain a cycle
+ */
+export function orderDecisions(decisions) {
+  const byId = new Map(decisions.map(decision => [decision.id, decision]));
+  const requirementsOf = decision => (decision.requiredDecisions || []).filter(id => byId.has(id));
+
+  const remaining = new Map(decisions.map(decision => [decision.id, requirementsOf(decision).length]));
+  const ordered = [];
+
+  while (ordered.length < decisions.length) {
+    const next = decisions.find(decision => remaining.get(decision.id) === 0);
+    if (!next) {
+      const cycle = decisions.filter(decision => remaining.get(decision.id) > 0).map(decision => decision.id);
+      throw new DecisionGraphError(`Cyclic decision requirements: ${cycle.join(', ')}`, cycle);
+    }
+
+    remaining.set(next.id, -1);
+    ordered.push(next);
+    decisions.forEach(decision => {
+      if (requirementsOf(decision).includes(next.id)) {
+        remaining.set(decision.id, remaining.get(decision.id) - 1);
+      }
+    });
+  }
+
+  return ordered;
+}
+
+/**
+ * Collects a decision and all decisions it transitively requires
+ * @param {string} decisionId - Id of the target decision
+ * @param {Map<string, Object>} byId - Decisions keyed by id
+ * @returns {Set<string>} Ids of the required decisions including the target
+ */
+function collectRequiredDecisions(decisionId, byId) {
+  const required = new Set();
+  const visit = id => {
+    if (required.has(id) || !byId.has(id)) {
+      return;
+    }
+    required.add(id);
+    (byId.get(id).requiredDecisions || []).forEach(visit);
+  };
+  visit(decisionId);
+  return required;
+}
+
+/**
+ * Maps case values onto inputData variable names
+ * Values may be keyed by the variable name, the inputData name or its id.
+ * @param {Array} inputData - Parsed inputData elements
+ * @param {Object} values - Case values
+ * @returns {Object} Values keyed by variable name (unknown keys are kept)
+ */
+export function buildInputContext(inputData, values) {
+  const context = { ...values };
+  (inputData || []).forEach(input => {
+    if (context[input.variable] !== undefined) {
+      return;
+    }
+    const key = [input.name, input.id].find(k => k && values[k] !== undefined);
+    if (key) {
+      context[input.variable] = values[key];
+    }
+  });
+  return context;
+}
+
+/**
+ * Determines the value a decision passes on to the decisions that require it
+ * @param {Object} decisionTable - Parsed decision table
+ * @param {Object|Array|null} result - Table result after the hit policy
+ * @returns {*} The single output value, or the result itself
+ */
+function getDecisionValue(decisionTable, result) {
+  if (result && !Array.isArray(result) && decisionTable.outputs.length === 1) {
+    return result[getOutputKey(decisionTable.outputs[0], 0)];
+  }
+  if (Array.isArray(result) && decisionTable.outputs.length === 1) {
+    const key = getOutputKey(decisionTable.outputs[0], 0);
+    return result.map(outputs => outputs[key]);
+  }
+  return result;
+}
+
+/**
+ * Evaluates the decision requirements graph for one case
+ * Decisions are evaluated in topological order. Each decision sees the case
+ * values plus the outputs of the decisions it requires, both by output name
+ * and by the required decision's name.
+ * @param {Object} dmnData - Parsed DMN data ({allDecisions, inputData})
+ * @param {Object} values - Case values keyed by inputData variable name
+ * @param {string} [decisionId] - Only evaluate this decision and its requirements
+ * @returns {{order: Array<string>, results: Object, finalDecisions: Array<string>}}
+ *   Evaluation order, the result of every decision keyed by id
+ *   ({decision, inputValues, matches, result, value}) and the ids of the
+ *   decisions no other evaluated decision depends on
+ * @throws {DecisionGraphError} If the graph is cyclic or a decision fails
+ */
+export function evaluateDecisionGraph(dmnData, values = {}, decisionId = null) {
+  const decisions = dmnData.allDecisions || [];
+  const byId = new Map(decisions.map(decision => [decision.id, decision]));
+
+  if (decisionId && !byId.has(decisionId)) {
+    throw new DecisionGraphError(`Unknown decision "${decisionId}"`, [decisionId]);
+  }
+
+  const selected = decisionId ? collectRequiredDecisions(decisionId, byId) : null;
+  const ordered = orderDecisions(decisions).filter(decision => !selected || selected.has(decision.id));
+  const caseContext = buildInputContext(dmnData.inputData, values);
+
+  const results = {};
+  ordered.forEach(decision => {
+    const context = { ...caseContext };
+    (decision.requiredDecisions || []).forEach(id => {
+      const required = results[id];
+      if (!required) {
+        return;
+      }
+      if (required.result && !Array.isArray(required.result)) {
+        Object.assign(context, required.result);
+      }
+      context[required.decision.name] = required.value;
+    });
+
+    if (!decision.decisionTable) {
+      results[decision.id] = { decision, inputValues: [], matches: [], result: null, value: null };
+      return;
+    }
+
+    let evaluation;
+    try {
+      evaluation = evaluateDecisionTable(decision.decisionTable, context);
+    } catch (error) {
+      throw new DecisionGraphError(
+        `Decision "${getDecisionLabel(decision)}": ${error.message}`,
+        [decision.id]
+      );
+    }
+
+    results[decision.id] = {
+      decision,
+      inputValues: evaluation.inputValues,
+      matches: evaluation.matches,
+      result: evaluation.result,
+      value: getDecisionValue(decision.decisionTable, evaluation.result)
+    };
+  });
+
+  const requiredIds = new Set(ordered.flatMap(decision => decision.requiredDecisions || []));
+
+  return {
+    order: ordered.map(decision => decision.id),
+    results,
+    finalDecisions: ordered.map(decision => decision.id).filter(id => !requiredIds.has(id))
+  };
+}
+
+/**
+ * Collects the literal values tested in one input column of a decision table
+ * Entries that are not valid FEEL are skipped.
+ * @param {Object} decisionTable - Parsed decision table
+ * @param {number} index - Input column index
+ * @returns {Array} Literal values
+ */
+function collectColumnLiterals(decisionTable, index) {
+  return decisionTable.rules.flatMap(rule => {
+    try {
+      return collectLiterals(parseUnaryTests(rule.inputEntries[index] || ''));
+    } catch {
+      // Invalid entries are reported when the table is evaluated
+      return [];
+    }
+  });
+}
+
+/**
+ * Lists the values a case must provide to evaluate the decision requirements
+ * graph: typed inputData variables plus table inputs that are not supplied
+ * by a required decision
+ * @param {Object} dmnData - Parsed DMN data ({allDecisions, inputData})
+ * @returns {Array<{variable: string, label: string, description: string, type: string, options: Array<string>}>}
+ *   Case inputs; options lists the string values tested by the tables
+ */
+export function getCaseInputs(dmnData) {
+  const decisions = dmnData.allDecisions || [];
+  const byId = new Map(decisions.map(decision => [decision.id, decision]));
+  const requiredInputIds = new Set(decisions.flatMap(decision => decision.requiredInputs || []));
+  const fields = new Map();
+
+  (dmnData.inputData || []).forEach(input => {
+    if (!input.variable || fields.has(input.variable)) {
+      return;
+    }
+    // Untyped, unreferenced inputData only carries document sections
+    if (!input.typeRef && !requiredInputIds.has(input.id)) {
+      return;
+    }
+    fields.set(input.variable, {
+      variable: input.variable,
+      label: input.name || input.variable,
+      description: input.description || input.documentation || '',
+      type: getValueType(input.typeRef),
+      options: []
+    });
+  });
+
+  decisions.forEach(decision => {
+    if (!decision.decisionTable) {
+      return;
+    }
+
+    const provided = new Set();
+    (decision.requiredDecisions || []).forEach(id => {
+      const required = byId.get(id);
+      if (!required) {
+        return;
+      }
+      provided.add(required.name);
+      (required.decisionTable?.outputs || []).forEach((output, i) => provided.add(getOutputKey(output, i)));
+    });
+
+    decision.decisionTable.inputs.forEach((input, i) => {
+      const variable = (input.expression || '').trim() || input.label || input.id;
+      if (!variable || provided.has(variable)) {
+        return;
+      }
+
+      const literals = collectColumnLiterals(decision.decisionTable, i);
+      let type = getValueType(input.typeRef);
+      if (!type && literals.length > 0 && literals.every(value => typeof value === 'boolean')) {
+        type = 'boolean';
+      } else if (!type && literals.length > 0 && literals.every(value => typeof value === 'number')) {
+        type = 'number';
+      }
+
+      const field = fields.get(variable) || {
+        variable,
+        label: input.label || variable,
+        description: '',
+        type: null,
+        options: []
+      };
+      field.type = field.type || type;
+      literals.forEach(value => {
+        if (typeof value === 'string' && !field.options.includes(value)) {
+          field.options.push(value);
+        }
+      });
+      fields.set(variable, field);
+    });
+  });
+
+  return [...fields.values()].map(field => ({
+    ...field,
+    type: field.type || 'string',
+    options: field.type && field.type !== 'string' ? [] : field.options
+  }));
+}
@@ -0,0 +1,118 @@
+/**
+ * XML namespaces of the DMN versions and namespace-aware element lookup
+ *
+ * Elements are matched by namespace URI and local name, so prefixed
+ * ("dmn:decision") and unprefixed documents are read alike and same-named
+ * elements of extensions are never mistaken for DMN elements.
+ */
+
+// Model namespace per DMN version
+export const DMN_MODEL_NAMESPACES = {
+  '1.1': 'http://www.omg.org/spec/DMN/20151101/dmn.xsd',
+  '1.2': 'http://www.omg.org/spec/DMN/20180521/MODEL/',
+  '1.3': 'https://www.omg.org/spec/DMN/20191111/MODEL/',
+  '1.4': 'https://www.omg.org/spec/DMN/20211108/MODEL/',
+  '1.5': 'https://www.omg.org/spec/DMN/20230324/MODEL/'
+};
+
+// Diagram interchange namespaces (DMN 1.2 and later)
+export const DMNDI_NAMESPACES = [
+  'http://www.omg.org/spec/DMN/20180521/DMNDI/',
+  'https://www.omg.org/spec/DMN/20191111/DMNDI/',
+  'https://www.omg.org/spec/DMN/20211108/DMNDI/',
+  'https://www.omg.org/spec/DMN/20230324/DMNDI/'
+];
+export const DC_NAMESPACE = 'http://www.omg.org/spec/DMN/20180521/DC/';
+export const DI_NAMESPACE = 'http://www.omg.org/spec/DMN/20180521/DI/';
+
+/**
+ * Compares namespace URIs ignoring the protocol
+ * Modelers write the OMG URIs with http and https interchangeably.
+ */
+function sameNamespace(a, b) {
+  const strip = uri => String(uri || '').replace(/^https?:\/\//, '');
+  return Boolean(a) && strip(a) === strip(b);
+}
+
+/**
+ * Detects the DMN version from the namespace of the definitions element
+ * @param {Document} doc - The parsed XML document
+ * @returns {{version: string, namespace: string}|null} Version and the
+ *   namespace URI as written in the document, or null if the root is not
+ *   the definitions element of a known DMN version
+ */
+export function detectDmnVersion(doc) {
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'definitions') {
+    return null;
+  }
+  const version = Object.keys(DMN_MODEL_NAMESPACES)
+    .find(key => sameNamespace(root.namespaceURI, DMN_MODEL_NAMESPACES[key]));
+  return version ? { version, namespace: root.namespaceURI } : null;
+}
+
+/**
+ * Checks whether a namespace URI is the model namespace of a DMN version
+ * @param {string|null} namespace - Namespace URI
+ * @returns {boolean}
+ */
+export function isDmnModelNamespace(namespace) {
+  return Object.values(DMN_MODEL_NAMESPACES).some(uri => sameNamespace(namespace, uri));
+}
+
+/**
+ * Checks whether an element has the given namespace and local name
+ * @param {Element} element - Element to test
+ * @param {string|Array<string>} namespace - Namespace URI or alternatives
+ * @param {string} localName - Local name
+ * @returns {boolean}
+ */
+export function isElement(element, namespace, localName) {
+  const namespaces = Array.isArray(namespace) ? namespace : [namespace];
+  return element.localName === localName && namespaces.some(uri => sameNamespace(element.namespaceURI, uri));
+}
+
+/**
+ * Returns the child elements with the given namespace and local name
+ * @param {Element|null} element - Parent element
+ * @param {string|Array<string>} namespace - Namespace URI or alternatives
+ * @param {string} localName - Local name
+ * @returns {Array<Element>}
+ */
+export function getChildren(element, namespace, localName) {
+  if (!element) {
+    return [];
+  }
+  return [...element.children].filter(child => isElement(child, namespace, localName));
+}
+
+/**
+ * Returns the first child element with the given namespace and local name
+ * @returns {Element|null}
+ */
+export function getChild(element, namespace, localName) {
+  return getChildren(element, namespace, localName)[0] || null;
+}
+
+/**
+ * Returns all descendant elements with the given namespace and local name
+ * @param {Document|Element|null} root - Document or element to search
+ * @param {string|Array<string>} namespace - Namespace URI or alternatives
+ * @param {string} localName - Local name
+ * @returns {Array<Element>} Elements in document order
+ */
+export function getDescendants(root, namespace, localName) {
+  if (!root) {
+    return [];
+  }
+  return [...root.getElementsByTagNameNS('*', localName)].filter(element => isElement(element, namespace, localName));
+}
+
+/**
+ * Returns the trimmed text of the first child element with the given
+ * namespace and local name
+ * @returns {string} Text, or '' if there is no such child
+ */
+export function getChildText(element, namespace, localName) {
+  return getChild(element, namespace, localName)?.textContent.trim() || '';
+}
@@ -1,59 +1,296 @@
 /**
  * DMN XML parsing utilities for RKI Falldefinitionen
+ *
+ * Elements are looked up by namespace (see dmn-namespaces.js), so DMN 1.1
+ * to 1.5 files are read alike, with or without prefixes.
+ *
+ * Models are written in German. Translations are per-language extension
+ * elements: the metadata, categories and textTemplates elements with an
+ * xml:lang attribute, and <rki:translation xml:lang="en"> holding label,
+ * description or documentation in the extensionElements of inputData and
+ * decisions. Texts without translation stay German.
  */
 
+import {
+  DMNDI_NAMESPACES,
+  DC_NAMESPACE,
+  DI_NAMESPACE,
+  detectDmnVersion,
+  isDmnModelNamespace,
+  getChildren,
+  getChild,
+  getChildText,
+  getDescendants
+} from './dmn-namespaces.js';
+import { DEFAULT_SECTION_TEMPLATES, TEMPLATE_PARTS, resolveSectionTemplates, buildSectionText } from './section-text.js';
+import { DEFAULT_PROFILE, matchesElement, getSectionInputNames } from './mapping-profile.js';
+import { DEFAULT_LANGUAGE, localize, matchesLanguage } from './i18n.js';
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+// Texts of a DRG element a translation can replace
+const TRANSLATED_FIELDS = ['label', 'description', 'documentation'];
+
 /**
- * Extracts metadata from DMN extensionElements
+ * Returns the DMN model namespace of a document
+ * Documents of unknown versions are read in the namespace of their root.
+ */
+function getModelNamespace(doc) {
+  return detectDmnVersion(doc)?.namespace || doc.documentElement?.namespaceURI || null;
+}
+
+/**
+ * Returns the xml:lang of an element, empty if it has none
+ */
+function getLanguageTag(element) {
+  return element.getAttributeNS(XML_NAMESPACE, 'lang') || element.getAttribute('xml:lang') || '';
+}
+
+/**
+ * Finds the metadata element in the extensionElements of the definitions
+ * The fields are read in the extension namespace: the namespace of the
+ * metadata element, or of its first child if the metadata element itself
+ * is in the DMN namespace. Same-named elements of other extensions are
+ * ignored.
  * @param {Document} doc - The parsed XML document
- * @returns {Object} Metadata object
+ * @param {string} [language] - Language of the metadata element; untagged
+ *   elements are German
+ * @returns {{element: Element, namespace: string|null}|null} Metadata element
+ *   and extension namespace, or null if there is none
+ */
+export function findMetadataElement(doc, language = DEFAULT_LANGUAGE) {
+  const extensionElements = getChild(doc.documentElement, getModelNamespace(doc), 'extensionElements');
+  const element = extensionElements
+    ? [...extensionElements.children]
+      .find(child => child.localName === 'metadata' && matchesLanguage(getLanguageTag(child), language))
+    : null;
+  if (!element) {
+    return null;
+  }
+
+  const namespace = isDmnModelNamespace(element.namespaceURI) || !element.namespaceURI
+    ? element.firstElementChild?.namespaceURI ?? null
+    : element.namespaceURI;
+  return { element, namespace };
+}
+
+/**
+ * Reads the fields of a metadata element
  */
-export function extractMetadata(doc) {
+function readMetadataFields(found, warnings) {
   const metadata = {};
+  if (!found) {
+    return metadata;
+  }
 
-  const metadataElement = doc.querySelector('extensionElements metadata');
-  if (!metadataElement) {
+  [...found.element.children]
+    .filter(child => child.namespaceURI === found.namespace && child.childElementCount === 0)
+    .forEach(child => {
+      if (child.localName in metadata) {
+        warnings.push({
+          code: 'repeated-metadata',
+          message: `Metadata field "${child.localName}" ignored: it is repeated, the first value counts`
+        });
+        return;
+      }
+      metadata[child.localName] = child.textContent.trim();
+    });
+
+  return metadata;
+}
+
+/**
+ * Extracts metadata from DMN extensionElements
+ * Every child of the metadata element in the extension namespace is a
+ * field, keyed by its local name (see metadata-fields.js for the known
+ * ones). Elements with child elements are skipped; of repeated fields the
+ * first one counts and the others are ignored with a warning. Fields of a
+ * metadata element in the requested language replace the German ones.
+ * @param {Document} doc - The parsed XML document
+ * @param {Array<{code: string, message: string}>} [warnings] - Receives the warnings
+ * @param {string} [language] - Output language
+ * @returns {Object} Metadata object, e.g. {krankheit: '…', icd10: 'A04.5'}
+ */
+export function extractMetadata(doc, warnings = [], language = DEFAULT_LANGUAGE) {
+  const metadata = readMetadataFields(findMetadataElement(doc), warnings);
+  if (language === DEFAULT_LANGUAGE) {
     return metadata;
   }
+  return { ...metadata, ...readMetadataFields(findMetadataElement(doc, language), warnings) };
+}
 
-  // Extract all metadata fields
-  const fields = ['krankheit', 'erreger', 'stand', 'version', 'inkubationszeit'];
-  fields.forEach(field => {
-    const element = metadataElement.querySelector(field);
-    if (element) {
-      metadata[field] = element.textContent.trim();
+/**
+ * Returns an extension element outside the DMN namespace
+ * @param {Element} parent - Element holding the extensionElements
+ * @param {string} localName - Local name, e.g. 'textTemplates'
+ * @param {string} [language] - Language of the extension element; untagged
+ *   elements are German
+ * @returns {Element|null}
+ */
+function findExtension(parent, localName, language = DEFAULT_LANGUAGE) {
+  const extensionElements = getChild(parent, parent.namespaceURI, 'extensionElements');
+  return extensionElements
+    ? [...extensionElements.children].find(child => child.localName === localName
+      && !isDmnModelNamespace(child.namespaceURI)
+      && matchesLanguage(getLanguageTag(child), language)) || null
+    : null;
+}
+
+/**
+ * Reads the translation of the texts of a DRG element
+ *   <rki:translation xml:lang="en"><rki:label>Diarrhoea</rki:label></rki:translation>
+ * @returns {Object} Translated texts ({label, description, documentation}),
+ *   empty for German
+ */
+function readTranslation(element, language) {
+  if (language === DEFAULT_LANGUAGE) {
+    return {};
+  }
+  const translation = findExtension(element, 'translation', language);
+  if (!translation) {
+    return {};
+  }
+  return Object.fromEntries(TRANSLATED_FIELDS
+    .map(field => [field, getChildText(translation, translation.namespaceURI, field)])
+    .filter(([, text]) => text));
+}
+
+/**
+ * Reads the documentation of an inputData or decision element
+ * RKI models written in DMN 1.1 hold it in <documentation>. DMN 1.3 has no
+ * such element, so the writer (see dmn-writer.js) puts it into the
+ * description, or into the extension namespace next to a description.
+ * @returns {string} Documentation, '' if the element has none
+ */
+function readDocumentation(element) {
+  return getChildText(element, element.namespaceURI, 'documentation')
+    || findExtension(element, 'documentation')?.textContent.trim()
+    || '';
+}
+
+/**
+ * Extracts the section text templates a model overrides
+ * Templates are written in the extensionElements of the definitions:
+ *   <rki:textTemplates>
+ *     <rki:template section="klinisches_bild" part="intro">…</rki:template>
+ *   </rki:textTemplates>
+ * Unknown sections and parts are ignored with a warning. Templates of other
+ * languages are written in a textTemplates element with xml:lang.
+ * @param {Document} doc - The parsed XML document
+ * @param {Array<{code: string, message: string}>} [warnings] - Receives the warnings
+ * @param {string} [language] - Output language
+ * @returns {Object} Template parts per section, e.g. {klinisches_bild: {intro: '…'}}
+ */
+export function extractTextTemplates(doc, warnings = [], language = DEFAULT_LANGUAGE) {
+  const templates = {};
+  const container = findExtension(doc.documentElement, 'textTemplates', language);
+  if (!container) {
+    return templates;
+  }
+
+  getChildren(container, container.namespaceURI, 'template').forEach(element => {
+    const section = element.getAttribute('section') || '';
+    const part = element.getAttribute('part') || '';
+    if (!DEFAULT_SECTION_TEMPLATES[section] || !TEMPLATE_PARTS.includes(part)) {
+      warnings.push({
+        code: 'ignored-template',
+        message: `Text template for section "${section}", part "${part}" ignored: unknown section or part`
+      });
+      return;
     }
+    templates[section] = { ...templates[section], [part]: element.textContent.trim() };
   });
 
-  return metadata;
+  return templates;
+}
+
+/**
+ * Extracts the case categories a model defines
+ * Categories are written in the extensionElements of the definitions, the
+ * element text is the description:
+ *   <rki:categories>
+ *     <rki:category value="A" label="Klinisch diagnostizierte Erkrankung">…</rki:category>
+ *   </rki:categories>
+ * Categories without value are ignored with a warning. Labels and
+ * descriptions of other languages are written in a categories element with
+ * xml:lang.
+ * @param {Document} doc - The parsed XML document
+ * @param {Array<{code: string, message: string}>} [warnings] - Receives the warnings
+ * @param {string} [language] - Output language
+ * @returns {Array<{value: string, label: string, description: string}>|null}
+ *   Categories in document order, null if the model defines none
+ */
+export function extractCategoryDefinitions(doc, warnings = [], language = DEFAULT_LANGUAGE) {
+  const categories = readCategories(findExtension(doc.documentElement, 'categories'), warnings);
+  const translated = language === DEFAULT_LANGUAGE
+    ? null
+    : readCategories(findExtension(doc.documentElement, 'categories', language), warnings);
+  if (!categories || !translated) {
+    return categories || translated;
+  }
+
+  return categories.map(category => {
+    const translation = translated.find(candidate => candidate.value === category.value) || {};
+    return {
+      value: category.value,
+      label: translation.label || category.label,
+      description: translation.description || category.description
+    };
+  });
+}
+
+/**
+ * Reads the category elements of a categories extension element
+ */
+function readCategories(container, warnings) {
+  if (!container) {
+    return null;
+  }
+
+  return getChildren(container, container.namespaceURI, 'category')
+    .filter(element => {
+      if (!element.getAttribute('value')?.trim()) {
+        const label = (element.getAttribute('label') || '').trim();
+        warnings.push({
+          code: 'ignored-category',
+          message: `Category ${label ? `"${label}" ` : ''}ignored: it has no value`
+        });
+        return false;
+      }
+      return true;
+    })
+    .map(element => ({
+      value: element.getAttribute('value').trim(),
+      label: (element.getAttribute('label') || '').trim(),
+      description: element.textContent.trim()
+    }));
 }
 
+// Names of inputData elements that carry document sections instead of case
+// values in the default profile
+export const SECTION_NAMES = getSectionInputNames(DEFAULT_PROFILE);
+
 /**
  * Extracts structured section content from inputData
  * Sections are identified by their name attribute
  * @param {Document} doc - The parsed XML document
  * @param {string} sectionName - Name of the section
+ * @param {string} language - Output language
  * @returns {Object|null} Section object with label and documentation
  */
-function extractSection(doc, sectionName) {
+function extractSection(doc, sectionName, language) {
   // Get all inputData elements and find by name attribute
-  const inputDataElements = doc.querySelectorAll('inputData');
-  let element = null;
-
-  for (const el of inputDataElements) {
-    if (el.getAttribute('name') === sectionName) {
-      element = el;
-      break;
-    }
-  }
+  const element = getInputDataElements(doc).find(el => el.getAttribute('name') === sectionName) || null;
 
   if (!element) {
     console.log(`Section not found: ${sectionName}`);
     return null;
   }
 
-  const label = element.getAttribute('label') || '';
-  const docElement = element.querySelector('documentation');
-  const documentation = docElement ? docElement.textContent.trim() : '';
+  const translation = readTranslation(element, language);
+  const label = translation.label || element.getAttribute('label') || '';
+  const documentation = translation.documentation || readDocumentation(element)
+    || getChildText(element, element.namespaceURI, 'description');
 
   console.log(`Found section ${sectionName}:`, { label, hasDoc: !!documentation });
 
@@ -63,29 +300,46 @@ function extractSection(doc, sectionName) {
   };
 }
 
+/**
+ * Returns the inputData elements of the definitions
+ */
+function getInputDataElements(doc) {
+  return getChildren(doc.documentElement, getModelNamespace(doc), 'inputData');
+}
+
 /**
  * Extracts input data elements from DMN
  * @param {Document} doc - The parsed XML document
+ * @param {string} [language] - Language of label, description and documentation
  * @returns {Array} Array of input data objects
  */
-export function extractInputData(doc) {
-  const inputDataElements = doc.querySelectorAll('inputData');
+export function extractInputData(doc, language = DEFAULT_LANGUAGE) {
   const inputData = [];
 
-  inputDataElements.forEach(element => {
+  getInputDataElements(doc).forEach(element => {
+    const ns = element.namespaceURI;
     const id = element.getAttribute('id') || '';
     const name = element.getAttribute('name') || '';
     const label = element.getAttribute('label') || name;
 
     // Extract documentation if available
-    const docElement = element.querySelector('documentation');
-    const documentation = docElement ? docElement.textContent.trim() : '';
+    const documentation = readDocumentation(element);
+    const description = getChildText(element, ns, 'description');
+
+    // The variable holds the name under which decisions reference the value
+    const variableElement = getChild(element, ns, 'variable');
+    const variable = variableElement?.getAttribute('name') || name;
+    const typeRef = variableElement?.getAttribute('typeRef') || '';
 
     inputData.push({
       id,
       name,
       label,
-      documentation
+      documentation,
+      description,
+      variable,
+      typeRef,
+      ...readTranslation(element, language)
     });
   });
 
@@ -98,58 +352,68 @@ export function extractInputData(doc) {
  * @returns {Object|null} Decision table object or null
  */
 function extractDecisionTable(decisionElement) {
-  const decisionTable = decisionElement.querySelector('decisionTable');
+  const ns = decisionElement.namespaceURI;
+  const decisionTable = getChild(decisionElement, ns, 'decisionTable');
   if (!decisionTable) {
     return null;
   }
 
   // Extract inputs
   const inputs = [];
-  const inputElements = decisionTable.querySelectorAll('input');
-  inputElements.forEach(input => {
+  getChildren(decisionTable, ns, 'input').forEach(input => {
+    const inputExpression = getChild(input, ns, 'inputExpression');
     inputs.push({
       id: input.getAttribute('id') || '',
       label: input.getAttribute('label') || '',
-      expression: input.querySelector('inputExpression')?.textContent?.trim() || ''
+      // Some DMN 1.1 exporters write the expression without <text>
+      expression: getChildText(inputExpression, ns, 'text')
+        || (inputExpression?.children.length === 0 ? inputExpression.textContent.trim() : ''),
+      typeRef: inputExpression?.getAttribute('typeRef') || '',
+      inputValues: getChildText(getChild(input, ns, 'inputValues'), ns, 'text')
     });
   });
 
   // Extract outputs
   const outputs = [];
-  const outputElements = decisionTable.querySelectorAll('output');
-  outputElements.forEach(output => {
+  getChildren(decisionTable, ns, 'output').forEach(output => {
     outputs.push({
       id: output.getAttribute('id') || '',
       label: output.getAttribute('label') || '',
-      name: output.getAttribute('name') || ''
+      name: output.getAttribute('name') || '',
+      typeRef: output.getAttribute('typeRef') || '',
+      outputValues: getChildText(getChild(output, ns, 'outputValues'), ns, 'text')
     });
   });
 
   // Extract rules
   const rules = [];
-  const ruleElements = decisionTable.querySelectorAll('rule');
-  ruleElements.forEach(rule => {
-    const inputEntries = [];
-    const inputEntryElements = rule.querySelectorAll('inputEntry');
-    inputEntryElements.forEach(entry => {
-      inputEntries.push(entry.querySelector('text')?.textContent?.trim() || '');
-    });
+  getChildren(decisionTable, ns, 'rule').forEach(rule => {
+    const entries = localName => getChildren(rule, ns, localName).map(entry => getChildText(entry, ns, 'text'));
 
-    const outputEntries = [];
-    const outputEntryElements = rule.querySelectorAll('outputEntry');
-    outputEntryElements.forEach(entry => {
-      outputEntries.push(entry.querySelector('text')?.textContent?.trim() || '');
+    rules.push({
+      id: rule.getAttribute('id') || '',
+      description: getChildText(rule, ns, 'description'),
+      inputEntries: entries('inputEntry'),
+      outputEntries: entries('outputEntry'),
+      // DMN 1.3 annotation columns; older models describe rules instead
+      annotationEntries: entries('annotationEntry')
     });
+  });
 
-    rules.push({
-      inputEntries,
-      outputEntries
+  const annotations = [];
+  getChildren(decisionTable, ns, 'annotation').forEach(annotation => {
+    annotations.push({
+      id: annotation.getAttribute('id') || '',
+      name: annotation.getAttribute('name') || ''
     });
   });
 
   return {
+    hitPolicy: (decisionTable.getAttribute('hitPolicy') || 'UNIQUE').toUpperCase(),
+    aggregation: (decisionTable.getAttribute('aggregation') || '').toUpperCase(),
     inputs,
     outputs,
+    annotations,
     rules
   };
 }
@@ -157,56 +421,59 @@ function extractDecisionTable(decisionElement) {
 /**
  * Extracts decisions from DMN
  * @param {Document} doc - The parsed XML document
+ * @param {string} [language] - Language of label and documentation
  * @returns {Array} Array of decision objects
  */
-export function extractDecisions(doc) {
-  const decisionElements = doc.querySelectorAll('decision');
+export function extractDecisions(doc, language = DEFAULT_LANGUAGE) {
+  const ns = getModelNamespace(doc);
   const decisions = [];
 
-  decisionElements.forEach(element => {
+  getChildren(doc.documentElement, ns, 'decision').forEach(element => {
     const id = element.getAttribute('id') || '';
     const name = element.getAttribute('name') || '';
     const label = element.getAttribute('label') || name;
 
     // Extract documentation (supports both <documentation> and <description>)
-    let documentation = '';
-    const docElement = element.querySelector('documentation');
-    const descElement = element.querySelector('description');
-    if (docElement) {
-      documentation = docElement.textContent.trim();
-    } else if (descElement) {
-      documentation = descElement.textContent.trim();
-    }
+    const description = getChildText(element, ns, 'description');
+    const documentation = readDocumentation(element) || description;
 
     // Extract information requirements (inputs to this decision)
     const informationRequirements = [];
-    const reqElements = element.querySelectorAll('informationRequirement');
-    reqElements.forEach(req => {
-      const requiredInput = req.querySelector('requiredInput');
-      const requiredDecision = req.querySelector('requiredDecision');
+    const requiredInputs = [];
+    const requiredDecisions = [];
+    getChildren(element, ns, 'informationRequirement').forEach(req => {
+      const requiredInput = getChild(req, ns, 'requiredInput');
+      const requiredDecision = getChild(req, ns, 'requiredDecision');
       if (requiredInput) {
         const href = requiredInput.getAttribute('href');
         if (href) {
           informationRequirements.push(href);
+          requiredInputs.push(getHrefId(requiredInput));
         }
       } else if (requiredDecision) {
         const href = requiredDecision.getAttribute('href');
         if (href) {
           informationRequirements.push(href);
+          requiredDecisions.push(getHrefId(requiredDecision));
         }
       }
     });
 
     // Extract decision table
     const decisionTable = extractDecisionTable(element);
+    const translation = readTranslation(element, language);
 
     decisions.push({
       id,
       name,
-      label,
-      documentation,
+      label: translation.label || label,
+      documentation: translation.documentation || translation.description || documentation,
+      description: translation.description || description,
       decisionTable,
-      informationRequirements
+      informationRequirements,
+      requiredInputs,
+      requiredDecisions,
+      requirements: extractRequirements(element)
     });
   });
 
@@ -214,191 +481,302 @@ export function extractDecisions(doc) {
 }
 
 /**
- * Parses complete DMN document for RKI Falldefinition
- * Supports both documentation-based and decision-based formats
- * @param {Document} doc - The parsed XML document
- * @returns {Object} Complete DMN data structure
+ * Reads the id an href attribute points to ("#id" or "file.dmn#id")
  */
-export function parseDMN(doc) {
-  console.log('parseDMN: Starting parse...');
-
-  const metadata = extractMetadata(doc);
-  const decisions = extractDecisions(doc);
+function getHrefId(element) {
+  const href = element?.getAttribute('href') || '';
+  return href.slice(href.indexOf('#') + 1);
+}
 
-  console.log(`Found ${decisions.length} decisions`);
-  decisions.forEach(d => {
-    console.log(`  Decision: name="${d.name}", hasTable=${!!d.decisionTable}, hasDoc=${!!d.documentation}`);
+/**
+ * Extracts the requirements of a DRG element as edges of the diagram
+ * @param {Element} element - Decision, knowledge source or business knowledge model
+ * @returns {Array<{id: string, kind: string, source: string}>} Requirement id,
+ *   kind ('information', 'knowledge' or 'authority') and the id of the
+ *   required element
+ */
+export function extractRequirements(element) {
+  const kinds = {
+    informationRequirement: 'information',
+    knowledgeRequirement: 'knowledge',
+    authorityRequirement: 'authority'
+  };
+  const requirements = [];
+
+  [...element.children].forEach(child => {
+    const kind = child.namespaceURI === element.namespaceURI ? kinds[child.localName] : undefined;
+    const target = child.firstElementChild;
+    const source = getHrefId(target);
+    if (kind && source) {
+      requirements.push({ id: child.getAttribute('id') || '', kind, source });
+    }
   });
 
-  // Try to find decisions by name
-  const clinicalDecision = decisions.find(d => d.name === 'Klinisches Bild' || d.name === 'clinical_picture');
-  const labDecision = decisions.find(d => d.name === 'Labordiagnostischer Nachweis' || d.name === 'lab_evidence');
-  const epiDecision = decisions.find(d => d.name === 'Epidemiologische Bestätigung' || d.name === 'epi_confirmation');
-  const fallklassifikation = decisions.find(d =>
-    d.name === 'fallklassifikation' ||
-    d.name === 'campylobacter_classification' ||
-    d.name.includes('bermittlungsdefinition')
-  );
-
-  // Build content from decisions and their inputs
-  const klinischesBild = clinicalDecision ? {
-    label: 'Klinisches Bild',
-    documentation: buildKlinischesBildText(doc, clinicalDecision)
-  } : extractSection(doc, 'klinisches_bild');
-
-  const labordiagnostik = labDecision ? {
-    label: 'Labordiagnostischer Nachweis',
-    documentation: buildLabordiagnostikText(doc, labDecision)
-  } : extractSection(doc, 'labordiagnostik');
-
-  const epidemiologie = epiDecision ? {
-    label: 'Epidemiologische Bestätigung',
-    documentation: buildEpidemiologieText(doc, epiDecision)
-  } : extractSection(doc, 'epidemiologische_bestaetigung');
-
-  // Extract inkubationszeit from epi decision description if present
-  if (epiDecision && epiDecision.documentation && epiDecision.documentation.includes('Inkubationszeit')) {
-    metadata.inkubationszeit = epiDecision.documentation;
-  }
+  return requirements;
+}
 
-  // Extract Zusatzinfo from lab decision description if present
-  const zusatzinfo = labDecision && labDecision.documentation ? {
-    label: 'Zusatzinformation',
-    documentation: labDecision.documentation
-  } : extractSection(doc, 'zusatzinformation');
+/**
+ * Extracts the DRG elements that only matter for the diagram: knowledge
+ * sources, business knowledge models, text annotations and associations
+ * @param {Document} doc - The parsed XML document
+ * @returns {{knowledgeSources: Array, businessKnowledgeModels: Array, textAnnotations: Array, associations: Array}}
+ */
+export function extractDiagramElements(doc) {
+  const ns = getModelNamespace(doc);
+  const elements = localName => getChildren(doc.documentElement, ns, localName);
+  const named = localName => elements(localName).map(element => ({
+    id: element.getAttribute('id') || '',
+    name: element.getAttribute('name') || '',
+    requirements: extractRequirements(element)
+  }));
 
-  const result = {
-    metadata,
-    klinischesBild,
-    labordiagnostik,
-    epidemiologie,
-    fallkategorien: fallklassifikation,
-    zusatzinfo,
-    referenzdefinition: extractSection(doc, 'referenzdefinition'),
-    gesetzlicheGrundlage: {
-      meldepflicht: extractSection(doc, 'meldepflicht'),
-      uebermittlung: extractSection(doc, 'uebermittlung')
-    },
-    allDecisions: decisions
+  return {
+    knowledgeSources: named('knowledgeSource'),
+    businessKnowledgeModels: named('businessKnowledgeModel'),
+    textAnnotations: elements('textAnnotation').map(element => ({
+      id: element.getAttribute('id') || '',
+      text: getChildText(element, ns, 'text')
+    })),
+    associations: elements('association').map(element => ({
+      id: element.getAttribute('id') || '',
+      sourceRef: getHrefId(getChild(element, ns, 'sourceRef')),
+      targetRef: getHrefId(getChild(element, ns, 'targetRef'))
+    }))
   };
-
-  console.log('parseDMN: Complete. Summary:', {
-    hasKlinischesBild: !!result.klinischesBild,
-    hasLabordiagnostik: !!result.labordiagnostik,
-    hasEpidemiologie: !!result.epidemiologie,
-    hasFallkategorien: !!result.fallkategorien,
-    hasZusatzinfo: !!result.zusatzinfo
-  });
-
-  return result;
 }
 
 /**
- * Builds Klinisches Bild text from decision and its inputs
+ * Extracts the diagram interchange (DMNDI) of the first diagram
+ * @param {Document} doc - The parsed XML document
+ * @returns {{shapes: Object, edges: Object}|null} Bounds ({x, y, width, height})
+ *   keyed by element id and waypoint lists keyed by requirement or
+ *   association id, or null if the file has no DMNDI
  */
-function buildKlinischesBildText(doc, decision) {
-  const inputRefs = decision.informationRequirements || [];
-  const inputs = [];
+export function extractDiagramInterchange(doc) {
+  const [diagram] = getDescendants(doc, DMNDI_NAMESPACES, 'DMNDiagram');
+  if (!diagram) {
+    return null;
+  }
 
-  // Get inputs from information requirements
-  inputRefs.forEach(ref => {
-    const inputId = ref.replace('#', '');
-    const inputElement = doc.querySelector(`inputData[id="${inputId}"]`);
-    if (inputElement) {
-      const name = inputElement.getAttribute('name');
-      const desc = inputElement.querySelector('description');
-      inputs.push({
-        name,
-        description: desc ? desc.textContent.trim() : ''
-      });
+  const shapes = {};
+  getDescendants(diagram, DMNDI_NAMESPACES, 'DMNShape').forEach(shape => {
+    const bounds = getChild(shape, DC_NAMESPACE, 'Bounds');
+    const ref = shape.getAttribute('dmnElementRef');
+    if (!bounds || !ref) {
+      return;
+    }
+    const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(name => Number(bounds.getAttribute(name)));
+    if ([x, y, width, height].every(Number.isFinite)) {
+      shapes[ref] = { x, y, width, height };
     }
   });
 
-  if (inputs.length === 0) {
-    return 'Klinisches Bild einer akuten Erkrankung';
-  }
-
-  let text = `Klinisches Bild einer akuten Campylobacter-Enteritis, definiert als mindestens eines der folgenden Kriterien:\n`;
-  inputs.forEach(input => {
-    text += `- ${input.name}`;
-    if (input.description) {
-      text += ` (${input.description})`;
+  const edges = {};
+  getDescendants(diagram, DMNDI_NAMESPACES, 'DMNEdge').forEach(edge => {
+    const ref = edge.getAttribute('dmnElementRef');
+    const waypoints = getChildren(edge, DI_NAMESPACE, 'waypoint')
+      .map(point => ({ x: Number(point.getAttribute('x')), y: Number(point.getAttribute('y')) }))
+      .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y));
+    if (ref && waypoints.length >= 2) {
+      edges[ref] = waypoints;
     }
-    text += ',\n';
   });
-  text = text.replace(/,\n$/, '\nODER krankheitsbedingter Tod.');
 
-  return text;
+  return { shapes, edges };
 }
 
 /**
- * Builds Labordiagnostik text from decision and its inputs
+ * Extracts the attributes of the definitions element
+ * @param {Document} doc - The parsed XML document
+ * @returns {{id: string, name: string, namespace: string, extensionNamespace: string|null}}
+ *   namespace is the namespace attribute of the model, extensionNamespace the
+ *   namespace of the metadata, categories or textTemplates extension (null
+ *   if the model has none)
  */
-function buildLabordiagnostikText(doc, decision) {
-  const inputRefs = decision.informationRequirements || [];
-  const inputs = [];
+export function extractDefinitions(doc) {
+  const root = doc.documentElement;
+  const extension = ['categories', 'textTemplates'].map(name => findExtension(root, name)).find(Boolean);
+  return {
+    id: root.getAttribute('id') || '',
+    name: root.getAttribute('name') || '',
+    namespace: root.getAttribute('namespace') || '',
+    extensionNamespace: findMetadataElement(doc)?.namespace || extension?.namespaceURI || null
+  };
+}
 
-  inputRefs.forEach(ref => {
-    const inputId = ref.replace('#', '');
-    const inputElement = doc.querySelector(`inputData[id="${inputId}"]`);
-    if (inputElement) {
-      const name = inputElement.getAttribute('name');
-      const desc = inputElement.querySelector('description');
-      inputs.push({
-        name,
-        description: desc ? desc.textContent.trim() : ''
-      });
+/**
+ * Returns the inputData and decision elements of the definitions
+ */
+function getTranslatableElements(doc) {
+  const ns = getModelNamespace(doc);
+  return [...getChildren(doc.documentElement, ns, 'inputData'), ...getChildren(doc.documentElement, ns, 'decision')];
+}
+
+/**
+ * Extracts the translations of a model
+ * @param {Document} doc - The parsed XML document
+ * @returns {Object} Per language other than German (e.g. 'en'): {metadata,
+ *   categories, textTemplates, elements} - the fields of the metadata
+ *   element, the categories (null if there are none), the text templates and
+ *   the translated texts of inputData and decisions keyed by element id;
+ *   ignored content is reported by parseDMN for the language it parses
+ */
+export function extractTranslations(doc) {
+  const root = doc.documentElement;
+  const elements = getTranslatableElements(doc);
+  const tags = [root, ...elements]
+    .flatMap(element => [...(getChild(element, element.namespaceURI, 'extensionElements')?.children || [])])
+    .map(getLanguageTag)
+    .filter(Boolean);
+  const languages = [...new Set(tags.map(tag => tag.toLowerCase().split('-')[0]))]
+    .filter(language => language !== DEFAULT_LANGUAGE);
+
+  return Object.fromEntries(languages.map(language => [language, {
+    metadata: readMetadataFields(findMetadataElement(doc, language), []),
+    categories: readCategories(findExtension(root, 'categories', language), []),
+    textTemplates: extractTextTemplates(doc, [], language),
+    elements: Object.fromEntries(elements
+      .map(element => [element.getAttribute('id') || '', readTranslation(element, language)])
+      .filter(([id, texts]) => id && Object.keys(texts).length > 0))
+  }]));
+}
+
+/**
+ * Reads the content of a section from the first of its sources that applies
+ * @returns {{content: Object|null, decision: Object|null}} Section content
+ *   ({label, documentation}) and the decision it was read from
+ */
+function resolveSection(doc, section, context) {
+  const { decisions, inputData, metadata, templates, language } = context;
+  const label = localize(section.title, language);
+
+  for (const source of section.sources) {
+    if (source.inputData) {
+      const content = extractSection(doc, source.inputData, language);
+      if (content) {
+        return { content, decision: null };
+      }
+      continue;
     }
-  });
 
-  if (inputs.length === 0) {
-    return 'Positiver Befund mit labordiagnostischer Methode';
+    const decision = decisions.find(d => matchesElement(source.decision, d));
+    if (!decision) {
+      continue;
+    }
+    if (source.text === 'criteria') {
+      const documentation = buildSectionText(source.template, getCriteria(decision, inputData), metadata, templates, language);
+      return { content: { label, documentation }, decision };
+    }
+    if (decision.documentation) {
+      return { content: { label, documentation: decision.documentation }, decision };
+    }
   }
 
-  let text = `Positiver Befund mit mindestens einer der folgenden Methoden:\n[direkter Erregernachweis:]\n`;
-  inputs.forEach(input => {
-    text += `- ${input.name}`;
-    if (input.description) {
-      text += ` (${input.description})`;
-    }
-    text += ',\n';
-  });
+  return { content: null, decision: null };
+}
 
-  return text.trim();
+/**
+ * Reads a heading or subheading section
+ * A decision documentation can also hold metadata such as the incubation
+ * period, which is then copied into the metadata.
+ */
+function readSection(doc, section, context) {
+  const { content, decision } = resolveSection(doc, section, context);
+  const rule = section.metadata;
+  if (rule && decision?.documentation?.includes(localize(rule.documentationContains, context.language))) {
+    context.metadata[rule.field] = decision.documentation;
+  }
+  return content;
 }
 
 /**
- * Builds Epidemiologie text from decision and its inputs
+ * Parses complete DMN document for RKI Falldefinition
+ * Supports both documentation-based and decision-based formats. Which
+ * decision or inputData feeds each section is stated by the mapping profile.
+ * @param {Document} doc - The parsed XML document
+ * @param {Object} [profile] - Mapping profile (see mapping-profile.js), RKI Falldefinition by default
+ * @param {string} [language] - Output language of the texts (see i18n.js);
+ *   names, ids and decision tables are the same in every language
+ * @returns {Object} Complete DMN data structure; warnings lists the model
+ *   content that was ignored ({code, message})
  */
-function buildEpidemiologieText(doc, decision) {
-  const inputRefs = decision.informationRequirements || [];
-  const inputs = [];
+export function parseDMN(doc, profile = DEFAULT_PROFILE, language = DEFAULT_LANGUAGE) {
+  console.log('parseDMN: Starting parse...');
 
-  inputRefs.forEach(ref => {
-    const inputId = ref.replace('#', '');
-    const inputElement = doc.querySelector(`inputData[id="${inputId}"]`);
-    if (inputElement) {
-      const name = inputElement.getAttribute('name');
-      const desc = inputElement.querySelector('description');
-      inputs.push({
-        name,
-        description: desc ? desc.textContent.trim() : ''
-      });
-    }
+  const warnings = [];
+
+  const metadata = extractMetadata(doc, warnings, language);
+  const decisions = extractDecisions(doc, language);
+  const inputData = extractInputData(doc, language);
+
+  console.log(`Found ${decisions.length} decisions`);
+  decisions.forEach(d => {
+    console.log(`  Decision: name="${d.name}", hasTable=${!!d.decisionTable}, hasDoc=${!!d.documentation}`);
   });
 
-  if (inputs.length === 0) {
-    return 'Epidemiologische Bestätigung vorhanden';
-  }
+  // Build content from decisions and their inputs, as the profile states
+  const textTemplates = extractTextTemplates(doc, warnings, language);
+  const context = {
+    decisions,
+    inputData,
+    metadata,
+    templates: resolveSectionTemplates(textTemplates, language),
+    language
+  };
+  const sections = {};
+  let fallkategorien = null;
+  let categoryOutput = '';
+
+  profile.sections.forEach(section => {
+    if (section.style === 'categories') {
+      fallkategorien = decisions.find(d => matchesElement(section.decision, d)) || null;
+      categoryOutput = section.categoryOutput || '';
+      return;
+    }
 
-  let text = `Epidemiologische Bestätigung, definiert als mindestens einer der folgenden Nachweise unter Berücksichtigung der Inkubationszeit:\n`;
-  inputs.forEach(input => {
-    text += `• ${input.name}`;
-    if (input.description) {
-      text += ` (${input.description})`;
+    if (section.style === 'group') {
+      sections[section.key] = Object.fromEntries(
+        section.sections.map(subsection => [subsection.key, readSection(doc, subsection, context)])
+      );
+      return;
     }
-    text += ',\n';
+    sections[section.key] = readSection(doc, section, context);
   });
 
-  return text.trim();
+  const result = {
+    definitions: extractDefinitions(doc),
+    metadata,
+    ...sections,
+    fallkategorien,
+    categoryOutput,
+    categoryDefinitions: extractCategoryDefinitions(doc, warnings, language),
+    textTemplates,
+    translations: extractTranslations(doc),
+    allDecisions: decisions,
+    inputData,
+    dmnVersion: detectDmnVersion(doc)?.version || '',
+    language,
+    profile,
+    sectionNames: getSectionInputNames(profile),
+    ...extractDiagramElements(doc),
+    dmndi: extractDiagramInterchange(doc),
+    warnings
+  };
+
+  console.log('parseDMN: Complete. Sections:', Object.fromEntries(
+    Object.keys(sections).map(key => [key, !!sections[key]])
+  ));
+
+  return result;
+}
+
+/**
+ * Returns the inputData elements a decision requires, in requirement order,
+ * as criteria named by their (translated) label
+ */
+function getCriteria(decision, inputData) {
+  return (decision.requiredInputs || [])
+    .map(id => inputData.find(input => input.id === id))
+    .filter(Boolean)
+    .map(input => ({ name: input.label, description: input.description }));
 }
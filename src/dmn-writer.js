@@ -0,0 +1,468 @@
+/**
+ * Writing the parsed model as DMN 1.3 XML
+ *
+ * serializeDMN turns a model read by parseDMN back into a DMN 1.3 file,
+ * whichever version it was read from: metadata, categories, text templates
+ * and translations as extension elements, inputData, decisions with their
+ * requirements and decision tables, knowledge sources, business knowledge
+ * models, text annotations and associations, and the diagram interchange
+ * if the file had one. DMN elements are written unprefixed, in schema order.
+ *
+ * Ids are normalised: invalid characters become "_" ("1 Fall" is written
+ * as "_1_Fall"), repeated ids are numbered and missing ones generated
+ * ("Decision_1", "fallklassifikation_rule_3"); references follow. DMN 1.3
+ * has no documentation element, so the documentation of inputData and
+ * decisions is written as their description (parseDMN reads it from there).
+ */
+
+import { DMN_MODEL_NAMESPACES, DMNDI_NAMESPACES, DC_NAMESPACE, DI_NAMESPACE } from './dmn-namespaces.js';
+import { DEFAULT_LANGUAGE } from './i18n.js';
+import { DEFAULT_PROFILE, getContentSections } from './mapping-profile.js';
+import { downloadBlob } from './download.js';
+
+const DMN13_NAMESPACE = DMN_MODEL_NAMESPACES['1.3'];
+const DMN13_DMNDI_NAMESPACE = DMNDI_NAMESPACES[1];
+
+// Namespace of the extension elements if the model has none
+export const DEFAULT_EXTENSION_NAMESPACE = 'http://rki.de/dmn/extensions';
+const EXTENSION_PREFIX = 'rki';
+
+// Requirement elements and the element naming the required element, per kind
+const REQUIREMENTS = {
+  information: { element: 'informationRequirement', targets: { inputData: 'requiredInput', decision: 'requiredDecision' } },
+  knowledge: { element: 'knowledgeRequirement', targets: { businessKnowledgeModel: 'requiredKnowledge' } },
+  authority: {
+    element: 'authorityRequirement',
+    targets: { inputData: 'requiredInput', decision: 'requiredDecision', knowledgeSource: 'requiredAuthority' }
+  }
+};
+
+/**
+ * Custom error class for models that cannot be written
+ */
+export class DmnWriterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DmnWriterError';
+  }
+}
+
+/**
+ * Escapes text for use in XML content
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes text for use in XML attributes; line breaks are kept as references
+ */
+function escapeAttribute(text) {
+  return escapeText(text)
+    .replace(/"/g, '&quot;')
+    .replace(/\n/g, '&#10;')
+    .replace(/\r/g, '&#13;')
+    .replace(/\t/g, '&#9;');
+}
+
+/**
+ * Creates an element of the XML tree
+ * @param {string} name - Qualified name, e.g. 'decision' or 'dmndi:DMNShape'
+ * @param {Object} [attributes] - Attribute values; empty ones are left out
+ * @param {Array<Object|null>|string} [content] - Child elements (null ones are
+ *   left out) or text
+ * @returns {{name: string, attributes: Object, content: Array|string}}
+ */
+function element(name, attributes = {}, content = []) {
+  return { name, attributes, content };
+}
+
+/**
+ * Writes an element of the XML tree with two spaces indentation per level
+ * @returns {Array<string>} Lines
+ */
+function renderElement(node, depth = 0) {
+  const indent = '  '.repeat(depth);
+  const attributes = Object.entries(node.attributes)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+
+  if (typeof node.content === 'string') {
+    return [`${indent}<${node.name}${attributes}>${escapeText(node.content)}</${node.name}>`];
+  }
+  const children = node.content.filter(Boolean);
+  if (children.length === 0) {
+    return [`${indent}<${node.name}${attributes}/>`];
+  }
+  return [
+    `${indent}<${node.name}${attributes}>`,
+    ...children.flatMap(child => renderElement(child, depth + 1)),
+    `${indent}</${node.name}>`
+  ];
+}
+
+/**
+ * Checks whether an element or one of its descendants has the given prefix
+ */
+function usesPrefix(node, prefix) {
+  return node.name.startsWith(`${prefix}:`)
+    || (Array.isArray(node.content) && node.content.some(child => child && usesPrefix(child, prefix)));
+}
+
+/**
+ * Turns an id into a valid XML name: characters other than letters, digits,
+ * "_", "-" and "." become "_", a leading digit, "-" or "." gets a "_" before it
+ * @returns {string} Name, '' for an empty id
+ */
+function toXmlName(id) {
+  const name = String(id || '').trim().replace(/[^\p{L}\p{N}_.-]/gu, '_');
+  return name && !/^[\p{L}_]/u.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Assigns the normalised ids of the model
+ * Elements that can be referenced (DRG elements, requirements, associations)
+ * get their ids first, in document order, so that references can be
+ * resolved while the decisions are written.
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {{ids: Map<Object, string>, references: Map<string, string>, kinds: Map<string, string>,
+ *   createId: function(string, string): string}} Id per parsed object, new id
+ *   per original id, element kind per new id, and a function handing out
+ *   further unique ids (the id or, if it is empty, the fallback)
+ */
+function assignIds(dmnData) {
+  const used = new Set();
+  const createId = (id, fallback) => {
+    const base = toXmlName(id) || fallback;
+    let candidate = base;
+    for (let count = 2; used.has(candidate); count++) {
+      candidate = `${base}_${count}`;
+    }
+    used.add(candidate);
+    return candidate;
+  };
+
+  const ids = new Map();
+  const references = new Map();
+  const kinds = new Map();
+  const register = (object, fallback, kind) => {
+    const id = createId(object.id, fallback);
+    ids.set(object, id);
+    if (object.id && !references.has(object.id)) {
+      references.set(object.id, id);
+    }
+    if (kind) {
+      kinds.set(id, kind);
+    }
+  };
+
+  ids.set(dmnData.definitions, createId(dmnData.definitions?.id, 'Definitions_1'));
+  const drgElements = [
+    ['inputData', dmnData.inputData, 'InputData'],
+    ['decision', dmnData.allDecisions, 'Decision'],
+    ['businessKnowledgeModel', dmnData.businessKnowledgeModels, 'BusinessKnowledgeModel'],
+    ['knowledgeSource', dmnData.knowledgeSources, 'KnowledgeSource']
+  ];
+  drgElements.forEach(([kind, elements = [], prefix]) => {
+    elements.forEach((drgElement, index) => register(drgElement, `${prefix}_${index + 1}`, kind));
+  });
+  (dmnData.textAnnotations || []).forEach((annotation, index) => register(annotation, `TextAnnotation_${index + 1}`));
+
+  drgElements.forEach(([, elements = []]) => {
+    elements.forEach(drgElement => {
+      (drgElement.requirements || []).forEach((requirement, index) => {
+        register(requirement, `${ids.get(drgElement)}_requirement_${index + 1}`);
+      });
+    });
+  });
+  (dmnData.associations || []).forEach((association, index) => register(association, `Association_${index + 1}`));
+
+  return { ids, references, kinds, createId };
+}
+
+/**
+ * Returns the metadata fields of the file
+ * Fields parseDMN copied from a decision documentation (see the metadata
+ * rule of the mapping profile) are left out; they are copied again when the
+ * written file is parsed.
+ */
+function getStoredMetadata(dmnData) {
+  const copiedFields = getContentSections(dmnData.profile || DEFAULT_PROFILE)
+    .map(({ section }) => section.metadata?.field)
+    .filter(Boolean);
+  const documentations = (dmnData.allDecisions || []).map(decision => decision.documentation).filter(Boolean);
+  return Object.fromEntries(Object.entries(dmnData.metadata || {})
+    .filter(([name, value]) => !(copiedFields.includes(name) && documentations.includes(value))));
+}
+
+/**
+ * Creates the metadata extension element
+ * @param {Object} metadata - Fields by name
+ * @param {string} [language] - xml:lang of a translation
+ * @returns {Object|null} Element, null without fields
+ */
+function createMetadata(metadata, language) {
+  const fields = Object.entries(metadata || {}).filter(([, value]) => value);
+  if (fields.length === 0) {
+    return null;
+  }
+  return element(`${EXTENSION_PREFIX}:metadata`, { 'xml:lang': language }, fields
+    .map(([name, value]) => element(`${EXTENSION_PREFIX}:${name}`, {}, String(value))));
+}
+
+/**
+ * Creates the categories extension element
+ * @param {Array|null} categories - Category definitions ({value, label, description})
+ * @param {string} [language] - xml:lang of a translation
+ * @returns {Object|null} Element, null without categories
+ */
+function createCategories(categories, language) {
+  if (!categories || categories.length === 0) {
+    return null;
+  }
+  return element(`${EXTENSION_PREFIX}:categories`, { 'xml:lang': language }, categories
+    .map(category => element(
+      `${EXTENSION_PREFIX}:category`,
+      { value: category.value, label: category.label },
+      category.description || []
+    )));
+}
+
+/**
+ * Creates the textTemplates extension element
+ * @param {Object} templates - Template parts per section (see extractTextTemplates)
+ * @param {string} [language] - xml:lang of a translation
+ * @returns {Object|null} Element, null without templates
+ */
+function createTextTemplates(templates, language) {
+  const parts = Object.entries(templates || {})
+    .flatMap(([section, sectionParts]) => Object.entries(sectionParts).map(([part, text]) => ({ section, part, text })));
+  if (parts.length === 0) {
+    return null;
+  }
+  return element(`${EXTENSION_PREFIX}:textTemplates`, { 'xml:lang': language }, parts
+    .map(({ section, part, text }) => element(`${EXTENSION_PREFIX}:template`, { section, part }, text)));
+}
+
+/**
+ * Creates the extensionElements of the definitions: German first, then the
+ * translations per language
+ * @returns {Object|null} Element, null if the model has no extensions
+ */
+function createDefinitionsExtensions(dmnData) {
+  const translations = Object.entries(dmnData.translations || {});
+  const children = [
+    createMetadata(getStoredMetadata(dmnData)),
+    createCategories(dmnData.categoryDefinitions),
+    createTextTemplates(dmnData.textTemplates),
+    ...translations.flatMap(([language, translation]) => [
+      createMetadata(translation.metadata, language),
+      createCategories(translation.categories, language),
+      createTextTemplates(translation.textTemplates, language)
+    ])
+  ].filter(Boolean);
+
+  return children.length > 0 ? element('extensionElements', {}, children) : null;
+}
+
+/**
+ * Creates the description and extensionElements of an inputData or decision
+ * The documentation is the description unless the element has a different
+ * one; it is then kept in the extension namespace.
+ * @param {Object} drgElement - Parsed inputData or decision
+ * @param {Object} translations - Translations of the model (see extractTranslations)
+ * @returns {Array<Object|null>} description and extensionElements
+ */
+function createTexts(drgElement, translations) {
+  const { documentation = '', description = '' } = drgElement;
+  const separateDocumentation = documentation && description && documentation !== description;
+
+  const extensions = [
+    separateDocumentation ? element(`${EXTENSION_PREFIX}:documentation`, {}, documentation) : null,
+    ...Object.entries(translations || {})
+      .filter(([, translation]) => translation.elements?.[drgElement.id])
+      .map(([language, translation]) => element(
+        `${EXTENSION_PREFIX}:translation`,
+        { 'xml:lang': language },
+        Object.entries(translation.elements[drgElement.id])
+          .map(([field, text]) => element(`${EXTENSION_PREFIX}:${field}`, {}, text))
+      ))
+  ].filter(Boolean);
+
+  return [
+    description || documentation ? element('description', {}, description || documentation) : null,
+    extensions.length > 0 ? element('extensionElements', {}, extensions) : null
+  ];
+}
+
+/**
+ * Creates the requirement elements of a DRG element, ordered as the schema
+ * requires (information, knowledge, authority)
+ */
+function createRequirements(drgElement, context) {
+  const { ids, references, kinds } = context;
+
+  return Object.entries(REQUIREMENTS).flatMap(([kind, { element: name, targets }]) => (drgElement.requirements || [])
+    .filter(requirement => requirement.kind === kind)
+    .map(requirement => {
+      const source = references.get(requirement.source) || toXmlName(requirement.source);
+      const target = targets[kinds.get(source)] || Object.values(targets).pop();
+      return element(name, { id: ids.get(requirement) }, [element(target, { href: `#${source}` })]);
+    }));
+}
+
+/**
+ * Creates a decisionTable element
+ * Every rule gets one entry per column; empty input entries are written as "-".
+ */
+function createDecisionTable(decisionTable, decisionId, context) {
+  const { createId } = context;
+  const { inputs, outputs, annotations = [], rules } = decisionTable;
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE';
+  const textOf = (name, text) => element(name, {}, [element('text', {}, text || '')]);
+
+  return element('decisionTable', {
+    id: createId('', `${decisionId}_table`),
+    hitPolicy: hitPolicy === 'UNIQUE' ? '' : hitPolicy,
+    aggregation: hitPolicy === 'COLLECT' ? decisionTable.aggregation : ''
+  }, [
+    ...inputs.map((input, index) => element('input', { id: createId(input.id, `${decisionId}_input_${index + 1}`), label: input.label }, [
+      element('inputExpression', { typeRef: input.typeRef }, [element('text', {}, input.expression || '')]),
+      input.inputValues ? textOf('inputValues', input.inputValues) : null
+    ])),
+    ...outputs.map((output, index) => element('output', {
+      id: createId(output.id, `${decisionId}_output_${index + 1}`),
+      label: output.label,
+      name: output.name,
+      typeRef: output.typeRef
+    }, [output.outputValues ? textOf('outputValues', output.outputValues) : null])),
+    ...annotations.map(annotation => element('annotation', { name: annotation.name })),
+    ...rules.map((rule, index) => element('rule', { id: createId(rule.id, `${decisionId}_rule_${index + 1}`) }, [
+      rule.description ? element('description', {}, rule.description) : null,
+      ...inputs.map((input, i) => textOf('inputEntry', rule.inputEntries[i] || '-')),
+      ...outputs.map((output, i) => textOf('outputEntry', rule.outputEntries[i])),
+      ...annotations.map((annotation, i) => textOf('annotationEntry', (rule.annotationEntries || [])[i]))
+    ]))
+  ]);
+}
+
+/**
+ * Creates an inputData element
+ */
+function createInputData(input, context, translations) {
+  const id = context.ids.get(input);
+  return element('inputData', { id, name: input.name, label: input.label !== input.name ? input.label : '' }, [
+    ...createTexts(input, translations),
+    element('variable', { id: context.createId('', `${id}_variable`), name: input.variable || input.name, typeRef: input.typeRef })
+  ]);
+}
+
+/**
+ * Creates a decision element
+ */
+function createDecision(decision, context, translations) {
+  const id = context.ids.get(decision);
+  return element('decision', { id, name: decision.name, label: decision.label !== decision.name ? decision.label : '' }, [
+    ...createTexts(decision, translations),
+    ...createRequirements(decision, context),
+    decision.decisionTable ? createDecisionTable(decision.decisionTable, id, context) : null
+  ]);
+}
+
+/**
+ * Creates the DMNDI element with one diagram; shapes and edges of unknown
+ * elements are left out
+ */
+function createDiagramInterchange(dmndi, context) {
+  const { references, createId } = context;
+
+  const shapes = Object.entries(dmndi.shapes || {})
+    .filter(([ref]) => references.has(ref))
+    .map(([ref, bounds]) => {
+      const elementRef = references.get(ref);
+      return element('dmndi:DMNShape', { id: createId('', `DMNShape_${elementRef}`), dmnElementRef: elementRef }, [
+        element('dc:Bounds', { height: bounds.height, width: bounds.width, x: bounds.x, y: bounds.y })
+      ]);
+    });
+  const edges = Object.entries(dmndi.edges || {})
+    .filter(([ref]) => references.has(ref))
+    .map(([ref, waypoints]) => {
+      const elementRef = references.get(ref);
+      return element('dmndi:DMNEdge', { id: createId('', `DMNEdge_${elementRef}`), dmnElementRef: elementRef }, waypoints
+        .map(point => element('di:waypoint', { x: point.x, y: point.y })));
+    });
+
+  return element('dmndi:DMNDI', {}, [
+    element('dmndi:DMNDiagram', { id: createId('', 'DMNDiagram_1') }, [...shapes, ...edges])
+  ]);
+}
+
+/**
+ * Writes a parsed model as DMN 1.3 XML
+ * @param {Object} dmnData - Model parsed in German (the default language);
+ *   the other languages are written from dmnData.translations
+ * @returns {string} DMN 1.3 document
+ * @throws {DmnWriterError} If the model was parsed in another language
+ */
+export function serializeDMN(dmnData) {
+  if ((dmnData.language || DEFAULT_LANGUAGE) !== DEFAULT_LANGUAGE) {
+    throw new DmnWriterError(`Only models parsed in German can be written, not in "${dmnData.language}"`);
+  }
+
+  const context = assignIds(dmnData);
+  const { ids, references } = context;
+  const definitions = dmnData.definitions || {};
+  const translations = dmnData.translations || {};
+  const definitionsId = ids.get(dmnData.definitions);
+
+  const root = element('definitions', {
+    xmlns: DMN13_NAMESPACE,
+    'xmlns:dmndi': dmnData.dmndi ? DMN13_DMNDI_NAMESPACE : '',
+    'xmlns:dc': dmnData.dmndi ? DC_NAMESPACE : '',
+    'xmlns:di': dmnData.dmndi ? DI_NAMESPACE : '',
+    [`xmlns:${EXTENSION_PREFIX}`]: '',
+    id: definitionsId,
+    name: definitions.name || dmnData.metadata?.krankheit || definitionsId,
+    namespace: definitions.namespace || `${DEFAULT_EXTENSION_NAMESPACE}/${definitionsId}`,
+    exporter: 'Epilogic'
+  }, [
+    createDefinitionsExtensions(dmnData),
+    ...(dmnData.inputData || []).map(input => createInputData(input, context, translations)),
+    ...(dmnData.allDecisions || []).map(decision => createDecision(decision, context, translations)),
+    ...(dmnData.businessKnowledgeModels || []).map(model => element('businessKnowledgeModel', {
+      id: ids.get(model),
+      name: model.name
+    }, createRequirements(model, context))),
+    ...(dmnData.knowledgeSources || []).map(source => element('knowledgeSource', {
+      id: ids.get(source),
+      name: source.name
+    }, createRequirements(source, context))),
+    ...(dmnData.textAnnotations || []).map(annotation => element('textAnnotation', { id: ids.get(annotation) }, [
+      element('text', {}, annotation.text || '')
+    ])),
+    ...(dmnData.associations || []).map(association => element('association', { id: ids.get(association) }, [
+      element('sourceRef', { href: `#${references.get(association.sourceRef) || toXmlName(association.sourceRef)}` }),
+      element('targetRef', { href: `#${references.get(association.targetRef) || toXmlName(association.targetRef)}` })
+    ])),
+    dmnData.dmndi ? createDiagramInterchange(dmnData.dmndi, context) : null
+  ]);
+
+  if (usesPrefix(root, EXTENSION_PREFIX)) {
+    root.attributes[`xmlns:${EXTENSION_PREFIX}`] = definitions.extensionNamespace || DEFAULT_EXTENSION_NAMESPACE;
+  }
+
+  return ['<?xml version="1.0" encoding="UTF-8"?>', ...renderElement(root)].join('\n') + '\n';
+}
+
+/**
+ * Triggers download of a DMN file
+ * @param {string} xml - DMN document
+ * @param {string} filename - Output filename
+ */
+export function downloadDmn(xml, filename = 'model.dmn') {
+  downloadBlob(xml, filename, 'application/xml;charset=utf-8');
+}
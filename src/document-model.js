@@ -0,0 +1,284 @@
+/**
+ * Document model of the RKI Falldefinition
+ *
+ * The content of the generated document is built here once, as a list of
+ * blocks the Word, PDF and HTML generators render in their format:
+ *   {type: 'title', runs}           - disease and pathogen
+ *   {type: 'metadata', fields}      - metadata block below the title ({label, text})
+ *   {type: 'heading', level, text}  - blue heading, level 1 or 2
+ *   {type: 'subheading', runs}      - bold line above a subsection or category
+ *   {type: 'paragraph', runs}
+ *   {type: 'bullet', runs}
+ *   {type: 'pageBreak'}             - the appendix starts on a new page
+ *   {type: 'diagram', title}        - decision requirements diagram, shown if
+ *                                     the generator has an image of it
+ *   {type: 'table', columns, rows}  - decision table
+ * Runs are {text, bold, italics}.
+ */
+
+import { getHitPolicyLabel, getHitPolicyAbbreviation, getDecisionLabel } from './decision-engine.js';
+import { DEFAULT_PROFILE, getContentSections } from './mapping-profile.js';
+import { getMetadataFields } from './metadata-fields.js';
+import { DEFAULT_LANGUAGE, translate, localize } from './i18n.js';
+import { deriveCategories } from './case-categories.js';
+
+/**
+ * Creates the blocks of a documentation text: lines starting with "- " or
+ * "• " become bullets, the bold connectors of the language (e.g. "ODER")
+ * are marked in other lines
+ * @param {string} text - Documentation text
+ * @param {string} language - Output language
+ * @returns {Array<Object>} Blocks
+ */
+function createDocumentationBlocks(text, language) {
+  const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+
+  return lines.map(line => {
+    if (line.startsWith('- ') || line.startsWith('• ')) {
+      return { type: 'bullet', runs: [{ text: line.substring(2).trim() }] };
+    }
+
+    const runs = [];
+    let currentText = line;
+    translate(language, 'keywords').forEach(keyword => {
+      if (currentText.includes(keyword)) {
+        const parts = currentText.split(keyword);
+        runs.push({ text: parts[0] });
+        runs.push({ text: keyword, bold: true });
+        currentText = parts.slice(1).join(keyword);
+      }
+    });
+    runs.push({ text: currentText });
+
+    return { type: 'paragraph', runs };
+  });
+}
+
+/**
+ * Creates the paragraph stating the hit policy of a decision table
+ * @param {Object} decisionTable - Parsed decision table
+ * @param {string} language - Output language
+ * @returns {Object} Paragraph block
+ */
+function createHitPolicyBlock(decisionTable, language) {
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE';
+  const aggregations = translate(language, 'aggregationDescriptions');
+  let description = translate(language, 'hitPolicyDescriptions')[hitPolicy] || '';
+  if (hitPolicy === 'COLLECT' && aggregations[decisionTable.aggregation]) {
+    description += ` ${aggregations[decisionTable.aggregation]}`;
+  }
+
+  return {
+    type: 'paragraph',
+    runs: [
+      { text: `${translate(language, 'hitPolicy')}: `, italics: true },
+      { text: getHitPolicyLabel(decisionTable), italics: true, bold: true },
+      { text: description ? ` – ${description}` : '', italics: true }
+    ]
+  };
+}
+
+/**
+ * Creates the category blocks, one per category value of the
+ * classification decision (see case-categories.js)
+ * @param {Object} dmnData - Parsed DMN data
+ * @param {string} language - Output language
+ * @returns {Array<Object>} Blocks
+ */
+function createCategoryBlocks(dmnData, language) {
+  const { fallkategorien } = dmnData;
+  if (!fallkategorien || !fallkategorien.decisionTable) {
+    return [];
+  }
+
+  const blocks = [createHitPolicyBlock(fallkategorien.decisionTable, language)];
+  deriveCategories(dmnData).filter(category => category.rules.length > 0).forEach(category => {
+    blocks.push({
+      type: 'subheading',
+      runs: category.label
+        ? [{ text: `${category.code}. `, bold: true }, { text: category.label, bold: true }]
+        : [{ text: category.value, bold: true }]
+    });
+    category.description.split('\n').filter(Boolean)
+      .forEach(line => blocks.push({ type: 'paragraph', runs: [{ text: line }] }));
+  });
+
+  return blocks;
+}
+
+/**
+ * Returns the annotation column headers and the annotation cells per rule
+ * Models without annotation columns fall back to the rule descriptions.
+ */
+function getRuleAnnotations(decisionTable, language) {
+  const { annotations = [], rules } = decisionTable;
+  const fallbackHeader = translate(language, 'annotation');
+  if (annotations.length > 0) {
+    return {
+      headers: annotations.map(annotation => annotation.name || fallbackHeader),
+      cells: rules.map(rule => annotations.map((annotation, i) => (rule.annotationEntries || [])[i] || ''))
+    };
+  }
+  if (rules.some(rule => rule.description)) {
+    return { headers: [fallbackHeader], cells: rules.map(rule => [rule.description || '']) };
+  }
+  return { headers: [], cells: rules.map(() => []) };
+}
+
+/**
+ * Creates a decision table block
+ * The first column holds the hit policy and the rule numbers, followed by
+ * the inputs, the outputs and the annotations.
+ * @param {Object} decisionTable - Parsed decision table
+ * @param {string} language - Output language
+ * @returns {{type: 'table', columns: Array<{text: string, kind: string}>, rows: Array<Array<string>>}}
+ *   kind is 'hitPolicy', 'input', 'output' or 'annotation'
+ */
+function createTableBlock(decisionTable, language) {
+  const { inputs, outputs, rules } = decisionTable;
+  const annotations = getRuleAnnotations(decisionTable, language);
+
+  return {
+    type: 'table',
+    columns: [
+      { text: getHitPolicyAbbreviation(decisionTable), kind: 'hitPolicy' },
+      ...inputs.map(input => ({ text: input.label || input.expression || input.id, kind: 'input' })),
+      ...outputs.map(output => ({ text: output.label || output.name || output.id, kind: 'output' })),
+      ...annotations.headers.map(text => ({ text, kind: 'annotation' }))
+    ],
+    rows: rules.map((rule, index) => [
+      String(index + 1),
+      ...inputs.map((input, i) => rule.inputEntries[i] || '-'),
+      ...outputs.map((output, i) => rule.outputEntries[i] || ''),
+      ...annotations.cells[index]
+    ])
+  };
+}
+
+/**
+ * Creates the appendix with the decision requirements diagram and all
+ * decision tables
+ * @param {Object} dmnData - Parsed DMN data
+ * @param {string} language - Output language
+ * @returns {Array<Object>} Blocks
+ */
+function createAppendixBlocks(dmnData, language) {
+  const blocks = [
+    { type: 'pageBreak' },
+    { type: 'heading', level: 1, text: translate(language, 'appendix') },
+    { type: 'diagram', title: translate(language, 'diagram') }
+  ];
+
+  (dmnData.allDecisions || [])
+    .filter(decision => decision.decisionTable)
+    .forEach(decision => {
+      blocks.push({ type: 'heading', level: 2, text: getDecisionLabel(decision) });
+      blocks.push(createHitPolicyBlock(decision.decisionTable, language));
+      blocks.push(createTableBlock(decision.decisionTable, language));
+    });
+
+  return blocks;
+}
+
+/**
+ * Creates the blocks of a heading or subheading section of the mapping profile
+ * Sections without text are left out; a metadata field the section names
+ * (e.g. the incubation period) follows its text.
+ * @param {Object} section - Section of the mapping profile
+ * @param {Object|null} content - Parsed section ({label, documentation})
+ * @param {Object} metadata - Model metadata
+ * @param {string} language - Output language
+ * @returns {Array<Object>} Blocks
+ */
+function createSectionBlocks(section, content, metadata, language) {
+  if (!content || !content.documentation) {
+    return [];
+  }
+
+  const title = localize(section.title, language);
+  const blocks = [section.style === 'subheading'
+    ? { type: 'subheading', runs: [{ text: title, bold: true }] }
+    : { type: 'heading', level: 1, text: title }];
+  blocks.push(...createDocumentationBlocks(content.documentation, language));
+
+  const field = section.metadata?.field;
+  if (field && metadata[field]) {
+    blocks.push({
+      type: 'paragraph',
+      runs: [
+        { text: `${localize(section.metadata.label, language) || field} `, italics: true },
+        { text: metadata[field] }
+      ]
+    });
+  }
+
+  return blocks;
+}
+
+/**
+ * Builds the document model of the Falldefinition
+ * The sections follow the mapping profile the model was parsed with, the
+ * fixed texts the language it was parsed in (dmnData.language).
+ * @param {Object} dmnData - Parsed DMN data
+ * @param {Object} [options] - Build options
+ * @param {boolean} [options.includeAppendix] - Append the diagram and all decision tables
+ * @returns {{language: string, metadata: Object, blocks: Array<Object>}}
+ */
+export function buildDocumentModel(dmnData, options = {}) {
+  const { metadata } = dmnData;
+  const profile = dmnData.profile || DEFAULT_PROFILE;
+  const language = dmnData.language || DEFAULT_LANGUAGE;
+  const blocks = [];
+
+  // Title
+  const hasTitle = !!(metadata.krankheit && metadata.erreger);
+  if (hasTitle) {
+    blocks.push({
+      type: 'title',
+      runs: [
+        { text: metadata.krankheit, bold: true, italics: true },
+        { text: ` (${metadata.erreger})`, italics: true }
+      ]
+    });
+  }
+
+  // Metadata block; fields of the title and of sections are not repeated
+  const shownElsewhere = getContentSections(profile).map(({ section }) => section.metadata?.field);
+  if (hasTitle) {
+    shownElsewhere.push('krankheit', 'erreger');
+  }
+  const fields = getMetadataFields(metadata, language).filter(field => !shownElsewhere.includes(field.name));
+  if (fields.length > 0) {
+    blocks.push({
+      type: 'metadata',
+      fields: fields.map(field => ({
+        label: field.label,
+        text: field.type === 'icd10' && field.value ? field.value.join(', ') : field.text
+      }))
+    });
+  }
+
+  // Sections in the order of the mapping profile
+  profile.sections.forEach(section => {
+    switch (section.style) {
+      case 'categories':
+        blocks.push({ type: 'heading', level: 1, text: localize(section.title, language) });
+        blocks.push(...createCategoryBlocks(dmnData, language));
+        break;
+      case 'group':
+        blocks.push({ type: 'heading', level: 1, text: localize(section.title, language) });
+        section.sections.forEach(subsection => {
+          blocks.push(...createSectionBlocks(subsection, (dmnData[section.key] || {})[subsection.key], metadata, language));
+        });
+        break;
+      default:
+        blocks.push(...createSectionBlocks(section, dmnData[section.key], metadata, language));
+    }
+  });
+
+  if (options.includeAppendix) {
+    blocks.push(...createAppendixBlocks(dmnData, language));
+  }
+
+  return { language, metadata, blocks };
+}
@@ -0,0 +1,21 @@
+/**
+ * DOM helpers shared by the views
+ */
+
+/**
+ * Creates an element with optional class name and text
+ * @param {string} tag - Tag name
+ * @param {string} [className] - CSS class
+ * @param {string} [text] - Text content
+ * @returns {HTMLElement} The element
+ */
+export function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) {
+    element.className = className;
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
@@ -0,0 +1,33 @@
+/**
+ * File download in the browser and formatting of downloaded CSV files
+ */
+
+/**
+ * Quotes a CSV field if it contains the delimiter, quotes or line breaks
+ * @param {*} value - Cell value; null and undefined give an empty field
+ * @param {string} [delimiter] - Field delimiter of the file
+ * @returns {string} Field text
+ */
+export function formatCsvField(value, delimiter = ',') {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.includes(delimiter) || /["\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Triggers download of a file through a temporary link
+ * @param {Blob|string|Array<string>} content - Blob, or text (in parts) that is
+ *   stored in a Blob of the given type
+ * @param {string} filename - Output filename
+ * @param {string} [type] - MIME type of text content, e.g. 'text/csv;charset=utf-8'
+ */
+export function downloadBlob(content, filename, type = 'text/plain;charset=utf-8') {
+  const blob = content instanceof Blob ? content : new Blob([].concat(content), { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,428 @@
+/**
+ * SVG rendering of the decision requirements graph (DRG)
+ *
+ * Element positions come from the DMNDI shapes written by dmn-js. Elements
+ * without a shape are placed automatically: in a row above the drawn
+ * diagram if some shapes exist, otherwise the whole graph gets a layered
+ * layout with the required elements above the decisions that use them.
+ */
+
+import { SECTION_NAMES } from './dmn-parser.js';
+import { getDecisionLabel } from './decision-engine.js';
+import { downloadBlob } from './download.js';
+
+// Default element sizes of dmn-js
+const NODE_SIZES = {
+  decision: { width: 180, height: 80 },
+  inputData: { width: 125, height: 45 },
+  knowledgeSource: { width: 100, height: 63 },
+  businessKnowledgeModel: { width: 135, height: 46 },
+  textAnnotation: { width: 100, height: 45 }
+};
+
+const MARGIN = 20;
+const NODE_GAP = 40;
+const LAYER_GAP = 80;
+const FONT_SIZE = 12;
+const LINE_HEIGHT = 14;
+// Average glyph width used to wrap labels
+const CHAR_WIDTH = 6.5;
+
+/**
+ * Escapes text for use in XML content and attributes
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Collects the elements and edges of the DRG
+ * Untyped inputData that only carries a document section and is not
+ * required by any decision is left out.
+ */
+function collectGraph(dmnData) {
+  const decisions = dmnData.allDecisions || [];
+  const required = new Set(decisions.flatMap(decision => decision.requiredInputs || []));
+  const sectionNames = dmnData.sectionNames || SECTION_NAMES;
+  const node = (kind, element, label) => ({ id: element.id, kind, label, requirements: element.requirements || [] });
+
+  const nodes = [
+    ...(dmnData.inputData || [])
+      .filter(input => required.has(input.id) || !sectionNames.includes(input.name))
+      .map(input => node('inputData', input, input.label || input.name || input.id)),
+    ...(dmnData.knowledgeSources || []).map(source => node('knowledgeSource', source, source.name || source.id)),
+    ...(dmnData.businessKnowledgeModels || []).map(bkm => node('businessKnowledgeModel', bkm, bkm.name || bkm.id)),
+    ...decisions.map(decision => node('decision', decision, getDecisionLabel(decision))),
+    ...(dmnData.textAnnotations || []).map(annotation => node('textAnnotation', annotation, annotation.text || ''))
+  ];
+  const ids = new Set(nodes.map(n => n.id));
+
+  const edges = [];
+  nodes.forEach(target => {
+    target.requirements.forEach(requirement => {
+      if (ids.has(requirement.source)) {
+        edges.push({ id: requirement.id, kind: requirement.kind, source: requirement.source, target: target.id });
+      }
+    });
+  });
+  (dmnData.associations || []).forEach(association => {
+    if (ids.has(association.sourceRef) && ids.has(association.targetRef)) {
+      edges.push({ id: association.id, kind: 'association', source: association.sourceRef, target: association.targetRef });
+    }
+  });
+
+  return {
+    nodes: nodes.map(({ id, kind, label }) => ({ id, kind, label, ...NODE_SIZES[kind] })),
+    edges
+  };
+}
+
+/**
+ * Assigns every node a layer: required elements come before the elements
+ * requiring them, text annotations share the layer of the annotated element
+ */
+function assignLayers(nodes, edges) {
+  const requirements = edges.filter(edge => edge.kind !== 'association');
+  const layers = new Map(nodes.map(node => [node.id, 0]));
+
+  // Longest path; the bound keeps malformed cyclic graphs from looping forever
+  for (let pass = 0; pass < nodes.length; pass++) {
+    let changed = false;
+    requirements.forEach(edge => {
+      const layer = layers.get(edge.source) + 1;
+      if (layer > layers.get(edge.target)) {
+        layers.set(edge.target, layer);
+        changed = true;
+      }
+    });
+    if (!changed) {
+      break;
+    }
+  }
+
+  edges.filter(edge => edge.kind === 'association').forEach(edge => {
+    const source = nodes.find(node => node.id === edge.source);
+    const [annotation, other] = source.kind === 'textAnnotation' ? [edge.source, edge.target] : [edge.target, edge.source];
+    layers.set(annotation, layers.get(other));
+  });
+
+  return layers;
+}
+
+/**
+ * Places all nodes in horizontal layers, ordered by the position of the
+ * elements they require to reduce crossings
+ */
+function layoutLayers(nodes, edges) {
+  const layers = assignLayers(nodes, edges);
+  const rows = [];
+  nodes.forEach(node => {
+    const layer = layers.get(node.id);
+    (rows[layer] = rows[layer] || []).push(node);
+  });
+
+  const position = new Map();
+  const filledRows = rows.filter(Boolean);
+  filledRows.forEach((row, r) => {
+    if (r > 0) {
+      const barycenter = node => {
+        const sources = edges.filter(edge => edge.target === node.id && position.has(edge.source));
+        if (sources.length === 0) {
+          return Infinity;
+        }
+        return sources.reduce((sum, edge) => sum + position.get(edge.source), 0) / sources.length;
+      };
+      const order = new Map(row.map((node, i) => [node.id, i]));
+      row.sort((a, b) => (barycenter(a) - barycenter(b)) || (order.get(a.id) - order.get(b.id)));
+    }
+    row.forEach((node, i) => position.set(node.id, i));
+  });
+
+  const rowWidth = row => row.reduce((sum, node) => sum + node.width, 0) + NODE_GAP * (row.length - 1);
+  const width = Math.max(...filledRows.map(rowWidth));
+  let y = 0;
+  filledRows.forEach(row => {
+    const height = Math.max(...row.map(node => node.height));
+    let x = (width - rowWidth(row)) / 2;
+    row.forEach(node => {
+      node.x = x;
+      node.y = y + (height - node.height) / 2;
+      x += node.width + NODE_GAP;
+    });
+    y += height + LAYER_GAP;
+  });
+}
+
+/**
+ * Places nodes without DMNDI shape in a row above the drawn nodes, each
+ * near the elements it is connected to
+ */
+function placeMissingNodes(missing, placed, edges) {
+  const top = Math.min(...placed.map(node => node.y));
+  const height = Math.max(...missing.map(node => node.height));
+  const center = node => node.x + node.width / 2;
+
+  const desired = node => {
+    const neighbours = edges
+      .filter(edge => edge.source === node.id || edge.target === node.id)
+      .map(edge => placed.find(other => other.id === (edge.source === node.id ? edge.target : edge.source)))
+      .filter(Boolean);
+    return neighbours.length > 0
+      ? neighbours.reduce((sum, other) => sum + center(other), 0) / neighbours.length
+      : Infinity;
+  };
+
+  const order = new Map(missing.map((node, i) => [node.id, i]));
+  const targets = new Map(missing.map(node => [node.id, desired(node)]));
+  const sorted = [...missing].sort((a, b) => (targets.get(a.id) - targets.get(b.id)) || (order.get(a.id) - order.get(b.id)));
+
+  let right = -Infinity;
+  sorted.forEach(node => {
+    const target = targets.get(node.id);
+    const x = Number.isFinite(target) ? target - node.width / 2 : right + NODE_GAP;
+    node.x = Number.isFinite(right) ? Math.max(x, right + NODE_GAP) : (Number.isFinite(x) ? x : 0);
+    node.y = top - LAYER_GAP - height + (height - node.height) / 2;
+    right = node.x + node.width;
+  });
+}
+
+/**
+ * Returns the point where the line from the center of a box towards a
+ * point leaves the box
+ */
+function clipToBox(box, toward) {
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+  const dx = toward.x - cx;
+  const dy = toward.y - cy;
+  if (dx === 0 && dy === 0) {
+    return { x: cx, y: cy };
+  }
+  const scale = Math.min(
+    dx === 0 ? Infinity : (box.width / 2) / Math.abs(dx),
+    dy === 0 ? Infinity : (box.height / 2) / Math.abs(dy)
+  );
+  return { x: cx + dx * scale, y: cy + dy * scale };
+}
+
+/**
+ * Computes the position of every DRG element and the path of every edge
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {{width: number, height: number, layout: string, nodes: Array, edges: Array}}
+ *   Diagram size; layout is 'dmndi' if all positions come from the file,
+ *   'partial' if some elements were added and 'auto' if there was no DMNDI;
+ *   nodes hold {id, kind, label, x, y, width, height}, edges {id, kind,
+ *   source, target, waypoints}
+ */
+export function layoutDiagram(dmnData) {
+  const { nodes, edges } = collectGraph(dmnData);
+  const shapes = dmnData.dmndi?.shapes || {};
+  const dmndiEdges = dmnData.dmndi?.edges || {};
+
+  const placed = nodes.filter(node => shapes[node.id]);
+  const missing = nodes.filter(node => !shapes[node.id]);
+  placed.forEach(node => Object.assign(node, shapes[node.id]));
+
+  let layout = 'dmndi';
+  if (placed.length === 0) {
+    layout = 'auto';
+    if (nodes.length > 0) {
+      layoutLayers(nodes, edges);
+    }
+  } else if (missing.length > 0) {
+    layout = 'partial';
+    placeMissingNodes(missing, placed, edges);
+  }
+
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  edges.forEach(edge => {
+    const source = byId.get(edge.source);
+    const target = byId.get(edge.target);
+    if (dmndiEdges[edge.id] && shapes[edge.source] && shapes[edge.target]) {
+      edge.waypoints = dmndiEdges[edge.id].map(point => ({ ...point }));
+      return;
+    }
+    const center = box => ({ x: box.x + box.width / 2, y: box.y + box.height / 2 });
+    edge.waypoints = [clipToBox(source, center(target)), clipToBox(target, center(source))];
+  });
+
+  if (nodes.length === 0) {
+    return { width: 2 * MARGIN, height: 2 * MARGIN, layout, nodes, edges };
+  }
+
+  // Move the diagram to the origin
+  const points = edges.flatMap(edge => edge.waypoints);
+  const minX = Math.min(...nodes.map(node => node.x), ...points.map(point => point.x));
+  const minY = Math.min(...nodes.map(node => node.y), ...points.map(point => point.y));
+  const shift = item => {
+    item.x += MARGIN - minX;
+    item.y += MARGIN - minY;
+  };
+  nodes.forEach(shift);
+  points.forEach(shift);
+
+  const width = Math.max(...nodes.map(node => node.x + node.width), ...points.map(point => point.x)) + MARGIN;
+  const height = Math.max(...nodes.map(node => node.y + node.height), ...points.map(point => point.y)) + MARGIN;
+  return { width: Math.ceil(width), height: Math.ceil(height), layout, nodes, edges };
+}
+
+/**
+ * Breaks a label into lines that fit the given width
+ */
+function wrapLabel(text, width) {
+  const maxChars = Math.max(4, Math.floor(width / CHAR_WIDTH));
+  const lines = [];
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && (last + ' ' + word).length <= maxChars) {
+      lines[lines.length - 1] = last + ' ' + word;
+    } else {
+      lines.push(word);
+    }
+  });
+  return lines;
+}
+
+/**
+ * Renders the outline of a node
+ */
+function renderShape(node) {
+  const { x, y, width: w, height: h } = node;
+  switch (node.kind) {
+    case 'inputData':
+      return `<rect class="drg-input-data" x="${x}" y="${y}" width="${w}" height="${h}" rx="${h / 2}" ry="${h / 2}"/>`;
+    case 'knowledgeSource': {
+      const wave = y + h - 10;
+      return `<path class="drg-knowledge-source" d="M ${x} ${y} H ${x + w} V ${wave} Q ${x + w * 0.75} ${wave - 10} ${x + w / 2} ${wave} T ${x} ${wave} Z"/>`;
+    }
+    case 'businessKnowledgeModel': {
+      const c = 10;
+      return `<path class="drg-bkm" d="M ${x + c} ${y} H ${x + w} V ${y + h - c} L ${x + w - c} ${y + h} H ${x} V ${y + c} Z"/>`;
+    }
+    case 'textAnnotation':
+      return `<path class="drg-text-annotation" d="M ${x + 10} ${y} H ${x} V ${y + h} H ${x + 10}"/>`;
+    default:
+      return `<rect class="drg-decision" x="${x}" y="${y}" width="${w}" height="${h}"/>`;
+  }
+}
+
+/**
+ * Renders the label of a node, centered except for text annotations
+ */
+function renderLabel(node) {
+  const annotation = node.kind === 'textAnnotation';
+  const lines = wrapLabel(node.label, node.width - 10);
+  const top = node.y + node.height / 2 - ((lines.length - 1) * LINE_HEIGHT) / 2;
+  const x = annotation ? node.x + 5 : node.x + node.width / 2;
+  const anchor = annotation ? 'start' : 'middle';
+
+  const spans = lines.map((line, i) => `<tspan x="${x}" y="${top + i * LINE_HEIGHT}">${escapeXml(line)}</tspan>`).join('');
+  return `<text text-anchor="${anchor}" dominant-baseline="central">${spans}</text>`;
+}
+
+/**
+ * Renders a laid-out diagram as a standalone SVG document
+ * @param {Object} diagram - Result of layoutDiagram
+ * @param {string} [title] - Diagram title for assistive technology
+ * @returns {string} SVG markup
+ */
+export function renderDiagramSvg(diagram, title = 'Decision requirements diagram') {
+  const edgeStyles = {
+    information: 'class="drg-edge" marker-end="url(#drg-arrow)"',
+    knowledge: 'class="drg-edge drg-edge-dashed" marker-end="url(#drg-arrow-open)"',
+    authority: 'class="drg-edge drg-edge-dashed" marker-end="url(#drg-dot)"',
+    association: 'class="drg-edge drg-edge-dotted"'
+  };
+
+  const edges = diagram.edges.map(edge => {
+    const points = edge.waypoints.map(point => `${point.x},${point.y}`).join(' ');
+    return `<polyline data-element-id="${escapeXml(edge.id)}" points="${points}" ${edgeStyles[edge.kind]}/>`;
+  });
+
+  const nodes = diagram.nodes.map(node =>
+    `<g class="drg-node drg-${node.kind}" data-element-id="${escapeXml(node.id)}">${renderShape(node)}${renderLabel(node)}</g>`
+  );
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${diagram.width}" height="${diagram.height}" viewBox="0 0 ${diagram.width} ${diagram.height}" font-family="Arial, Helvetica, sans-serif" font-size="${FONT_SIZE}">`,
+    `<title>${escapeXml(title)}</title>`,
+    '<defs>',
+    '<marker id="drg-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto"><path d="M 0 0 L 10 5 L 0 10 Z" fill="#22242a"/></marker>',
+    '<marker id="drg-arrow-open" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto"><path d="M 0 0 L 10 5 L 0 10" fill="none" stroke="#22242a"/></marker>',
+    '<marker id="drg-dot" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="6" markerHeight="6"><circle cx="5" cy="5" r="5" fill="#22242a"/></marker>',
+    '<style>',
+    '.drg-node rect, .drg-node path { fill: #fff; stroke: #22242a; stroke-width: 2; }',
+    '.drg-node path.drg-text-annotation { fill: none; stroke-width: 1; }',
+    '.drg-node text { fill: #22242a; }',
+    '.drg-edge { fill: none; stroke: #22242a; stroke-width: 1.5; }',
+    '.drg-edge-dashed { stroke-dasharray: 6 4; }',
+    '.drg-edge-dotted { stroke-dasharray: 2 3; }',
+    '</style>',
+    '</defs>',
+    ...edges,
+    ...nodes,
+    '</svg>'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Lays out and renders the DRG of a model
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {string} SVG markup
+ */
+export function generateDiagramSvg(dmnData) {
+  const title = dmnData.metadata?.krankheit
+    ? `Decision requirements diagram: ${dmnData.metadata.krankheit}`
+    : undefined;
+  return renderDiagramSvg(layoutDiagram(dmnData), title);
+}
+
+/**
+ * Triggers download of an SVG file
+ * @param {string} svg - SVG markup
+ * @param {string} filename - Output filename
+ */
+export function downloadSvg(svg, filename) {
+  downloadBlob(svg, filename, 'image/svg+xml;charset=utf-8');
+}
+
+/**
+ * Rasterizes an SVG document to PNG (browser only)
+ * Used for formats that cannot embed SVG, such as the Word export.
+ * @param {string} svg - SVG markup with width and height
+ * @param {number} [scale=2] - Pixels per SVG unit
+ * @returns {Promise<{data: Uint8Array, width: number, height: number}>} PNG
+ *   bytes and the size in SVG units
+ */
+export async function rasterizeSvg(svg, scale = 2) {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  try {
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('The diagram could not be rendered as image'));
+      image.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+
+  const { width, height } = image;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!blob) {
+    throw new Error('The diagram could not be rendered as image');
+  }
+  return { data: new Uint8Array(await blob.arrayBuffer()), width, height };
+}
@@ -0,0 +1,220 @@
+/**
+ * Explanation of a case classification in German
+ *
+ * Builds on the result of evaluateDecisionGraph: for every decision the
+ * rule that decided it and the input entries that rule tests are recorded
+ * and turned into sentences such as "Fallkategorie C, weil Klinisches Bild
+ * erfüllt (Durchfall) UND Labordiagnostischer Nachweis erfüllt (PCR)".
+ */
+
+import { getOutputKey, getDecisionLabel } from './decision-engine.js';
+
+// Hit policies whose result is the output of a single rule
+const SINGLE_HIT_POLICIES = ['UNIQUE', 'ANY', 'FIRST', 'PRIORITY'];
+
+/**
+ * Formats a value for German text
+ * @param {*} value - Input or output value
+ * @returns {string} "ja"/"nein" for booleans, decimal comma for numbers
+ */
+export function formatGermanValue(value) {
+  if (value === null || value === undefined || value === '') {
+    return 'kein Wert';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'ja' : 'nein';
+  }
+  if (typeof value === 'number') {
+    return String(value).replace('.', ',');
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatGermanValue).join(', ');
+  }
+  if (typeof value === 'object') {
+    return Object.values(value).map(formatGermanValue).join(', ');
+  }
+  return String(value);
+}
+
+/**
+ * Returns the rules that determined the table result: the single rule of
+ * single-hit policies, otherwise all matched rules
+ */
+function getDecidingMatches(decisionTable, matches, result) {
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE';
+  if (!SINGLE_HIT_POLICIES.includes(hitPolicy)) {
+    return matches;
+  }
+  if (hitPolicy === 'PRIORITY') {
+    const winner = matches.find(match => JSON.stringify(match.outputs) === JSON.stringify(result));
+    return winner ? [winner] : [];
+  }
+  return matches.slice(0, 1);
+}
+
+/**
+ * Maps the names under which a decision sees the results of its required
+ * decisions to the ids of those decisions
+ */
+function getRequiredDecisionKeys(decision, results) {
+  const keys = new Map();
+  (decision.requiredDecisions || []).forEach(id => {
+    const required = results[id];
+    if (!required) {
+      return;
+    }
+    keys.set(required.decision.name, id);
+    (required.decision.decisionTable?.outputs || []).forEach((output, i) => keys.set(getOutputKey(output, i), id));
+  });
+  return keys;
+}
+
+/**
+ * Phrases a condition on the result of a required decision
+ */
+function phraseDecisionCondition(label, value) {
+  if (value === true) {
+    return `${label} erfüllt`;
+  }
+  if (value === false) {
+    return `${label} nicht erfüllt`;
+  }
+  if (value === null || value === undefined) {
+    return `${label} nicht bestimmt`;
+  }
+  return `${label} ${formatGermanValue(value)}`;
+}
+
+/**
+ * Phrases a condition on a case value
+ */
+function phraseInputCondition(label, value) {
+  if (value === true) {
+    return label;
+  }
+  if (value === false) {
+    return `${label} verneint`;
+  }
+  if (value === null || value === undefined) {
+    return `${label} unbekannt`;
+  }
+  return `${label}: ${formatGermanValue(value)}`;
+}
+
+/**
+ * Describes the result of a decision, e.g. "Fallkategorie C" or
+ * "Klinisches Bild erfüllt"
+ */
+function phraseOutcome(decision, result) {
+  const [output] = decision.decisionTable.outputs;
+  const key = getOutputKey(output, 0);
+  const values = [...new Set((Array.isArray(result) ? result : [result])
+    .map(outputs => (outputs ? outputs[key] : null))
+    .filter(value => value !== null && value !== undefined))];
+
+  if (values.length === 0) {
+    return phraseDecisionCondition(getDecisionLabel(decision), null);
+  }
+  if (values.length === 1 && typeof values[0] === 'boolean') {
+    return phraseDecisionCondition(getDecisionLabel(decision), values[0]);
+  }
+  return `${output.label || output.name || getDecisionLabel(decision)} ${values.map(formatGermanValue).join(', ')}`;
+}
+
+/**
+ * Explains an evaluated decision requirements graph
+ * @param {Object} dmnData - Parsed DMN data ({allDecisions, inputData})
+ * @param {Object} evaluation - Result of evaluateDecisionGraph
+ * @returns {{order: Array<string>, finalDecisions: Array<string>, decisions: Object, summary: Array<string>}}
+ *   Per decision id: {decision, label, outcome, rules: [{number, conditions}],
+ *   sentence}; every condition holds the column label, the rule entry, the
+ *   case value, its text and the inputData description or the id of the
+ *   required decision it refers to. summary holds the sentences of the
+ *   final decisions.
+ */
+export function explainEvaluation(dmnData, evaluation) {
+  const inputData = dmnData.inputData || [];
+  const decisions = {};
+
+  evaluation.order.forEach(id => {
+    const { decision, inputValues = [], matches, result } = evaluation.results[id];
+    const label = getDecisionLabel(decision);
+    if (!decision.decisionTable) {
+      decisions[id] = { decision, label, outcome: label, rules: [], sentence: `${label}: keine Entscheidungstabelle.` };
+      return;
+    }
+
+    const { inputs, rules } = decision.decisionTable;
+    const requiredKeys = getRequiredDecisionKeys(decision, evaluation.results);
+
+    const explainedRules = getDecidingMatches(decision.decisionTable, matches, result).map(match => {
+      const conditions = [];
+      rules[match.index].inputEntries.forEach((entry, i) => {
+        const text = (entry || '').trim();
+        if (text === '' || text === '-') {
+          return;
+        }
+
+        const input = inputs[i];
+        const key = (input.expression || '').trim() || input.label || input.id;
+        const value = inputValues[i] ?? null;
+        const decisionId = requiredKeys.get(key) || null;
+        const element = inputData.find(data => data.variable === key || data.name === key);
+        const conditionLabel = input.label || element?.name || key;
+
+        conditions.push({
+          label: conditionLabel,
+          entry: text,
+          value,
+          decisionId,
+          description: decisionId ? '' : (element?.description || element?.documentation || ''),
+          text: decisionId ? phraseDecisionCondition(conditionLabel, value) : phraseInputCondition(conditionLabel, value)
+        });
+      });
+      return { number: match.index + 1, conditions };
+    });
+
+    decisions[id] = {
+      decision,
+      label,
+      outcome: explainedRules.length > 0 ? phraseOutcome(decision, result) : label,
+      rules: explainedRules
+    };
+  });
+
+  // Conditions on required decisions carry the reason of that decision
+  const reasonOf = id => {
+    const { rules } = decisions[id];
+    const groups = rules
+      .map(rule => rule.conditions.map(condition => {
+        const nested = condition.decisionId ? reasonOf(condition.decisionId) : '';
+        return nested ? `${condition.text} (${nested})` : condition.text;
+      }).join(' UND '))
+      .filter(Boolean);
+    return groups.length > 1 ? groups.map(group => `(${group})`).join(' sowie ') : groups.join('');
+  };
+
+  Object.keys(decisions).forEach(id => {
+    const explanation = decisions[id];
+    if (explanation.sentence) {
+      return;
+    }
+    if (explanation.rules.length === 0) {
+      explanation.sentence = `${explanation.label}: keine Regel trifft zu.`;
+      return;
+    }
+    const reason = reasonOf(id);
+    const numbers = explanation.rules.map(rule => rule.number).join(', ');
+    const unconditional = explanation.rules.length === 1
+      ? `Regel ${numbers} ohne Bedingung zutrifft`
+      : `Regeln ${numbers} ohne Bedingung zutreffen`;
+    explanation.sentence = `${explanation.outcome}, weil ${reason || unconditional}.`;
+  });
+
+  return {
+    order: evaluation.order,
+    finalDecisions: evaluation.finalDecisions,
+    decisions,
+    summary: evaluation.finalDecisions.map(id => decisions[id].sentence)
+  };
+}
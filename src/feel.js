@@ -0,0 +1,446 @@
+/**
+ * FEEL (Friendly Enough Expression Language) utilities for DMN decision tables
+ *
+ * Supports the subset of FEEL used in RKI Falldefinitionen: unary tests in
+ * input entries and simple literal expressions in output entries.
+ */
+
+/**
+ * Error thrown when a FEEL expression cannot be parsed
+ */
+export class FeelError extends Error {
+  /**
+   * @param {string} message - Error description
+   * @param {string} expression - The offending expression text
+   */
+  constructor(message, expression) {
+    super(`${message} in FEEL expression "${expression}"`);
+    this.name = 'FeelError';
+    this.expression = expression;
+  }
+}
+
+const COMPARATORS = ['<=', '>=', '!=', '<', '>', '='];
+
+// Names that are FEEL literals or keywords, not variables
+const KEYWORDS = new Set([
+  'true', 'false', 'null', 'and', 'or', 'not', 'in', 'if', 'then', 'else', 'between',
+  'instance', 'of', 'some', 'every', 'satisfies', 'for', 'return', 'function'
+]);
+
+/**
+ * Splits FEEL text into tokens
+ * @param {string} text - FEEL expression text
+ * @returns {Array<{type: string, value: *}>} Tokens
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // String literal (supports both straight and typographic quotes)
+    if (char === '"' || char === '“' || char === '„') {
+      const closing = char === '"' ? '"' : '“”';
+      let value = '';
+      i++;
+      while (i < text.length && !closing.includes(text[i])) {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          i++;
+        }
+        value += text[i];
+        i++;
+      }
+      if (i >= text.length) {
+        throw new FeelError('Unterminated string', text);
+      }
+      i++;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+
+    // Number literal; a leading minus is a sign only where no operand precedes it
+    const previous = tokens[tokens.length - 1];
+    const signAllowed = !previous || previous.type === 'punct' || previous.type === 'comparator' || previous.type === 'range';
+    const numberMatch = text.slice(i).match(signAllowed ? /^-?\d+(\.\d+)?/ : /^\d+(\.\d+)?/);
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: Number(numberMatch[0]) });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    if (text.startsWith('..', i)) {
+      tokens.push({ type: 'range', value: '..' });
+      i += 2;
+      continue;
+    }
+
+    const comparator = COMPARATORS.find(c => text.startsWith(c, i));
+    if (comparator) {
+      tokens.push({ type: 'comparator', value: comparator });
+      i += comparator.length;
+      continue;
+    }
+
+    // Arithmetic operators are only tokenized to list the names around them
+    if ('[](),-+*/'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      i++;
+      continue;
+    }
+
+    // Names (variables, keywords); dots allow qualified names like patient.alter
+    const nameMatch = text.slice(i).match(/^[\p{L}_?][\p{L}\p{N}_?]*(\.[\p{L}_?][\p{L}\p{N}_?]*)*/u);
+    if (nameMatch) {
+      tokens.push({ type: 'name', value: nameMatch[0] });
+      i += nameMatch[0].length;
+      continue;
+    }
+
+    throw new FeelError(`Unexpected character "${char}"`, text);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser for FEEL unary tests
+ */
+class UnaryTestParser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isPunct(value) {
+    const token = this.peek();
+    return token && token.type === 'punct' && token.value === value;
+  }
+
+  expectPunct(...values) {
+    const token = this.next();
+    if (!token || token.type !== 'punct' || !values.includes(token.value)) {
+      throw new FeelError(`Expected "${values.join('" or "')}"`, this.text);
+    }
+    return token.value;
+  }
+
+  parse() {
+    if (this.tokens.length === 0 || (this.tokens.length === 1 && this.isPunct('-'))) {
+      return { type: 'any' };
+    }
+
+    let node;
+    const first = this.peek();
+    if (first.type === 'name' && first.value === 'not' && this.tokens[1] && this.tokens[1].value === '(') {
+      this.next();
+      this.expectPunct('(');
+      node = { type: 'not', test: this.parseList() };
+      this.expectPunct(')');
+    } else {
+      node = this.parseList();
+    }
+
+    if (this.pos < this.tokens.length) {
+      throw new FeelError('Unexpected trailing input', this.text);
+    }
+
+    return node;
+  }
+
+  parseList() {
+    const tests = [this.parseTest()];
+    while (this.isPunct(',')) {
+      this.next();
+      tests.push(this.parseTest());
+    }
+    return tests.length === 1 ? tests[0] : { type: 'list', tests };
+  }
+
+  parseTest() {
+    const token = this.peek();
+    if (!token) {
+      throw new FeelError('Unexpected end of input', this.text);
+    }
+
+    if (token.type === 'comparator') {
+      this.next();
+      return { type: 'compare', operator: token.value, operand: this.parseEndpoint() };
+    }
+
+    if (token.type === 'punct' && ['[', '(', ']'].includes(token.value)) {
+      const opening = this.next().value;
+      const start = this.parseEndpoint();
+      const range = this.next();
+      if (!range || range.type !== 'range') {
+        throw new FeelError('Expected ".." in range', this.text);
+      }
+      const end = this.parseEndpoint();
+      const closing = this.expectPunct(']', ')', '[');
+      return {
+        type: 'range',
+        start,
+        end,
+        startInclusive: opening === '[',
+        endInclusive: closing === ']'
+      };
+    }
+
+    return { type: 'compare', operator: '=', operand: this.parseEndpoint() };
+  }
+
+  parseEndpoint() {
+    const token = this.next();
+    if (!token) {
+      throw new FeelError('Unexpected end of input', this.text);
+    }
+
+    switch (token.type) {
+      case 'string':
+      case 'number':
+        return { type: 'literal', value: token.value };
+      case 'name':
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'literal', value: token.value === 'true' };
+        }
+        if (token.value === 'null') {
+          return { type: 'literal', value: null };
+        }
+        return { type: 'name', value: token.value };
+      default:
+        throw new FeelError(`Unexpected "${token.value}"`, this.text);
+    }
+  }
+}
+
+/**
+ * Resolves a (possibly dotted) variable name in the evaluation context
+ * @param {string} name - Variable name, e.g. "klinisch" or "patient.alter"
+ * @param {Object} context - Input values
+ * @returns {*} Resolved value or undefined
+ */
+export function resolveName(name, context = {}) {
+  if (Object.prototype.hasOwnProperty.call(context, name)) {
+    return context[name];
+  }
+
+  return name.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    return value[key];
+  }, context);
+}
+
+/**
+ * Evaluates an endpoint node to a value
+ */
+function endpointValue(node, context) {
+  if (node.type === 'literal') {
+    return node.value;
+  }
+  const value = resolveName(node.value, context);
+  return value === undefined ? null : value;
+}
+
+/**
+ * Compares two values with FEEL semantics (null compares unequal to anything but null)
+ * @returns {boolean}
+ */
+function compare(left, operator, right) {
+  if (operator === '=') {
+    return left === right;
+  }
+  if (operator === '!=') {
+    return left !== right;
+  }
+  if (left === null || right === null || left === undefined || typeof left !== typeof right) {
+    return false;
+  }
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return false;
+  }
+}
+
+/**
+ * Evaluates a parsed unary test node against a value
+ */
+function evaluateNode(node, value, context) {
+  switch (node.type) {
+    case 'any':
+      return true;
+    case 'not':
+      return !evaluateNode(node.test, value, context);
+    case 'list':
+      return node.tests.some(test => evaluateNode(test, value, context));
+    case 'compare':
+      return compare(value, node.operator, endpointValue(node.operand, context));
+    case 'range': {
+      const start = endpointValue(node.start, context);
+      const end = endpointValue(node.end, context);
+      const aboveStart = compare(value, node.startInclusive ? '>=' : '>', start);
+      const belowEnd = compare(value, node.endInclusive ? '<=' : '<', end);
+      return aboveStart && belowEnd;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parses FEEL unary tests (the content of an inputEntry)
+ * @param {string} text - Unary test text, e.g. "-", "\"erfüllt\"", "[1..10]", "not(true)"
+ * @returns {Object} Parsed unary test tree
+ * @throws {FeelError} If the text is not a supported unary test
+ */
+export function parseUnaryTests(text) {
+  return new UnaryTestParser((text || '').trim()).parse();
+}
+
+/**
+ * Evaluates FEEL unary tests against an input value
+ * @param {string} text - Unary test text
+ * @param {*} value - The input value to test
+ * @param {Object} context - Variables available to the test (for name references)
+ * @returns {boolean} Whether the value satisfies the test
+ * @throws {FeelError} If the text is not a supported unary test
+ */
+export function evaluateUnaryTests(text, value, context = {}) {
+  return evaluateParsedUnaryTests(parseUnaryTests(text), value, context);
+}
+
+/**
+ * Evaluates an already parsed unary test tree against an input value
+ * @param {Object} node - Result of parseUnaryTests
+ * @param {*} value - The input value to test
+ * @param {Object} context - Variables available to the test
+ * @returns {boolean} Whether the value satisfies the test
+ */
+export function evaluateParsedUnaryTests(node, value, context = {}) {
+  return evaluateNode(node, value === undefined ? null : value, context);
+}
+
+/**
+ * Lists the endpoint nodes (literals and names) of a parsed unary test
+ */
+function collectEndpoints(node) {
+  switch (node.type) {
+    case 'not':
+      return collectEndpoints(node.test);
+    case 'list':
+      return node.tests.flatMap(collectEndpoints);
+    case 'compare':
+      return [node.operand];
+    case 'range':
+      return [node.start, node.end];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Lists the literal values a parsed unary test compares against
+ * @param {Object} node - Result of parseUnaryTests
+ * @returns {Array} Literal values, without null
+ */
+export function collectLiterals(node) {
+  return collectEndpoints(node)
+    .filter(endpoint => endpoint.type === 'literal' && endpoint.value !== null)
+    .map(endpoint => endpoint.value);
+}
+
+/**
+ * Checks whether a parsed unary test refers to variables by name
+ * Such tests depend on other inputs and cannot be judged from literals alone.
+ * @param {Object} node - Result of parseUnaryTests
+ * @returns {boolean}
+ */
+export function referencesNames(node) {
+  return collectEndpoints(node).some(endpoint => endpoint.type === 'name');
+}
+
+/**
+ * Lists the variables a FEEL expression refers to
+ * Only the first segment of qualified names is returned ("patient" for
+ * "patient.alter"); keywords and names inside strings are left out. Text
+ * that cannot be tokenized refers to no names.
+ * @param {string} text - Expression text, e.g. "alter + 1"
+ * @returns {Array<string>} Names in order of appearance
+ */
+export function collectNames(text) {
+  let tokens;
+  try {
+    tokens = tokenize(text || '');
+  } catch {
+    return [];
+  }
+
+  return tokens
+    .filter(token => token.type === 'name')
+    .map(token => token.value.split('.')[0])
+    .filter(name => name !== '?' && !KEYWORDS.has(name));
+}
+
+/**
+ * Evaluates a simple FEEL expression (literal or variable name)
+ * Used for input expressions and output entries. Text that is not valid FEEL,
+ * such as unquoted prose in older RKI files, is returned unchanged.
+ * @param {string} text - Expression text
+ * @param {Object} context - Variables available to the expression
+ * @returns {*} The evaluated value
+ */
+export function evaluateExpression(text, context = {}) {
+  const trimmed = (text || '').trim();
+  if (trimmed === '') {
+    return null;
+  }
+
+  let tokens;
+  try {
+    tokens = tokenize(trimmed);
+  } catch {
+    return trimmed;
+  }
+
+  if (tokens.length !== 1) {
+    return trimmed;
+  }
+
+  const [token] = tokens;
+  switch (token.type) {
+    case 'string':
+    case 'number':
+      return token.value;
+    case 'name': {
+      if (token.value === 'true' || token.value === 'false') {
+        return token.value === 'true';
+      }
+      if (token.value === 'null') {
+        return null;
+      }
+      const value = resolveName(token.value, context);
+      return value === undefined ? trimmed : value;
+    }
+    default:
+      return trimmed;
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * HTML generation of RKI Falldefinitionen
+ *
+ * Renders the document model shared with the Word and PDF exports as a
+ * standalone HTML page with embedded styles. The page is shown as preview
+ * before download and can be downloaded as is.
+ */
+
+import { buildDocumentModel } from './document-model.js';
+import { downloadBlob } from './download.js';
+
+const STYLES = `
+body { margin: 0; background: #fff; color: #000; font-family: Calibri, Carlito, Arial, sans-serif; font-size: 11pt; line-height: 1.15; }
+main { max-width: 42rem; margin: 0 auto; padding: 2rem 1.5rem; }
+h1, h2, h3 { color: #0563C1; font-weight: bold; margin: 1.2em 0 0.4em; }
+h1 { font-size: 14pt; font-style: italic; margin-top: 0; }
+h1 .pathogen { font-weight: normal; }
+h2 { font-size: 14pt; }
+h3 { font-size: 12pt; }
+p, ul { margin: 0 0 0.6em; }
+ul { padding-left: 1.5em; }
+li { margin-bottom: 0.4em; }
+.metadata { margin: 0 0 1.2em; color: #595959; font-size: 10pt; }
+.metadata div { display: flex; gap: 0.3em; }
+.metadata dt { font-weight: bold; }
+.metadata dd { margin: 0; }
+.subheading { margin: 0.6em 0 0.4em; font-weight: bold; }
+hr.page-break { margin: 2rem 0; border: 0; border-top: 1px dashed #808080; }
+figure { margin: 0 0 1em; text-align: center; }
+figure svg { max-width: 100%; height: auto; }
+table { width: 100%; margin-bottom: 1em; border-collapse: collapse; font-size: 9pt; }
+th, td { padding: 2pt 4pt; border: 1px solid #808080; text-align: left; vertical-align: top; }
+th.input { background: #DEEAF6; }
+th.output { background: #E2EFD9; }
+@media print {
+  main { max-width: none; padding: 0; }
+  hr.page-break { margin: 0; border: 0; break-after: page; }
+}
+`;
+
+/**
+ * Escapes text for use in HTML content and attributes
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders text runs with <strong> and <em>
+ */
+function renderRuns(runs) {
+  return runs.map(run => {
+    let html = escapeHtml(run.text);
+    if (run.italics) html = `<em>${html}</em>`;
+    if (run.bold) html = `<strong>${html}</strong>`;
+    return html;
+  }).join('');
+}
+
+/**
+ * Renders the title; the pathogen in parentheses is set in normal weight
+ */
+function renderTitle(runs) {
+  return `<h1>${runs.map(run => run.bold
+    ? escapeHtml(run.text)
+    : `<span class="pathogen">${escapeHtml(run.text)}</span>`).join('')}</h1>`;
+}
+
+/**
+ * Renders a decision table block
+ */
+function renderTable(block) {
+  const header = block.columns
+    .map(column => `<th class="${column.kind}">${escapeHtml(column.text)}</th>`)
+    .join('');
+  const rows = block.rows
+    .map(cells => `<tr>${cells.map(text => `<td>${escapeHtml(text)}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>`;
+}
+
+/**
+ * Renders a block of the document model
+ * @param {Object} block - Block (see document-model.js)
+ * @param {string|null} diagramSvg - SVG markup of the diagram
+ * @returns {string} HTML, empty for a diagram without markup
+ */
+function renderBlock(block, diagramSvg) {
+  switch (block.type) {
+    case 'title':
+      return renderTitle(block.runs);
+    case 'metadata':
+      return `<dl class="metadata">\n${block.fields
+        .map(field => `<div><dt>${escapeHtml(field.label)}:</dt><dd>${escapeHtml(field.text)}</dd></div>`)
+        .join('\n')}\n</dl>`;
+    case 'heading':
+      return block.level === 1 ? `<h2>${escapeHtml(block.text)}</h2>` : `<h3>${escapeHtml(block.text)}</h3>`;
+    case 'subheading':
+      return `<p class="subheading">${renderRuns(block.runs)}</p>`;
+    case 'pageBreak':
+      return '<hr class="page-break">';
+    case 'diagram':
+      return diagramSvg ? `<h3>${escapeHtml(block.title)}</h3>\n<figure>${diagramSvg.trim()}</figure>` : '';
+    case 'table':
+      return renderTable(block);
+    default:
+      return `<p>${renderRuns(block.runs)}</p>`;
+  }
+}
+
+/**
+ * Generates a standalone HTML page from DMN data in RKI Falldefinition format
+ * The content comes from the document model (see buildDocumentModel).
+ * @param {Object} dmnData - Parsed DMN data
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.includeAppendix] - Append the diagram and all decision tables
+ * @param {string} [options.diagramSvg] - SVG markup of the decision requirements
+ *   diagram shown in the appendix
+ * @returns {string} HTML document
+ */
+export function generateHtmlDocument(dmnData, options = {}) {
+  const { language, metadata, blocks } = buildDocumentModel(dmnData, { includeAppendix: options.includeAppendix });
+
+  // Consecutive bullets form one list
+  const body = [];
+  blocks.forEach((block, index) => {
+    if (block.type === 'bullet') {
+      const item = `<li>${renderRuns(block.runs)}</li>`;
+      body.push(blocks[index - 1]?.type === 'bullet' ? item : `<ul>\n${item}`);
+      if (blocks[index + 1]?.type !== 'bullet') {
+        body.push('</ul>');
+      }
+      return;
+    }
+    const html = renderBlock(block, options.diagramSvg || null);
+    if (html) {
+      body.push(html);
+    }
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(language)}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(metadata.krankheit || 'Falldefinition')}</title>`,
+    `<style>${STYLES}</style>`,
+    '</head>',
+    '<body>',
+    '<main>',
+    ...body,
+    '</main>',
+    '</body>',
+    '</html>'
+  ].join('\n') + '\n';
+}
+
+/**
+ * Triggers download of an HTML document
+ * @param {string} html - HTML document
+ * @param {string} filename - Output filename
+ */
+export function downloadHtml(html, filename = 'document.html') {
+  downloadBlob(html, filename, 'text/html;charset=utf-8');
+}
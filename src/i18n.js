@@ -0,0 +1,139 @@
+/**
+ * Output languages of the Falldefinition documents
+ *
+ * The fixed texts of the Word and Markdown exports come from one catalog
+ * per language; texts missing in a catalog fall back to German. Model
+ * texts are translated in the DMN itself (see parseDMN), profile titles
+ * may be written per language as {"de": "…", "en": "…"}.
+ *
+ * Adding a language: add a catalog here, section text templates in
+ * section-text.js and metadata labels in metadata-fields.js.
+ */
+
+export const DEFAULT_LANGUAGE = 'de';
+
+export const OUTPUT_LANGUAGES = {
+  de: 'Deutsch',
+  en: 'English'
+};
+
+const CATALOGS = {
+  de: {
+    hitPolicy: 'Trefferrichtlinie',
+    hitPolicyDescriptions: {
+      'UNIQUE': 'Es darf genau eine Regel zutreffen.',
+      'FIRST': 'Es gilt die erste zutreffende Regel in der angegebenen Reihenfolge.',
+      'PRIORITY': 'Es gilt die zutreffende Regel mit der höchsten Ausgabepriorität.',
+      'ANY': 'Es dürfen mehrere Regeln zutreffen, sofern sie dasselbe Ergebnis liefern.',
+      'COLLECT': 'Es werden die Ergebnisse aller zutreffenden Regeln gesammelt.',
+      'RULE ORDER': 'Es gelten alle zutreffenden Regeln in der angegebenen Reihenfolge.',
+      'OUTPUT ORDER': 'Es gelten alle zutreffenden Regeln, sortiert nach Ausgabepriorität.'
+    },
+    aggregationDescriptions: {
+      'SUM': 'Die Ergebnisse werden summiert.',
+      'COUNT': 'Die Ergebnisse werden gezählt.',
+      'MIN': 'Es gilt das kleinste Ergebnis.',
+      'MAX': 'Es gilt das größte Ergebnis.'
+    },
+    annotation: 'Anmerkung',
+    appendix: 'Anhang: Entscheidungslogik',
+    diagram: 'Entscheidungsanforderungsdiagramm',
+    pageNumber: 'Seite {page} von {pages}',
+    // Markdown export
+    requirementsGraph: 'Entscheidungsanforderungsgraph',
+    uncoveredCombinations: 'Nicht abgedeckte Eingabekombinationen',
+    allCombinationsCovered: 'Alle Eingabekombinationen sind abgedeckt.',
+    uncoveredUnknownCombinations: 'Mit unbekannten (null) Eingaben nicht abgedeckt:',
+    firstCombinationsListed: 'Nur die ersten {count} Kombinationen sind aufgeführt.',
+    simplifications: 'Vereinfachungsvorschläge',
+    notSimplified: 'Nicht vereinfacht: Die Trefferrichtlinie {hitPolicy} liefert mehrere Regeln.',
+    noSimplification: 'Keine Vereinfachung gefunden.',
+    notAnalysed: 'Nicht analysiert',
+    before: 'Vorher',
+    after: 'Nachher',
+    rule: 'Regel',
+    rules: 'Regeln',
+    // Connectors set in bold in section texts
+    keywords: ['ODER', 'mindestens einer', 'mindestens eines', 'mindestens eine', 'definiert als']
+  },
+  en: {
+    hitPolicy: 'Hit policy',
+    hitPolicyDescriptions: {
+      'UNIQUE': 'Exactly one rule may match.',
+      'FIRST': 'The first matching rule in the given order applies.',
+      'PRIORITY': 'The matching rule with the highest output priority applies.',
+      'ANY': 'Several rules may match if they give the same result.',
+      'COLLECT': 'The results of all matching rules are collected.',
+      'RULE ORDER': 'All matching rules apply in the given order.',
+      'OUTPUT ORDER': 'All matching rules apply, sorted by output priority.'
+    },
+    aggregationDescriptions: {
+      'SUM': 'The results are summed up.',
+      'COUNT': 'The results are counted.',
+      'MIN': 'The smallest result applies.',
+      'MAX': 'The largest result applies.'
+    },
+    annotation: 'Annotation',
+    appendix: 'Appendix: Decision logic',
+    diagram: 'Decision requirements diagram',
+    pageNumber: 'Page {page} of {pages}',
+    requirementsGraph: 'Decision requirements graph',
+    uncoveredCombinations: 'Uncovered input combinations',
+    allCombinationsCovered: 'All input combinations are covered.',
+    uncoveredUnknownCombinations: 'Not covered with unknown (null) inputs:',
+    firstCombinationsListed: 'Only the first {count} combinations are listed.',
+    simplifications: 'Simplification suggestions',
+    notSimplified: 'Not simplified: the hit policy {hitPolicy} returns several rules.',
+    noSimplification: 'No simplification found.',
+    notAnalysed: 'Not analysed',
+    before: 'Before',
+    after: 'After',
+    rule: 'rule',
+    rules: 'rules',
+    keywords: ['OR', 'at least one', 'defined as']
+  }
+};
+
+/**
+ * Returns a fixed text of the catalog of a language
+ * @param {string} language - Language code, e.g. 'en'
+ * @param {string} key - Catalog key
+ * @returns {*} The text (or list/map of texts), German if the language lacks it
+ */
+export function translate(language, key) {
+  return CATALOGS[language]?.[key] ?? CATALOGS[DEFAULT_LANGUAGE][key];
+}
+
+/**
+ * Replaces {placeholders} in a template; unknown placeholders stay as written
+ * @param {string} template - Text with placeholders, e.g. a catalog text
+ * @param {Object} values - Values by placeholder name
+ * @returns {string}
+ */
+export function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+/**
+ * Picks the text of a language from a text written per language
+ * @param {string|Object} text - Plain text, or texts by language code
+ * @param {string} language - Language code
+ * @returns {string} The text of the language, else the German one, else the first
+ */
+export function localize(text, language) {
+  if (text === undefined || text === null || typeof text === 'string') {
+    return text;
+  }
+  return text[language] ?? text[DEFAULT_LANGUAGE] ?? Object.values(text)[0];
+}
+
+/**
+ * Checks whether a language tag (xml:lang, e.g. "en-GB") denotes a language
+ * Untagged texts are German.
+ * @param {string} tag - Language tag, may be empty
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+export function matchesLanguage(tag, language) {
+  return (tag || DEFAULT_LANGUAGE).toLowerCase().split('-')[0] === language;
+}
@@ -0,0 +1,524 @@
+/**
+ * Java code generation for DMN decision tables
+ */
+
+import {
+  buildDecisionModel,
+  translateUnaryTest,
+  resolveInputSources,
+  collectCaseFields,
+  getTableDecisions,
+  reserveName,
+  toPascalCase,
+  toCamelCase,
+  CodeGenerationError
+} from './code-generation.js';
+
+const JAVA_TYPES = {
+  boolean: 'Boolean',
+  number: 'Double',
+  string: 'String'
+};
+
+// Keywords and java.lang.Record members that cannot be used as record components
+const RESERVED_NAMES = new Set([
+  'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const',
+  'continue', 'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float',
+  'for', 'goto', 'if', 'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native',
+  'new', 'package', 'private', 'protected', 'public', 'return', 'short', 'static', 'strictfp',
+  'super', 'switch', 'synchronized', 'this', 'throw', 'throws', 'transient', 'try', 'void',
+  'volatile', 'while', 'true', 'false', 'null', 'var', 'record', 'yield',
+  'hashCode', 'toString', 'equals', 'getClass', 'notify', 'notifyAll', 'wait', 'clone', 'finalize'
+]);
+
+/**
+ * Converts text to a Java member name that is not a reserved word
+ * @param {string} text - Label or variable name
+ * @returns {string}
+ */
+function toMemberName(text) {
+  const name = toCamelCase(text, 'value');
+  return RESERVED_NAMES.has(name) ? `${name}_` : name;
+}
+
+/**
+ * Escapes text for a Java string literal
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text without surrounding quotes
+ */
+function escapeString(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Escapes text for a Javadoc comment
+ */
+function escapeComment(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\*\//g, '*&#47;')
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Java expression builders used by translateUnaryTest
+ */
+const javaSyntax = {
+  alwaysTrue: 'true',
+  literal(value, type) {
+    if (value === null) {
+      return 'null';
+    }
+    if (typeof value === 'boolean') {
+      return value ? 'true' : 'false';
+    }
+    if (typeof value === 'number' && type !== 'string') {
+      return Number.isInteger(value) ? `${value}.0` : `${value}`;
+    }
+    return `"${escapeString(value)}"`;
+  },
+  compare(subject, operator, operand, type) {
+    if (operator === '=') {
+      return `Objects.equals(${subject}, ${operand})`;
+    }
+    if (operator === '!=') {
+      return `!Objects.equals(${subject}, ${operand})`;
+    }
+    const guard = /^[\w.]+\(\)$/.test(operand) ? ` && ${operand} != null` : '';
+    if (type === 'string') {
+      return `(${subject} != null${guard} && ${subject}.compareTo(${operand}) ${operator} 0)`;
+    }
+    return `(${subject} != null${guard} && ${subject} ${operator} ${operand})`;
+  },
+  and(parts) {
+    return `(${parts.join(' && ')})`;
+  },
+  or(parts) {
+    return `(${parts.join(' || ')})`;
+  },
+  not(part) {
+    return `!(${part})`;
+  },
+  isNull(subject) {
+    return `${subject} == null`;
+  },
+  isNotNull(subject) {
+    return `${subject} != null`;
+  }
+};
+
+/**
+ * Builds the condition of a rule
+ * @param {Object} model - Decision code model
+ * @param {Object} rule - Rule of the code model
+ * @param {Set<string>} imports - Receives the java.util types the condition uses
+ * @returns {string} Java boolean expression
+ */
+function buildCondition(model, rule, imports) {
+  const resolveName = name => {
+    const input = model.inputs.find(i => i.variable === name);
+    return input ? `input.${input.member}()` : null;
+  };
+  const syntax = {
+    ...javaSyntax,
+    compare(subject, operator, ...rest) {
+      if (operator === '=' || operator === '!=') {
+        imports.add('java.util.Objects');
+      }
+      return javaSyntax.compare(subject, operator, ...rest);
+    }
+  };
+
+  const conditions = rule.tests
+    .map((test, i) => {
+      const input = model.inputs[i];
+      return translateUnaryTest(test, `input.${input.member}()`, input.type, syntax, resolveName);
+    })
+    .filter(condition => condition !== 'true');
+
+  return conditions.length > 0 ? conditions.join('\n                    && ') : 'true';
+}
+
+/**
+ * Builds the Output record construction of a rule
+ */
+function buildOutputValue(model, rule) {
+  const values = model.outputs.map((output, i) => javaSyntax.literal(rule.values[i], output.type));
+  return `new Output(${values.join(', ')})`;
+}
+
+/**
+ * Determines the return type of the evaluate methods for the hit policy
+ */
+function getReturnType(model) {
+  if (model.hitPolicy === 'COLLECT' && model.aggregation) {
+    if (model.aggregation === 'COUNT') {
+      return 'int';
+    }
+    return JAVA_TYPES[model.outputs[0].type];
+  }
+  if (['COLLECT', 'RULE ORDER', 'OUTPUT ORDER'].includes(model.hitPolicy)) {
+    return 'List<Output>';
+  }
+  return 'Output';
+}
+
+/**
+ * Builds the priority helpers used by PRIORITY and OUTPUT ORDER tables
+ */
+function buildPriorityMethods(model, imports) {
+  const lines = [];
+  imports.add('java.util.List');
+  lines.push('        private static int priority(Output output) {');
+
+  const prioritized = model.outputs.filter(output => output.priorities);
+  if (prioritized.length === 0) {
+    lines.push('            return 0;');
+  } else {
+    lines.push('            int rank = 0;');
+    prioritized.forEach(output => {
+      const values = output.priorities.map(value => javaSyntax.literal(value, output.type));
+      const size = output.priorities.length + 1;
+      imports.add('java.util.Arrays');
+      lines.push(`            rank = rank * ${size} + rankOf(Arrays.asList(${values.join(', ')}), output.${output.member}());`);
+    });
+    lines.push('            return rank;');
+  }
+
+  lines.push('        }');
+  lines.push('');
+  lines.push('        private static int rankOf(List<?> priorities, Object value) {');
+  lines.push('            int index = priorities.indexOf(value);');
+  lines.push('            return index < 0 ? priorities.size() : index;');
+  lines.push('        }');
+  return lines;
+}
+
+/**
+ * Builds the body of evaluate(Input) implementing rules and hit policy
+ * @param {Object} model - Decision code model
+ * @param {Set<string>} imports - Receives the java.util types the body uses
+ * @returns {Array<string>} Lines of code
+ */
+function buildEvaluateBody(model, imports) {
+  const lines = [];
+  const indent = '            ';
+  const ruleComment = rule => `${indent}// Rule ${rule.index + 1}${rule.id ? ` (${rule.id})` : ''}`;
+
+  if (model.hitPolicy === 'FIRST') {
+    for (const rule of model.rules) {
+      const condition = buildCondition(model, rule, imports);
+      lines.push(ruleComment(rule));
+      // A rule without conditions always fires; later rules are unreachable
+      if (condition === 'true') {
+        lines.push(`${indent}return ${buildOutputValue(model, rule)};`);
+        return lines;
+      }
+      lines.push(`${indent}if (${condition}) {`);
+      lines.push(`${indent}    return ${buildOutputValue(model, rule)};`);
+      lines.push(`${indent}}`);
+      lines.push('');
+    }
+    lines.push(`${indent}return null;`);
+    return lines;
+  }
+
+  // UNIQUE remembers the number of the matching rule and fails on a second one
+  if (model.hitPolicy === 'UNIQUE') {
+    lines.push(`${indent}Output result = null;`);
+    lines.push(`${indent}int matched = 0;`);
+    lines.push('');
+    model.rules.forEach((rule, position) => {
+      const condition = buildCondition(model, rule, imports);
+      const body = condition === 'true' ? indent : `${indent}    `;
+      lines.push(ruleComment(rule));
+      if (condition !== 'true') {
+        lines.push(`${indent}if (${condition}) {`);
+      }
+      if (position > 0) {
+        lines.push(`${body}if (matched > 0) {`);
+        lines.push(`${body}    throw new IllegalStateException("UNIQUE hit policy violated: rules " + matched + " and ${rule.index + 1} match");`);
+        lines.push(`${body}}`);
+      }
+      lines.push(`${body}result = ${buildOutputValue(model, rule)};`);
+      lines.push(`${body}matched = ${rule.index + 1};`);
+      if (condition !== 'true') {
+        lines.push(`${indent}}`);
+      }
+      lines.push('');
+    });
+    lines.push(`${indent}return result;`);
+    return lines;
+  }
+
+  imports.add('java.util.List');
+  imports.add('java.util.ArrayList');
+  lines.push(`${indent}List<Match> matches = new ArrayList<>();`);
+  lines.push('');
+  model.rules.forEach(rule => {
+    const condition = buildCondition(model, rule, imports);
+    const add = `matches.add(new Match(${rule.index + 1}, ${buildOutputValue(model, rule)}));`;
+    lines.push(ruleComment(rule));
+    if (condition === 'true') {
+      lines.push(`${indent}${add}`);
+    } else {
+      lines.push(`${indent}if (${condition}) {`);
+      lines.push(`${indent}    ${add}`);
+      lines.push(`${indent}}`);
+    }
+    lines.push('');
+  });
+
+  const ruleList = 'matches.stream().map(m -> String.valueOf(m.rule())).collect(Collectors.joining(", "))';
+  const byPriority = 'Comparator.comparingInt((Match m) -> priority(m.output())).thenComparingInt(Match::rule)';
+
+  switch (model.hitPolicy) {
+    case 'ANY':
+      imports.add('java.util.stream.Collectors');
+      lines.push(`${indent}if (matches.stream().map(Match::output).distinct().count() > 1) {`);
+      lines.push(`${indent}    throw new IllegalStateException("ANY hit policy violated: rules " + ${ruleList} + " match with different outputs");`);
+      lines.push(`${indent}}`);
+      lines.push(`${indent}return matches.isEmpty() ? null : matches.get(0).output();`);
+      break;
+    case 'PRIORITY':
+      imports.add('java.util.Comparator');
+      lines.push(`${indent}return matches.stream().sorted(${byPriority}).map(Match::output).findFirst().orElse(null);`);
+      break;
+    case 'OUTPUT ORDER':
+      imports.add('java.util.Comparator');
+      imports.add('java.util.stream.Collectors');
+      lines.push(`${indent}return matches.stream().sorted(${byPriority}).map(Match::output).collect(Collectors.toList());`);
+      break;
+    case 'COLLECT':
+      imports.add('java.util.stream.Collectors');
+      if (model.aggregation) {
+        const { member, type } = model.outputs[0];
+        imports.add('java.util.Objects');
+        lines.push(`${indent}List<${JAVA_TYPES[type]}> values = matches.stream().map(m -> m.output().${member}()).filter(Objects::nonNull).collect(Collectors.toList());`);
+        switch (model.aggregation) {
+          case 'COUNT':
+            lines.push(`${indent}return values.size();`);
+            break;
+          case 'SUM':
+            lines.push(`${indent}return values.isEmpty() ? null : Double.valueOf(values.stream().mapToDouble(Double::doubleValue).sum());`);
+            break;
+          case 'MIN':
+            imports.add('java.util.Comparator');
+            lines.push(`${indent}return values.stream().min(Comparator.naturalOrder()).orElse(null);`);
+            break;
+          case 'MAX':
+            imports.add('java.util.Comparator');
+            lines.push(`${indent}return values.stream().max(Comparator.naturalOrder()).orElse(null);`);
+            break;
+          default:
+            break;
+        }
+        break;
+      }
+      lines.push(`${indent}return matches.stream().map(Match::output).collect(Collectors.toList());`);
+      break;
+    default:
+      imports.add('java.util.stream.Collectors');
+      lines.push(`${indent}return matches.stream().map(Match::output).collect(Collectors.toList());`);
+      break;
+  }
+
+  return lines;
+}
+
+/**
+ * Builds evaluate(CaseData), which evaluates required decisions first and
+ * feeds their outputs and the case data into this decision's table
+ * @param {Object} model - Decision code model
+ * @param {Map<string, Object>} modelsById - Code models keyed by decision id
+ * @param {Map<string, string>} caseMembers - Case data member per variable
+ * @returns {Array<string>} Lines of code
+ */
+function buildChainedEvaluate(model, modelsById, caseMembers) {
+  const lines = [];
+  const sources = resolveInputSources(model, modelsById);
+  const locals = new Map();
+  const usedLocals = new Set(['caseData']);
+
+  lines.push(`        public static ${getReturnType(model)} evaluate(CaseData caseData) {`);
+
+  sources.forEach(source => {
+    if (source.type !== 'decision' || locals.has(source.model)) {
+      return;
+    }
+    const returnType = getReturnType(source.model);
+    if (returnType.startsWith('List<')) {
+      throw new CodeGenerationError(
+        `${model.name}: cannot use the multi-hit decision "${source.model.name}" as input`
+      );
+    }
+    const local = reserveName(toMemberName(source.model.className), usedLocals);
+    locals.set(source.model, local);
+    const localType = returnType === 'Output' ? `${source.model.className}.Output` : returnType;
+    lines.push(`            ${localType} ${local} = ${source.model.className}.evaluate(caseData);`);
+  });
+
+  const args = sources.map(source => {
+    if (source.type === 'case') {
+      return `caseData.${caseMembers.get(source.variable)}()`;
+    }
+    const local = locals.get(source.model);
+    if (getReturnType(source.model) === 'Output') {
+      return `${local} == null ? null : ${local}.${source.output.member}()`;
+    }
+    // COUNT gives an int, which Java does not box into a Double input
+    if (getReturnType(source.model) === 'int') {
+      return `Double.valueOf(${local})`;
+    }
+    return local;
+  });
+
+  lines.push(`            return evaluate(new Input(${args.join(', ')}));`);
+  lines.push('        }');
+  return lines;
+}
+
+/**
+ * Generates the nested class of a decision with its Input and Output records
+ * @param {Object} model - Decision code model
+ * @param {Map<string, Object>} modelsById - Code models keyed by decision id
+ * @param {Map<string, string>} caseMembers - Case data member per variable
+ * @param {Set<string>} imports - Receives the java.util types the class uses
+ * @returns {Array<string>} Lines of code
+ */
+function generateDecisionClass(model, modelsById, caseMembers, imports) {
+  const lines = [];
+  const inputParams = model.inputs.map(i => `${JAVA_TYPES[i.type]} ${i.member}`);
+  const outputParams = model.outputs.map(o => `${JAVA_TYPES[o.type]} ${o.member}`);
+  const multiHit = !['FIRST', 'UNIQUE'].includes(model.hitPolicy);
+
+  lines.push('    /**');
+  lines.push(`     * Decision "${escapeComment(model.name)}" (hit policy ${model.hitPolicy}${model.aggregation ? ` ${model.aggregation}` : ''}).`);
+  if (model.decision.documentation) {
+    lines.push(`     * ${escapeComment(model.decision.documentation)}`);
+  }
+  lines.push('     */');
+  lines.push(`    public static final class ${model.className} {`);
+  lines.push('');
+  lines.push(`        private ${model.className}() {`);
+  lines.push('        }');
+  lines.push('');
+  lines.push('        /** Input values of the decision table. */');
+  lines.push(`        public record Input(${inputParams.join(', ')}) {`);
+  lines.push('        }');
+  lines.push('');
+  lines.push('        /** Output values of a matching rule. */');
+  lines.push(`        public record Output(${outputParams.join(', ')}) {`);
+  lines.push('        }');
+  if (multiHit) {
+    lines.push('');
+    lines.push('        private record Match(int rule, Output output) {');
+    lines.push('        }');
+  }
+  lines.push('');
+  lines.push(...buildChainedEvaluate(model, modelsById, caseMembers));
+  lines.push('');
+  lines.push(`        public static ${getReturnType(model)} evaluate(Input input) {`);
+  lines.push(...buildEvaluateBody(model, imports));
+  lines.push('        }');
+
+  if (['PRIORITY', 'OUTPUT ORDER'].includes(model.hitPolicy)) {
+    lines.push('');
+    lines.push(...buildPriorityMethods(model, imports));
+  }
+
+  lines.push('    }');
+  return lines;
+}
+
+/**
+ * Returns the name of the generated top-level Java class (and file)
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {string} Class name, e.g. "CampylobacterEnteritisDecisions"
+ */
+export function getJavaClassName(dmnData) {
+  const krankheit = dmnData.metadata?.krankheit;
+  return `${krankheit ? toPascalCase(krankheit, '') : ''}Decisions`;
+}
+
+/**
+ * Generates Java code for all decision tables of the DMN
+ * One nested class per decision with Input/Output records; evaluate(CaseData)
+ * chains the required decisions of the decision requirements graph.
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {string} Java source code
+ * @throws {CodeGenerationError} If a decision table cannot be translated
+ */
+export function generateJavaCode(dmnData) {
+  const { metadata = {} } = dmnData;
+  const className = getJavaClassName(dmnData);
+  // Decision classes must not shadow the records nested in every decision class
+  const usedTypeNames = new Set([className, 'CaseData', 'Input', 'Output', 'Match']);
+
+  const models = getTableDecisions(dmnData).map(decision =>
+    buildDecisionModel(decision, {
+      typeName: text => toPascalCase(text, 'Decision'),
+      memberName: toMemberName,
+      usedTypeNames
+    })
+  );
+  const modelsById = new Map(models.map(model => [model.decision.id, model]));
+
+  const caseFields = collectCaseFields(dmnData, models, modelsById);
+  const usedCaseMembers = new Set();
+  const caseMembers = new Map(caseFields.map(field => [
+    field.variable,
+    reserveName(toMemberName(field.variable), usedCaseMembers)
+  ]));
+
+  // The classes are generated first to learn which java.util types they use
+  const imports = new Set();
+  const classes = models.map(model => generateDecisionClass(model, modelsById, caseMembers, imports));
+
+  const packageName = `epilogic.falldefinitionen${metadata.krankheit ? `.${toPascalCase(metadata.krankheit, '').toLowerCase()}` : ''}`;
+
+  const lines = [];
+  lines.push('// Generated by Epilogic from a DMN decision model.');
+  if (metadata.krankheit) {
+    lines.push(`// ${metadata.krankheit}${metadata.erreger ? ` (${metadata.erreger})` : ''}`);
+  }
+  if (metadata.stand || metadata.version) {
+    lines.push(`// Stand: ${metadata.stand || '-'}, Version: ${metadata.version || '-'}`);
+  }
+  lines.push('');
+  lines.push(`package ${packageName};`);
+  lines.push('');
+  if (imports.size > 0) {
+    lines.push(...[...imports].sort().map(name => `import ${name};`));
+    lines.push('');
+  }
+  lines.push(`public final class ${className} {`);
+  lines.push('');
+  lines.push(`    private ${className}() {`);
+  lines.push('    }');
+  lines.push('');
+  lines.push('    /**');
+  lines.push('     * Case data for evaluating the decision requirements graph.');
+  caseFields.forEach(field => {
+    lines.push(`     * @param ${caseMembers.get(field.variable)} ${escapeComment(field.description || field.variable)}`);
+  });
+  lines.push('     */');
+  const caseParams = caseFields.map(field => `${JAVA_TYPES[field.type]} ${caseMembers.get(field.variable)}`);
+  lines.push(`    public record CaseData(${caseParams.join(', ')}) {`);
+  lines.push('    }');
+
+  classes.forEach(decisionClass => {
+    lines.push('');
+    lines.push(...decisionClass);
+  });
+
+  lines.push('}');
+
+  return lines.join('\n') + '\n';
+}
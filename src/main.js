@@ -2,10 +2,26 @@
  * Main UI orchestration
  */
 
-import { validateFile } from './validator.js';
+import { validateFile, validateDecisionGraph, validateCategories, validateMetadata } from './validator.js';
 import { parseDMN } from './dmn-parser.js';
+import { DEFAULT_PROFILE, parseProfile } from './mapping-profile.js';
+import { DEFAULT_LANGUAGE, OUTPUT_LANGUAGES } from './i18n.js';
 import { generateWordDocument, downloadDocument } from './word-generator.js';
-import { generateMarkdownDocument, downloadMarkdown } from './markdown-generator.js';
+import { generatePdfDocument } from './pdf-generator.js';
+import { generateHtmlDocument, downloadHtml } from './html-generator.js';
+import { generateMarkdownDocument, generateExplanationMarkdown, downloadMarkdown } from './markdown-generator.js';
+import { serializeDMN, downloadDmn } from './dmn-writer.js';
+import { generateCSharpCode } from './csharp-generator.js';
+import { generateJavaCode, getJavaClassName } from './java-generator.js';
+import { downloadCode } from './code-generation.js';
+import { generateTestCases, testCasesToJson, testCasesToCsv, downloadTestCases } from './test-vectors.js';
+import { generateDiagramSvg, downloadSvg, rasterizeSvg } from './drg-diagram.js';
+import { getCaseInputs, evaluateDecisionGraph, getDecisionLabel } from './decision-engine.js';
+import { explainEvaluation } from './explanation.js';
+import { renderCaseForm, readCaseForm, renderClassification, renderLineListSummary } from './case-classifier.js';
+import { parseCsv, classifyLineList, lineListToCsv, downloadLineList } from './batch-classification.js';
+import { analyzeCompleteness, analyzeRuleConsistency, analyzeSimplification } from './table-analysis.js';
+import { renderCompletenessReport, renderSimplificationReport } from './analysis-view.js';
 
 // DOM elements
 const uploadArea = document.getElementById('uploadArea');
@@ -14,14 +30,53 @@ const statusArea = document.getElementById('statusArea');
 const statusIcon = document.getElementById('statusIcon');
 const statusMessage = document.getElementById('statusMessage');
 const actionButtons = document.getElementById('actionButtons');
+const languageSelect = document.getElementById('languageSelect');
 const downloadWordBtn = document.getElementById('downloadWordBtn');
+const downloadPdfBtn = document.getElementById('downloadPdfBtn');
+const downloadHtmlBtn = document.getElementById('downloadHtmlBtn');
 const downloadMarkdownBtn = document.getElementById('downloadMarkdownBtn');
+const downloadDmnBtn = document.getElementById('downloadDmnBtn');
 const downloadCSharpBtn = document.getElementById('downloadCSharpBtn');
 const downloadJavaBtn = document.getElementById('downloadJavaBtn');
+const downloadTestsJsonBtn = document.getElementById('downloadTestsJsonBtn');
+const downloadTestsCsvBtn = document.getElementById('downloadTestsCsvBtn');
+const previewPanel = document.getElementById('previewPanel');
+const previewFrame = document.getElementById('previewFrame');
+const diagramPanel = document.getElementById('diagramPanel');
+const diagramView = document.getElementById('diagramView');
+const downloadSvgBtn = document.getElementById('downloadSvgBtn');
+const profileName = document.getElementById('profileName');
+const profileBtn = document.getElementById('profileBtn');
+const resetProfileBtn = document.getElementById('resetProfileBtn');
+const profileInput = document.getElementById('profileInput');
+const includeAppendixCheckbox = document.getElementById('includeAppendixCheckbox');
+const analysisPanel = document.getElementById('analysisPanel');
+const analysisReport = document.getElementById('analysisReport');
+const simplificationReport = document.getElementById('simplificationReport');
+const includeGapsCheckbox = document.getElementById('includeGapsCheckbox');
+const includeSimplificationCheckbox = document.getElementById('includeSimplificationCheckbox');
+const classifierPanel = document.getElementById('classifierPanel');
+const caseForm = document.getElementById('caseForm');
+const classificationResult = document.getElementById('classificationResult');
+const downloadExplanationBtn = document.getElementById('downloadExplanationBtn');
+const lineListBtn = document.getElementById('lineListBtn');
+const lineListInput = document.getElementById('lineListInput');
+const downloadLineListBtn = document.getElementById('downloadLineListBtn');
+const lineListResult = document.getElementById('lineListResult');
+
+// Maximum number of warning lines in the status area
+const MAX_WARNINGS = 10;
 
 // Global state to store parsed data
 let currentDmnData = null;
 let currentFilename = '';
+let currentCaseInputs = [];
+let currentLineList = null;
+let currentExplanation = null;
+let currentDiagramSvg = '';
+let currentFile = null;
+let currentDoc = null;
+let currentProfile = DEFAULT_PROFILE;
 
 // SVG icons
 const successIcon = `
@@ -53,12 +108,24 @@ const spinnerIcon = `<div class="spinner"></div>`;
  * Shows status message
  * @param {string} message - Message to display
  * @param {string} type - Type: 'success', 'error', 'info', 'warning'
+ * @param {Array<string>} [details] - Additional lines listed below the message
  */
-function showStatus(message, type = 'info') {
+function showStatus(message, type = 'info', details = []) {
   statusArea.style.display = 'block';
   statusArea.className = `status-area ${type}`;
   statusMessage.textContent = message;
 
+  if (details.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'status-details';
+    details.forEach(detail => {
+      const item = document.createElement('li');
+      item.textContent = detail;
+      list.appendChild(item);
+    });
+    statusMessage.appendChild(list);
+  }
+
   // Set appropriate icon
   switch (type) {
     case 'success':
@@ -89,13 +156,27 @@ function hideStatus() {
  */
 async function processFile(file) {
   console.log('Processing file:', file.name);
+  currentFile = file;
+  // Drop the previous model, so that nothing of it is shown or exported if this file fails
+  currentDmnData = null;
+  currentDoc = null;
+  currentFilename = '';
 
   try {
     // Disable buttons during processing
     downloadWordBtn.disabled = true;
+    downloadPdfBtn.disabled = true;
+    downloadHtmlBtn.disabled = true;
     downloadMarkdownBtn.disabled = true;
+    downloadDmnBtn.disabled = true;
     downloadCSharpBtn.disabled = true;
     downloadJavaBtn.disabled = true;
+    downloadTestsJsonBtn.disabled = true;
+    downloadTestsCsvBtn.disabled = true;
+    hidePreview();
+    hideDiagram();
+    analysisPanel.hidden = true;
+    hideClassifier();
 
     // Show validation status
     showStatus('Validating file...', 'loading');
@@ -115,29 +196,360 @@ async function processFile(file) {
     showStatus('Parsing DMN structure...', 'loading');
 
     // Parse DMN
-    const dmnData = parseDMN(validation.doc);
+    const dmnData = parseDMN(validation.doc, currentProfile);
     console.log('Parsed DMN data:', dmnData);
 
+    // Check the decision requirements graph before anything is exported
+    const graphValidation = validateDecisionGraph(dmnData);
+    if (!graphValidation.valid) {
+      showStatus(
+        'Validation failed: the decision requirements graph is inconsistent',
+        'error',
+        limitDetails(graphValidation.errors.map(error => error.message))
+      );
+      console.error('Decision graph errors:', graphValidation.errors);
+      return;
+    }
+
+    const categoryValidation = validateCategories(dmnData);
+    if (!categoryValidation.valid) {
+      showStatus(
+        'Validation failed: the case categories are inconsistent',
+        'error',
+        limitDetails(categoryValidation.errors.map(error => error.message))
+      );
+      console.error('Category errors:', categoryValidation.errors);
+      return;
+    }
+
     // Store parsed data and filename
     currentDmnData = dmnData;
+    currentDoc = validation.doc;
     currentFilename = file.name.replace(/\.(dmn|xml)$/i, '');
 
+    showDiagram(dmnData);
+    showPreview();
+
+    // Check the decision tables for uncovered input combinations
+    const analyses = analyzeCompleteness(dmnData);
+    renderCompletenessReport(analysisReport, analyses);
+    renderSimplificationReport(simplificationReport, analyzeSimplification(dmnData));
+    analysisPanel.hidden = analyses.length === 0;
+
     // Show success and enable buttons
-    showStatus('File processed successfully. Choose download format:', 'success');
+    const structureWarnings = [
+      ...dmnData.warnings,
+      ...validateMetadata(dmnData.metadata),
+      ...graphValidation.warnings,
+      ...categoryValidation.warnings
+    ];
+    const warnings = collectWarnings(structureWarnings, analyses, analyzeRuleConsistency(dmnData));
+    if (warnings.length > 0) {
+      showStatus(`DMN ${dmnData.dmnVersion} file processed with warnings. Choose download format:`, 'warning', warnings);
+    } else {
+      showStatus(`DMN ${dmnData.dmnVersion} file processed successfully. Choose download format:`, 'success');
+    }
     downloadWordBtn.disabled = false;
+    downloadPdfBtn.disabled = false;
+    downloadHtmlBtn.disabled = false;
     downloadMarkdownBtn.disabled = false;
+    downloadDmnBtn.disabled = false;
     downloadCSharpBtn.disabled = false;
     downloadJavaBtn.disabled = false;
+    downloadTestsJsonBtn.disabled = false;
+    downloadTestsCsvBtn.disabled = false;
+    showClassifier(dmnData);
     console.log('Document parsed successfully');
 
   } catch (error) {
     console.error('Processing error:', error);
     showStatus(`Error: ${error.message}`, 'error');
     downloadWordBtn.disabled = true;
+    downloadPdfBtn.disabled = true;
+    downloadHtmlBtn.disabled = true;
     downloadMarkdownBtn.disabled = true;
+    downloadDmnBtn.disabled = true;
     downloadCSharpBtn.disabled = true;
     downloadJavaBtn.disabled = true;
+    downloadTestsJsonBtn.disabled = true;
+    downloadTestsCsvBtn.disabled = true;
+    hidePreview();
+    hideDiagram();
+    analysisPanel.hidden = true;
+    hideClassifier();
+  }
+}
+
+/**
+ * Shortens a list of status details to at most MAX_WARNINGS lines
+ * @param {Array<string>} details - Detail lines
+ * @returns {Array<string>} The lines, the last one summarizing the rest if shortened
+ */
+function limitDetails(details) {
+  if (details.length > MAX_WARNINGS) {
+    const hidden = details.length - MAX_WARNINGS + 1;
+    return [...details.slice(0, MAX_WARNINGS - 1), `... and ${hidden} more`];
+  }
+  return details;
+}
+
+/**
+ * Builds the warnings shown after parsing from the parser, the structural
+ * validation and the table analyses
+ * @param {Array} structure - Warnings of parseDMN, validateMetadata,
+ *   validateDecisionGraph and validateCategories
+ * @param {Array} completeness - Result of analyzeCompleteness
+ * @param {Array} consistency - Result of analyzeRuleConsistency
+ * @returns {Array<string>} Warning lines, at most MAX_WARNINGS
+ */
+function collectWarnings(structure, completeness, consistency) {
+  const warnings = structure.map(warning => warning.message);
+
+  completeness.forEach(({ decision, gaps, truncated, unknownGaps, unknownTruncated }) => {
+    if (gaps.length > 0) {
+      const count = `${gaps.length}${truncated ? '+' : ''}`;
+      warnings.push(`${getDecisionLabel(decision)}: ${count} uncovered input combination(s), see the table analysis`);
+    }
+    if (unknownGaps.length > 0) {
+      const count = `${unknownGaps.length}${unknownTruncated ? '+' : ''}`;
+      warnings.push(`${getDecisionLabel(decision)}: ${count} input combination(s) with unknown inputs uncovered, see the table analysis`);
+    }
+  });
+  consistency.forEach(({ decision, issues, error }) => {
+    issues.forEach(issue => warnings.push(`${getDecisionLabel(decision)}: ${issue.message}`));
+    if (error) {
+      warnings.push(`${getDecisionLabel(decision)}: not analysed (${error})`);
+    }
+  });
+
+  return limitDetails(warnings);
+}
+
+/**
+ * Draws the decision requirements diagram of the model
+ * @param {Object} dmnData - Parsed DMN data
+ */
+function showDiagram(dmnData) {
+  currentDiagramSvg = generateDiagramSvg(dmnData);
+  diagramView.innerHTML = currentDiagramSvg;
+  diagramPanel.hidden = false;
+}
+
+/**
+ * Hides the decision requirements diagram
+ */
+function hideDiagram() {
+  diagramPanel.hidden = true;
+  diagramView.replaceChildren();
+  currentDiagramSvg = '';
+}
+
+/**
+ * Handles diagram download
+ */
+function handleDiagramDownload() {
+  if (!currentDiagramSvg) return;
+
+  try {
+    const filename = `${currentFilename}_drg.svg`;
+
+    downloadSvg(currentDiagramSvg, filename);
+
+    showStatus(`Successfully generated ${filename}`, 'success');
+
+  } catch (error) {
+    console.error('Diagram export error:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Shows the case classifier with a form for the inputs of the model
+ * @param {Object} dmnData - Parsed DMN data
+ */
+function showClassifier(dmnData) {
+  currentCaseInputs = getCaseInputs(dmnData);
+  if (currentCaseInputs.length === 0 || !(dmnData.allDecisions || []).some(d => d.decisionTable)) {
+    return;
+  }
+
+  renderCaseForm(caseForm, currentCaseInputs);
+  classificationResult.hidden = true;
+  classifierPanel.hidden = false;
+}
+
+/**
+ * Hides the case classifier and clears previous results
+ */
+function hideClassifier() {
+  classifierPanel.hidden = true;
+  classificationResult.hidden = true;
+  classificationResult.replaceChildren();
+  downloadExplanationBtn.hidden = true;
+  currentCaseInputs = [];
+  currentExplanation = null;
+  clearLineList();
+}
+
+/**
+ * Discards a classified line list and its summary
+ */
+function clearLineList() {
+  currentLineList = null;
+  downloadLineListBtn.disabled = true;
+  lineListResult.hidden = true;
+  lineListResult.replaceChildren();
+  lineListInput.value = '';
+}
+
+/**
+ * Classifies the case entered in the classifier form
+ * @param {Event} event - Submit event
+ */
+function handleClassify(event) {
+  event.preventDefault();
+  if (!currentDmnData) return;
+
+  try {
+    const values = readCaseForm(caseForm, currentCaseInputs);
+    const evaluation = evaluateDecisionGraph(currentDmnData, values);
+    currentExplanation = explainEvaluation(currentDmnData, evaluation);
+
+    renderClassification(classificationResult, evaluation, currentExplanation);
+    classificationResult.hidden = false;
+    downloadExplanationBtn.hidden = false;
+
+  } catch (error) {
+    console.error('Classification error:', error);
+    classificationResult.hidden = true;
+    downloadExplanationBtn.hidden = true;
+    currentExplanation = null;
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handles download of the explanation of the last classified case
+ */
+function handleExplanationDownload() {
+  if (!currentDmnData || !currentExplanation) return;
+
+  try {
+    const markdown = generateExplanationMarkdown(currentDmnData, currentExplanation);
+    const filename = `${currentFilename}_begruendung.md`;
+
+    downloadMarkdown(markdown, filename);
+
+    showStatus(`Successfully generated ${filename}`, 'success');
+
+  } catch (error) {
+    console.error('Explanation export error:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Classifies every case of an uploaded CSV line list
+ * @param {File} file - The CSV file
+ */
+async function processLineList(file) {
+  if (!currentDmnData) return;
+
+  clearLineList();
+
+  try {
+    showStatus('Classifying line list...', 'loading');
+
+    const table = parseCsv(await file.text());
+    const classification = classifyLineList(currentDmnData, table);
+    currentLineList = {
+      filename: file.name.replace(/\.(csv|txt)$/i, ''),
+      table,
+      classification
+    };
+
+    renderLineListSummary(lineListResult, classification);
+    lineListResult.hidden = false;
+    downloadLineListBtn.disabled = false;
+
+    if (classification.errors > 0) {
+      showStatus(`Classified ${table.rows.length} case(s), ${classification.errors} with errors`, 'warning');
+    } else {
+      showStatus(`Classified ${table.rows.length} case(s)`, 'success');
+    }
+
+  } catch (error) {
+    console.error('Line list error:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handles download of the classified line list
+ */
+function handleLineListDownload() {
+  if (!currentLineList) return;
+
+  try {
+    const { filename, table, classification } = currentLineList;
+    const outputFilename = `${filename}_classified.csv`;
+
+    downloadLineList(lineListToCsv(table, classification), outputFilename);
+
+    showStatus(`Successfully generated ${outputFilename}`, 'success');
+
+  } catch (error) {
+    console.error('Line list export error:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Returns the diagram of the model in the document language as SVG
+ * @param {Object} dmnData - Model in the document language
+ * @returns {string} SVG markup, empty if no diagram is shown
+ */
+function getDiagramSvg(dmnData) {
+  if (!currentDiagramSvg) return '';
+  return dmnData === currentDmnData ? currentDiagramSvg : generateDiagramSvg(dmnData);
+}
+
+/**
+ * Renders the diagram as PNG for the Word appendix
+ * The appendix keeps the decision tables if the browser cannot rasterize
+ * the SVG.
+ * @param {Object} dmnData - Model in the document language
+ * @returns {Promise<Object|null>} Result of rasterizeSvg
+ */
+async function renderDiagramImage(dmnData) {
+  if (!currentDiagramSvg) return null;
+
+  try {
+    return await rasterizeSvg(getDiagramSvg(dmnData));
+  } catch (error) {
+    console.warn('Diagram not embedded:', error);
+    return null;
+  }
+}
+
+/**
+ * Returns the model in the selected document language
+ * Other languages than German are parsed again from the uploaded file.
+ * @returns {Object} Parsed DMN data
+ */
+function getDocumentData() {
+  const language = languageSelect.value || DEFAULT_LANGUAGE;
+  if (language === currentDmnData.language) {
+    return currentDmnData;
   }
+  return parseDMN(currentDoc, currentProfile, language);
+}
+
+/**
+ * Returns the file name suffix of the document language ("_en"), empty for German
+ */
+function getLanguageSuffix(dmnData) {
+  return dmnData.language === DEFAULT_LANGUAGE ? '' : `_${dmnData.language}`;
 }
 
 /**
@@ -149,8 +561,11 @@ async function handleWordDownload() {
   try {
     showStatus('Generating Word document...', 'loading');
 
-    const blob = await generateWordDocument(currentDmnData);
-    const filename = `${currentFilename}.docx`;
+    const dmnData = getDocumentData();
+    const includeAppendix = includeAppendixCheckbox.checked;
+    const diagramImage = includeAppendix ? await renderDiagramImage(dmnData) : null;
+    const blob = await generateWordDocument(dmnData, { includeAppendix, diagramImage });
+    const filename = `${currentFilename}${getLanguageSuffix(dmnData)}.docx`;
 
     downloadDocument(blob, filename);
 
@@ -162,6 +577,86 @@ async function handleWordDownload() {
   }
 }
 
+/**
+ * Handles PDF document download
+ * The PDF leaves out the appendix, so includeAppendixCheckbox does not apply.
+ */
+async function handlePdfDownload() {
+  if (!currentDmnData) return;
+
+  try {
+    showStatus('Generating PDF document...', 'loading');
+
+    const dmnData = getDocumentData();
+    const blob = await generatePdfDocument(dmnData);
+    const filename = `${currentFilename}${getLanguageSuffix(dmnData)}.pdf`;
+
+    downloadDocument(blob, filename);
+
+    showStatus(`Successfully generated ${filename}`, 'success');
+
+  } catch (error) {
+    console.error('PDF generation error:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Returns the HTML document of a model, with the appendix if it is chosen
+ * @param {Object} dmnData - Model in the document language
+ * @returns {string} HTML document
+ */
+function getHtmlDocument(dmnData) {
+  const includeAppendix = includeAppendixCheckbox.checked;
+  return generateHtmlDocument(dmnData, { includeAppendix, diagramSvg: includeAppendix ? getDiagramSvg(dmnData) : '' });
+}
+
+/**
+ * Shows the generated document in the selected language as preview
+ */
+function showPreview() {
+  if (!currentDmnData) return;
+
+  try {
+    previewFrame.srcdoc = getHtmlDocument(getDocumentData());
+    previewPanel.hidden = false;
+  } catch (error) {
+    console.error('Preview error:', error);
+    hidePreview();
+  }
+}
+
+/**
+ * Hides the document preview
+ */
+function hidePreview() {
+  previewPanel.hidden = true;
+  previewFrame.srcdoc = '';
+}
+
+/**
+ * Handles HTML document download
+ */
+function handleHtmlDownload() {
+  if (!currentDmnData) return;
+
+  try {
+    showStatus('Generating HTML document...', 'loading');
+
+    const dmnData = getDocumentData();
+    const html = getHtmlDocument(dmnData);
+    const filename = `${currentFilename}${getLanguageSuffix(dmnData)}.html`;
+
+    downloadHtml(html, filename);
+
+    showStatus(`Successfully generated ${filename}`, 'success');
+
+  } catch (error) {
+    console.error('HTML generation error:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
 /**
  * Handles Markdown document download
  */
@@ -171,8 +666,12 @@ function handleMarkdownDownload() {
   try {
     showStatus('Generating Markdown document...', 'loading');
 
-    const markdown = generateMarkdownDocument(currentDmnData);
-    const filename = `${currentFilename}_tables.md`;
+    const dmnData = getDocumentData();
+    const markdown = generateMarkdownDocument(dmnData, {
+      includeGaps: includeGapsCheckbox.checked,
+      includeSimplification: includeSimplificationCheckbox.checked
+    });
+    const filename = `${currentFilename}_tables${getLanguageSuffix(dmnData)}.md`;
 
     downloadMarkdown(markdown, filename);
 
@@ -185,17 +684,106 @@ function handleMarkdownDownload() {
 }
 
 /**
- * Handles C# code download (not implemented yet)
+ * Handles download of the model as DMN 1.3
+ */
+function handleDmnDownload() {
+  if (!currentDmnData) return;
+
+  try {
+    showStatus('Generating DMN 1.3 file...', 'loading');
+
+    const xml = serializeDMN(currentDmnData);
+    const filename = `${currentFilename}_dmn13.dmn`;
+
+    downloadDmn(xml, filename);
+
+    showStatus(`Successfully generated ${filename}`, 'success');
+
+  } catch (error) {
+    console.error('DMN generation error:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handles C# code download
  */
 function handleCSharpDownload() {
-  alert('Not implemented yet');
+  if (!currentDmnData) return;
+
+  try {
+    showStatus('Generating C# code...', 'loading');
+
+    const code = generateCSharpCode(currentDmnData);
+    const filename = `${currentFilename}.cs`;
+
+    downloadCode(code, filename);
+
+    showStatus(`Successfully generated ${filename}`, 'success');
+
+  } catch (error) {
+    console.error('C# generation error:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
 }
 
 /**
- * Handles Java code download (not implemented yet)
+ * Handles Java code download
  */
 function handleJavaDownload() {
-  alert('Not implemented yet');
+  if (!currentDmnData) return;
+
+  try {
+    showStatus('Generating Java code...', 'loading');
+
+    const code = generateJavaCode(currentDmnData);
+    // Java requires the file name to match the public class
+    const filename = `${getJavaClassName(currentDmnData)}.java`;
+
+    downloadCode(code, filename);
+
+    showStatus(`Successfully generated ${filename}`, 'success');
+
+  } catch (error) {
+    console.error('Java generation error:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Handles test case download
+ * @param {string} format - 'json' or 'csv'
+ */
+function handleTestCasesDownload(format) {
+  if (!currentDmnData) return;
+
+  try {
+    showStatus('Generating test cases...', 'loading');
+
+    const testCases = generateTestCases(currentDmnData);
+    const filename = `${currentFilename}_testcases.${format}`;
+
+    if (format === 'csv') {
+      downloadTestCases(testCasesToCsv(testCases), filename, 'text/csv');
+    } else {
+      downloadTestCases(testCasesToJson(testCases), filename, 'application/json');
+    }
+
+    const failed = testCases.decisions.filter(decision => decision.error);
+    if (failed.length > 0) {
+      showStatus(
+        `Generated ${filename} without cases for ${failed.length} decision table(s):`,
+        'warning',
+        failed.map(decision => `${decision.name}: ${decision.error}`)
+      );
+    } else {
+      showStatus(`Successfully generated ${filename}`, 'success');
+    }
+
+  } catch (error) {
+    console.error('Test case generation error:', error);
+    showStatus(`Error: ${error.message}`, 'error');
+  }
 }
 
 /**
@@ -210,6 +798,41 @@ function handleFileSelect(file) {
   processFile(file);
 }
 
+/**
+ * Switches the mapping profile and parses the current file again
+ * @param {Object} profile - Validated mapping profile
+ * @param {boolean} isDefault - Whether it is the bundled profile
+ */
+function applyProfile(profile, isDefault) {
+  currentProfile = profile;
+  profileName.textContent = `Mapping profile: ${profile.name}${isDefault ? ' (default)' : ''}`;
+  resetProfileBtn.hidden = isDefault;
+
+  if (currentFile) {
+    processFile(currentFile);
+  } else {
+    showStatus(`Mapping profile "${profile.name}" loaded`, 'success');
+  }
+}
+
+/**
+ * Loads a mapping profile from a JSON file
+ * @param {File} file - The uploaded profile
+ */
+async function processProfile(file) {
+  try {
+    applyProfile(parseProfile(await file.text()), false);
+  } catch (error) {
+    console.error('Mapping profile error:', error);
+    showStatus(`Error: ${error.message}`, 'error', limitDetails(error.errors || []));
+  }
+}
+
+// Output languages
+Object.entries(OUTPUT_LANGUAGES).forEach(([code, name]) => {
+  languageSelect.append(new Option(name, code, code === DEFAULT_LANGUAGE, code === DEFAULT_LANGUAGE));
+});
+
 // Event listeners
 uploadArea.addEventListener('click', () => {
   fileInput.click();
@@ -241,9 +864,40 @@ uploadArea.addEventListener('drop', (e) => {
 
 // Action button listeners
 downloadWordBtn.addEventListener('click', handleWordDownload);
+downloadPdfBtn.addEventListener('click', handlePdfDownload);
+downloadHtmlBtn.addEventListener('click', handleHtmlDownload);
+languageSelect.addEventListener('change', showPreview);
+includeAppendixCheckbox.addEventListener('change', showPreview);
 downloadMarkdownBtn.addEventListener('click', handleMarkdownDownload);
+downloadDmnBtn.addEventListener('click', handleDmnDownload);
 downloadCSharpBtn.addEventListener('click', handleCSharpDownload);
 downloadJavaBtn.addEventListener('click', handleJavaDownload);
+downloadTestsJsonBtn.addEventListener('click', () => handleTestCasesDownload('json'));
+downloadTestsCsvBtn.addEventListener('click', () => handleTestCasesDownload('csv'));
+downloadSvgBtn.addEventListener('click', handleDiagramDownload);
+caseForm.addEventListener('submit', handleClassify);
+downloadExplanationBtn.addEventListener('click', handleExplanationDownload);
+lineListBtn.addEventListener('click', () => {
+  lineListInput.click();
+});
+lineListInput.addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (file) {
+    processLineList(file);
+  }
+});
+downloadLineListBtn.addEventListener('click', handleLineListDownload);
+profileBtn.addEventListener('click', () => {
+  profileInput.click();
+});
+profileInput.addEventListener('change', (e) => {
+  const file = e.target.files[0];
+  if (file) {
+    processProfile(file);
+  }
+  profileInput.value = '';
+});
+resetProfileBtn.addEventListener('click', () => applyProfile(DEFAULT_PROFILE, true));
 
 // Prevent default drag and drop behavior on the whole page
 document.addEventListener('dragover', (e) => {
@@ -0,0 +1,245 @@
+/**
+ * Mapping profiles: which decision or inputData feeds each document section
+ *
+ * A profile lists the sections of the generated document in order. Every
+ * section names its sources, tried one after the other: a decision (by name
+ * or id, "*" matches any text) whose required inputData are phrased as
+ * criteria or whose documentation is taken as is, or an inputData element
+ * carrying the text in its documentation. The "categories" section names
+ * the classification decision and the output column holding the category;
+ * "group" sections hold subsections. Titles and labels are a text or texts
+ * by output language ({"de": "Klinisches Bild", "en": "Clinical picture"}).
+ *
+ * The RKI Falldefinition layout is bundled as default profile, other
+ * layouts are loaded as JSON.
+ */
+
+import DEFAULT_PROFILE_JSON from './profiles/rki-falldefinition.json';
+import { DEFAULT_SECTION_TEMPLATES } from './section-text.js';
+
+export const SECTION_STYLES = ['heading', 'subheading', 'categories', 'group'];
+export const SOURCE_TEXTS = ['criteria', 'documentation'];
+
+// Properties parseDMN writes next to the sections, which sections must not overwrite
+export const RESERVED_KEYS = [
+  'definitions', 'metadata', 'fallkategorien', 'allDecisions', 'inputData', 'dmnVersion', 'language', 'dmndi', 'profile',
+  'sectionNames', 'categoryOutput', 'categoryDefinitions', 'textTemplates', 'translations', 'knowledgeSources',
+  'businessKnowledgeModels', 'textAnnotations', 'associations', 'warnings'
+];
+
+/**
+ * Custom error class for invalid mapping profiles
+ */
+export class ProfileError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ProfileError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks that a value is a text, or texts by language ({"de": "…", "en": "…"})
+ */
+function isLocalizedText(value) {
+  if (typeof value === 'string') {
+    return value.trim() !== '';
+  }
+  return !!value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0
+    && Object.values(value).every(text => typeof text === 'string' && text.trim() !== '');
+}
+
+/**
+ * Checks that a value is a non-empty list of non-empty strings
+ */
+function isNameList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(name => typeof name === 'string' && name.trim() !== '');
+}
+
+/**
+ * Collects the problems of one source of a section
+ */
+function validateSource(source, path, errors) {
+  if (!source || typeof source !== 'object') {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  if (source.decision === undefined && source.inputData === undefined) {
+    errors.push(`${path}: needs "decision" or "inputData"`);
+  }
+  if (source.decision !== undefined && source.inputData !== undefined) {
+    errors.push(`${path}: "decision" and "inputData" exclude each other`);
+  }
+  if (source.inputData !== undefined && (typeof source.inputData !== 'string' || !source.inputData.trim())) {
+    errors.push(`${path}.inputData: must be a name`);
+  }
+  if (source.decision !== undefined) {
+    if (!isNameList(source.decision)) {
+      errors.push(`${path}.decision: must be a list of decision names or ids`);
+    }
+    if (!SOURCE_TEXTS.includes(source.text || 'documentation')) {
+      errors.push(`${path}.text: must be one of ${SOURCE_TEXTS.join(', ')}`);
+    }
+    if (source.text === 'criteria' && !DEFAULT_SECTION_TEMPLATES[source.template]) {
+      errors.push(`${path}.template: must be one of ${Object.keys(DEFAULT_SECTION_TEMPLATES).join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Collects the problems of a list of sections
+ */
+function validateSections(sections, path, errors, nested) {
+  if (!Array.isArray(sections) || sections.length === 0) {
+    errors.push(`${path}: must be a non-empty list`);
+    return;
+  }
+
+  const keys = new Set();
+  sections.forEach((section, index) => {
+    const at = `${path}[${index}]`;
+    if (!section || typeof section !== 'object') {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (!SECTION_STYLES.includes(section.style)) {
+      errors.push(`${at}.style: must be one of ${SECTION_STYLES.join(', ')}`);
+      return;
+    }
+    if (!isLocalizedText(section.title)) {
+      errors.push(`${at}.title: must be a text or texts by language`);
+    }
+
+    if (section.style === 'categories') {
+      if (nested) {
+        errors.push(`${at}: categories cannot be part of a group`);
+      }
+      if (!isNameList(section.decision)) {
+        errors.push(`${at}.decision: must be a list of decision names or ids`);
+      }
+      if (section.categoryOutput !== undefined && typeof section.categoryOutput !== 'string') {
+        errors.push(`${at}.categoryOutput: must be an output name or label`);
+      }
+      return;
+    }
+
+    if (typeof section.key !== 'string' || !/^[A-Za-z_]\w*$/.test(section.key)) {
+      errors.push(`${at}.key: must be an identifier`);
+    } else if (RESERVED_KEYS.includes(section.key)) {
+      errors.push(`${at}.key: "${section.key}" is reserved`);
+    } else if (keys.has(section.key)) {
+      errors.push(`${at}.key: "${section.key}" is used twice`);
+    }
+    keys.add(section.key);
+
+    if (section.style === 'group') {
+      if (nested) {
+        errors.push(`${at}: groups cannot be nested`);
+      } else {
+        validateSections(section.sections, `${at}.sections`, errors, true);
+      }
+      return;
+    }
+
+    if (!Array.isArray(section.sources) || section.sources.length === 0) {
+      errors.push(`${at}.sources: must be a non-empty list`);
+    } else {
+      section.sources.forEach((source, i) => validateSource(source, `${at}.sources[${i}]`, errors));
+    }
+    if (section.metadata !== undefined
+      && (typeof section.metadata?.field !== 'string' || !isLocalizedText(section.metadata?.documentationContains)
+        || (section.metadata.label !== undefined && !isLocalizedText(section.metadata.label)))) {
+      errors.push(`${at}.metadata: needs "field" and "documentationContains"`);
+    }
+  });
+}
+
+/**
+ * Validates a mapping profile
+ * @param {Object} profile - Profile object
+ * @returns {Object} The profile
+ * @throws {ProfileError} Listing every problem with its path, e.g.
+ *   "sections[2].sources[0]: needs "decision" or "inputData""
+ */
+export function validateProfile(profile) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new ProfileError('The mapping profile must be a JSON object', ['profile: must be an object']);
+  }
+  if (typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push('name: must be a text');
+  }
+  validateSections(profile.sections, 'sections', errors, false);
+  if (Array.isArray(profile.sections) && profile.sections.filter(section => section?.style === 'categories').length > 1) {
+    errors.push('sections: only one section can hold the categories');
+  }
+
+  if (errors.length > 0) {
+    throw new ProfileError(`Invalid mapping profile: ${errors[0]}`, errors);
+  }
+  return profile;
+}
+
+/**
+ * Parses and validates a mapping profile from JSON text
+ * @param {string} text - JSON content
+ * @returns {Object} Profile
+ * @throws {ProfileError} If the text is no JSON or no valid profile
+ */
+export function parseProfile(text) {
+  let profile;
+  try {
+    profile = JSON.parse(text);
+  } catch (error) {
+    throw new ProfileError(`The mapping profile is not valid JSON: ${error.message}`, [error.message]);
+  }
+  return validateProfile(profile);
+}
+
+// The bundled RKI Falldefinition profile
+export const DEFAULT_PROFILE = validateProfile(DEFAULT_PROFILE_JSON);
+
+/**
+ * Checks whether a decision or inputData element matches one of the names
+ * Names are compared with the name and the id; "*" matches any text.
+ * @param {Array<string>} names - Names or ids from the profile
+ * @param {{id: string, name: string}} element - Parsed element
+ * @returns {boolean}
+ */
+export function matchesElement(names, element) {
+  return names.some(pattern => {
+    const expression = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+    return expression.test(element.name || '') || expression.test(element.id || '');
+  });
+}
+
+/**
+ * Lists the sections of a profile with their subsections flattened
+ * @param {Object} profile - Mapping profile
+ * @returns {Array<{section: Object, path: Array<string>}>} Every heading or
+ *   subheading section with the property path of its content in the
+ *   parsed model (e.g. ['gesetzlicheGrundlage', 'meldepflicht'])
+ */
+export function getContentSections(profile) {
+  return profile.sections.flatMap(section => {
+    if (section.style === 'group') {
+      return section.sections
+        .filter(child => child.style !== 'group')
+        .map(child => ({ section: child, path: [section.key, child.key] }));
+    }
+    return section.style === 'categories' ? [] : [{ section, path: [section.key] }];
+  });
+}
+
+/**
+ * Returns the names of the inputData elements that carry section text
+ * instead of case values
+ * @param {Object} profile - Mapping profile
+ * @returns {Array<string>}
+ */
+export function getSectionInputNames(profile) {
+  return getContentSections(profile)
+    .flatMap(({ section }) => section.sources)
+    .filter(source => source.inputData)
+    .map(source => source.inputData);
+}
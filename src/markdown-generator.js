@@ -2,6 +2,14 @@
  * Markdown generation utilities for DMN decision tables
  */
 
+import { getHitPolicyLabel, getHitPolicyAbbreviation, getDecisionLabel, orderDecisions, DecisionGraphError } from './decision-engine.js';
+import { analyzeCompleteness, analyzeSimplification } from './table-analysis.js';
+import { formatGermanValue } from './explanation.js';
+import { SECTION_NAMES } from './dmn-parser.js';
+import { getMetadataFields, getFieldLabel } from './metadata-fields.js';
+import { DEFAULT_LANGUAGE, translate, fillTemplate } from './i18n.js';
+import { downloadBlob } from './download.js';
+
 /**
  * Calculates column widths for proper alignment
  * @param {Array} headers - Column headers
@@ -37,23 +45,31 @@ function padCell(text, width) {
  * Generates markdown table from decision table
  * @param {Object} decisionTable - Decision table data
  * @param {string} decisionName - Name of the decision
+ * @param {string} language - Output language
  * @returns {string} Markdown formatted table
  */
-function generateDecisionTableMarkdown(decisionTable, decisionName) {
+function generateDecisionTableMarkdown(decisionTable, decisionName, language) {
   if (!decisionTable) {
     return '';
   }
 
-  const { inputs, outputs, rules } = decisionTable;
+  const { inputs, outputs } = decisionTable;
 
   let markdown = `## ${decisionName}\n\n`;
+  markdown += `**${translate(language, 'hitPolicy')}:** ${getHitPolicyLabel(decisionTable)}\n\n`;
 
-  // Create header row
+  // Create header row; the first column holds the hit policy and rule numbers
   const headers = [
+    getHitPolicyAbbreviation(decisionTable),
     ...inputs.map(input => input.label || input.id),
     ...outputs.map(output => output.label || output.name || output.id)
   ];
 
+  const rules = decisionTable.rules.map((rule, index) => ({
+    inputEntries: [String(index + 1), ...rule.inputEntries],
+    outputEntries: rule.outputEntries
+  }));
+
   // Calculate column widths
   const widths = calculateColumnWidths(headers, rules);
 
@@ -75,15 +91,248 @@ function generateDecisionTableMarkdown(decisionTable, decisionName) {
   return markdown;
 }
 
+/**
+ * Generates an aligned markdown table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cell texts per row
+ * @returns {string} Markdown table followed by a blank line
+ */
+function generateTableMarkdown(headers, rows) {
+  const widths = calculateColumnWidths(headers, rows.map(cells => ({ inputEntries: cells, outputEntries: [] })));
+
+  let markdown = '| ' + headers.map((h, i) => padCell(h, widths[i])).join(' | ') + ' |\n';
+  markdown += '| ' + widths.map(w => '-'.repeat(w)).join(' | ') + ' |\n';
+  rows.forEach(cells => {
+    markdown += '| ' + cells.map((c, i) => padCell(c, widths[i])).join(' | ') + ' |\n';
+  });
+
+  return markdown + '\n';
+}
+
+/**
+ * Generates the completeness report listing uncovered input combinations
+ * @param {Object} dmnData - Parsed DMN data
+ * @param {string} language - Output language
+ * @returns {string} Markdown formatted section
+ */
+function generateGapsMarkdown(dmnData, language) {
+  let markdown = `## ${translate(language, 'uncoveredCombinations')}\n\n`;
+
+  analyzeCompleteness(dmnData).forEach(({ decision, gaps, truncated, unknownGaps, unknownTruncated, error }) => {
+    const headers = decision.decisionTable.inputs.map(input => input.label || input.id);
+    markdown += `### ${getDecisionLabel(decision)}\n\n`;
+
+    if (error) {
+      markdown += `${translate(language, 'notAnalysed')}: ${error}\n\n`;
+      return;
+    }
+    if (gaps.length === 0 && unknownGaps.length === 0) {
+      markdown += `${translate(language, 'allCombinationsCovered')}\n\n`;
+      return;
+    }
+
+    if (gaps.length > 0) {
+      markdown += generateTableMarkdown(headers, gaps);
+      if (truncated) {
+        markdown += `${fillTemplate(translate(language, 'firstCombinationsListed'), { count: gaps.length })}\n\n`;
+      }
+    }
+    if (unknownGaps.length > 0) {
+      markdown += `${translate(language, 'uncoveredUnknownCombinations')}\n\n`;
+      markdown += generateTableMarkdown(headers, unknownGaps);
+      if (unknownTruncated) {
+        markdown += `${fillTemplate(translate(language, 'firstCombinationsListed'), { count: unknownGaps.length })}\n\n`;
+      }
+    }
+  });
+
+  return markdown;
+}
+
+/**
+ * Generates the simplification report with each table before and after
+ * dropping redundant rules and merging rules
+ * @param {Object} dmnData - Parsed DMN data
+ * @param {string} language - Output language
+ * @returns {string} Markdown formatted section
+ */
+function generateSimplificationMarkdown(dmnData, language) {
+  const ruleCount = count => `${count} ${translate(language, count === 1 ? 'rule' : 'rules')}`;
+  let markdown = `## ${translate(language, 'simplifications')}\n\n`;
+
+  analyzeSimplification(dmnData).forEach(({ decision, simplification, error }) => {
+    const { decisionTable } = decision;
+    markdown += `### ${getDecisionLabel(decision)}\n\n`;
+
+    if (error) {
+      markdown += `${translate(language, 'notAnalysed')}: ${error}\n\n`;
+      return;
+    }
+    if (!simplification.supported) {
+      const hitPolicy = getHitPolicyLabel(decisionTable);
+      markdown += `${fillTemplate(translate(language, 'notSimplified'), { hitPolicy })}\n\n`;
+      return;
+    }
+    if (!simplification.changed) {
+      markdown += `${translate(language, 'noSimplification')}\n\n`;
+      return;
+    }
+
+    [...simplification.removed, ...simplification.merged].forEach(change => {
+      markdown += `- ${change.message}\n`;
+    });
+    markdown += '\n';
+
+    const columns = [
+      ...decisionTable.inputs.map(input => input.label || input.id),
+      ...decisionTable.outputs.map(output => output.label || output.name || output.id)
+    ];
+    const abbreviation = getHitPolicyAbbreviation(decisionTable);
+
+    markdown += `**${translate(language, 'before')}** (${ruleCount(decisionTable.rules.length)})\n\n`;
+    markdown += generateTableMarkdown(
+      [abbreviation, ...columns],
+      decisionTable.rules.map((rule, index) => [String(index + 1), ...rule.inputEntries, ...rule.outputEntries])
+    );
+
+    markdown += `**${translate(language, 'after')}** (${ruleCount(simplification.rules.length)})\n\n`;
+    markdown += generateTableMarkdown(
+      [abbreviation, ...columns],
+      simplification.rules.map(rule => [
+        rule.sources.map(index => index + 1).join(', '),
+        ...rule.inputEntries,
+        ...rule.outputEntries
+      ])
+    );
+  });
+
+  return markdown;
+}
+
+/**
+ * Turns a DMN element id into a Mermaid node id
+ * Mermaid ids may only contain word characters and "end" is a keyword.
+ */
+function toMermaidId(id, used) {
+  let base = String(id || 'node').replace(/\W+/g, '_');
+  if (/^\d/.test(base) || base.toLowerCase() === 'end') {
+    base = `n_${base}`;
+  }
+  let mermaidId = base;
+  for (let n = 2; used.has(mermaidId); n++) {
+    mermaidId = `${base}_${n}`;
+  }
+  used.add(mermaidId);
+  return mermaidId;
+}
+
+/**
+ * Makes text safe for a quoted Mermaid label
+ */
+function escapeMermaidLabel(text) {
+  return String(text)
+    .replace(/\s+/g, ' ')
+    .replace(/"/g, '#quot;')
+    .replace(/</g, '#lt;')
+    .replace(/>/g, '#gt;');
+}
+
+/**
+ * Generates a Mermaid flowchart of the decision requirements graph
+ * Decisions are drawn as rectangles and input data as rounded shapes; the
+ * information requirements point from the required element to the
+ * decision using it. Requirements on unknown elements are left out, as is
+ * input data that only carries a document section and is not required.
+ * @param {Object} dmnData - Parsed DMN data ({allDecisions, inputData})
+ * @returns {string} Mermaid flowchart definition (without code fence)
+ */
+export function generateMermaidFlowchart(dmnData) {
+  const decisions = dmnData.allDecisions || [];
+  const required = new Set(decisions.flatMap(decision => decision.requiredInputs || []));
+  const sectionNames = dmnData.sectionNames || SECTION_NAMES;
+  const inputData = (dmnData.inputData || [])
+    .filter(input => required.has(input.id) || !sectionNames.includes(input.name));
+  const used = new Set();
+  const ids = new Map();
+
+  const lines = ['flowchart BT'];
+  inputData.forEach(input => {
+    ids.set(input.id, toMermaidId(input.id, used));
+    lines.push(`  ${ids.get(input.id)}(["${escapeMermaidLabel(input.name || input.id)}"])`);
+  });
+  decisions.forEach(decision => {
+    ids.set(decision.id, toMermaidId(decision.id, used));
+    lines.push(`  ${ids.get(decision.id)}["${escapeMermaidLabel(getDecisionLabel(decision))}"]`);
+  });
+
+  decisions.forEach(decision => {
+    [...(decision.requiredInputs || []), ...(decision.requiredDecisions || [])]
+      .filter(id => ids.has(id))
+      .forEach(id => lines.push(`  ${ids.get(id)} --> ${ids.get(decision.id)}`));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Orders decisions so that required decisions come first
+ * Cyclic models keep their document order.
+ */
+function orderForDocument(decisions) {
+  try {
+    return orderDecisions(decisions);
+  } catch (error) {
+    if (error instanceof DecisionGraphError) {
+      return decisions;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Generates the YAML front matter holding the metadata fields
+ * Valid dates are written as ISO dates, several ICD-10 codes as list; all
+ * other values are quoted strings.
+ * @param {Object} metadata - Metadata of the parsed model
+ * @returns {string} Front matter between "---" lines, empty without metadata
+ */
+export function generateFrontMatter(metadata) {
+  const fields = getMetadataFields(metadata);
+  if (fields.length === 0) {
+    return '';
+  }
+
+  const lines = fields.map(field => {
+    const key = /^[A-Za-z_][\w-]*$/.test(field.name) ? field.name : JSON.stringify(field.name);
+    let value = JSON.stringify(field.text);
+    if (field.type === 'date' && field.value) {
+      value = field.value;
+    } else if (field.type === 'icd10' && field.value) {
+      value = field.value.length === 1
+        ? JSON.stringify(field.value[0])
+        : `[${field.value.map(code => JSON.stringify(code)).join(', ')}]`;
+    }
+    return `${key}: ${value}`;
+  });
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
 /**
  * Generates markdown document from DMN data showing all decision tables
+ * The metadata opens the document as YAML front matter. A Mermaid flowchart
+ * of the decision graph precedes the tables, which are ordered so that
+ * required decisions come before the decisions using them.
  * @param {Object} dmnData - Parsed DMN data
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.includeGaps] - Append the uncovered input combinations
+ * @param {boolean} [options.includeSimplification] - Append the simplification suggestions
  * @returns {string} Markdown formatted document
  */
-export function generateMarkdownDocument(dmnData) {
+export function generateMarkdownDocument(dmnData, options = {}) {
   const { metadata, allDecisions } = dmnData;
+  const language = dmnData.language || DEFAULT_LANGUAGE;
 
-  let markdown = '';
+  let markdown = generateFrontMatter(metadata);
 
   // Title
   if (metadata.krankheit && metadata.erreger) {
@@ -91,21 +340,22 @@ export function generateMarkdownDocument(dmnData) {
   }
 
   // Metadata
-  if (metadata.stand) {
-    markdown += `**Stand:** ${metadata.stand}  \n`;
-  }
-  if (metadata.version) {
-    markdown += `**Version:** ${metadata.version}  \n`;
-  }
+  ['stand', 'version'].filter(field => metadata[field]).forEach(field => {
+    markdown += `**${getFieldLabel(field, language)}:** ${metadata[field]}  \n`;
+  });
   markdown += '\n';
 
-  // Export all decision tables
+  // Export the graph, then all decision tables with required decisions first
   if (allDecisions && allDecisions.length > 0) {
-    allDecisions.forEach(decision => {
+    markdown += `## ${translate(language, 'requirementsGraph')}\n\n`;
+    markdown += '```mermaid\n' + generateMermaidFlowchart(dmnData) + '```\n\n';
+
+    orderForDocument(allDecisions).forEach(decision => {
       if (decision.decisionTable) {
         markdown += generateDecisionTableMarkdown(
           decision.decisionTable,
-          decision.label || decision.name || 'Decision'
+          getDecisionLabel(decision),
+          language
         );
       }
     });
@@ -115,11 +365,72 @@ export function generateMarkdownDocument(dmnData) {
     if (fallkategorien && fallkategorien.decisionTable) {
       markdown += generateDecisionTableMarkdown(
         fallkategorien.decisionTable,
-        fallkategorien.label || fallkategorien.name || 'Fallklassifikation'
+        getDecisionLabel(fallkategorien) || 'Fallklassifikation',
+        language
       );
     }
   }
 
+  if (options.includeGaps) {
+    markdown += generateGapsMarkdown(dmnData, language);
+  }
+  if (options.includeSimplification) {
+    markdown += generateSimplificationMarkdown(dmnData, language);
+  }
+
+  return markdown;
+}
+
+/**
+ * Makes text safe for a Markdown table cell
+ */
+function escapeTableCell(text) {
+  return String(text).replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Generates the German explanation of a classified case: the sentences for
+ * the final decisions followed by the deciding rule and conditions of every
+ * evaluated decision
+ * @param {Object} dmnData - Parsed DMN data
+ * @param {Object} explanation - Result of explainEvaluation
+ * @returns {string} Markdown formatted document
+ */
+export function generateExplanationMarkdown(dmnData, explanation) {
+  const { krankheit } = dmnData.metadata || {};
+
+  let markdown = `# Begründung der Fallklassifikation${krankheit ? `: ${krankheit}` : ''}\n\n`;
+  markdown += '## Ergebnis\n\n';
+  explanation.summary.forEach(sentence => {
+    markdown += `- ${sentence}\n`;
+  });
+  markdown += '\n## Entscheidungsweg\n\n';
+
+  explanation.order.forEach(id => {
+    const { label, outcome, rules } = explanation.decisions[id];
+    markdown += `### ${label}\n\n`;
+
+    if (rules.length === 0) {
+      markdown += 'Keine Regel trifft zu.\n\n';
+      return;
+    }
+
+    rules.forEach(rule => {
+      markdown += `**${outcome}** (Regel ${rule.number})\n\n`;
+      if (rule.conditions.length === 0) {
+        markdown += 'Die Regel enthält keine Bedingung.\n\n';
+        return;
+      }
+      const rows = rule.conditions.map(condition => [
+        condition.label,
+        condition.entry,
+        formatGermanValue(condition.value),
+        condition.description
+      ].map(escapeTableCell));
+      markdown += generateTableMarkdown(['Bedingung', 'Regeleintrag', 'Wert', 'Beschreibung'], rows);
+    });
+  });
+
   return markdown;
 }
 
@@ -129,13 +440,5 @@ export function generateMarkdownDocument(dmnData) {
  * @param {string} filename - Output filename
  */
 export function downloadMarkdown(markdown, filename = 'document.md') {
-  const blob = new Blob([markdown], { type: 'text/markdown;charset=utf-8' });
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = filename;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+  downloadBlob(markdown, filename, 'text/markdown;charset=utf-8');
 }
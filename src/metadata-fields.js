@@ -0,0 +1,102 @@
+/**
+ * Metadata fields of the Falldefinition
+ *
+ * Every child of the metadata extension element is kept as a field. Known
+ * fields have a label per output language and a type: dates are written as
+ * DD.MM.YYYY or YYYY-MM-DD and ICD-10 codes as e.g. "A04.5" (several
+ * separated by commas).
+ * Other fields are shown with their element name as label.
+ */
+
+import { DEFAULT_LANGUAGE, localize } from './i18n.js';
+
+export const METADATA_FIELDS = {
+  krankheit: { label: { de: 'Krankheit', en: 'Disease' }, type: 'text' },
+  erreger: { label: { de: 'Erreger', en: 'Pathogen' }, type: 'text' },
+  icd10: { label: 'ICD-10', type: 'icd10' },
+  stand: { label: { de: 'Stand', en: 'Date' }, type: 'date' },
+  version: { label: 'Version', type: 'text' },
+  inkubationszeit: { label: { de: 'Inkubationszeit', en: 'Incubation period' }, type: 'text' }
+};
+
+const GERMAN_DATE = /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/;
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ICD10_CODE = /^[A-Z]\d{2}(\.\d{1,2})?[†*!+]?$/;
+
+/**
+ * Reads a date as ISO date (YYYY-MM-DD)
+ * @param {string} text - Date as DD.MM.YYYY or YYYY-MM-DD
+ * @returns {string|null} ISO date, null if the text is no valid date
+ */
+export function parseMetadataDate(text) {
+  const german = text.match(GERMAN_DATE);
+  const iso = text.match(ISO_DATE);
+  if (!german && !iso) {
+    return null;
+  }
+
+  const [year, month, day] = german
+    ? [Number(german[3]), Number(german[2]), Number(german[1])]
+    : [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Splits a list of ICD-10 codes and checks their format
+ * @param {string} text - Codes separated by commas or semicolons
+ * @returns {Array<string>|null} Codes, null if one is malformed
+ */
+export function parseIcd10Codes(text) {
+  const codes = text.split(/[,;]/).map(code => code.trim().toUpperCase()).filter(Boolean);
+  return codes.length > 0 && codes.every(code => ICD10_CODE.test(code)) ? codes : null;
+}
+
+/**
+ * Returns the label of a metadata field
+ * Unknown fields are labelled with their name, e.g. "meldekategorie" as
+ * "Meldekategorie".
+ * @param {string} name - Field name
+ * @param {string} [language] - Output language
+ * @returns {string}
+ */
+export function getFieldLabel(name, language = DEFAULT_LANGUAGE) {
+  if (METADATA_FIELDS[name]) {
+    return localize(METADATA_FIELDS[name].label, language);
+  }
+  const words = name.replace(/[_-]+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Lists the metadata fields with label and typed value
+ * Known fields come first, in the order of METADATA_FIELDS, then the others
+ * as written in the model.
+ * @param {Object} metadata - Metadata of the parsed model
+ * @param {string} [language] - Output language of the labels
+ * @returns {Array<{name: string, label: string, type: string, text: string, value: *, error: string|null}>}
+ *   value is the ISO date of date fields and the list of codes of ICD-10
+ *   fields, otherwise the text; error describes a malformed value
+ */
+export function getMetadataFields(metadata = {}, language = DEFAULT_LANGUAGE) {
+  const known = Object.keys(METADATA_FIELDS).filter(name => metadata[name]);
+  const others = Object.keys(metadata).filter(name => !METADATA_FIELDS[name] && metadata[name]);
+
+  return [...known, ...others].map(name => {
+    const text = String(metadata[name]);
+    const type = METADATA_FIELDS[name]?.type || 'text';
+    const field = { name, label: getFieldLabel(name, language), type, text, value: text, error: null };
+
+    if (type === 'date') {
+      field.value = parseMetadataDate(text);
+      field.error = field.value ? null : `"${text}" is not a date (expected DD.MM.YYYY or YYYY-MM-DD)`;
+    } else if (type === 'icd10') {
+      field.value = parseIcd10Codes(text);
+      field.error = field.value ? null : `"${text}" is not an ICD-10 code (expected e.g. A04.5)`;
+    }
+    return field;
+  });
+}
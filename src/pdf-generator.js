@@ -0,0 +1,322 @@
+/**
+ * PDF generation of RKI Falldefinitionen
+ *
+ * Lays out the document model shared with the Word export (title, metadata
+ * block, blue headings, bullets, categories, legal basis) on A4 pages in
+ * the browser.
+ * Only the standard PDF fonts are used, so no font files are loaded; they
+ * cover the Western European characters (WinAnsi), others are replaced.
+ */
+
+import { jsPDF } from 'jspdf';
+import { buildDocumentModel } from './document-model.js';
+import { getFieldLabel } from './metadata-fields.js';
+import { translate } from './i18n.js';
+
+const BLUE_COLOR = '#0563C1'; // RKI blue color for headings
+const METADATA_COLOR = '#595959';
+const TEXT_COLOR = '#000000';
+
+const FONT = 'helvetica';
+const LINE_SPACING = 1.15;
+
+// A4 in points with the margins of the Word document (2.54 cm)
+const MARGIN = 72;
+const HEADER_Y = 40;
+const FOOTER_OFFSET = 36;
+const BULLET_INDENT = 18;
+
+// Characters outside WinAnsi that have a readable substitute
+const SUBSTITUTES = {
+  '≥': '>=',
+  '≤': '<=',
+  '≠': '!=',
+  '→': '->',
+  '−': '-',
+  '‑': '-',
+  '≈': '~',
+  '\t': ' '
+};
+
+// The characters 0x80-0x9F of WinAnsi, which differ from Latin-1
+const WIN_ANSI_EXTRA = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+/**
+ * Replaces the characters the standard PDF fonts cannot show
+ * @param {string} text - Any text
+ * @returns {string} Text made of WinAnsi characters only
+ */
+export function toWinAnsi(text) {
+  return Array.from(String(text), char => {
+    const code = char.charCodeAt(0);
+    if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF) || WIN_ANSI_EXTRA.includes(char)) {
+      return char;
+    }
+    return SUBSTITUTES[char] ?? '?';
+  }).join('');
+}
+
+/**
+ * Returns the jsPDF font style of a text run
+ */
+function getFontStyle(run) {
+  if (run.bold && run.italics) return 'bolditalic';
+  if (run.bold) return 'bold';
+  return run.italics ? 'italic' : 'normal';
+}
+
+/**
+ * Splits a word wider than the line (e.g. a URL) into pieces that fit, by character
+ * @returns {Array<string>} Pieces in order
+ */
+function splitLongWord(doc, word, width) {
+  const pieces = [''];
+  [...word].forEach(char => {
+    const piece = pieces[pieces.length - 1];
+    if (piece && doc.getTextWidth(piece + char) > width) {
+      pieces.push(char);
+    } else {
+      pieces[pieces.length - 1] = piece + char;
+    }
+  });
+  return pieces;
+}
+
+/**
+ * Breaks text runs into lines no wider than the given width
+ * @param {jsPDF} doc - Document used to measure the text
+ * @param {Array<{text: string, bold?: boolean, italics?: boolean}>} runs - Text runs
+ * @param {number} width - Line width in points
+ * @param {number} size - Font size in points
+ * @returns {Array<Array<{text: string, style: string, x: number}>>} Lines of
+ *   segments with their offset from the line start
+ */
+function breakLines(doc, runs, width, size) {
+  const lines = [[]];
+  let x = 0;
+
+  // Words of the same style are joined into one segment
+  const place = (text, style, width) => {
+    const line = lines[lines.length - 1];
+    const last = line[line.length - 1];
+    if (last && last.style === style) {
+      last.text += text;
+    } else {
+      line.push({ text, style, x });
+    }
+    x += width;
+  };
+
+  doc.setFontSize(size);
+  runs.forEach(run => {
+    const style = getFontStyle(run);
+    doc.setFont(FONT, style);
+    toWinAnsi(run.text).split(/(\s+)/).filter(Boolean).forEach(token => {
+      if (/^\s+$/.test(token)) {
+        if (x > 0) {
+          place(' ', style, doc.getTextWidth(' '));
+        }
+        return;
+      }
+      const pieces = doc.getTextWidth(token) > width ? splitLongWord(doc, token, width) : [token];
+      pieces.forEach(piece => {
+        const pieceWidth = doc.getTextWidth(piece);
+        if (x > 0 && x + pieceWidth > width) {
+          lines.push([]);
+          x = 0;
+        }
+        place(piece, style, pieceWidth);
+      });
+    });
+  });
+
+  return lines;
+}
+
+/**
+ * Creates the page writer that tracks the vertical position
+ * @param {jsPDF} doc - Document to write into
+ * @returns {{doc: jsPDF, y: number, width: number, bottom: number}}
+ */
+function createWriter(doc) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  return { doc, y: MARGIN, width: pageWidth - 2 * MARGIN, bottom: pageHeight - MARGIN };
+}
+
+/**
+ * Starts a new page unless the given height still fits on the current one
+ */
+function ensureSpace(writer, height) {
+  if (writer.y + height > writer.bottom && writer.y > MARGIN) {
+    writer.doc.addPage();
+    writer.y = MARGIN;
+  }
+}
+
+/**
+ * Writes a paragraph of text runs, breaking it into lines and pages
+ * @param {Object} writer - Result of createWriter
+ * @param {Array|string} content - Text or text runs
+ * @param {Object} options - Layout options
+ * @param {number} [options.size] - Font size in points
+ * @param {string} [options.color] - Text color
+ * @param {number} [options.before] - Space before in points
+ * @param {number} [options.after] - Space after in points
+ * @param {boolean} [options.bullet] - Indent the paragraph behind a bullet
+ * @param {number} [options.keepWithNext] - Height of the following content
+ *   that must stay on the same page (headings)
+ */
+function writeParagraph(writer, content, options = {}) {
+  const { doc } = writer;
+  const { size = 11, color = TEXT_COLOR, before = 0, after = 6, bullet = false, keepWithNext = 0 } = options;
+  const runs = typeof content === 'string' ? [{ text: content }] : content;
+  const indent = bullet ? BULLET_INDENT : 0;
+  const lineHeight = size * LINE_SPACING;
+  const lines = breakLines(doc, runs, writer.width - indent, size);
+
+  writer.y += before;
+  ensureSpace(writer, lineHeight + keepWithNext);
+  doc.setTextColor(color);
+
+  lines.forEach((line, index) => {
+    ensureSpace(writer, lineHeight);
+    const baseline = writer.y + size * 0.9;
+    if (bullet && index === 0) {
+      doc.setFont(FONT, 'normal');
+      doc.text('•', MARGIN + 4, baseline);
+    }
+    line.forEach(segment => {
+      doc.setFont(FONT, segment.style);
+      doc.text(segment.text.trimEnd(), MARGIN + indent + segment.x, baseline);
+    });
+    writer.y += lineHeight;
+  });
+
+  writer.y += after;
+}
+
+/**
+ * Writes a blue heading (RKI style), kept on a page with the next three lines
+ * @param {Object} writer - Result of createWriter
+ * @param {string} text - Heading text
+ */
+function writeBlueHeading(writer, text) {
+  writeParagraph(writer, [{ text, bold: true }], {
+    size: 14,
+    color: BLUE_COLOR,
+    before: 12,
+    after: 5,
+    keepWithNext: 3 * 11 * LINE_SPACING
+  });
+}
+
+/**
+ * Writes the metadata block below the title, one line per field
+ * @param {Object} writer - Result of createWriter
+ * @param {Array<{label: string, text: string}>} fields - Fields of the metadata block
+ */
+function writeMetadataBlock(writer, fields) {
+  fields.forEach((field, index) => {
+    writeParagraph(writer, [{ text: `${field.label}: `, bold: true }, { text: field.text }], {
+      size: 10,
+      color: METADATA_COLOR,
+      after: index === fields.length - 1 ? 12 : 0
+    });
+  });
+}
+
+/**
+ * Writes a block of the document model
+ * The PDF holds the sections only: generatePdfDocument builds the model
+ * without the appendix (page break, diagram, decision tables), which the
+ * Word and HTML exports render.
+ * @param {Object} writer - Result of createWriter
+ * @param {Object} block - Block (see document-model.js)
+ */
+function writeBlock(writer, block) {
+  switch (block.type) {
+    case 'title':
+      writeParagraph(writer, block.runs, { size: 14, color: BLUE_COLOR, after: 10 });
+      break;
+    case 'metadata':
+      writeMetadataBlock(writer, block.fields);
+      break;
+    case 'heading':
+      writeBlueHeading(writer, block.text);
+      break;
+    case 'subheading':
+      writeParagraph(writer, block.runs, { before: 6, after: 4, keepWithNext: 11 * LINE_SPACING });
+      break;
+    case 'bullet':
+      writeParagraph(writer, block.runs, { bullet: true, after: 4 });
+      break;
+    case 'paragraph':
+      writeParagraph(writer, block.runs);
+      break;
+  }
+}
+
+/**
+ * Writes the header (disease, Stand) and the page number on every page
+ * @param {jsPDF} doc - Finished document
+ * @param {Object} metadata - Model metadata
+ * @param {string} language - Output language
+ */
+function writePageFrames(doc, metadata, language) {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const pageCount = doc.getNumberOfPages();
+  const stand = metadata.stand ? toWinAnsi(`${getFieldLabel('stand', language)}: ${metadata.stand}`) : '';
+
+  doc.setFontSize(9);
+  doc.setTextColor(METADATA_COLOR);
+  doc.setDrawColor(METADATA_COLOR);
+  doc.setLineWidth(0.5);
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont(FONT, 'normal');
+    if (metadata.krankheit) {
+      const standWidth = stand ? doc.getTextWidth(stand) + 12 : 0;
+      const [krankheit] = doc.splitTextToSize(toWinAnsi(metadata.krankheit), pageWidth - 2 * MARGIN - standWidth);
+      doc.text(krankheit, MARGIN, HEADER_Y);
+    }
+    if (stand) {
+      doc.text(stand, pageWidth - MARGIN, HEADER_Y, { align: 'right' });
+    }
+    if (metadata.krankheit || stand) {
+      doc.line(MARGIN, HEADER_Y + 5, pageWidth - MARGIN, HEADER_Y + 5);
+    }
+
+    const pageNumber = translate(language, 'pageNumber')
+      .replace('{page}', page)
+      .replace('{pages}', pageCount);
+    doc.text(toWinAnsi(pageNumber), pageWidth / 2, pageHeight - FOOTER_OFFSET, { align: 'center' });
+  }
+}
+
+/**
+ * Generates a PDF document from DMN data in RKI Falldefinition format
+ * The content comes from the document model (see buildDocumentModel),
+ * without the appendix.
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {Promise<Blob>} PDF document blob
+ */
+export async function generatePdfDocument(dmnData) {
+  const { language, metadata, blocks } = buildDocumentModel(dmnData);
+
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  doc.setProperties({
+    title: toWinAnsi(metadata.krankheit || ''),
+    subject: toWinAnsi(metadata.erreger || ''),
+    creator: 'Epilogic'
+  });
+  doc.setLanguage(language);
+
+  const writer = createWriter(doc);
+  blocks.forEach(block => writeBlock(writer, block));
+
+  writePageFrames(doc, metadata, language);
+  return doc.output('blob');
+}
@@ -0,0 +1,156 @@
+/**
+ * Section text of the Falldefinition built from the criteria of a decision
+ *
+ * Every section (Klinisches Bild, Labordiagnostischer Nachweis,
+ * Epidemiologische Bestätigung) is phrased with a template. Templates use
+ * placeholders for the disease and the number of criteria, so one set of
+ * templates serves all diseases; a DMN file can override single parts in
+ * its extensionElements (see extractTextTemplates in dmn-parser.js).
+ * Templates exist per output language (see i18n.js), with the same
+ * placeholders in every language.
+ *
+ * Placeholders in intro, single and empty:
+ *   {krankheit} - disease from the metadata ("Erkrankung" if missing)
+ *   {erreger}   - pathogen from the metadata
+ *   {anzahl}    - number of criteria as word ("drei", "three")
+ * Placeholders in item:
+ *   {name}         - name of the inputData element
+ *   {beschreibung} - its description
+ *   {kriterium}    - name followed by the description in parentheses
+ */
+
+import { DEFAULT_LANGUAGE, fillTemplate } from './i18n.js';
+
+// Template parts: intro (several criteria), single (one criterion), empty
+// (no criteria), item (one line per criterion), separator (after every
+// item but the last) and end (after the last item)
+export const TEMPLATE_PARTS = ['intro', 'single', 'empty', 'item', 'separator', 'end'];
+
+export const DEFAULT_SECTION_TEMPLATES = {
+  klinisches_bild: {
+    intro: 'Klinisches Bild einer akuten {krankheit}, definiert als mindestens eines der {anzahl} folgenden Kriterien:',
+    single: 'Klinisches Bild einer akuten {krankheit}, definiert als folgendes Kriterium:',
+    empty: 'Klinisches Bild einer akuten {krankheit}',
+    item: '- {kriterium}',
+    separator: ',',
+    end: '.'
+  },
+  labordiagnostik: {
+    intro: 'Positiver Befund mit mindestens einer der {anzahl} folgenden Methoden:',
+    single: 'Positiver Befund mit folgender Methode:',
+    empty: 'Positiver Befund mit labordiagnostischer Methode',
+    item: '- {kriterium}',
+    separator: ',',
+    end: '.'
+  },
+  epidemiologische_bestaetigung: {
+    intro: 'Epidemiologische Bestätigung, definiert als mindestens einer der {anzahl} folgenden Nachweise unter Berücksichtigung der Inkubationszeit:',
+    single: 'Epidemiologische Bestätigung, definiert als folgender Nachweis unter Berücksichtigung der Inkubationszeit:',
+    empty: 'Epidemiologische Bestätigung vorhanden',
+    item: '• {kriterium}',
+    separator: ',',
+    end: '.'
+  }
+};
+
+const ENGLISH_SECTION_TEMPLATES = {
+  klinisches_bild: {
+    intro: 'Clinical picture of acute {krankheit}, defined as at least one of the following {anzahl} criteria:',
+    single: 'Clinical picture of acute {krankheit}, defined as the following criterion:',
+    empty: 'Clinical picture of acute {krankheit}',
+    item: '- {kriterium}',
+    separator: ',',
+    end: '.'
+  },
+  labordiagnostik: {
+    intro: 'Positive finding with at least one of the following {anzahl} methods:',
+    single: 'Positive finding with the following method:',
+    empty: 'Positive finding with a laboratory method',
+    item: '- {kriterium}',
+    separator: ',',
+    end: '.'
+  },
+  epidemiologische_bestaetigung: {
+    intro: 'Epidemiological confirmation, defined as at least one of the following {anzahl} findings, taking the incubation period into account:',
+    single: 'Epidemiological confirmation, defined as the following finding, taking the incubation period into account:',
+    empty: 'Epidemiological confirmation present',
+    item: '• {kriterium}',
+    separator: ',',
+    end: '.'
+  }
+};
+
+// Default templates by output language
+export const SECTION_TEMPLATES = {
+  de: DEFAULT_SECTION_TEMPLATES,
+  en: ENGLISH_SECTION_TEMPLATES
+};
+
+const NUMBER_WORDS = {
+  de: ['null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn', 'elf', 'zwölf'],
+  en: ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve']
+};
+
+// Disease named in the templates if the metadata has none
+const DEFAULT_DISEASE = { de: 'Erkrankung', en: 'disease' };
+
+/**
+ * Writes a count as word, numbers above twelve as digits
+ * @param {number} count - Number of criteria
+ * @param {string} [language] - Output language
+ * @returns {string}
+ */
+export function formatCount(count, language = DEFAULT_LANGUAGE) {
+  return (NUMBER_WORDS[language] || NUMBER_WORDS[DEFAULT_LANGUAGE])[count] || String(count);
+}
+
+/**
+ * Merges template overrides into the default templates of a language
+ * @param {Object} [overrides] - Parts per section, e.g. {klinisches_bild: {intro: '…'}}
+ * @param {string} [language] - Output language
+ * @returns {Object} Templates of every section with all parts
+ */
+export function resolveSectionTemplates(overrides = {}, language = DEFAULT_LANGUAGE) {
+  const templates = {};
+  Object.entries(SECTION_TEMPLATES[language] || DEFAULT_SECTION_TEMPLATES).forEach(([section, parts]) => {
+    templates[section] = { ...parts, ...(overrides[section] || {}) };
+  });
+  return templates;
+}
+
+/**
+ * Builds the text of a section from its criteria
+ * @param {string} section - Section key (see DEFAULT_SECTION_TEMPLATES)
+ * @param {Array<{name: string, description?: string}>} criteria - inputData
+ *   elements the section decision requires
+ * @param {Object} [metadata] - Model metadata ({krankheit, erreger})
+ * @param {Object} [templates] - Result of resolveSectionTemplates
+ * @param {string} [language] - Output language of the count and the default disease
+ * @returns {string} Section text with one line per criterion
+ */
+export function buildSectionText(section, criteria, metadata = {}, templates = null, language = DEFAULT_LANGUAGE) {
+  const template = (templates || resolveSectionTemplates({}, language))[section];
+  const values = {
+    krankheit: metadata.krankheit || DEFAULT_DISEASE[language] || DEFAULT_DISEASE[DEFAULT_LANGUAGE],
+    erreger: metadata.erreger || '',
+    anzahl: formatCount(criteria.length, language)
+  };
+
+  if (criteria.length === 0) {
+    return fillTemplate(template.empty, values);
+  }
+
+  const lines = [fillTemplate(criteria.length === 1 ? template.single : template.intro, values)];
+  criteria.forEach((criterion, index) => {
+    const description = criterion.description || '';
+    const item = fillTemplate(template.item, {
+      ...values,
+      name: criterion.name,
+      beschreibung: description,
+      kriterium: description ? `${criterion.name} (${description})` : criterion.name
+    });
+    lines.push(item + (index < criteria.length - 1 ? template.separator : template.end));
+  });
+
+  return lines.join('\n');
+}
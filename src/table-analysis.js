@@ -0,0 +1,689 @@
+/**
+ * Static analysis of DMN decision tables
+ *
+ * Each input column is split into a finite set of cells (booleans, string
+ * values, numeric intervals between the tested endpoints) on which every
+ * input entry of the column is either true or false. Rules can then be
+ * compared cell by cell without evaluating every possible input value.
+ */
+
+import {
+  parseUnaryTests,
+  evaluateParsedUnaryTests,
+  evaluateExpression,
+  collectLiterals,
+  referencesNames
+} from './feel.js';
+import { getValueType } from './decision-engine.js';
+
+const MAX_GAPS = 100;
+
+// Stands for any string value not tested explicitly
+const OTHER_VALUE = '\u0000other';
+
+/**
+ * Formats a literal as FEEL text
+ */
+function formatLiteral(value) {
+  return typeof value === 'string' ? `"${value}"` : String(value);
+}
+
+/**
+ * Parses the input entries of all rules
+ * @param {Object} decisionTable - Parsed decision table
+ * @returns {Array<Array<Object>>} Unary test tree per rule and input
+ * @throws {FeelError} If an entry is not valid FEEL (prefixed with rule and input)
+ */
+function parseEntries(decisionTable) {
+  return decisionTable.rules.map((rule, r) =>
+    decisionTable.inputs.map((input, i) => {
+      try {
+        return parseUnaryTests(rule.inputEntries[i] || '');
+      } catch (error) {
+        error.message = `Rule ${r + 1}, input ${i + 1}: ${error.message}`;
+        throw error;
+      }
+    })
+  );
+}
+
+/**
+ * Determines the kind of values an input column holds
+ * The tested literals win over the declared typeRef, since they decide
+ * which values the rules can match.
+ */
+function getColumnType(input, literals) {
+  if (literals.length > 0 && literals.every(value => typeof value === 'boolean')) {
+    return 'boolean';
+  }
+  if (literals.length > 0 && literals.every(value => typeof value === 'number')) {
+    return 'number';
+  }
+  if (literals.length > 0) {
+    return 'string';
+  }
+  return getValueType(input.typeRef);
+}
+
+/**
+ * Splits the number line at the tested endpoints into points and open intervals
+ * Each cell carries its lower and upper bound so that adjacent cells can be
+ * written as one range again.
+ * @param {Array<number>} endpoints - Tested numbers
+ * @returns {Array<{value: number, label: string, lower: Object|null, upper: Object|null}>}
+ *   Cells with a representative value
+ */
+function buildNumericCells(endpoints) {
+  const points = [...new Set(endpoints)].sort((a, b) => a - b);
+  if (points.length === 0) {
+    return [{ value: 0, label: '-', lower: null, upper: null }];
+  }
+
+  const cells = [{ value: points[0] - 1, label: `< ${points[0]}`, lower: null, upper: { value: points[0], inclusive: false } }];
+  points.forEach((point, k) => {
+    const next = points[k + 1];
+    const bound = { value: point, inclusive: true };
+    cells.push({ value: point, label: String(point), lower: bound, upper: bound });
+    cells.push(next === undefined
+      ? { value: point + 1, label: `> ${point}`, lower: { value: point, inclusive: false }, upper: null }
+      : {
+        value: (point + next) / 2,
+        label: `(${point}..${next})`,
+        lower: { value: point, inclusive: false },
+        upper: { value: next, inclusive: false }
+      });
+  });
+
+  return cells;
+}
+
+/**
+ * Builds the domain of one input column
+ * Declared inputValues restrict the domain; otherwise strings are limited to
+ * the values the rules test, plus "any other value" if some rule matches it.
+ * Every domain ends with a null cell for missing values.
+ * @param {Object} input - Input column
+ * @param {Array<Object>} nodes - Parsed entries of the column
+ * @param {number} index - Column index, used in error messages
+ * @returns {{type: string, declared: boolean, cells: Array<{value: *, label: string}>}}
+ */
+function buildDomain(input, nodes, index) {
+  let declared = null;
+  if (input.inputValues) {
+    try {
+      declared = parseUnaryTests(input.inputValues);
+    } catch (error) {
+      error.message = `Input ${index + 1} values: ${error.message}`;
+      throw error;
+    }
+  }
+
+  const literals = nodes.flatMap(collectLiterals);
+  const declaredLiterals = declared ? collectLiterals(declared) : [];
+  const type = getColumnType(input, [...declaredLiterals, ...literals]) || 'string';
+  let cells;
+
+  switch (type) {
+    case 'boolean':
+      cells = [true, false].map(value => ({ value, label: String(value) }));
+      break;
+    case 'number':
+      cells = buildNumericCells([...declaredLiterals, ...literals].filter(value => typeof value === 'number'));
+      break;
+    default: {
+      const values = (declared ? declaredLiterals : literals).filter(value => typeof value === 'string');
+      cells = [...new Set(values)].map(value => ({ value, label: formatLiteral(value) }));
+      if (!declared && (cells.length === 0 || nodes.some(node => evaluateParsedUnaryTests(node, OTHER_VALUE)))) {
+        const label = cells.length > 0 ? `not(${cells.map(cell => cell.label).join(', ')})` : '-';
+        cells.push({ value: OTHER_VALUE, label, other: true });
+      }
+      break;
+    }
+  }
+
+  if (declared) {
+    cells = cells.filter(cell => evaluateParsedUnaryTests(declared, cell.value));
+  }
+  cells.push({ value: null, label: 'null', isNull: true });
+
+  return { type, declared: Boolean(declared), cells };
+}
+
+/**
+ * Computes which domain cells each rule entry covers
+ * Entries referring to other variables are assumed to cover every cell.
+ * @returns {Array<Array<Array<boolean>>>} Coverage per rule, input and cell
+ */
+function buildCoverage(nodes, domains) {
+  return nodes.map(entries =>
+    entries.map((node, i) =>
+      domains[i].cells.map(cell => referencesNames(node) || evaluateParsedUnaryTests(node, cell.value))
+    )
+  );
+}
+
+/**
+ * Prepares a decision table for cell-based analysis
+ * @param {Object} decisionTable - Parsed decision table
+ * @returns {{domains: Array, coverage: Array, dynamic: Array<Array<boolean>>}}
+ *   Column domains, rule coverage and, per rule and input, whether the entry
+ *   refers to other variables (its coverage is then only an assumption)
+ * @throws {FeelError} If an entry or inputValues is not valid FEEL
+ */
+export function buildTableDomains(decisionTable) {
+  const nodes = parseEntries(decisionTable);
+  const domains = decisionTable.inputs.map((input, i) => buildDomain(input, nodes.map(entries => entries[i]), i));
+  return {
+    domains,
+    coverage: buildCoverage(nodes, domains),
+    dynamic: nodes.map(entries => entries.map(referencesNames))
+  };
+}
+
+/**
+ * Formats consecutive numeric cells as a single unary test
+ */
+function formatNumericRun(run) {
+  const { lower } = run[0];
+  const { upper } = run[run.length - 1];
+
+  if (!lower && !upper) {
+    return '-';
+  }
+  if (!lower) {
+    return `${upper.inclusive ? '<=' : '<'} ${upper.value}`;
+  }
+  if (!upper) {
+    return `${lower.inclusive ? '>=' : '>'} ${lower.value}`;
+  }
+  if (lower.value === upper.value) {
+    return String(lower.value);
+  }
+  return `${lower.inclusive ? '[' : '('}${lower.value}..${upper.value}${upper.inclusive ? ']' : ')'}`;
+}
+
+/**
+ * Formats a set of value cells, joining adjacent numeric cells into ranges
+ */
+function formatValueCells(universe, cells) {
+  const parts = [];
+  let run = [];
+
+  universe.forEach(cell => {
+    if (cells.includes(cell) && cell.lower !== undefined) {
+      run.push(cell);
+      return;
+    }
+    if (run.length > 0) {
+      parts.push(formatNumericRun(run));
+      run = [];
+    }
+    if (cells.includes(cell)) {
+      parts.push(cell.label);
+    }
+  });
+  if (run.length > 0) {
+    parts.push(formatNumericRun(run));
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Formats a set of cells of a column as FEEL unary tests
+ * A set containing "any other value" is written as the negation of the
+ * values it leaves out. When the universe has no null cell, missing values
+ * are not considered.
+ * @param {Array} universe - All cells of the column that are considered
+ * @param {Array} cells - The cells to format
+ * @returns {string} Unary test text
+ */
+function formatCells(universe, cells) {
+  if (cells.length === universe.length) {
+    return '-';
+  }
+
+  const values = universe.filter(cell => !cell.isNull);
+  const selected = cells.filter(cell => !cell.isNull);
+  const withNull = cells.some(cell => cell.isNull);
+  const nullable = values.length < universe.length;
+
+  // Open-ended domains cannot be listed value by value
+  if (selected.length === values.length && values.some(cell => cell.other || cell.lower !== undefined)) {
+    return 'not(null)';
+  }
+  if (selected.some(cell => cell.other)) {
+    // not(...) also matches null, which has to be excluded explicitly
+    const excluded = values.filter(cell => !selected.includes(cell)).map(cell => cell.label);
+    return `not(${[...excluded, ...(nullable && !withNull ? ['null'] : [])].join(', ')})`;
+  }
+
+  const text = formatValueCells(values, selected);
+  return withNull ? `${text}, null` : text;
+}
+
+/**
+ * Recursively splits the input space column by column and records the
+ * regions no rule covers. Cells covered by the same rules are merged, except
+ * for missing values: regions with an unknown (null) input are recorded
+ * separately in found.unknownGaps. Each list stops after MAX_GAPS + 1 gaps,
+ * which is enough to tell that some are left out.
+ */
+function collectGaps(domains, coverage, rules, column, entries, unknown, found) {
+  const full = list => list.length > MAX_GAPS;
+  if (full(found.unknownGaps) && (unknown || full(found.gaps))) {
+    return;
+  }
+  if (rules.length === 0) {
+    const list = unknown ? found.unknownGaps : found.gaps;
+    if (!full(list)) {
+      list.push([...entries, ...domains.slice(column).map(() => '-')]);
+    }
+    return;
+  }
+  if (column === domains.length) {
+    return;
+  }
+
+  const universe = domains[column].cells.filter(cell => !cell.isNull);
+  const groups = new Map();
+  domains[column].cells.forEach((cell, c) => {
+    const covering = rules.filter(r => coverage[r][column][c]);
+    const key = cell.isNull ? 'null' : covering.join(',');
+    if (!groups.has(key)) {
+      groups.set(key, { rules: covering, cells: [] });
+    }
+    groups.get(key).cells.push(cell);
+  });
+
+  groups.forEach((group, key) => {
+    const isNull = key === 'null';
+    const label = isNull ? 'null' : formatCells(universe, group.cells);
+    collectGaps(domains, coverage, group.rules, column + 1, [...entries, label], unknown || isNull, found);
+  });
+}
+
+/**
+ * Finds the input combinations no rule of a decision table covers
+ * Combinations with a missing (null) input, e.g. a boolean answered with
+ * "unknown", are listed apart from those of known values.
+ * @param {Object} decisionTable - Parsed decision table
+ * @returns {{domains: Array<{type: string, declared: boolean, cells: Array<string>}>, gaps: Array<Array<string>>, truncated: boolean, unknownGaps: Array<Array<string>>, unknownTruncated: boolean}}
+ *   The analysed domain per input (labels of the value cells), the uncovered
+ *   combinations of known values and those with at least one null input, as
+ *   FEEL unary tests per input
+ * @throws {FeelError} If an entry or inputValues is not valid FEEL
+ */
+export function findTableGaps(decisionTable) {
+  const { domains, coverage } = buildTableDomains(decisionTable);
+  const found = { gaps: [], unknownGaps: [] };
+
+  if (domains.length > 0) {
+    collectGaps(domains, coverage, decisionTable.rules.map((rule, r) => r), 0, [], false, found);
+  }
+
+  return {
+    domains: domains.map(domain => ({
+      ...domain,
+      cells: domain.cells.filter(cell => !cell.isNull).map(cell => cell.label)
+    })),
+    gaps: found.gaps.slice(0, MAX_GAPS),
+    truncated: found.gaps.length > MAX_GAPS,
+    unknownGaps: found.unknownGaps.slice(0, MAX_GAPS),
+    unknownTruncated: found.unknownGaps.length > MAX_GAPS
+  };
+}
+
+/**
+ * Runs the completeness analysis on every decision table of the model
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {Array<{decision: Object, gaps: Array<Array<string>>, truncated: boolean, unknownGaps: Array<Array<string>>, unknownTruncated: boolean, error: string|null}>}
+ *   One entry per decision table; tables that cannot be analysed carry the error
+ */
+export function analyzeCompleteness(dmnData) {
+  return (dmnData.allDecisions || [])
+    .filter(decision => decision.decisionTable)
+    .map(decision => {
+      try {
+        const { gaps, truncated, unknownGaps, unknownTruncated } = findTableGaps(decision.decisionTable);
+        return { decision, gaps, truncated, unknownGaps, unknownTruncated, error: null };
+      } catch (error) {
+        return { decision, gaps: [], truncated: false, unknownGaps: [], unknownTruncated: false, error: error.message };
+      }
+    });
+}
+
+/**
+ * Returns a key identifying the output values of a rule
+ */
+function getOutputKey(rule) {
+  return JSON.stringify(rule.outputEntries.map(entry => evaluateExpression(entry)));
+}
+
+/**
+ * Describes rules by number and id for messages
+ * @param {Array<number>} indices - Rule indices
+ * @param {Array<Object>} rules - Rules of the table
+ * @returns {string} E.g. "1, 2 (rule_b) and 3"
+ */
+function describeRules(indices, rules) {
+  const names = indices.map(index => (rules[index].id ? `${index + 1} (${rules[index].id})` : String(index + 1)));
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Converts the coverage matrix into one region per rule
+ * @param {Array} domains - Column domains from buildTableDomains
+ * @param {Array} coverage - Coverage from buildTableDomains
+ * @param {Array} dynamic - Dynamic flags from buildTableDomains
+ * @returns {Array<{cells: Array<Set<number>>, dynamic: Array<boolean>}>}
+ *   Covered cell indices and dynamic flag per input
+ */
+export function buildRegions(domains, coverage, dynamic) {
+  return coverage.map((columns, r) => ({
+    cells: columns.map(covered => new Set(covered.flatMap((isCovered, c) => (isCovered ? [c] : [])))),
+    dynamic: dynamic[r]
+  }));
+}
+
+/**
+ * Checks whether two regions share an input combination for certain
+ * Entries referring to other variables never count as overlapping.
+ */
+function regionsOverlap(a, b) {
+  return a.cells.every((cells, i) =>
+    !a.dynamic[i] && !b.dynamic[i] && [...cells].some(c => b.cells[i].has(c))
+  );
+}
+
+/**
+ * Checks whether region a lies within region b for certain
+ */
+function regionWithin(a, b) {
+  return a.cells.every((cells, i) =>
+    !a.dynamic[i] && !b.dynamic[i] && [...cells].every(c => b.cells[i].has(c))
+  );
+}
+
+/**
+ * Checks whether the candidate regions cover every input combination of
+ * the target region, collecting the first candidate that fires in each
+ * part of the target
+ * @returns {boolean} Whether the target is fully covered
+ */
+function coversRegion(domains, regions, target, candidates, column, firing) {
+  if (candidates.length === 0) {
+    return false;
+  }
+  if (column === domains.length) {
+    firing.add(candidates[0]);
+    return true;
+  }
+
+  const groups = new Map();
+  regions[target].cells[column].forEach(c => {
+    const covering = candidates.filter(r => !regions[r].dynamic[column] && regions[r].cells[column].has(c));
+    groups.set(covering.join(','), covering);
+  });
+
+  return [...groups.values()].every(covering =>
+    coversRegion(domains, regions, target, covering, column + 1, firing)
+  );
+}
+
+/**
+ * Checks the rules of a decision table against its hit policy
+ * UNIQUE tables must not have overlapping rules, ANY tables must not have
+ * overlapping rules with different outputs, and rules of FIRST tables that
+ * earlier rules cover completely can never fire. Other hit policies expect
+ * several rules to match and are not checked.
+ * @param {Object} decisionTable - Parsed decision table
+ * @returns {Array<{type: string, ruleIndices: Array<number>, ruleIds: Array<string>, message: string}>}
+ *   Issues of type 'overlap', 'conflict' or 'shadowed'; for shadowed rules
+ *   the first index is the shadowed rule, followed by the rules that fire instead
+ * @throws {FeelError} If an entry or inputValues is not valid FEEL
+ */
+export function checkRuleConsistency(decisionTable) {
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE';
+  if (!['UNIQUE', 'ANY', 'FIRST'].includes(hitPolicy) || decisionTable.inputs.length === 0) {
+    return [];
+  }
+
+  const { rules } = decisionTable;
+  const { domains, coverage, dynamic } = buildTableDomains(decisionTable);
+  const regions = buildRegions(domains, coverage, dynamic);
+  const issues = [];
+  const addIssue = (type, ruleIndices, message) => {
+    issues.push({ type, ruleIndices, ruleIds: ruleIndices.map(index => rules[index].id || ''), message });
+  };
+
+  if (hitPolicy === 'FIRST') {
+    rules.forEach((rule, index) => {
+      const earlier = rules.slice(0, index).map((r, i) => i);
+      const firing = new Set();
+      if (index > 0 && coversRegion(domains, regions, index, earlier, 0, firing)) {
+        const by = [...firing].sort((a, b) => a - b);
+        addIssue(
+          'shadowed',
+          [index, ...by],
+          `Rule ${describeRules([index], rules)} is shadowed by ${by.length === 1 ? 'rule' : 'rules'} ${describeRules(by, rules)} and can never fire`
+        );
+      }
+    });
+    return issues;
+  }
+
+  const outputs = rules.map(getOutputKey);
+  rules.forEach((rule, a) => {
+    for (let b = a + 1; b < rules.length; b++) {
+      if (!regionsOverlap(regions[a], regions[b])) {
+        continue;
+      }
+      if (outputs[a] !== outputs[b]) {
+        addIssue('conflict', [a, b], `Rules ${describeRules([a, b], rules)} overlap with conflicting outputs`);
+      } else if (hitPolicy === 'UNIQUE') {
+        addIssue('overlap', [a, b], `Rules ${describeRules([a, b], rules)} overlap`);
+      }
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Runs the rule consistency check on every decision table of the model
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {Array<{decision: Object, issues: Array, error: string|null}>}
+ *   One entry per decision table; tables that cannot be analysed carry the error
+ */
+export function analyzeRuleConsistency(dmnData) {
+  return (dmnData.allDecisions || [])
+    .filter(decision => decision.decisionTable)
+    .map(decision => {
+      try {
+        return { decision, issues: checkRuleConsistency(decision.decisionTable), error: null };
+      } catch (error) {
+        return { decision, issues: [], error: error.message };
+      }
+    });
+}
+
+// Hit policies under which redundant rules can be dropped or merged
+const SIMPLIFIABLE_HIT_POLICIES = ['UNIQUE', 'ANY', 'FIRST', 'PRIORITY'];
+
+/**
+ * Finds a rule that can be dropped without changing any result
+ * In FIRST tables a rule is redundant if earlier rules shadow it, or if a
+ * later rule with the same outputs contains it and every rule in between
+ * that overlaps it has the same outputs too. Otherwise a rule is redundant
+ * if another rule with the same outputs contains it.
+ * @returns {{index: number, by: Array<number>, reason: string}|null}
+ */
+function findRedundantRule(domains, items, ordered) {
+  for (let k = 0; k < items.length; k++) {
+    const item = items[k];
+    if (item.dynamic.some(Boolean)) {
+      continue;
+    }
+
+    if (ordered) {
+      const firing = new Set();
+      const earlier = items.slice(0, k).map((other, i) => i);
+      if (k > 0 && coversRegion(domains, items, k, earlier, 0, firing)) {
+        return { index: k, by: [...firing].sort((a, b) => a - b), reason: 'shadowed' };
+      }
+
+      for (let j = k + 1; j < items.length; j++) {
+        const other = items[j];
+        if (other.output === item.output && regionWithin(item, other)) {
+          return { index: k, by: [j], reason: 'subsumed' };
+        }
+        if (other.output !== item.output && (other.dynamic.some(Boolean) || regionsOverlap(item, other))) {
+          break;
+        }
+      }
+      continue;
+    }
+
+    const container = items.findIndex((other, j) => j !== k && other.output === item.output && regionWithin(item, other));
+    if (container !== -1) {
+      return { index: k, by: [container], reason: 'subsumed' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Finds two rules with the same outputs that differ in a single input and
+ * can be written as one rule. In FIRST tables only neighbouring rules are
+ * merged so that no rule in between changes its precedence.
+ * @returns {{a: number, b: number, column: number}|null}
+ */
+function findMergeableRules(domains, items, ordered) {
+  const sameCells = (x, y) => x.size === y.size && [...x].every(c => y.has(c));
+
+  for (let a = 0; a < items.length; a++) {
+    const last = ordered ? Math.min(a + 2, items.length) : items.length;
+    for (let b = a + 1; b < last; b++) {
+      const first = items[a];
+      const second = items[b];
+      if (first.output !== second.output || first.dynamic.some(Boolean) || second.dynamic.some(Boolean)) {
+        continue;
+      }
+
+      const differing = domains
+        .map((domain, i) => i)
+        .filter(i => !sameCells(first.cells[i], second.cells[i]));
+      if (differing.length === 1) {
+        return { a, b, column: differing[0] };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Suggests an equivalent decision table with fewer rules
+ * Redundant rules are dropped and rules that differ in a single input are
+ * merged until nothing changes. Tables whose hit policy returns several
+ * results are left alone, since dropping a rule would change the results.
+ * @param {Object} decisionTable - Parsed decision table
+ * @returns {{supported: boolean, changed: boolean, rules: Array, removed: Array, merged: Array}}
+ *   The suggested rules ({sources, inputEntries, outputEntries}, sources
+ *   being the original rule indices), the dropped rules
+ *   ({ruleIndices, by, reason, message}) and the merged rules ({ruleIndices, message})
+ * @throws {FeelError} If an entry or inputValues is not valid FEEL
+ */
+export function simplifyTable(decisionTable) {
+  const { rules } = decisionTable;
+  const hitPolicy = decisionTable.hitPolicy || 'UNIQUE';
+  const original = rules.map((rule, index) => ({
+    sources: [index],
+    inputEntries: rule.inputEntries,
+    outputEntries: rule.outputEntries
+  }));
+
+  if (!SIMPLIFIABLE_HIT_POLICIES.includes(hitPolicy) || decisionTable.inputs.length === 0) {
+    return { supported: false, changed: false, rules: original, removed: [], merged: [] };
+  }
+
+  const { domains, coverage, dynamic } = buildTableDomains(decisionTable);
+  const ordered = hitPolicy === 'FIRST';
+  let items = buildRegions(domains, coverage, dynamic).map((region, index) => ({
+    ...region,
+    ...original[index],
+    inputEntries: [...rules[index].inputEntries],
+    output: getOutputKey(rules[index])
+  }));
+  const removed = [];
+
+  for (;;) {
+    const redundant = findRedundantRule(domains, items, ordered);
+    if (redundant) {
+      const { sources } = items[redundant.index];
+      const by = redundant.by.flatMap(index => items[index].sources);
+      const verb = redundant.reason === 'shadowed' ? 'is shadowed by' : 'is contained in';
+      removed.push({
+        ruleIndices: sources,
+        by,
+        reason: redundant.reason,
+        message: `${sources.length === 1 ? 'Rule' : 'Rules'} ${describeRules(sources, rules)} ${verb} ${by.length === 1 ? 'rule' : 'rules'} ${describeRules(by, rules)}`
+      });
+      items = items.filter((item, index) => index !== redundant.index);
+      continue;
+    }
+
+    const mergeable = findMergeableRules(domains, items, ordered);
+    if (!mergeable) {
+      break;
+    }
+
+    const { a, b, column } = mergeable;
+    const cells = new Set([...items[a].cells[column], ...items[b].cells[column]]);
+    const domainCells = domains[column].cells;
+    const mergedItem = {
+      ...items[a],
+      cells: items[a].cells.map((set, i) => (i === column ? cells : set)),
+      sources: [...items[a].sources, ...items[b].sources].sort((x, y) => x - y),
+      inputEntries: items[a].inputEntries.map((entry, i) =>
+        (i === column ? formatCells(domainCells, domainCells.filter((cell, c) => cells.has(c))) : entry)
+      )
+    };
+    items = items.map((item, index) => (index === a ? mergedItem : item)).filter((item, index) => index !== b);
+  }
+
+  const merged = items
+    .filter(item => item.sources.length > 1)
+    .map(item => ({
+      ruleIndices: item.sources,
+      message: `Rules ${describeRules(item.sources, rules)} can be merged into one rule`
+    }));
+
+  return {
+    supported: true,
+    changed: items.length < rules.length,
+    rules: items.map(({ sources, inputEntries, outputEntries }) => ({ sources, inputEntries, outputEntries })),
+    removed,
+    merged
+  };
+}
+
+/**
+ * Runs the simplification on every decision table of the model
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {Array<{decision: Object, simplification: Object|null, error: string|null}>}
+ *   One entry per decision table; tables that cannot be analysed carry the error
+ */
+export function analyzeSimplification(dmnData) {
+  return (dmnData.allDecisions || [])
+    .filter(decision => decision.decisionTable)
+    .map(decision => {
+      try {
+        return { decision, simplification: simplifyTable(decision.decisionTable), error: null };
+      } catch (error) {
+        return { decision, simplification: null, error: error.message };
+      }
+    });
+}
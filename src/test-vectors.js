@@ -0,0 +1,316 @@
+/**
+ * Test case generation for DMN decision tables
+ *
+ * For every rule a concrete input assignment is searched that triggers this
+ * rule alone, plus boundary cases around the numbers the rule tests. The
+ * expected outputs are computed with the decision engine, so other
+ * implementations of the same model can be checked against them.
+ */
+
+import { buildTableDomains, buildRegions } from './table-analysis.js';
+import { evaluateDecisionTable, getOutputKey, getDecisionLabel } from './decision-engine.js';
+import { parseUnaryTests, collectLiterals } from './feel.js';
+import { downloadBlob, formatCsvField } from './download.js';
+
+// Upper bound on the cell combinations tried per rule
+const SEARCH_BUDGET = 10000;
+
+/**
+ * Returns the context key under which the engine looks up an input column
+ * @param {Object} input - Input column
+ * @returns {string} Variable name or expression
+ */
+export function getInputKey(input) {
+  return (input.expression || '').trim() || input.label || input.id;
+}
+
+/**
+ * Orders cells so that concrete values are tried before "any other value"
+ * and missing values
+ */
+function cellPreference(cell) {
+  if (cell.isNull) {
+    return 2;
+  }
+  return cell.other ? 1 : 0;
+}
+
+/**
+ * Searches the cells of the target rule for a combination none of the
+ * excluded rules matches, preferring combinations few other rules match
+ * @param {Array} regions - Covered cell indices per rule and input
+ * @param {number} target - Rule index
+ * @param {Array<number>} excluded - Rules that must not match
+ * @param {Array<number>} others - All other rules
+ * @returns {Array<number>|null} Cell index per input, or null if none was found
+ */
+function findAssignment(domains, regions, target, excluded, others) {
+  let budget = SEARCH_BUDGET;
+
+  const search = (column, remainingExcluded, remainingOthers, picked) => {
+    if (column === domains.length) {
+      return remainingExcluded.length === 0 ? picked : null;
+    }
+
+    const matching = (rulesToCheck, c) => rulesToCheck.filter(r => regions[r].cells[column].has(c));
+    const options = [...regions[target].cells[column]].sort((a, b) => {
+      const preference = cellPreference(domains[column].cells[a]) - cellPreference(domains[column].cells[b]);
+      if (preference !== 0) {
+        return preference;
+      }
+      return matching(remainingOthers, a).length - matching(remainingOthers, b).length;
+    });
+
+    for (const c of options) {
+      if (--budget < 0) {
+        return null;
+      }
+      const next = [...picked, c];
+      const found = search(column + 1, matching(remainingExcluded, c), matching(remainingOthers, c), next);
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  };
+
+  return search(0, excluded, others, []);
+}
+
+/**
+ * Picks a concrete value standing for a cell
+ * "Any other value" becomes a string no rule tests.
+ */
+function getCellValue(domain, cell) {
+  if (!cell.other) {
+    return cell.value;
+  }
+  const tested = new Set(domain.cells.map(c => c.value));
+  let value = 'other';
+  for (let n = 2; tested.has(value); n++) {
+    value = `other ${n}`;
+  }
+  return value;
+}
+
+/**
+ * Returns the step used for boundary values next to a tested number
+ * (1 for integers, otherwise one unit of the last decimal place)
+ */
+function getBoundaryStep(value) {
+  const decimals = (String(value).split('.')[1] || '').length;
+  return 10 ** -decimals;
+}
+
+/**
+ * Builds a test case by evaluating the table with the given inputs
+ */
+function createTestCase(decisionTable, inputs, details) {
+  const testCase = { ...details, inputs, matchedRules: [], expected: null };
+  try {
+    const evaluation = evaluateDecisionTable(decisionTable, inputs);
+    testCase.matchedRules = evaluation.matches.map(match => match.index + 1);
+    testCase.expected = evaluation.result;
+  } catch (error) {
+    testCase.error = error.message;
+  }
+  return testCase;
+}
+
+/**
+ * Generates test cases for one decision table
+ * @param {Object} decisionTable - Parsed decision table
+ * @returns {{cases: Array, unreachable: Array<number>}} Test cases and the
+ *   numbers of rules for which no triggering input exists
+ * @throws {FeelError} If an entry or inputValues is not valid FEEL
+ */
+export function generateTableTestCases(decisionTable) {
+  const { inputs, rules } = decisionTable;
+  const { domains, coverage, dynamic } = buildTableDomains(decisionTable);
+  const regions = buildRegions(domains, coverage, dynamic);
+  const ordered = (decisionTable.hitPolicy || 'UNIQUE') === 'FIRST';
+  const keys = inputs.map(getInputKey);
+
+  const cases = [];
+  const unreachable = [];
+  const seen = new Set();
+  const addCase = (values, details) => {
+    const signature = JSON.stringify(values);
+    if (!seen.has(signature)) {
+      seen.add(signature);
+      cases.push(createTestCase(decisionTable, values, details));
+    }
+  };
+
+  // Rule cases come first so that boundary cases never replace them
+  const assignments = rules.map((rule, index) => {
+    const others = rules.map((r, i) => i).filter(i => i !== index);
+    // In FIRST tables it is enough that no earlier rule matches
+    const assignment = findAssignment(domains, regions, index, others, others)
+      || (ordered
+        ? findAssignment(domains, regions, index, others.filter(i => i < index), others)
+        : findAssignment(domains, regions, index, [], others));
+
+    if (!assignment) {
+      unreachable.push(index + 1);
+      return null;
+    }
+
+    const values = {};
+    assignment.forEach((c, i) => {
+      values[keys[i]] = getCellValue(domains[i], domains[i].cells[c]);
+    });
+    addCase(values, { kind: 'rule', rule: index + 1, description: `Rule ${index + 1}` });
+    return values;
+  });
+
+  // Boundary cases around the numbers each rule tests
+  rules.forEach((rule, index) => {
+    const values = assignments[index];
+    if (!values) {
+      return;
+    }
+    inputs.forEach((input, i) => {
+      if (domains[i].type !== 'number') {
+        return;
+      }
+      const endpoints = collectLiterals(parseUnaryTests(rule.inputEntries[i] || ''))
+        .filter(value => typeof value === 'number');
+      [...new Set(endpoints)].forEach(endpoint => {
+        const step = getBoundaryStep(endpoint);
+        [endpoint - step, endpoint, endpoint + step].forEach(value => {
+          const rounded = Number(value.toFixed(10));
+          addCase({ ...values, [keys[i]]: rounded }, {
+            kind: 'boundary',
+            rule: index + 1,
+            description: `Rule ${index + 1}, ${input.label || keys[i]} = ${rounded}`
+          });
+        });
+      });
+    });
+  });
+
+  return { cases, unreachable };
+}
+
+/**
+ * Generates test cases for every decision table of the model
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {{model: Object, decisions: Array}} Test suite; each decision lists
+ *   its inputs and outputs, the cases ({id, kind, rule, description, inputs,
+ *   matchedRules, expected, error?}) and the unreachable rules, or the error
+ *   that prevented generating cases
+ */
+export function generateTestCases(dmnData) {
+  const { metadata = {} } = dmnData;
+
+  const decisions = (dmnData.allDecisions || [])
+    .filter(decision => decision.decisionTable)
+    .map(decision => {
+      const { decisionTable } = decision;
+      const entry = {
+        id: decision.id,
+        name: getDecisionLabel(decision),
+        hitPolicy: decisionTable.hitPolicy || 'UNIQUE',
+        inputs: decisionTable.inputs.map(input => ({ key: getInputKey(input), label: input.label || '' })),
+        outputs: decisionTable.outputs.map((output, i) => ({ key: getOutputKey(output, i), label: output.label || '' })),
+        cases: [],
+        unreachable: []
+      };
+
+      try {
+        const { cases, unreachable } = generateTableTestCases(decisionTable);
+        entry.cases = cases.map((testCase, i) => ({ id: `${decision.id}-${i + 1}`, ...testCase }));
+        entry.unreachable = unreachable;
+      } catch (error) {
+        entry.error = error.message;
+      }
+      return entry;
+    });
+
+  return {
+    model: {
+      krankheit: metadata.krankheit || '',
+      version: metadata.version || '',
+      stand: metadata.stand || ''
+    },
+    decisions
+  };
+}
+
+/**
+ * Formats a value for a CSV cell
+ * Lists (results of multi-hit tables) are joined with "; ".
+ */
+function formatCsvValue(value) {
+  return formatCsvField(Array.isArray(value) ? value.map(item => item ?? '').join('; ') : value);
+}
+
+/**
+ * Reads the expected value of one output from a table result
+ */
+function getExpectedValue(expected, key) {
+  if (Array.isArray(expected)) {
+    return expected.map(outputs => outputs[key]);
+  }
+  return expected ? expected[key] : null;
+}
+
+/**
+ * Serializes test cases as CSV with one row per case
+ * Input columns are prefixed with "in:" and output columns with "out:";
+ * columns a decision does not have stay empty.
+ * @param {Object} testCases - Result of generateTestCases
+ * @returns {string} CSV text
+ */
+export function testCasesToCsv(testCases) {
+  const inputKeys = [...new Set(testCases.decisions.flatMap(d => d.inputs.map(input => input.key)))];
+  const outputKeys = [...new Set(testCases.decisions.flatMap(d => d.outputs.map(output => output.key)))];
+
+  const header = [
+    'decision', 'case', 'kind', 'rule', 'description', 'matched_rules',
+    ...inputKeys.map(key => `in:${key}`),
+    ...outputKeys.map(key => `out:${key}`),
+    'error'
+  ];
+  const rows = [header.map(formatCsvValue).join(',')];
+
+  testCases.decisions.forEach(decision => {
+    decision.cases.forEach(testCase => {
+      const ownOutputs = new Set(decision.outputs.map(output => output.key));
+      const cells = [
+        decision.id,
+        testCase.id,
+        testCase.kind,
+        testCase.rule,
+        testCase.description,
+        testCase.matchedRules.join(' '),
+        ...inputKeys.map(key => testCase.inputs[key]),
+        ...outputKeys.map(key => (ownOutputs.has(key) ? getExpectedValue(testCase.expected, key) : null)),
+        testCase.error || ''
+      ];
+      rows.push(cells.map(formatCsvValue).join(','));
+    });
+  });
+
+  return rows.join('\n') + '\n';
+}
+
+/**
+ * Serializes test cases as JSON
+ * @param {Object} testCases - Result of generateTestCases
+ * @returns {string} Indented JSON text
+ */
+export function testCasesToJson(testCases) {
+  return JSON.stringify(testCases, null, 2) + '\n';
+}
+
+/**
+ * Triggers download of a test case file
+ * @param {string} content - File content
+ * @param {string} filename - Output filename
+ * @param {string} type - MIME type
+ */
+export function downloadTestCases(content, filename, type = 'application/json') {
+  downloadBlob(content, filename, `${type};charset=utf-8`);
+}
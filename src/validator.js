@@ -2,6 +2,12 @@
  * File and DMN validation utilities
  */
 
+import { SECTION_NAMES, findMetadataElement, extractMetadata } from './dmn-parser.js';
+import { detectDmnVersion } from './dmn-namespaces.js';
+import { deriveCategories } from './case-categories.js';
+import { collectNames } from './feel.js';
+import { getMetadataFields } from './metadata-fields.js';
+
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const ALLOWED_EXTENSIONS = ['.dmn', '.xml'];
 
@@ -68,22 +74,31 @@ export function validateXML(xmlContent) {
 
 /**
  * Validates DMN structure and required elements
+ * The root must be the definitions element of DMN 1.1 to 1.5; the
+ * metadata fields are read in the namespace of the extension.
  * @param {Document} doc - The parsed XML document
- * @returns {{valid: boolean, error?: string}}
+ * @returns {{valid: boolean, error?: string, version?: string}} version is the detected DMN version
  */
 export function validateDMNStructure(doc) {
   // Check if it's a DMN document
-  const dmnRoot = doc.querySelector('definitions');
-  if (!dmnRoot) {
+  const root = doc.documentElement;
+  if (!root || root.localName !== 'definitions') {
     return {
       valid: false,
       error: 'Not a valid DMN file: missing <definitions> root element'
     };
   }
 
+  const dmnVersion = detectDmnVersion(doc);
+  if (!dmnVersion) {
+    return {
+      valid: false,
+      error: `Not a valid DMN file: unsupported namespace "${root.namespaceURI || ''}" (expected DMN 1.1 to 1.5)`
+    };
+  }
+
   // Check for metadata
-  const metadata = doc.querySelector('extensionElements metadata');
-  if (!metadata) {
+  if (!findMetadataElement(doc)) {
     return {
       valid: false,
       error: 'Missing required metadata in extensionElements'
@@ -91,15 +106,9 @@ export function validateDMNStructure(doc) {
   }
 
   // Check for required metadata fields
+  const metadata = extractMetadata(doc);
   const requiredFields = ['krankheit', 'erreger', 'stand', 'version'];
-  const missingFields = [];
-
-  for (const field of requiredFields) {
-    const element = metadata.querySelector(field);
-    if (!element || !element.textContent.trim()) {
-      missingFields.push(field);
-    }
-  }
+  const missingFields = requiredFields.filter(field => !metadata[field]);
 
   if (missingFields.length > 0) {
     return {
@@ -108,14 +117,14 @@ export function validateDMNStructure(doc) {
     };
   }
 
-  return { valid: true };
+  return { valid: true, version: dmnVersion.version };
 }
 
 /**
  * Validates file completely
  * @param {File} file - The file to validate
  * @param {string} xmlContent - The XML content
- * @returns {{valid: boolean, error?: string, doc?: Document}}
+ * @returns {{valid: boolean, error?: string, doc?: Document, version?: string}}
  */
 export function validateFile(file, xmlContent) {
   // File size validation
@@ -142,5 +151,235 @@ export function validateFile(file, xmlContent) {
     return dmnValidation;
   }
 
-  return { valid: true, doc: xmlValidation.doc };
+  return { valid: true, doc: xmlValidation.doc, version: dmnValidation.version };
+}
+
+/**
+ * Returns the display name and id of a DRG element for messages
+ */
+function describeElement(element) {
+  const name = element.label || element.name;
+  return name && name !== element.id ? `"${name}" (${element.id})` : `"${element.id}"`;
+}
+
+/**
+ * Finds the cycles among the required decisions
+ * @param {Array} decisions - Parsed decisions
+ * @returns {Array<Array<string>>} Each cycle as a list of decision ids
+ */
+function findCycles(decisions) {
+  const byId = new Map(decisions.map(decision => [decision.id, decision]));
+  const state = new Map();
+  const cycles = [];
+  const path = [];
+
+  const visit = id => {
+    state.set(id, 'active');
+    path.push(id);
+    (byId.get(id).requiredDecisions || []).filter(next => byId.has(next)).forEach(next => {
+      if (state.get(next) === 'active') {
+        cycles.push(path.slice(path.indexOf(next)));
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    });
+    path.pop();
+    state.set(id, 'done');
+  };
+
+  decisions.forEach(decision => {
+    if (!state.has(decision.id)) {
+      visit(decision.id);
+    }
+  });
+  return cycles;
+}
+
+/**
+ * Validates the structure of the decision requirements graph
+ * Errors: requiredInput/requiredDecision references to missing elements and
+ * cyclic decision requirements. Warnings: inputData no decision uses and
+ * decision table input expressions that reference no known variable.
+ * @param {Object} dmnData - Parsed DMN data ({allDecisions, inputData})
+ * @returns {{valid: boolean, errors: Array<{code: string, elementIds: Array<string>, message: string}>, warnings: Array}}
+ *   valid is false if there are errors
+ */
+export function validateDecisionGraph(dmnData) {
+  const decisions = dmnData.allDecisions || [];
+  const inputData = dmnData.inputData || [];
+  const decisionIds = new Set(decisions.map(decision => decision.id));
+  const inputIds = new Set(inputData.map(input => input.id));
+  const errors = [];
+  const warnings = [];
+
+  decisions.forEach(decision => {
+    (decision.requiredInputs || []).forEach(id => {
+      if (!inputIds.has(id)) {
+        errors.push({
+          code: 'dangling-input',
+          elementIds: [decision.id, id],
+          message: `Decision ${describeElement(decision)} requires input data "${id}", which does not exist`
+        });
+      }
+    });
+    (decision.requiredDecisions || []).forEach(id => {
+      if (!decisionIds.has(id)) {
+        errors.push({
+          code: 'dangling-decision',
+          elementIds: [decision.id, id],
+          message: `Decision ${describeElement(decision)} requires decision "${id}", which does not exist`
+        });
+      }
+    });
+  });
+
+  findCycles(decisions).forEach(cycle => {
+    errors.push({
+      code: 'cycle',
+      elementIds: cycle,
+      message: `Cyclic decision requirements: ${[...cycle, cycle[0]].join(' → ')}`
+    });
+  });
+
+  // Variables a table input expression may refer to
+  const known = new Set();
+  inputData.forEach(input => [input.variable, input.name].filter(Boolean).forEach(name => known.add(name)));
+  decisions.forEach(decision => {
+    known.add(decision.name);
+    (decision.decisionTable?.outputs || []).forEach(output => [output.name, output.label].filter(Boolean).forEach(name => known.add(name)));
+  });
+
+  const usedVariables = new Set();
+  decisions.forEach(decision => {
+    (decision.decisionTable?.inputs || []).forEach((input, index) => {
+      const expression = (input.expression || '').trim();
+      // Empty expressions fall back to the column label as case variable
+      if (expression === '') {
+        return;
+      }
+      usedVariables.add(expression);
+      const names = collectNames(expression);
+      names.forEach(name => usedVariables.add(name));
+      if (known.has(expression) || names.some(name => known.has(name))) {
+        return;
+      }
+      warnings.push({
+        code: 'unknown-variable',
+        elementIds: [decision.id, input.id].filter(Boolean),
+        message: `Decision ${describeElement(decision)}, input ${index + 1} "${input.label || expression}": expression "${expression}" references no known variable`
+      });
+    });
+  });
+
+  const requiredInputIds = new Set(decisions.flatMap(decision => decision.requiredInputs || []));
+  const sectionNames = dmnData.sectionNames || SECTION_NAMES;
+  inputData.forEach(input => {
+    if (sectionNames.includes(input.name) || requiredInputIds.has(input.id)) {
+      return;
+    }
+    if (usedVariables.has(input.variable) || usedVariables.has(input.name)) {
+      return;
+    }
+    warnings.push({
+      code: 'unused-input',
+      elementIds: [input.id],
+      message: `Input data ${describeElement(input)} is not used by any decision`
+    });
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Validates the categories of the classification decision
+ * Errors: a category value the categories extension does not define, a
+ * defined category no rule sets, a category defined twice and different
+ * values sharing one code ("A - …" and "A - …"). Warnings: rules that set
+ * no category.
+ * @param {Object} dmnData - Parsed DMN data
+ * @returns {{valid: boolean, errors: Array<{code: string, elementIds: Array<string>, message: string}>, warnings: Array}}
+ *   valid is false if there are errors
+ */
+export function validateCategories(dmnData) {
+  const decision = dmnData.fallkategorien;
+  const errors = [];
+  const warnings = [];
+  if (!decision?.decisionTable) {
+    return { valid: true, errors, warnings };
+  }
+
+  const categories = deriveCategories(dmnData);
+  const ruleIds = indices => indices.map(index => decision.decisionTable.rules[index].id).filter(Boolean);
+  const ruleNumbers = indices => indices.map(index => index + 1).join(', ');
+  const hasDefinitions = (dmnData.categoryDefinitions || []).length > 0;
+
+  const definedValues = new Set();
+  (dmnData.categoryDefinitions || []).forEach(definition => {
+    if (definedValues.has(definition.value)) {
+      errors.push({
+        code: 'duplicate-category',
+        elementIds: [decision.id],
+        message: `Category "${definition.value}" is defined more than once`
+      });
+    }
+    definedValues.add(definition.value);
+  });
+
+  categories.forEach(category => {
+    if (hasDefinitions && !category.defined) {
+      errors.push({
+        code: 'undefined-category',
+        elementIds: [decision.id, ...ruleIds(category.rules)],
+        message: `Decision ${describeElement(decision)}, rule ${ruleNumbers(category.rules)}: category "${category.value}" is not defined in the categories extension`
+      });
+    }
+    if (category.defined && category.rules.length === 0) {
+      errors.push({
+        code: 'missing-category',
+        elementIds: [decision.id],
+        message: `Category "${category.value}" is defined, but no rule of decision ${describeElement(decision)} sets it`
+      });
+    }
+  });
+
+  const byCode = new Map();
+  categories.forEach(category => byCode.set(category.code, [...(byCode.get(category.code) || []), category]));
+  byCode.forEach((shared, code) => {
+    if (shared.length > 1) {
+      errors.push({
+        code: 'duplicate-category',
+        elementIds: [decision.id, ...ruleIds(shared.flatMap(category => category.rules))],
+        message: `Decision ${describeElement(decision)}: category ${code} is set with different values (${shared.map(category => `"${category.value}"`).join(', ')})`
+      });
+    }
+  });
+
+  const assigned = new Set(categories.flatMap(category => category.rules));
+  decision.decisionTable.rules.forEach((rule, index) => {
+    if (!assigned.has(index)) {
+      warnings.push({
+        code: 'no-category',
+        elementIds: [decision.id, ...ruleIds([index])],
+        message: `Decision ${describeElement(decision)}, rule ${index + 1} sets no category`
+      });
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Checks the typed metadata fields (dates, ICD-10 codes)
+ * Malformed values are kept as written and reported as warnings.
+ * @param {Object} metadata - Metadata of the parsed model
+ * @returns {Array<{code: string, field: string, message: string}>} Warnings
+ */
+export function validateMetadata(metadata) {
+  return getMetadataFields(metadata)
+    .filter(field => field.error)
+    .map(field => ({
+      code: 'invalid-metadata',
+      field: field.name,
+      message: `Metadata field ${field.label}: ${field.error}`
+    }));
 }
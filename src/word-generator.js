@@ -14,10 +14,22 @@ import {
   HeadingLevel,
   BorderStyle,
   Packer,
-  UnderlineType
+  UnderlineType,
+  ImageRun,
+  ShadingType
 } from 'docx';
+import { buildDocumentModel } from './document-model.js';
+import { downloadBlob } from './download.js';
 
 const BLUE_COLOR = '0563C1'; // RKI blue color for headings
+const METADATA_COLOR = '595959';
+
+// Header shading of input and output columns in decision tables
+const INPUT_HEADER_COLOR = 'DEEAF6';
+const OUTPUT_HEADER_COLOR = 'E2EFD9';
+
+// Printable width of an A4 page with default margins, in pixels at 96 dpi
+const PAGE_WIDTH_PX = 600;
 
 /**
  * Creates a blue heading paragraph (RKI style)
@@ -46,29 +58,24 @@ function createBlueHeading(text, level = 1) {
   });
 }
 
+/**
+ * Creates text runs of the document model in the given size and color
+ * @param {Array<{text: string, bold?: boolean, italics?: boolean}>} runs - Runs of a block
+ * @param {Object} [format] - Additional run properties (size, color)
+ * @returns {Array<TextRun>}
+ */
+function createTextRuns(runs, format = {}) {
+  return runs.map(run => new TextRun({ ...format, text: run.text, bold: run.bold, italics: run.italics }));
+}
+
 /**
  * Creates title paragraph (disease name in blue italic)
- * @param {string} krankheit - Disease name
- * @param {string} erreger - Pathogen name
+ * @param {Array} runs - Runs of the title block
  * @returns {Paragraph}
  */
-function createTitle(krankheit, erreger) {
+function createTitle(runs) {
   return new Paragraph({
-    children: [
-      new TextRun({
-        text: krankheit,
-        bold: true,
-        italics: true,
-        color: BLUE_COLOR,
-        size: 28
-      }),
-      new TextRun({
-        text: ` (${erreger})`,
-        italics: true,
-        color: BLUE_COLOR,
-        size: 28
-      })
-    ],
+    children: createTextRuns(runs, { color: BLUE_COLOR, size: 28 }),
     heading: HeadingLevel.TITLE,
     spacing: {
       before: 0,
@@ -78,42 +85,46 @@ function createTitle(krankheit, erreger) {
 }
 
 /**
- * Creates a normal paragraph with optional formatting
- * @param {string|Array} content - Text content or array of TextRun objects
- * @param {Object} options - Formatting options
- * @returns {Paragraph}
+ * Creates the metadata block below the title, one line per field
+ * @param {Array<{label: string, text: string}>} fields - Fields of the metadata block
+ * @returns {Array<Paragraph>}
  */
-function createParagraph(content, options = {}) {
-  const children = typeof content === 'string'
-    ? [new TextRun(content)]
-    : content;
+function createMetadataBlock(fields) {
+  return fields.map((field, index) => new Paragraph({
+    children: [
+      new TextRun({ text: `${field.label}: `, bold: true, size: 20, color: METADATA_COLOR }),
+      new TextRun({ text: field.text, size: 20, color: METADATA_COLOR })
+    ],
+    spacing: { before: 0, after: index === fields.length - 1 ? 240 : 0 }
+  }));
+}
 
+/**
+ * Creates a normal paragraph
+ * @param {Array<TextRun>} children - Text runs
+ * @returns {Paragraph}
+ */
+function createParagraph(children) {
   return new Paragraph({
     children,
     spacing: {
       before: 0,
       after: 120,
       line: 276, // 1.15 line spacing
-    },
-    ...options
+    }
   });
 }
 
 /**
  * Creates a bullet point paragraph
- * @param {string|Array} content - Text content or array of TextRun objects
- * @param {number} level - Bullet level (0 = dash, 1 = bullet)
+ * @param {Array<TextRun>} children - Text runs
  * @returns {Paragraph}
  */
-function createBullet(content, level = 0) {
-  const children = typeof content === 'string'
-    ? [new TextRun(content)]
-    : content;
-
+function createBullet(children) {
   return new Paragraph({
     children,
     bullet: {
-      level: level
+      level: 0
     },
     spacing: {
       before: 0,
@@ -124,199 +135,141 @@ function createBullet(content, level = 0) {
 }
 
 /**
- * Parses documentation text and creates formatted paragraphs
- * @param {string} text - Documentation text
- * @returns {Array<Paragraph>} Array of paragraphs
+ * Creates a decision table cell
+ * @param {string} text - Cell text
+ * @param {Object} options - {bold, fill} for header cells
+ * @returns {TableCell}
  */
-function parseDocumentation(text) {
-  const paragraphs = [];
-  const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+function createTableCell(text, options = {}) {
+  return new TableCell({
+    children: [
+      new Paragraph({
+        children: [new TextRun({ text, bold: options.bold, size: 18 })],
+        spacing: { before: 0, after: 0 }
+      })
+    ],
+    shading: options.fill ? { type: ShadingType.CLEAR, color: 'auto', fill: options.fill } : undefined,
+    margins: { top: 40, bottom: 40, left: 80, right: 80 }
+  });
+}
 
-  for (const line of lines) {
-    // Check for bullet points starting with dash
-    if (line.startsWith('- ') || line.startsWith('• ')) {
-      const content = line.substring(2).trim();
-      paragraphs.push(createBullet(content, 0));
-    }
-    // Check for sub-bullets
-    else if (line.match(/^\s+[-•]/)) {
-      const content = line.replace(/^\s+[-•]\s*/, '').trim();
-      paragraphs.push(createBullet(content, 1));
-    }
-    // Regular paragraph
-    else {
-      // Check for bold keywords
-      const textRuns = [];
-      const boldKeywords = ['ODER', 'mindestens einer', 'mindestens eines', 'mindestens eine', 'definiert als'];
-      let currentText = line;
+/**
+ * Creates a decision table as Word table
+ * @param {Object} block - Table block of the document model
+ * @returns {Table}
+ */
+function createDecisionTable(block) {
+  const border = { style: BorderStyle.SINGLE, size: 4, color: '808080' };
+  const fills = { input: INPUT_HEADER_COLOR, output: OUTPUT_HEADER_COLOR };
 
-      boldKeywords.forEach(keyword => {
-        if (currentText.includes(keyword)) {
-          const parts = currentText.split(keyword);
-          textRuns.push(new TextRun(parts[0]));
-          textRuns.push(new TextRun({ text: keyword, bold: true }));
-          currentText = parts.slice(1).join(keyword);
-        }
-      });
+  const header = new TableRow({
+    tableHeader: true,
+    children: block.columns.map(column => createTableCell(column.text, { bold: true, fill: fills[column.kind] }))
+  });
 
-      if (textRuns.length === 0) {
-        paragraphs.push(createParagraph(line));
-      } else {
-        textRuns.push(new TextRun(currentText));
-        paragraphs.push(createParagraph(textRuns));
-      }
+  const rows = block.rows.map(cells => new TableRow({
+    children: cells.map(text => createTableCell(text))
+  }));
+
+  return new Table({
+    rows: [header, ...rows],
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    borders: {
+      top: border,
+      bottom: border,
+      left: border,
+      right: border,
+      insideHorizontal: border,
+      insideVertical: border
     }
-  }
-
-  return paragraphs;
+  });
 }
 
 /**
- * Creates fall category sections (A, B, C, D, E)
- * @param {Object} fallkategorien - Fall classification decision
- * @returns {Array<Paragraph>} Array of paragraphs
+ * Creates the diagram heading and image, nothing without an image
+ * @param {string} title - Diagram title
+ * @param {Object|null} diagramImage - PNG of the diagram ({data, width, height})
+ * @returns {Array<Paragraph>}
  */
-function createFallkategorien(fallkategorien) {
-  const paragraphs = [];
-
-  if (!fallkategorien || !fallkategorien.decisionTable) {
-    return paragraphs;
+function createDiagram(title, diagramImage) {
+  if (!diagramImage) {
+    return [];
   }
 
-  const { rules, outputs } = fallkategorien.decisionTable;
-
-  // Map output entries to category labels
-  const categories = {
-    'A': 'Klinisch diagnostizierte Erkrankung',
-    'B': 'Klinisch-epidemiologisch bestätigte Erkrankung',
-    'C': 'Klinisch-labordiagnostisch bestätigte Erkrankung',
-    'D': 'Labordiagnostisch nachgewiesene Infektion bei nicht erfülltem klinischen Bild',
-    'E': 'Labordiagnostisch nachgewiesene Infektion bei unbekanntem klinischen Bild'
-  };
-
-  rules.forEach((rule, index) => {
-    const categoryLetter = String.fromCharCode(65 + index); // A, B, C, D, E
-    const categoryLabel = categories[categoryLetter] || rule.outputEntries[0] || '';
-
-    paragraphs.push(
-      new Paragraph({
-        children: [
-          new TextRun({ text: `${categoryLetter}. `, bold: true }),
-          new TextRun({ text: categoryLabel, bold: true })
-        ],
-        spacing: { before: 120, after: 80 }
-      })
-    );
-
-    // Add description if available
-    if (rule.outputEntries.length > 1 && rule.outputEntries[1]) {
-      paragraphs.push(createParagraph(rule.outputEntries[1]));
-    }
-  });
+  const scale = Math.min(1, PAGE_WIDTH_PX / diagramImage.width);
+  return [
+    createBlueHeading(title, 2),
+    new Paragraph({
+      children: [
+        new ImageRun({
+          type: 'png',
+          data: diagramImage.data,
+          transformation: {
+            width: Math.round(diagramImage.width * scale),
+            height: Math.round(diagramImage.height * scale)
+          },
+          altText: { name: 'DRG', title, description: title }
+        })
+      ],
+      alignment: AlignmentType.CENTER
+    })
+  ];
+}
 
-  return paragraphs;
+/**
+ * Creates the Word content of a block of the document model
+ * @param {Object} block - Block (see document-model.js)
+ * @param {Object|null} diagramImage - PNG of the diagram
+ * @returns {Array<Paragraph|Table>}
+ */
+function createBlock(block, diagramImage) {
+  switch (block.type) {
+    case 'title':
+      return [createTitle(block.runs)];
+    case 'metadata':
+      return createMetadataBlock(block.fields);
+    case 'heading':
+      return [createBlueHeading(block.text, block.level)];
+    case 'subheading':
+      return [new Paragraph({ children: createTextRuns(block.runs), spacing: { before: 120, after: 80 } })];
+    case 'bullet':
+      return [createBullet(createTextRuns(block.runs))];
+    case 'diagram':
+      return createDiagram(block.title, diagramImage);
+    case 'table':
+      return [createDecisionTable(block)];
+    default:
+      return [createParagraph(createTextRuns(block.runs))];
+  }
 }
 
 /**
  * Generates Word document from DMN data in RKI Falldefinition format
+ * The content comes from the document model (see buildDocumentModel).
  * @param {Object} dmnData - Parsed DMN data
+ * @param {Object} options - Export options
+ * @param {boolean} [options.includeAppendix] - Append the diagram and all decision tables
+ * @param {{data: Uint8Array, width: number, height: number}} [options.diagramImage] - PNG of
+ *   the decision requirements diagram shown in the appendix
  * @returns {Promise<Blob>} Word document blob
  */
-export async function generateWordDocument(dmnData) {
-  const {
-    metadata,
-    klinischesBild,
-    labordiagnostik,
-    epidemiologie,
-    fallkategorien,
-    zusatzinfo,
-    referenzdefinition,
-    gesetzlicheGrundlage
-  } = dmnData;
-
-  const sections = [];
-
-  // Title
-  if (metadata.krankheit && metadata.erreger) {
-    sections.push(createTitle(metadata.krankheit, metadata.erreger));
-  }
-
-  // Klinisches Bild
-  if (klinischesBild) {
-    sections.push(createBlueHeading('Klinisches Bild', 1));
-    sections.push(...parseDocumentation(klinischesBild.documentation || ''));
-  }
-
-  // Labordiagnostischer Nachweis
-  if (labordiagnostik) {
-    sections.push(createBlueHeading('Labordiagnostischer Nachweis', 1));
-    sections.push(...parseDocumentation(labordiagnostik.documentation || ''));
-  }
-
-  // Zusatzinformation (if present, goes after Labordiagnostik)
-  if (zusatzinfo && zusatzinfo.documentation) {
-    sections.push(
-      new Paragraph({
-        children: [new TextRun({ text: 'Zusatzinformation', bold: true })],
-        spacing: { before: 120, after: 80 }
-      })
-    );
-    sections.push(...parseDocumentation(zusatzinfo.documentation));
-  }
-
-  // Epidemiologische Bestätigung
-  if (epidemiologie) {
-    sections.push(createBlueHeading('Epidemiologische Bestätigung', 1));
-    sections.push(...parseDocumentation(epidemiologie.documentation || ''));
-
-    // Add Inkubationszeit if available
-    if (metadata.inkubationszeit) {
-      sections.push(createParagraph([
-        new TextRun({ text: 'Inkubationszeit ', italics: true }),
-        new TextRun(metadata.inkubationszeit)
-      ]));
+export async function generateWordDocument(dmnData, options = {}) {
+  const model = buildDocumentModel(dmnData, { includeAppendix: options.includeAppendix });
+  const diagramImage = options.diagramImage || null;
+
+  // A page break starts a new section (the appendix starts on a new page)
+  const documentSections = [{ properties: {}, children: [] }];
+  model.blocks.forEach(block => {
+    if (block.type === 'pageBreak') {
+      documentSections.push({ properties: {}, children: [] });
+    } else {
+      documentSections[documentSections.length - 1].children.push(...createBlock(block, diagramImage));
     }
-  }
-
-  // Über die zuständige Landesbehörde an das RKI zu übermittelnder Fall
-  sections.push(createBlueHeading('Über die zuständige Landesbehörde an das RKI zu übermittelnder Fall', 1));
-  sections.push(...createFallkategorien(fallkategorien));
-
-  // Referenzdefinition
-  if (referenzdefinition && referenzdefinition.documentation) {
-    sections.push(createBlueHeading('Referenzdefinition', 1));
-    sections.push(...parseDocumentation(referenzdefinition.documentation));
-  }
-
-  // Gesetzliche Grundlage
-  sections.push(createBlueHeading('Gesetzliche Grundlage', 1));
-
-  if (gesetzlicheGrundlage.meldepflicht) {
-    sections.push(
-      new Paragraph({
-        children: [new TextRun({ text: 'Meldepflicht', bold: true })],
-        spacing: { before: 100, after: 80 }
-      })
-    );
-    sections.push(...parseDocumentation(gesetzlicheGrundlage.meldepflicht.documentation || ''));
-  }
-
-  if (gesetzlicheGrundlage.uebermittlung) {
-    sections.push(
-      new Paragraph({
-        children: [new TextRun({ text: 'Übermittlung', bold: true })],
-        spacing: { before: 100, after: 80 }
-      })
-    );
-    sections.push(...parseDocumentation(gesetzlicheGrundlage.uebermittlung.documentation || ''));
-  }
+  });
 
   // Create document
   const doc = new Document({
-    sections: [{
-      properties: {},
-      children: sections,
-    }],
+    sections: documentSections,
     styles: {
       paragraphStyles: [
         {
@@ -349,12 +302,5 @@ export async function generateWordDocument(dmnData) {
  * @param {string} filename - Output filename
  */
 export function downloadDocument(blob, filename = 'document.docx') {
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = filename;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+  downloadBlob(blob, filename);
 }
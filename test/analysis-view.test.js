@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { renderCompletenessReport, renderSimplificationReport } from '../src/analysis-view.js';
+
+describe('Analysis View', () => {
+  describe('renderCompletenessReport', () => {
+    const decisionTable = { inputs: [{ label: 'Klinisch' }, { label: 'Labor' }] };
+
+    it('should list uncovered combinations per table', () => {
+      const container = document.createElement('div');
+      renderCompletenessReport(container, [
+        { decision: { id: 'd1', label: 'Fallklassifikation', decisionTable }, gaps: [['"erfüllt"', '"unbekannt"']], truncated: false, unknownGaps: [], unknownTruncated: false, error: null },
+        { decision: { id: 'd2', name: 'Labor', decisionTable }, gaps: [], truncated: false, unknownGaps: [], unknownTruncated: false, error: null }
+      ]);
+
+      expect(container.querySelector('.analysis-summary').textContent).toBe('1 of 2 decision tables cover all input combinations.');
+      expect(container.querySelector('h3').textContent).toBe('Fallklassifikation');
+      expect([...container.querySelectorAll('th')].map(th => th.textContent)).toEqual(['Klinisch', 'Labor']);
+      expect([...container.querySelectorAll('td')].map(td => td.textContent)).toEqual(['"erfüllt"', '"unbekannt"']);
+    });
+
+    it('should list combinations with unknown inputs apart', () => {
+      const container = document.createElement('div');
+      renderCompletenessReport(container, [
+        { decision: { id: 'd1', label: 'Klinik', decisionTable }, gaps: [], truncated: false, unknownGaps: [['null', '-']], unknownTruncated: false, error: null }
+      ]);
+
+      expect(container.querySelector('.analysis-summary').textContent).toBe('0 of 1 decision tables cover all input combinations.');
+      expect(container.textContent).toContain('With unknown (null) inputs, no rule covers this combination:');
+      expect([...container.querySelectorAll('td')].map(td => td.textContent)).toEqual(['null', '-']);
+    });
+
+    it('should show tables that could not be analysed', () => {
+      const container = document.createElement('div');
+      renderCompletenessReport(container, [
+        { decision: { id: 'd1', decisionTable }, gaps: [], truncated: false, unknownGaps: [], unknownTruncated: false, error: 'Rule 2, input 4: invalid' }
+      ]);
+
+      expect(container.querySelector('.analysis-error').textContent).toBe('Not analysed: Rule 2, input 4: invalid');
+    });
+  });
+
+  describe('renderSimplificationReport', () => {
+    it('should list the changes of reducible tables', () => {
+      const container = document.createElement('div');
+      const decisionTable = { rules: [{}, {}, {}] };
+      renderSimplificationReport(container, [{
+        decision: { id: 'd1', label: 'Epidemiologie', decisionTable },
+        simplification: {
+          changed: true,
+          rules: [{}],
+          removed: [{ message: 'Rule 1 is contained in rule 2' }],
+          merged: []
+        },
+        error: null
+      }]);
+
+      expect(container.querySelector('h3').textContent).toBe('Epidemiologie');
+      expect(container.querySelector('p').textContent).toBe('3 rules can be reduced to 1 rule:');
+      expect(container.querySelector('li').textContent).toBe('Rule 1 is contained in rule 2');
+    });
+
+    it('should say when nothing can be simplified', () => {
+      const container = document.createElement('div');
+      renderSimplificationReport(container, []);
+
+      expect(container.textContent).toBe('No decision table can be simplified.');
+    });
+  });
+});
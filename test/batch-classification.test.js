@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCsv,
+  mapColumns,
+  convertCellValue,
+  getCategoryDecision,
+  classifyLineList,
+  lineListToCsv,
+  LineListError
+} from '../src/batch-classification.js';
+import { loadDmnData } from './helpers.js';
+
+describe('Batch Classification', () => {
+  describe('parseCsv', () => {
+    it('should read comma separated files with quoted fields', () => {
+      const table = parseCsv('id,notiz\n1,"Fieber, Durchfall"\n2,"sagt ""ja"""\n');
+      expect(table.delimiter).toBe(',');
+      expect(table.headers).toEqual(['id', 'notiz']);
+      expect(table.rows).toEqual([['1', 'Fieber, Durchfall'], ['2', 'sagt "ja"']]);
+    });
+
+    it('should detect semicolons and skip empty lines', () => {
+      const table = parseCsv('\uFEFFid;fieber\r\n1;ja\r\n\r\n2;nein\r\n');
+      expect(table.delimiter).toBe(';');
+      expect(table.headers).toEqual(['id', 'fieber']);
+      expect(table.rows).toEqual([['1', 'ja'], ['2', 'nein']]);
+    });
+
+    it('should keep line breaks inside quotes', () => {
+      expect(parseCsv('a,b\n"x\ny",z').rows).toEqual([['x\ny', 'z']]);
+    });
+
+    it('should reject empty files and unterminated quotes', () => {
+      expect(() => parseCsv('\n\n')).toThrow(LineListError);
+      expect(() => parseCsv('a,b\n"x,y')).toThrow('Unterminated quoted field');
+    });
+  });
+
+  describe('mapColumns', () => {
+    const caseInputs = [
+      { variable: 'krankheitsbedingter_tod', label: 'Krankheitsbedingter Tod', type: 'boolean' },
+      { variable: 'fieber', label: 'Fieber', type: 'boolean' },
+      { variable: 'pcr', label: 'Nukleinsäurenachweis', type: 'boolean' }
+    ];
+
+    it('should match headers by variable name, label or id', () => {
+      const inputData = [{ id: 'InputData_PCR', name: 'Nukleinsäurenachweis', variable: 'pcr' }];
+      const mapping = mapColumns(['Fall', 'Krankheitsbedingter-Tod', 'FIEBER', 'InputData_PCR'], caseInputs, inputData);
+
+      expect(mapping.columns).toEqual({ krankheitsbedingter_tod: 1, fieber: 2, pcr: 3 });
+      expect(mapping.missing).toEqual([]);
+      expect(mapping.unused).toEqual(['Fall']);
+    });
+
+    it('should list inputs without a column', () => {
+      expect(mapColumns(['fieber'], caseInputs).missing).toEqual(['krankheitsbedingter_tod', 'pcr']);
+    });
+  });
+
+  describe('convertCellValue', () => {
+    it('should read common boolean spellings', () => {
+      expect(['ja', 'TRUE', 'x', '1'].map(v => convertCellValue(v, 'boolean'))).toEqual([true, true, true, true]);
+      expect(['nein', 'false', '0'].map(v => convertCellValue(v, 'boolean'))).toEqual([false, false, false]);
+      expect(convertCellValue('unbekannt', 'boolean')).toBeNull();
+    });
+
+    it('should read numbers with a decimal comma', () => {
+      expect(convertCellValue('38,5', 'number')).toBe(38.5);
+      expect(convertCellValue('abc', 'number')).toBeNull();
+    });
+
+    it('should turn empty cells into null', () => {
+      expect(convertCellValue('  ', 'string')).toBeNull();
+      expect(convertCellValue(' positiv ', 'string')).toBe('positiv');
+    });
+  });
+
+  describe('classifyLineList', () => {
+    const dmnData = loadDmnData('../campylobacter_classification.dmn');
+    const table = parseCsv([
+      'fall_id;durchfall;fieber;pcr;gemeinsame_quelle',
+      '1;ja;nein;ja;',
+      '2;ja;ja;ja;ja',
+      '3;nein;nein;ja;',
+      '4;;;;'
+    ].join('\n'));
+
+    it('should use the Falldefinition classification as category decision', () => {
+      expect(getCategoryDecision(dmnData).id).toBe('campylobacter_classification');
+    });
+
+    it('should classify every row and count the categories', () => {
+      const classification = classifyLineList(dmnData, table);
+
+      expect(classification.rows.map(row => row.category)).toEqual(['C', 'C', 'E', '']);
+      expect(classification.rows[0].matchedRules).toMatch(/^Klinisches Bild: 2; .*Referenzdefinition: 3, 5, 6$/);
+      expect(classification.summary).toEqual([
+        { category: 'C', count: 2 },
+        { category: 'E', count: 1 },
+        { category: '', count: 1 }
+      ]);
+      expect(classification.errors).toBe(0);
+      expect(classification.mapping.unused).toEqual(['fall_id']);
+    });
+
+    it('should reject line lists without any known column', () => {
+      expect(() => classifyLineList(dmnData, parseCsv('a,b\n1,2'))).toThrow(LineListError);
+    });
+
+    it('should record rows the model cannot evaluate', () => {
+      const unique = {
+        allDecisions: [{
+          id: 'd1',
+          name: 'Kategorie',
+          decisionTable: {
+            hitPolicy: 'UNIQUE',
+            inputs: [{ label: 'Fieber', expression: 'fieber' }],
+            outputs: [{ name: 'kategorie' }],
+            rules: [
+              { inputEntries: ['true'], outputEntries: ['"A"'] },
+              { inputEntries: ['-'], outputEntries: ['"B"'] }
+            ]
+          }
+        }],
+        inputData: []
+      };
+      const classification = classifyLineList(unique, parseCsv('fieber\nja\nnein'));
+
+      expect(classification.rows[0].error).toMatch(/UNIQUE hit policy violated/);
+      expect(classification.rows[1].category).toBe('B');
+      expect(classification.summary).toEqual([{ category: 'B', count: 1 }]);
+      expect(classification.errors).toBe(1);
+    });
+  });
+
+  describe('lineListToCsv', () => {
+    it('should append the classification columns with the original delimiter', () => {
+      const dmnData = loadDmnData('../campylobacter_classification.dmn');
+      const table = parseCsv('fall_id;durchfall;fieber;pcr;notiz\n1;ja;nein;ja;"a;b"\n');
+      const lines = lineListToCsv(table, classifyLineList(dmnData, table)).split('\n');
+
+      expect(lines[0]).toBe('fall_id;durchfall;fieber;pcr;notiz;category;matched_rules;classification_error');
+      expect(lines[1]).toMatch(/^1;ja;nein;ja;"a;b";C;"Klinisches Bild: 2; .*";$/);
+    });
+  });
+});
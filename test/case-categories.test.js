@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { deriveCategories, getCategoryColumn } from '../src/case-categories.js';
+
+const decision = (outputs, rules) => ({
+  id: 'fallklassifikation',
+  label: 'Fallklassifikation',
+  decisionTable: {
+    outputs,
+    rules: rules.map((outputEntries, i) => ({ id: `r${i + 1}`, inputEntries: [], outputEntries, annotationEntries: [] }))
+  }
+});
+
+describe('Case Categories', () => {
+  describe('getCategoryColumn', () => {
+    it('should find the column named by the profile, otherwise the first one', () => {
+      const fallkategorien = decision([{ name: 'text' }, { name: 'kategorie', label: 'Kategorie' }], []);
+
+      expect(getCategoryColumn(fallkategorien, 'Kategorie')).toBe(1);
+      expect(getCategoryColumn(fallkategorien, 'fehlt')).toBe(0);
+      expect(getCategoryColumn(fallkategorien)).toBe(0);
+    });
+  });
+
+  describe('deriveCategories', () => {
+    it('should key categories by output value regardless of rule order', () => {
+      const categories = deriveCategories({
+        fallkategorien: decision([{ name: 'kategorie' }, { name: 'beschreibung' }], [
+          ['"C"', '"Klinisch-labordiagnostisch"'],
+          ['"A"', '"Klinisch"'],
+          ['"F"', '"Sonstige"'],
+          ['"B"', '"Klinisch-epidemiologisch"'],
+          ['"G"', '"Weitere"'],
+          ['"H"', '"Letzte"']
+        ])
+      });
+
+      expect(categories.map(category => category.code)).toEqual(['A', 'B', 'C', 'F', 'G', 'H']);
+      expect(categories[0]).toEqual({
+        value: 'A', code: 'A', label: '', description: 'Klinisch', rules: [1], defined: false
+      });
+    });
+
+    it('should merge the rules of one category', () => {
+      const categories = deriveCategories({
+        fallkategorien: decision([{ name: 'kategorie' }, { name: 'beschreibung' }], [
+          ['"C"', 'Labornachweis mit Klinik.'],
+          ['"D"', 'Labornachweis ohne Klinik.'],
+          ['"C"', 'Labornachweis mit Klinik.'],
+          ['"C"', 'Labornachweis mit Ausbruch.']
+        ])
+      });
+
+      expect(categories).toHaveLength(2);
+      expect(categories[0].rules).toEqual([0, 2, 3]);
+      expect(categories[0].description).toBe('Labornachweis mit Klinik.\nLabornachweis mit Ausbruch.');
+    });
+
+    it('should split coded values and prefer a label column', () => {
+      const categories = deriveCategories({
+        fallkategorien: decision([{ name: 'kategorie' }, { label: 'Bezeichnung' }, { name: 'meldepflichtig' }], [
+          ['"A - Klinisch-labordiagnostisch bestätigter Fall"', '', '"ja"'],
+          ['"B - Epidemiologisch bestätigt"', '"Klinisch-epidemiologisch bestätigter Fall"', '"ja"']
+        ])
+      });
+
+      expect(categories.map(({ code, label, description }) => ({ code, label, description }))).toEqual([
+        { code: 'A', label: 'Klinisch-labordiagnostisch bestätigter Fall', description: '' },
+        { code: 'B', label: 'Klinisch-epidemiologisch bestätigter Fall', description: '' }
+      ]);
+    });
+
+    it('should describe categories by rule annotations without description column', () => {
+      const fallkategorien = decision([{ name: 'kategorie' }], [['"A"'], ['"B"']]);
+      fallkategorien.decisionTable.rules[0].annotationEntries = ['Nur klinisch'];
+      fallkategorien.decisionTable.rules[1].description = 'Mit epidemiologischer Bestätigung';
+
+      expect(deriveCategories({ fallkategorien }).map(category => category.description))
+        .toEqual(['Nur klinisch', 'Mit epidemiologischer Bestätigung']);
+    });
+
+    it('should take labels, descriptions and order from the category definitions', () => {
+      const categories = deriveCategories({
+        fallkategorien: decision([{ name: 'kategorie' }, { name: 'beschreibung' }], [['"A"', '"Tabelle"'], ['"B"', '"Tabelle"']]),
+        categoryDefinitions: [
+          { value: 'B', label: 'Klinisch-epidemiologisch', description: 'Aus der Erweiterung' },
+          { value: 'A', label: 'Klinisch', description: '' },
+          { value: 'E', label: 'Unbenutzt', description: '' }
+        ]
+      });
+
+      expect(categories.map(({ value, label, description, rules, defined }) => ({ value, label, description, rules, defined }))).toEqual([
+        { value: 'B', label: 'Klinisch-epidemiologisch', description: 'Aus der Erweiterung', rules: [1], defined: true },
+        { value: 'A', label: 'Klinisch', description: 'Tabelle', rules: [0], defined: true },
+        { value: 'E', label: 'Unbenutzt', description: '', rules: [], defined: true }
+      ]);
+    });
+
+    it('should use the category column of the profile and skip rules without category', () => {
+      const categories = deriveCategories({
+        fallkategorien: decision([{ name: 'uebermitteln' }, { name: 'kategorie' }], [['true', '"A"'], ['false', '']]),
+        categoryOutput: 'kategorie'
+      });
+
+      expect(categories.map(category => category.value)).toEqual(['A']);
+    });
+
+    it('should return no categories without classification decision', () => {
+      expect(deriveCategories({ fallkategorien: null })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderCaseForm, readCaseForm, renderClassification, renderLineListSummary, formatResult } from '../src/case-classifier.js';
+
+describe('Case Classifier', () => {
+  const caseInputs = [
+    { variable: 'fieber', label: 'Fieber', description: 'Körpertemperatur ≥38.5°C', type: 'boolean', options: [] },
+    { variable: 'alter', label: 'Alter', description: '', type: 'number', options: [] },
+    { variable: 'labor', label: 'Labor', description: '', type: 'string', options: ['erfüllt', 'nicht erfüllt'] },
+    { variable: 'notiz', label: 'Notiz', description: '', type: 'string', options: [] }
+  ];
+
+  let form;
+
+  beforeEach(() => {
+    form = document.createElement('form');
+    renderCaseForm(form, caseInputs);
+  });
+
+  describe('renderCaseForm', () => {
+    it('should render a widget per input type', () => {
+      expect(form.querySelector('#case-input-0').tagName).toBe('SELECT');
+      expect(form.querySelector('#case-input-1').type).toBe('number');
+      expect(form.querySelector('#case-input-2').tagName).toBe('SELECT');
+      expect(form.querySelector('#case-input-3').type).toBe('text');
+      expect(form.querySelector('button[type="submit"]')).not.toBeNull();
+    });
+
+    it('should show labels and descriptions', () => {
+      expect(form.querySelector('label[for="case-input-0"]').textContent).toBe('Fieber');
+      expect(form.querySelector('.case-help').textContent).toBe('Körpertemperatur ≥38.5°C');
+    });
+
+    it('should offer the tested values in selects', () => {
+      const options = [...form.querySelector('#case-input-2').options].map(option => option.value);
+      expect(options).toEqual(['', 'erfüllt', 'nicht erfüllt']);
+    });
+
+    it('should replace previous fields', () => {
+      renderCaseForm(form, caseInputs.slice(0, 1));
+      expect(form.querySelectorAll('.case-field')).toHaveLength(1);
+    });
+  });
+
+  describe('readCaseForm', () => {
+    it('should convert values to the input types', () => {
+      form.querySelector('#case-input-0').value = 'true';
+      form.querySelector('#case-input-1').value = '42';
+      form.querySelector('#case-input-2').value = 'erfüllt';
+
+      expect(readCaseForm(form, caseInputs)).toEqual({
+        fieber: true,
+        alter: 42,
+        labor: 'erfüllt',
+        notiz: null
+      });
+    });
+
+    it('should read booleans as yes, no or unknown', () => {
+      const fieber = form.querySelector('#case-input-0');
+      expect([...fieber.options].map(option => option.textContent)).toEqual(['unknown', 'yes', 'no']);
+      expect(readCaseForm(form, caseInputs).fieber).toBeNull();
+
+      fieber.value = 'false';
+      expect(readCaseForm(form, caseInputs).fieber).toBe(false);
+    });
+  });
+
+  describe('formatResult', () => {
+    it('should format scalars, objects and lists', () => {
+      expect(formatResult('C')).toBe('C');
+      expect(formatResult(null)).toBe('no result');
+      expect(formatResult({ category: 'C', beschreibung: '' })).toBe('category: C');
+      expect(formatResult([1, 2])).toBe('1; 2');
+      expect(formatResult([])).toBe('no result');
+    });
+  });
+
+  describe('renderClassification', () => {
+    it('should show the final result and the decision path', () => {
+      const container = document.createElement('div');
+      renderClassification(container, {
+        order: ['klinik', 'klassifikation'],
+        finalDecisions: ['klassifikation'],
+        results: {
+          klinik: {
+            decision: { id: 'klinik', name: 'Klinisches Bild' },
+            matches: [{ index: 1 }],
+            result: { klinik: true },
+            value: true
+          },
+          klassifikation: {
+            decision: { id: 'klassifikation', label: 'Falldefinition' },
+            matches: [],
+            result: null,
+            value: null
+          }
+        }
+      });
+
+      expect(container.querySelector('dt').textContent).toBe('Falldefinition');
+      expect(container.querySelector('dd').textContent).toBe('no result');
+      const steps = [...container.querySelectorAll('.classification-path li')].map(li => li.textContent);
+      expect(steps).toEqual(['Klinisches Bild: rule 2 → true', 'Falldefinition: no rule matched']);
+      expect(container.querySelector('.classification-explanation')).toBeNull();
+    });
+
+    it('should show the German explanation when given', () => {
+      const container = document.createElement('div');
+      renderClassification(
+        container,
+        { order: [], finalDecisions: [], results: {} },
+        { summary: ['Fallkategorie C, weil Klinisches Bild erfüllt (Durchfall).'] }
+      );
+
+      expect(container.querySelector('.classification-explanation').textContent)
+        .toBe('Fallkategorie C, weil Klinisches Bild erfüllt (Durchfall).');
+    });
+  });
+
+  describe('renderLineListSummary', () => {
+    it('should show the cases per category and mapping notes', () => {
+      const container = document.createElement('div');
+      renderLineListSummary(container, {
+        categoryDecision: { id: 'klassifikation', label: 'Fallkategorie' },
+        rows: [{}, {}, {}, {}],
+        summary: [{ category: 'C', count: 2 }, { category: '', count: 1 }],
+        errors: 1,
+        mapping: { columns: { fieber: 1 }, missing: ['pcr'], unused: ['fall_id'] }
+      });
+
+      expect(container.querySelector('h3').textContent).toBe('4 cases classified');
+      expect(container.querySelector('th').textContent).toBe('Fallkategorie');
+      const rows = [...container.querySelectorAll('tbody tr')].map(row => row.textContent);
+      expect(rows).toEqual(['C2', 'no category1', 'not classified (error)1']);
+      const notes = [...container.querySelectorAll('.line-list-notes li')].map(li => li.textContent);
+      expect(notes).toEqual(['No column for pcr; treated as missing values', 'Columns not used: fall_id']);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toPascalCase,
+  toCamelCase,
+  reserveName,
+  buildDecisionModel,
+  CodeGenerationError
+} from '../src/code-generation.js';
+import { getValueType } from '../src/decision-engine.js';
+
+describe('Code Generation', () => {
+  describe('toPascalCase', () => {
+    it('should convert labels to ASCII identifiers', () => {
+      expect(toPascalCase('Klinisches Bild')).toBe('KlinischesBild');
+      expect(toPascalCase('Übermittlungsdefinition und Referenzdefinition')).toBe('UebermittlungsdefinitionUndReferenzdefinition');
+      expect(toPascalCase('antigen_nachweis')).toBe('AntigenNachweis');
+      expect(toPascalCase('18-59 Jahre')).toBe('_1859Jahre');
+      expect(toPascalCase('???', 'Decision')).toBe('Decision');
+    });
+  });
+
+  describe('toCamelCase', () => {
+    it('should lower-case the first letter', () => {
+      expect(toCamelCase('Krankheitsbedingter Tod')).toBe('krankheitsbedingterTod');
+      expect(toCamelCase('Gewässer')).toBe('gewaesser');
+    });
+  });
+
+  describe('reserveName', () => {
+    it('should append a counter to taken names', () => {
+      const used = new Set();
+      expect(reserveName('Fall', used)).toBe('Fall');
+      expect(reserveName('Fall', used)).toBe('Fall2');
+    });
+  });
+
+  describe('buildDecisionModel', () => {
+    const options = () => ({ typeName: toPascalCase, memberName: toPascalCase, usedTypeNames: new Set() });
+
+    it('should infer types from typeRefs and literals', () => {
+      const model = buildDecisionModel({
+        id: 'd1',
+        name: 'Fallklassifikation',
+        decisionTable: {
+          hitPolicy: 'FIRST',
+          inputs: [
+            { label: 'Klinisch', expression: 'klinisch', typeRef: '' },
+            { label: 'Alter', expression: 'alter', typeRef: 'number' }
+          ],
+          outputs: [{ name: 'kategorie', typeRef: 'string' }],
+          rules: [
+            { inputEntries: ['"erfüllt"', '>= 18'], outputEntries: ['"A"'] },
+            { inputEntries: ['-', '-'], outputEntries: ['5'] }
+          ]
+        }
+      }, options());
+
+      expect(model.className).toBe('Fallklassifikation');
+      expect(model.inputs.map(i => [i.member, i.type])).toEqual([['Klinisch', 'string'], ['Alter', 'number']]);
+      expect(model.outputs[0].type).toBe('string');
+      expect(model.rules[1].values).toEqual(['5']);
+    });
+
+    it('should map typeRefs like the decision engine', () => {
+      const typeRefs = ['Boolean', 'integer', 'date', 'tStatus'];
+      const model = buildDecisionModel({
+        id: 'd1',
+        name: 'Status',
+        decisionTable: {
+          inputs: typeRefs.map((typeRef, i) => ({ label: `Input ${i + 1}`, expression: `input${i + 1}`, typeRef })),
+          outputs: [{ name: 'status' }],
+          rules: [{ inputEntries: ['true', '1', '-', 'true'], outputEntries: ['"A"'] }]
+        }
+      }, options());
+
+      expect(model.inputs.map(input => input.type)).toEqual(typeRefs.map(getValueType));
+      expect(model.inputs.map(input => input.type)).toEqual(['boolean', 'number', 'string', 'string']);
+    });
+
+    it('should report the position of invalid entries', () => {
+      const decision = {
+        id: 'd1',
+        name: 'COVID-19',
+        decisionTable: {
+          inputs: [{ label: 'Alter', expression: '' }],
+          outputs: [{ label: 'Kategorie' }],
+          rules: [{ inputEntries: ['18-59'], outputEntries: ['"x"'] }]
+        }
+      };
+
+      expect(() => buildDecisionModel(decision, options())).toThrow(CodeGenerationError);
+      expect(() => buildDecisionModel(decision, options())).toThrow(/COVID-19, rule 1, input 1/);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { generateCSharpCode } from '../src/csharp-generator.js';
+import { loadDmnData } from './helpers.js';
+
+describe('C# Generator', () => {
+  describe('generateCSharpCode', () => {
+    it('should generate typed records and evaluators for the Campylobacter model', () => {
+      const code = generateCSharpCode(loadDmnData('../campylobacter_classification.dmn'));
+
+      expect(code).toContain('namespace Epilogic.Falldefinitionen.CampylobacterEnteritis');
+      expect(code).toContain('public record KlinischesBildInput(bool? Bauchschmerzen, bool? Durchfall, bool? Fieber, bool? KrankheitsbedingterTod);');
+      expect(code).toContain('public record KlinischesBildOutput(bool? Clinical);');
+      expect(code).toContain('public static KlinischesBildOutput? Evaluate(KlinischesBildInput input)');
+      expect(code).toContain('public record UebermittlungsdefinitionUndReferenzdefinitionOutput(string? Category, bool? Transmit, string? Referenzdefinition);');
+      expect(code).toContain('return new UebermittlungsdefinitionUndReferenzdefinitionOutput("C", true, "true");');
+    });
+
+    it('should translate unary tests into conditions', () => {
+      const code = generateCSharpCode({
+        metadata: {},
+        allDecisions: [{
+          id: 'd1',
+          name: 'Impfung',
+          decisionTable: {
+            hitPolicy: 'FIRST',
+            inputs: [
+              { label: 'Alter', expression: 'alter', typeRef: 'number' },
+              { label: 'Status', expression: 'status', typeRef: 'string' }
+            ],
+            outputs: [{ name: 'empfehlung', typeRef: 'string' }],
+            rules: [
+              { inputEntries: ['[18..59]', 'not("geimpft")'], outputEntries: ['"Standardimpfung"'] },
+              { inputEntries: ['>= 60', '"offen", "unbekannt"'], outputEntries: ['"Indikationsimpfung"'] },
+              { inputEntries: ['-', '-'], outputEntries: ['"keine"'] }
+            ]
+          }
+        }]
+      });
+
+      expect(code).toContain('(input.Alter >= 18m && input.Alter <= 59m)');
+      expect(code).toContain('!(input.Status == "geimpft")');
+      expect(code).toContain('(input.Status == "offen" || input.Status == "unbekannt")');
+      expect(code).toContain('return new ImpfungOutput("keine");');
+      expect(code).not.toContain('return null;');
+    });
+
+    it('should implement multi-hit policies and aggregations', () => {
+      const table = (hitPolicy, aggregation = '') => ({
+        hitPolicy,
+        aggregation,
+        inputs: [{ label: 'Fieber', expression: 'fieber', typeRef: 'boolean' }],
+        outputs: [{ name: 'punkte', typeRef: 'number' }],
+        rules: [{ inputEntries: ['true'], outputEntries: ['1'] }]
+      });
+      const code = generateCSharpCode({
+        metadata: {},
+        allDecisions: [
+          { id: 'd1', name: 'Unique', decisionTable: table('UNIQUE') },
+          { id: 'd2', name: 'Summe', decisionTable: table('COLLECT', 'SUM') },
+          { id: 'd3', name: 'Liste', decisionTable: table('RULE ORDER') }
+        ]
+      });
+
+      expect(code).toContain('throw new InvalidOperationException("UNIQUE hit policy violated');
+      expect(code).toContain('public static decimal? Evaluate(SummeInput input)');
+      expect(code).toContain('values.Sum()');
+      expect(code).toContain('public static List<ListeOutput> Evaluate(ListeInput input)');
+    });
+
+    it('should reject SUM, MIN and MAX of text outputs', () => {
+      const dmnData = aggregation => ({
+        metadata: {},
+        allDecisions: [{
+          id: 'd1',
+          name: 'Kategorie',
+          decisionTable: {
+            hitPolicy: 'COLLECT',
+            aggregation,
+            inputs: [{ label: 'Fieber', expression: 'fieber', typeRef: 'boolean' }],
+            outputs: [{ name: 'kategorie', typeRef: 'string' }],
+            rules: [{ inputEntries: ['true'], outputEntries: ['"A"'] }]
+          }
+        }]
+      });
+
+      ['SUM', 'MIN', 'MAX'].forEach(aggregation => {
+        expect(() => generateCSharpCode(dmnData(aggregation)))
+          .toThrow(`Kategorie: COLLECT ${aggregation} needs a number output, "kategorie" is not a number`);
+      });
+      expect(generateCSharpCode(dmnData('COUNT'))).toContain('public static int Evaluate(KategorieInput input)');
+    });
+
+    it('should skip decisions without decision tables', () => {
+      const code = generateCSharpCode({
+        metadata: {},
+        allDecisions: [{ id: 'd1', name: 'Literal', decisionTable: null }]
+      });
+
+      expect(code).not.toContain('class Literal');
+      expect(code).toContain('namespace Epilogic.Falldefinitionen');
+    });
+
+    it('should fail on entries that are not valid FEEL', () => {
+      expect(() => generateCSharpCode(loadDmnData('../diagram.dmn'))).toThrow(/rule 2, input 4/);
+    });
+  });
+});
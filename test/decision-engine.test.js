@@ -0,0 +1,390 @@
+import { describe, it, expect } from 'vitest';
+import {
+  evaluateDecisionTable,
+  getHitPolicyLabel,
+  getHitPolicyAbbreviation,
+  HitPolicyError,
+  orderDecisions,
+  evaluateDecisionGraph,
+  buildInputContext,
+  DecisionGraphError,
+  getCaseInputs
+} from '../src/decision-engine.js';
+import { extractDecisions } from '../src/dmn-parser.js';
+import { loadDmnData, readFixture } from './helpers.js';
+
+function loadDecisions(path) {
+  return extractDecisions(new DOMParser().parseFromString(readFixture(path), 'text/xml'));
+}
+
+describe('Decision Engine', () => {
+  describe('evaluateDecisionTable', () => {
+    const decisionTable = {
+      hitPolicy: 'RULE ORDER',
+      inputs: [
+        { id: 'in1', label: 'Klinisches Bild', expression: 'klinisch' },
+        { id: 'in2', label: 'Labornachweis', expression: 'labor' }
+      ],
+      outputs: [
+        { id: 'out1', label: 'Kategorie', name: 'kategorie' }
+      ],
+      rules: [
+        { id: 'r1', inputEntries: ['"erfüllt"', '"erfüllt"'], outputEntries: ['"C"'] },
+        { id: 'r2', inputEntries: ['"nicht erfüllt"', '"erfüllt"'], outputEntries: ['"D"'] },
+        { id: 'r3', inputEntries: ['-', '"erfüllt"'], outputEntries: ['"E"'] }
+      ]
+    };
+
+    it('should return all matching rules with their outputs', () => {
+      const result = evaluateDecisionTable(decisionTable, { klinisch: 'erfüllt', labor: 'erfüllt' });
+
+      expect(result.matches).toHaveLength(2);
+      expect(result.matches[0]).toEqual({ index: 0, id: 'r1', outputs: { kategorie: 'C' } });
+      expect(result.matches[1].id).toBe('r3');
+      expect(result.outputs).toEqual([{ kategorie: 'C' }, { kategorie: 'E' }]);
+      expect(result.result).toEqual([{ kategorie: 'C' }, { kategorie: 'E' }]);
+    });
+
+    it('should return no matches when no rule applies', () => {
+      const result = evaluateDecisionTable(decisionTable, { klinisch: 'erfüllt', labor: 'nicht erfüllt' });
+
+      expect(result.matches).toEqual([]);
+      expect(result.outputs).toEqual([]);
+      expect(result.result).toEqual([]);
+    });
+
+    it('should treat missing inputs as null', () => {
+      const result = evaluateDecisionTable(decisionTable, { labor: 'erfüllt' });
+
+      expect(result.matches.map(m => m.id)).toEqual(['r3']);
+    });
+
+    it('should fall back to the input label when the expression is empty', () => {
+      const table = {
+        inputs: [{ id: 'in1', label: 'Alter', expression: '' }],
+        outputs: [{ id: 'out1', label: 'Impfung notwendig' }],
+        rules: [{ id: 'r1', inputEntries: ['>= 60'], outputEntries: ['"ja"'] }]
+      };
+
+      const result = evaluateDecisionTable(table, { Alter: 65 });
+
+      expect(result.outputs).toEqual([{ 'Impfung notwendig': 'ja' }]);
+    });
+
+    it('should report the rule and input of an invalid entry', () => {
+      const table = {
+        inputs: [{ id: 'in1', label: 'Alter', expression: 'alter' }],
+        outputs: [{ id: 'out1', name: 'ergebnis' }],
+        rules: [{ id: 'r1', inputEntries: ['18-59'], outputEntries: ['"ja"'] }]
+      };
+
+      expect(() => evaluateDecisionTable(table, { alter: 20 })).toThrow(/Rule 1, input 1/);
+    });
+
+    it('should evaluate the Campylobacter classification tables', () => {
+      const decisions = loadDecisions('../campylobacter_classification.dmn');
+      const clinical = decisions.find(d => d.id === 'clinical_picture');
+      const classification = decisions.find(d => d.id === 'campylobacter_classification');
+
+      const clinicalResult = evaluateDecisionTable(clinical.decisionTable, {
+        bauchschmerzen: false,
+        durchfall: true,
+        fieber: false,
+        krankheitsbedingter_tod: false
+      });
+      expect(clinicalResult.outputs[0]).toEqual({ clinical: true });
+
+      const classificationResult = evaluateDecisionTable(classification.decisionTable, {
+        clinical: true,
+        lab: true,
+        epi: false
+      });
+      expect(classificationResult.matches[0].id).toBe('rule_3');
+      expect(classificationResult.result.category).toBe('C');
+    });
+  });
+
+  describe('hit policies', () => {
+    const context = { klinisch: 'erfüllt', labor: 'erfüllt' };
+    const table = (hitPolicy, aggregation = '', outputValues = '') => ({
+      hitPolicy,
+      aggregation,
+      inputs: [
+        { id: 'in1', label: 'Klinisches Bild', expression: 'klinisch' },
+        { id: 'in2', label: 'Labornachweis', expression: 'labor' }
+      ],
+      outputs: [{ id: 'out1', name: 'punkte', outputValues }],
+      rules: [
+        { id: 'r1', inputEntries: ['"erfüllt"', '-'], outputEntries: ['2'] },
+        { id: 'r2', inputEntries: ['-', '"erfüllt"'], outputEntries: ['3'] },
+        { id: 'r3', inputEntries: ['"nicht erfüllt"', '-'], outputEntries: ['5'] }
+      ]
+    });
+
+    it('should return the first match for FIRST', () => {
+      expect(evaluateDecisionTable(table('FIRST'), context).result).toEqual({ punkte: 2 });
+    });
+
+    it('should throw for UNIQUE when several rules match', () => {
+      expect(() => evaluateDecisionTable(table('UNIQUE'), context)).toThrow(HitPolicyError);
+    });
+
+    it('should return the single match for UNIQUE', () => {
+      const result = evaluateDecisionTable(table('UNIQUE'), { klinisch: 'nicht erfüllt' });
+      expect(result.result).toEqual({ punkte: 5 });
+    });
+
+    it('should return null for single-hit policies without a match', () => {
+      const result = evaluateDecisionTable(table('FIRST'), { klinisch: 'unbekannt' });
+      expect(result.result).toBeNull();
+    });
+
+    it('should throw for ANY when matches have different outputs', () => {
+      try {
+        evaluateDecisionTable(table('ANY'), context);
+        expect.unreachable();
+      } catch (error) {
+        expect(error).toBeInstanceOf(HitPolicyError);
+        expect(error.ruleIndices).toEqual([0, 1]);
+      }
+    });
+
+    it('should order by output values for PRIORITY and OUTPUT ORDER', () => {
+      expect(evaluateDecisionTable(table('PRIORITY', '', '3,2,5'), context).result).toEqual({ punkte: 3 });
+      expect(evaluateDecisionTable(table('OUTPUT ORDER', '', '3,2,5'), context).result)
+        .toEqual([{ punkte: 3 }, { punkte: 2 }]);
+    });
+
+    it('should aggregate COLLECT results', () => {
+      expect(evaluateDecisionTable(table('COLLECT'), context).result).toEqual([{ punkte: 2 }, { punkte: 3 }]);
+      expect(evaluateDecisionTable(table('COLLECT', 'SUM'), context).result).toEqual({ punkte: 5 });
+      expect(evaluateDecisionTable(table('COLLECT', 'COUNT'), context).result).toEqual({ punkte: 2 });
+      expect(evaluateDecisionTable(table('COLLECT', 'MIN'), context).result).toEqual({ punkte: 2 });
+      expect(evaluateDecisionTable(table('COLLECT', 'MAX'), context).result).toEqual({ punkte: 3 });
+      expect(evaluateDecisionTable(table('COLLECT', 'SUM'), {}).result).toEqual({ punkte: null });
+    });
+  });
+
+  describe('getHitPolicyLabel', () => {
+    it('should include the aggregation for COLLECT tables', () => {
+      expect(getHitPolicyLabel({ hitPolicy: 'COLLECT', aggregation: 'SUM' })).toBe('COLLECT SUM');
+      expect(getHitPolicyLabel({ hitPolicy: 'FIRST' })).toBe('FIRST');
+      expect(getHitPolicyLabel({})).toBe('UNIQUE');
+    });
+  });
+
+  describe('getHitPolicyAbbreviation', () => {
+    it('should abbreviate hit policies like DMN table corners', () => {
+      expect(getHitPolicyAbbreviation({ hitPolicy: 'FIRST' })).toBe('F');
+      expect(getHitPolicyAbbreviation({ hitPolicy: 'RULE ORDER' })).toBe('R');
+      expect(getHitPolicyAbbreviation({ hitPolicy: 'COLLECT', aggregation: 'COUNT' })).toBe('C#');
+    });
+  });
+
+  describe('orderDecisions', () => {
+    it('should place required decisions first', () => {
+      const decisions = [
+        { id: 'final', requiredDecisions: ['a', 'b'] },
+        { id: 'b', requiredDecisions: ['a'] },
+        { id: 'a', requiredDecisions: [] },
+        { id: 'other' }
+      ];
+
+      expect(orderDecisions(decisions).map(d => d.id)).toEqual(['a', 'b', 'final', 'other']);
+    });
+
+    it('should ignore references to unknown decisions', () => {
+      const decisions = [{ id: 'a', requiredDecisions: ['missing'] }];
+
+      expect(orderDecisions(decisions).map(d => d.id)).toEqual(['a']);
+    });
+
+    it('should throw on cycles', () => {
+      const decisions = [
+        { id: 'a', requiredDecisions: ['b'] },
+        { id: 'b', requiredDecisions: ['a'] },
+        { id: 'c', requiredDecisions: [] }
+      ];
+
+      expect(() => orderDecisions(decisions)).toThrow(DecisionGraphError);
+      expect(() => orderDecisions(decisions)).toThrow('Cyclic decision requirements: a, b');
+    });
+  });
+
+  describe('buildInputContext', () => {
+    it('should map inputData names and ids to variable names', () => {
+      const inputData = [
+        { id: 'InputData_Fieber', name: 'Fieber', variable: 'fieber' },
+        { id: 'InputData_PCR', name: 'Nukleinsäurenachweis', variable: 'pcr' }
+      ];
+
+      expect(buildInputContext(inputData, { Fieber: true, InputData_PCR: false })).toEqual({
+        Fieber: true,
+        InputData_PCR: false,
+        fieber: true,
+        pcr: false
+      });
+    });
+  });
+
+  describe('evaluateDecisionGraph', () => {
+    const dmnData = loadDmnData('../campylobacter_classification.dmn');
+    const falseInputs = {
+      bauchschmerzen: false,
+      durchfall: false,
+      fieber: false,
+      krankheitsbedingter_tod: false,
+      antigen_nachweis: false,
+      kultur: false,
+      pcr: false,
+      mensch_zu_mensch: false,
+      gemeinsame_quelle: false,
+      kontaminiertes_gewaesser: false,
+      infiziertes_tier: false,
+      kontaminiertes_lebensmittel: false
+    };
+
+    it('should evaluate required decisions before the classification', () => {
+      const evaluation = evaluateDecisionGraph(dmnData, { ...falseInputs, durchfall: true, pcr: true });
+
+      expect(evaluation.order).toEqual(['clinical_picture', 'lab_evidence', 'epi_confirmation', 'campylobacter_classification']);
+      expect(evaluation.finalDecisions).toEqual(['campylobacter_classification']);
+      expect(evaluation.results.clinical_picture.value).toBe(true);
+      expect(evaluation.results.lab_evidence.value).toBe(true);
+      expect(evaluation.results.campylobacter_classification.result.category).toBe('C');
+      expect(evaluation.results.campylobacter_classification.matches[0].id).toBe('rule_3');
+    });
+
+    it('should record the input values each decision saw', () => {
+      const evaluation = evaluateDecisionGraph(dmnData, { ...falseInputs, durchfall: true, pcr: true });
+
+      expect(evaluation.results.clinical_picture.inputValues).toEqual([false, true, false, false]);
+      expect(evaluation.results.campylobacter_classification.inputValues).toEqual([true, true, true]);
+    });
+
+    it('should accept values keyed by inputData name', () => {
+      const evaluation = evaluateDecisionGraph(dmnData, { Durchfall: true, Antigennachweis: true });
+
+      expect(evaluation.results.clinical_picture.value).toBe(true);
+      expect(evaluation.results.lab_evidence.value).toBe(true);
+    });
+
+    it('should only evaluate the requirements of a target decision', () => {
+      const evaluation = evaluateDecisionGraph(dmnData, falseInputs, 'lab_evidence');
+
+      expect(evaluation.order).toEqual(['lab_evidence']);
+      expect(evaluation.results.lab_evidence.value).toBe(false);
+    });
+
+    it('should pipe outputs only into decisions that require them', () => {
+      const data = {
+        inputData: [],
+        allDecisions: [
+          {
+            id: 'score',
+            name: 'score',
+            requiredDecisions: [],
+            decisionTable: {
+              hitPolicy: 'COLLECT',
+              aggregation: 'SUM',
+              inputs: [{ label: 'Fieber', expression: 'fieber' }],
+              outputs: [{ name: 'punkte' }],
+              rules: [
+                { inputEntries: ['true'], outputEntries: ['2'] },
+                { inputEntries: ['-'], outputEntries: ['1'] }
+              ]
+            }
+          },
+          {
+            id: 'kategorie',
+            name: 'kategorie',
+            requiredDecisions: ['score'],
+            decisionTable: {
+              hitPolicy: 'UNIQUE',
+              inputs: [{ label: 'Score', expression: 'score' }],
+              outputs: [{ name: 'kategorie' }],
+              rules: [
+                { inputEntries: ['>= 3'], outputEntries: ['"hoch"'] },
+                { inputEntries: ['< 3'], outputEntries: ['"niedrig"'] }
+              ]
+            }
+          }
+        ]
+      };
+
+      const evaluation = evaluateDecisionGraph(data, { fieber: true });
+
+      expect(evaluation.results.score.value).toBe(3);
+      expect(evaluation.results.kategorie.value).toBe('hoch');
+    });
+
+    it('should name the failing decision', () => {
+      const data = {
+        allDecisions: [{
+          id: 'd1',
+          name: 'Eindeutig',
+          decisionTable: {
+            hitPolicy: 'UNIQUE',
+            inputs: [{ label: 'x', expression: 'x' }],
+            outputs: [{ name: 'y' }],
+            rules: [
+              { inputEntries: ['-'], outputEntries: ['1'] },
+              { inputEntries: ['-'], outputEntries: ['2'] }
+            ]
+          }
+        }]
+      };
+
+      expect(() => evaluateDecisionGraph(data, {})).toThrow('Decision "Eindeutig": UNIQUE hit policy violated: rules 1, 2 match');
+    });
+
+    it('should reject unknown target decisions', () => {
+      expect(() => evaluateDecisionGraph(dmnData, {}, 'missing')).toThrow(DecisionGraphError);
+    });
+  });
+
+  describe('getCaseInputs', () => {
+    it('should list typed inputData variables with their descriptions', () => {
+      const inputs = getCaseInputs(loadDmnData('../campylobacter_classification.dmn'));
+
+      expect(inputs).toHaveLength(12);
+      expect(inputs[0]).toEqual({
+        variable: 'bauchschmerzen',
+        label: 'Bauchschmerzen',
+        description: 'Abdominelle Schmerzen (Bauchschmerzen)',
+        type: 'boolean',
+        options: []
+      });
+      expect(inputs.map(input => input.variable)).not.toContain('clinical_picture');
+    });
+
+    it('should derive inputs and options from table columns without inputData', () => {
+      const inputs = getCaseInputs(loadDmnData('../test-data/campylobacter.dmn'));
+
+      expect(inputs.map(input => input.variable)).toEqual(['klinisch', 'labor', 'epidemiologie']);
+      expect(inputs[0].type).toBe('string');
+      expect(inputs[0].options).toEqual(['erfüllt', 'nicht erfüllt']);
+    });
+
+    it('should infer types from the tested literals', () => {
+      const inputs = getCaseInputs({
+        allDecisions: [{
+          id: 'd1',
+          decisionTable: {
+            inputs: [
+              { label: 'Alter', expression: 'alter' },
+              { label: 'Geimpft', expression: '' }
+            ],
+            outputs: [{ name: 'ergebnis' }],
+            rules: [{ inputEntries: ['[18..59]', 'true'], outputEntries: ['"ja"'] }]
+          }
+        }]
+      });
+
+      expect(inputs).toEqual([
+        { variable: 'alter', label: 'Alter', description: '', type: 'number', options: [] },
+        { variable: 'Geimpft', label: 'Geimpft', description: '', type: 'boolean', options: [] }
+      ]);
+    });
+  });
+});
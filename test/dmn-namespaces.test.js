@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DMN_MODEL_NAMESPACES,
+  detectDmnVersion,
+  isDmnModelNamespace,
+  getChildren,
+  getDescendants,
+  getChildText
+} from '../src/dmn-namespaces.js';
+
+function parse(xml) {
+  return new DOMParser().parseFromString(xml, 'text/xml');
+}
+
+describe('DMN Namespaces', () => {
+  describe('detectDmnVersion', () => {
+    it('should detect every supported DMN version', () => {
+      Object.entries(DMN_MODEL_NAMESPACES).forEach(([version, namespace]) => {
+        const doc = parse(`<definitions xmlns="${namespace}" />`);
+        expect(detectDmnVersion(doc)).toEqual({ version, namespace });
+      });
+    });
+
+    it('should detect prefixed definitions and ignore the protocol', () => {
+      const doc = parse('<dmn:definitions xmlns:dmn="http://www.omg.org/spec/DMN/20191111/MODEL/" />');
+      expect(detectDmnVersion(doc)).toEqual({
+        version: '1.3',
+        namespace: 'http://www.omg.org/spec/DMN/20191111/MODEL/'
+      });
+    });
+
+    it('should return null for unknown namespaces and other roots', () => {
+      expect(detectDmnVersion(parse('<definitions />'))).toBeNull();
+      expect(detectDmnVersion(parse('<definitions xmlns="http://www.omg.org/spec/BPMN/20100524/MODEL" />'))).toBeNull();
+      expect(detectDmnVersion(parse('<decision xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" />'))).toBeNull();
+    });
+  });
+
+  describe('isDmnModelNamespace', () => {
+    it('should recognise model namespaces only', () => {
+      expect(isDmnModelNamespace('https://www.omg.org/spec/DMN/20230324/MODEL/')).toBe(true);
+      expect(isDmnModelNamespace('https://www.omg.org/spec/DMN/20191111/DMNDI/')).toBe(false);
+      expect(isDmnModelNamespace(null)).toBe(false);
+    });
+  });
+
+  describe('element lookup', () => {
+    const dmn = 'https://www.omg.org/spec/DMN/20191111/MODEL/';
+    const doc = parse(`
+      <dmn:definitions xmlns:dmn="${dmn}" xmlns:x="http://example.com/x">
+        <dmn:decision id="d1"><dmn:description> Eins </dmn:description></dmn:decision>
+        <x:decision id="foreign" />
+        <dmn:decision id="d2"><x:description>fremd</x:description></dmn:decision>
+      </dmn:definitions>`);
+
+    it('should match children by namespace and local name', () => {
+      const ids = getChildren(doc.documentElement, dmn, 'decision').map(element => element.id);
+      expect(ids).toEqual(['d1', 'd2']);
+    });
+
+    it('should match descendants by namespace and local name', () => {
+      expect(getDescendants(doc, dmn, 'description')).toHaveLength(1);
+      expect(getDescendants(doc, ['http://example.com/x'], 'description')).toHaveLength(1);
+    });
+
+    it('should read the text of a child in the namespace only', () => {
+      const [first, second] = getChildren(doc.documentElement, dmn, 'decision');
+      expect(getChildText(first, dmn, 'description')).toBe('Eins');
+      expect(getChildText(second, dmn, 'description')).toBe('');
+      expect(getChildText(null, dmn, 'description')).toBe('');
+    });
+  });
+});
@@ -3,8 +3,15 @@ import {
   extractMetadata,
   extractInputData,
   extractDecisions,
+  extractDiagramElements,
+  extractDiagramInterchange,
+  extractTextTemplates,
+  extractCategoryDefinitions,
+  extractDefinitions,
+  extractTranslations,
   parseDMN
 } from '../src/dmn-parser.js';
+import { loadDmnData } from './helpers.js';
 
 describe('DMN Parser', () => {
   describe('extractMetadata', () => {
@@ -59,6 +66,42 @@ describe('DMN Parser', () => {
     });
   });
 
+  describe('extractMetadata fields', () => {
+    it('should capture every field of the metadata extension', () => {
+      const result = loadDmnData('../campylobacter_classification.dmn');
+
+      expect(result.metadata).toMatchObject({
+        krankheit: 'Campylobacter-Enteritis',
+        icd10: 'A04.5',
+        stand: '01.09.2023',
+        version: 'Ausgabe 2023'
+      });
+    });
+
+    it('should skip nested elements and keep the first of repeated fields', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" xmlns:rki="http://rki.de/schema/falldefinition/1.0">
+          <extensionElements>
+            <rki:metadata>
+              <rki:krankheit>Salmonellose</rki:krankheit>
+              <rki:meldekategorie>§ 6 IfSG</rki:meldekategorie>
+              <rki:meldekategorie>§ 7 IfSG</rki:meldekategorie>
+              <rki:autoren><rki:name>RKI</rki:name></rki:autoren>
+            </rki:metadata>
+          </extensionElements>
+        </definitions>`;
+      const doc = new DOMParser().parseFromString(xml, 'text/xml');
+
+      const warnings = [];
+
+      expect(extractMetadata(doc, warnings)).toEqual({ krankheit: 'Salmonellose', meldekategorie: '§ 6 IfSG' });
+      expect(warnings).toEqual([{
+        code: 'repeated-metadata',
+        message: 'Metadata field "meldekategorie" ignored: it is repeated, the first value counts'
+      }]);
+    });
+  });
+
   describe('extractInputData', () => {
     it('should extract input data elements', () => {
       const xml = `<?xml version="1.0"?>
@@ -82,6 +125,40 @@ describe('DMN Parser', () => {
       expect(inputData[1].label).toBe('Laboratory Methods');
     });
 
+    it('should extract variable name and type', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/">
+          <inputData id="InputData_Fieber" name="Fieber">
+            <description>Körpertemperatur ≥38.5°C</description>
+            <variable id="var_fieber" name="fieber" typeRef="boolean" />
+          </inputData>
+          <inputData id="meldepflicht" name="meldepflicht"></inputData>
+        </definitions>`;
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(xml, 'text/xml');
+      const inputData = extractInputData(doc);
+
+      expect(inputData[0].variable).toBe('fieber');
+      expect(inputData[0].typeRef).toBe('boolean');
+      expect(inputData[0].description).toBe('Körpertemperatur ≥38.5°C');
+      expect(inputData[1].variable).toBe('meldepflicht');
+      expect(inputData[1].typeRef).toBe('');
+    });
+
+    it('should read the documentation of DMN 1.3 files from the extension', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" xmlns:rki="http://rki.de/dmn/extensions">
+          <inputData id="fieber" name="Fieber">
+            <description>Körpertemperatur ≥38.5°C</description>
+            <extensionElements><rki:documentation>Fieber über 38.5°C</rki:documentation></extensionElements>
+          </inputData>
+        </definitions>`;
+      const [input] = extractInputData(new DOMParser().parseFromString(xml, 'text/xml'));
+
+      expect(input.description).toBe('Körpertemperatur ≥38.5°C');
+      expect(input.documentation).toBe('Fieber über 38.5°C');
+    });
+
     it('should return empty array when no input data exists', () => {
       const xml = `<?xml version="1.0"?>
         <definitions xmlns="http://www.omg.org/spec/DMN/20151101/dmn.xsd">
@@ -130,6 +207,129 @@ describe('DMN Parser', () => {
       expect(decisions[0].decisionTable.rules).toHaveLength(2);
     });
 
+    it('should separate required inputs and required decisions', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/">
+          <decision id="classification" name="Fallklassifikation">
+            <informationRequirement id="r1">
+              <requiredDecision href="#clinical_picture" />
+            </informationRequirement>
+            <informationRequirement id="r2">
+              <requiredInput href="#InputData_Fieber" />
+            </informationRequirement>
+          </decision>
+        </definitions>`;
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(xml, 'text/xml');
+      const [decision] = extractDecisions(doc);
+
+      expect(decision.informationRequirements).toEqual(['#clinical_picture', '#InputData_Fieber']);
+      expect(decision.requiredDecisions).toEqual(['clinical_picture']);
+      expect(decision.requiredInputs).toEqual(['InputData_Fieber']);
+    });
+
+    it('should read the ids of requirements in other files', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/">
+          <decision id="classification" name="Fallklassifikation">
+            <informationRequirement id="r1">
+              <requiredDecision href="labor.dmn#labordiagnostik" />
+            </informationRequirement>
+            <informationRequirement id="r2">
+              <requiredInput href="common.dmn#InputData_Fieber" />
+            </informationRequirement>
+          </decision>
+        </definitions>`;
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(xml, 'text/xml');
+      const [decision] = extractDecisions(doc);
+
+      expect(decision.informationRequirements).toEqual(['labor.dmn#labordiagnostik', 'common.dmn#InputData_Fieber']);
+      expect(decision.requiredDecisions).toEqual(['labordiagnostik']);
+      expect(decision.requiredInputs).toEqual(['InputData_Fieber']);
+    });
+
+    it('should capture hit policy and aggregation', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="http://www.omg.org/spec/DMN/20151101/dmn.xsd">
+          <decision id="d1" name="First">
+            <decisionTable hitPolicy="FIRST"></decisionTable>
+          </decision>
+          <decision id="d2" name="Sum">
+            <decisionTable hitPolicy="COLLECT" aggregation="SUM"></decisionTable>
+          </decision>
+          <decision id="d3" name="Default">
+            <decisionTable></decisionTable>
+          </decision>
+        </definitions>`;
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(xml, 'text/xml');
+      const decisions = extractDecisions(doc);
+
+      expect(decisions[0].decisionTable.hitPolicy).toBe('FIRST');
+      expect(decisions[0].decisionTable.aggregation).toBe('');
+      expect(decisions[1].decisionTable.hitPolicy).toBe('COLLECT');
+      expect(decisions[1].decisionTable.aggregation).toBe('SUM');
+      expect(decisions[2].decisionTable.hitPolicy).toBe('UNIQUE');
+    });
+
+    it('should capture declared input values', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/">
+          <decision id="d1" name="Labor">
+            <decisionTable>
+              <input id="i1" label="Labor">
+                <inputExpression typeRef="string"><text>labor</text></inputExpression>
+                <inputValues><text>"erfüllt","nicht erfüllt","unbekannt"</text></inputValues>
+              </input>
+              <input id="i2" label="Klinisch">
+                <inputExpression typeRef="string"><text>klinisch</text></inputExpression>
+              </input>
+            </decisionTable>
+          </decision>
+        </definitions>`;
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(xml, 'text/xml');
+      const [decision] = extractDecisions(doc);
+
+      expect(decision.decisionTable.inputs[0].inputValues).toBe('"erfüllt","nicht erfüllt","unbekannt"');
+      expect(decision.decisionTable.inputs[1].inputValues).toBe('');
+    });
+
+    it('should extract rule annotations and descriptions', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/">
+          <decision id="d1" name="Labor">
+            <decisionTable>
+              <input id="i1" label="Labor">
+                <inputExpression typeRef="boolean"><text>labor</text></inputExpression>
+              </input>
+              <output id="o1" name="ergebnis" typeRef="boolean" />
+              <annotation id="a1" name="Quelle" />
+              <rule id="r1">
+                <description>Positiver Befund</description>
+                <inputEntry><text>true</text></inputEntry>
+                <outputEntry><text>true</text></outputEntry>
+                <annotationEntry><text>RKI 2023</text></annotationEntry>
+              </rule>
+              <rule id="r2">
+                <inputEntry><text>-</text></inputEntry>
+                <outputEntry><text>false</text></outputEntry>
+              </rule>
+            </decisionTable>
+          </decision>
+        </definitions>`;
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(xml, 'text/xml');
+      const [decision] = extractDecisions(doc);
+
+      expect(decision.decisionTable.annotations).toEqual([{ id: 'a1', name: 'Quelle' }]);
+      expect(decision.decisionTable.rules[0].annotationEntries).toEqual(['RKI 2023']);
+      expect(decision.decisionTable.rules[0].description).toBe('Positiver Befund');
+      expect(decision.decisionTable.rules[1].annotationEntries).toEqual([]);
+      expect(decision.decisionTable.rules[1].description).toBe('');
+    });
+
     it('should handle decision without decision table', () => {
       const xml = `<?xml version="1.0"?>
         <definitions xmlns="http://www.omg.org/spec/DMN/20151101/dmn.xsd">
@@ -156,6 +356,262 @@ describe('DMN Parser', () => {
     });
   });
 
+  describe('extractDiagramElements', () => {
+    const xml = `<?xml version="1.0"?>
+      <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/">
+        <decision id="d1" name="Klinik">
+          <informationRequirement id="ir1"><requiredInput href="#i1"/></informationRequirement>
+          <authorityRequirement id="ar1"><requiredAuthority href="#ks1"/></authorityRequirement>
+          <knowledgeRequirement id="kr1"><requiredKnowledge href="#bkm1"/></knowledgeRequirement>
+        </decision>
+        <inputData id="i1" name="Fieber"/>
+        <knowledgeSource id="ks1" name="RKI-Falldefinition">
+          <authorityRequirement id="ar2"><requiredInput href="#i1"/></authorityRequirement>
+        </knowledgeSource>
+        <businessKnowledgeModel id="bkm1" name="Altersgruppe"/>
+        <textAnnotation id="ta1"><text>Stand 2024</text></textAnnotation>
+        <association id="as1"><sourceRef href="#d1"/><targetRef href="#ta1"/></association>
+      </definitions>`;
+    const doc = new DOMParser().parseFromString(xml, 'text/xml');
+
+    it('should extract knowledge sources, models, annotations and associations', () => {
+      const elements = extractDiagramElements(doc);
+
+      expect(elements.knowledgeSources).toEqual([
+        { id: 'ks1', name: 'RKI-Falldefinition', requirements: [{ id: 'ar2', kind: 'authority', source: 'i1' }] }
+      ]);
+      expect(elements.businessKnowledgeModels).toEqual([{ id: 'bkm1', name: 'Altersgruppe', requirements: [] }]);
+      expect(elements.textAnnotations).toEqual([{ id: 'ta1', text: 'Stand 2024' }]);
+      expect(elements.associations).toEqual([{ id: 'as1', sourceRef: 'd1', targetRef: 'ta1' }]);
+    });
+
+    it('should record every requirement of a decision with its id', () => {
+      const [decision] = extractDecisions(doc);
+      expect(decision.requirements).toEqual([
+        { id: 'ir1', kind: 'information', source: 'i1' },
+        { id: 'ar1', kind: 'authority', source: 'ks1' },
+        { id: 'kr1', kind: 'knowledge', source: 'bkm1' }
+      ]);
+    });
+  });
+
+  describe('extractDiagramInterchange', () => {
+    it('should read shape bounds and edge waypoints', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/"
+                     xmlns:dmndi="https://www.omg.org/spec/DMN/20191111/DMNDI/"
+                     xmlns:dc="http://www.omg.org/spec/DMN/20180521/DC/"
+                     xmlns:di="http://www.omg.org/spec/DMN/20180521/DI/">
+          <dmndi:DMNDI>
+            <dmndi:DMNDiagram id="diagram">
+              <dmndi:DMNShape id="s1" dmnElementRef="d1">
+                <dc:Bounds height="80" width="180" x="100" y="200"/>
+              </dmndi:DMNShape>
+              <dmndi:DMNEdge id="e1" dmnElementRef="ir1">
+                <di:waypoint x="10" y="20"/>
+                <di:waypoint x="30" y="40"/>
+              </dmndi:DMNEdge>
+            </dmndi:DMNDiagram>
+          </dmndi:DMNDI>
+        </definitions>`;
+      const doc = new DOMParser().parseFromString(xml, 'text/xml');
+
+      expect(extractDiagramInterchange(doc)).toEqual({
+        shapes: { d1: { x: 100, y: 200, width: 180, height: 80 } },
+        edges: { ir1: [{ x: 10, y: 20 }, { x: 30, y: 40 }] }
+      });
+    });
+
+    it('should return null without DMNDI', () => {
+      const doc = new DOMParser().parseFromString('<definitions/>', 'text/xml');
+      expect(extractDiagramInterchange(doc)).toBeNull();
+    });
+  });
+
+  describe('extractTextTemplates', () => {
+    it('should read template overrides of known sections and parts', () => {
+      const xml = `<?xml version="1.0"?>
+        <dmn:definitions xmlns:dmn="https://www.omg.org/spec/DMN/20191111/MODEL/" xmlns:rki="http://rki.de/schema/falldefinition/1.0">
+          <dmn:extensionElements>
+            <rki:textTemplates>
+              <rki:template section="klinisches_bild" part="intro">Klinisches Bild von {krankheit}:</rki:template>
+              <rki:template section="klinisches_bild" part="end"></rki:template>
+              <rki:template section="meldepflicht" part="intro">ignoriert</rki:template>
+              <rki:template section="labordiagnostik" part="unbekannt">ignoriert</rki:template>
+            </rki:textTemplates>
+          </dmn:extensionElements>
+        </dmn:definitions>`;
+      const doc = new DOMParser().parseFromString(xml, 'text/xml');
+
+      const warnings = [];
+
+      expect(extractTextTemplates(doc, warnings)).toEqual({
+        klinisches_bild: { intro: 'Klinisches Bild von {krankheit}:', end: '' }
+      });
+      expect(warnings).toEqual([
+        {
+          code: 'ignored-template',
+          message: 'Text template for section "meldepflicht", part "intro" ignored: unknown section or part'
+        },
+        {
+          code: 'ignored-template',
+          message: 'Text template for section "labordiagnostik", part "unbekannt" ignored: unknown section or part'
+        }
+      ]);
+    });
+
+    it('should return no overrides without templates', () => {
+      const doc = new DOMParser().parseFromString('<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/"/>', 'text/xml');
+      expect(extractTextTemplates(doc)).toEqual({});
+    });
+  });
+
+  describe('extractCategoryDefinitions', () => {
+    it('should read the categories with label and description', () => {
+      const xml = `<?xml version="1.0"?>
+        <dmn:definitions xmlns:dmn="https://www.omg.org/spec/DMN/20191111/MODEL/" xmlns:rki="http://rki.de/schema/falldefinition/1.0">
+          <dmn:extensionElements>
+            <rki:categories>
+              <rki:category value="A" label="Klinisch diagnostizierte Erkrankung">Klinisches Bild ohne Nachweis.</rki:category>
+              <rki:category value=" B "/>
+              <rki:category label="ohne Wert"/>
+            </rki:categories>
+          </dmn:extensionElements>
+        </dmn:definitions>`;
+      const doc = new DOMParser().parseFromString(xml, 'text/xml');
+
+      const warnings = [];
+
+      expect(extractCategoryDefinitions(doc, warnings)).toEqual([
+        { value: 'A', label: 'Klinisch diagnostizierte Erkrankung', description: 'Klinisches Bild ohne Nachweis.' },
+        { value: 'B', label: '', description: '' }
+      ]);
+      expect(warnings).toEqual([
+        { code: 'ignored-category', message: 'Category "ohne Wert" ignored: it has no value' }
+      ]);
+    });
+
+    it('should return null without categories', () => {
+      const doc = new DOMParser().parseFromString('<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/"/>', 'text/xml');
+      expect(extractCategoryDefinitions(doc)).toBeNull();
+    });
+  });
+
+  describe('extractDefinitions', () => {
+    it('should read the attributes and the extension namespace', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" xmlns:rki="http://rki.de/schema/falldefinition/1.0"
+          id="campylobacter" name="Campylobacter-Enteritis" namespace="http://rki.de/dmn/campylobacter">
+          <extensionElements>
+            <rki:categories><rki:category value="A"/></rki:categories>
+          </extensionElements>
+        </definitions>`;
+
+      expect(extractDefinitions(new DOMParser().parseFromString(xml, 'text/xml'))).toEqual({
+        id: 'campylobacter',
+        name: 'Campylobacter-Enteritis',
+        namespace: 'http://rki.de/dmn/campylobacter',
+        extensionNamespace: 'http://rki.de/schema/falldefinition/1.0'
+      });
+    });
+
+    it('should return no extension namespace without extensions', () => {
+      const doc = new DOMParser().parseFromString('<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" id="d"/>', 'text/xml');
+      expect(extractDefinitions(doc)).toEqual({ id: 'd', name: '', namespace: '', extensionNamespace: null });
+    });
+  });
+
+  describe('translations', () => {
+    const xml = `<?xml version="1.0"?>
+      <dmn:definitions xmlns:dmn="https://www.omg.org/spec/DMN/20191111/MODEL/" xmlns:rki="http://rki.de/schema/falldefinition/1.0">
+        <dmn:extensionElements>
+          <rki:metadata>
+            <rki:krankheit>Campylobacter-Enteritis</rki:krankheit>
+            <rki:erreger>Campylobacter spp.</rki:erreger>
+          </rki:metadata>
+          <rki:metadata xml:lang="en">
+            <rki:krankheit>Campylobacter enteritis</rki:krankheit>
+          </rki:metadata>
+          <rki:categories>
+            <rki:category value="A" label="Klinisch diagnostizierte Erkrankung">Nur klinisch.</rki:category>
+            <rki:category value="B" label="Klinisch-epidemiologisch bestätigte Erkrankung"/>
+          </rki:categories>
+          <rki:categories xml:lang="en">
+            <rki:category value="A" label="Clinically diagnosed disease"/>
+          </rki:categories>
+          <rki:textTemplates xml:lang="en">
+            <rki:template section="klinisches_bild" part="single">Clinical picture of {krankheit} with one criterion:</rki:template>
+          </rki:textTemplates>
+        </dmn:extensionElements>
+        <dmn:inputData id="durchfall" name="Durchfall">
+          <dmn:description>Mindestens 3 Stühle</dmn:description>
+          <dmn:extensionElements>
+            <rki:translation xml:lang="en">
+              <rki:label>Diarrhoea</rki:label>
+              <rki:description>At least 3 stools</rki:description>
+            </rki:translation>
+          </dmn:extensionElements>
+        </dmn:inputData>
+        <dmn:decision id="clinical_picture" name="Klinisches Bild">
+          <dmn:extensionElements>
+            <rki:translation xml:lang="en-GB"><rki:label>Clinical picture</rki:label></rki:translation>
+          </dmn:extensionElements>
+          <dmn:informationRequirement id="ir1"><dmn:requiredInput href="#durchfall"/></dmn:informationRequirement>
+        </dmn:decision>
+      </dmn:definitions>`;
+    const doc = () => new DOMParser().parseFromString(xml, 'text/xml');
+
+    it('should read the German texts by default', () => {
+      const result = parseDMN(doc());
+
+      expect(result.language).toBe('de');
+      expect(result.metadata.krankheit).toBe('Campylobacter-Enteritis');
+      expect(result.klinischesBild).toEqual({
+        label: 'Klinisches Bild',
+        documentation: 'Klinisches Bild einer akuten Campylobacter-Enteritis, definiert als folgendes Kriterium:\n- Durchfall (Mindestens 3 Stühle).'
+      });
+      expect(result.categoryDefinitions[0].label).toBe('Klinisch diagnostizierte Erkrankung');
+    });
+
+    it('should read translated texts and fall back to German', () => {
+      const result = parseDMN(doc(), undefined, 'en');
+
+      expect(result.language).toBe('en');
+      expect(result.metadata).toEqual({ krankheit: 'Campylobacter enteritis', erreger: 'Campylobacter spp.' });
+      expect(result.klinischesBild).toEqual({
+        label: 'Clinical picture',
+        documentation: 'Clinical picture of Campylobacter enteritis with one criterion:\n- Diarrhoea (At least 3 stools).'
+      });
+      expect(result.allDecisions[0]).toMatchObject({ name: 'Klinisches Bild', label: 'Clinical picture' });
+      expect(result.inputData[0]).toMatchObject({ name: 'Durchfall', variable: 'Durchfall', label: 'Diarrhoea' });
+      expect(result.categoryDefinitions).toEqual([
+        { value: 'A', label: 'Clinically diagnosed disease', description: 'Nur klinisch.' },
+        { value: 'B', label: 'Klinisch-epidemiologisch bestätigte Erkrankung', description: '' }
+      ]);
+    });
+
+    it('should only apply text templates of the output language', () => {
+      expect(extractTextTemplates(doc())).toEqual({});
+      expect(extractTextTemplates(doc(), [], 'en')).toEqual({
+        klinisches_bild: { single: 'Clinical picture of {krankheit} with one criterion:' }
+      });
+    });
+
+    it('should collect the translations of every language', () => {
+      expect(extractTranslations(doc())).toEqual({
+        en: {
+          metadata: { krankheit: 'Campylobacter enteritis' },
+          categories: [{ value: 'A', label: 'Clinically diagnosed disease', description: '' }],
+          textTemplates: { klinisches_bild: { single: 'Clinical picture of {krankheit} with one criterion:' } },
+          elements: {
+            durchfall: { label: 'Diarrhoea', description: 'At least 3 stools' },
+            clinical_picture: { label: 'Clinical picture' }
+          }
+        }
+      });
+    });
+  });
+
   describe('parseDMN', () => {
     it('should parse complete RKI DMN document', () => {
       const xml = `<?xml version="1.0"?>
@@ -191,6 +647,121 @@ describe('DMN Parser', () => {
       expect(result.klinischesBild).toBeDefined();
       expect(result.klinischesBild.label).toBe('Klinisches Bild');
       expect(result.fallkategorien).toBeDefined();
+      expect(result.dmnVersion).toBe('1.1');
+    });
+
+    it('should read prefixed DMN 1.5 files and ignore elements of other namespaces', () => {
+      const xml = `<?xml version="1.0"?>
+        <dmn:definitions xmlns:dmn="https://www.omg.org/spec/DMN/20230324/MODEL/"
+                         xmlns:rki="http://rki.de/schema/falldefinition/1.0"
+                         xmlns:camunda="http://camunda.org/schema/1.0/dmn">
+          <dmn:extensionElements>
+            <rki:metadata>
+              <rki:krankheit>Test Disease</rki:krankheit>
+              <camunda:version>99</camunda:version>
+              <rki:stand>2024-01-01</rki:stand>
+            </rki:metadata>
+          </dmn:extensionElements>
+          <dmn:inputData id="fieber" name="Fieber">
+            <dmn:variable name="fieber" typeRef="boolean" />
+          </dmn:inputData>
+          <camunda:inputData id="foreign" name="Fremd" />
+          <dmn:decision id="d1" name="Klinik">
+            <camunda:description>Fremde Beschreibung</camunda:description>
+            <dmn:informationRequirement id="ir1">
+              <dmn:requiredInput href="#fieber" />
+            </dmn:informationRequirement>
+            <dmn:decisionTable hitPolicy="FIRST">
+              <dmn:input id="i1" label="Fieber">
+                <dmn:inputExpression typeRef="boolean"><dmn:text>fieber</dmn:text></dmn:inputExpression>
+              </dmn:input>
+              <dmn:output id="o1" name="klinik" typeRef="boolean" />
+              <dmn:rule id="r1">
+                <dmn:inputEntry><dmn:text>true</dmn:text></dmn:inputEntry>
+                <dmn:outputEntry><dmn:text>true</dmn:text></dmn:outputEntry>
+                <camunda:inputEntry><dmn:text>false</dmn:text></camunda:inputEntry>
+              </dmn:rule>
+            </dmn:decisionTable>
+          </dmn:decision>
+          <camunda:decision id="foreign-decision" name="Fremd" />
+        </dmn:definitions>`;
+      const doc = new DOMParser().parseFromString(xml, 'text/xml');
+      const result = parseDMN(doc);
+
+      expect(result.dmnVersion).toBe('1.5');
+      expect(result.metadata).toEqual({ krankheit: 'Test Disease', stand: '2024-01-01' });
+      expect(result.inputData.map(input => input.id)).toEqual(['fieber']);
+      expect(result.allDecisions.map(decision => decision.id)).toEqual(['d1']);
+
+      const [decision] = result.allDecisions;
+      expect(decision.documentation).toBe('');
+      expect(decision.requiredInputs).toEqual(['fieber']);
+      expect(decision.decisionTable.inputs[0].expression).toBe('fieber');
+      expect(decision.decisionTable.rules[0].inputEntries).toEqual(['true']);
+    });
+
+    it('should report the version of the Campylobacter model', () => {
+      const result = loadDmnData('../campylobacter_classification.dmn');
+
+      expect(result.dmnVersion).toBe('1.3');
+      expect(result.metadata.krankheit).toBe('Campylobacter-Enteritis');
+      expect(result.allDecisions).toHaveLength(4);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should return warnings about ignored model content', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" xmlns:rki="http://rki.de/schema/falldefinition/1.0">
+          <extensionElements>
+            <rki:metadata>
+              <rki:stand>2024</rki:stand>
+              <rki:stand>2025</rki:stand>
+            </rki:metadata>
+            <rki:textTemplates>
+              <rki:template section="unbekannt" part="intro">ignoriert</rki:template>
+            </rki:textTemplates>
+            <rki:categories>
+              <rki:category label="ohne Wert"/>
+            </rki:categories>
+          </extensionElements>
+        </definitions>`;
+      const result = parseDMN(new DOMParser().parseFromString(xml, 'text/xml'));
+
+      expect(result.warnings.map(warning => warning.code)).toEqual(['repeated-metadata', 'ignored-template', 'ignored-category']);
+    });
+
+    it('should phrase the sections for the disease of the model', () => {
+      const xml = `<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" xmlns:rki="http://rki.de/schema/falldefinition/1.0">
+          <extensionElements>
+            <rki:metadata><rki:krankheit>Norovirus-Gastroenteritis</rki:krankheit></rki:metadata>
+            <rki:textTemplates>
+              <rki:template section="labordiagnostik" part="intro">Nachweis mit einer der {anzahl} Methoden:</rki:template>
+            </rki:textTemplates>
+          </extensionElements>
+          <inputData id="durchfall" name="Durchfall" />
+          <inputData id="erbrechen" name="Erbrechen"><description>Schwallartig</description></inputData>
+          <inputData id="pcr" name="Nukleinsäurenachweis" />
+          <inputData id="antigen" name="Antigennachweis" />
+          <decision id="clinical" name="Klinisches Bild">
+            <informationRequirement><requiredInput href="#durchfall" /></informationRequirement>
+            <informationRequirement><requiredInput href="#erbrechen" /></informationRequirement>
+          </decision>
+          <decision id="lab" name="Labordiagnostischer Nachweis">
+            <informationRequirement><requiredInput href="#pcr" /></informationRequirement>
+            <informationRequirement><requiredInput href="#antigen" /></informationRequirement>
+          </decision>
+        </definitions>`;
+      const result = parseDMN(new DOMParser().parseFromString(xml, 'text/xml'));
+
+      expect(result.klinischesBild.documentation).toBe(
+        'Klinisches Bild einer akuten Norovirus-Gastroenteritis, definiert als mindestens eines der zwei folgenden Kriterien:\n' +
+        '- Durchfall,\n- Erbrechen (Schwallartig).'
+      );
+      expect(result.labordiagnostik.documentation).toBe(
+        'Nachweis mit einer der zwei Methoden:\n- Nukleinsäurenachweis,\n- Antigennachweis.'
+      );
+      expect(JSON.stringify(result)).not.toContain('Campylobacter');
     });
   });
 });
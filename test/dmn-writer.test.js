@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import { serializeDMN, DmnWriterError } from '../src/dmn-writer.js';
+import { parseDMN } from '../src/dmn-parser.js';
+import { detectDmnVersion } from '../src/dmn-namespaces.js';
+import { buildDocumentModel } from '../src/document-model.js';
+import { validateDecisionGraph } from '../src/validator.js';
+import { readFixture } from './helpers.js';
+
+function parseXml(xml) {
+  return new DOMParser().parseFromString(xml, 'text/xml');
+}
+
+function parseModel(xml, language) {
+  return parseDMN(parseXml(xml), undefined, language);
+}
+
+function getDocument(xml, language) {
+  return buildDocumentModel(parseModel(xml, language), { includeAppendix: true });
+}
+
+describe('DMN Writer', () => {
+  describe('serializeDMN', () => {
+    it('should upgrade the DMN 1.1 Campylobacter model to DMN 1.3', () => {
+      const source = readFixture('../test-data/campylobacter.dmn');
+      const xml = serializeDMN(parseModel(source));
+      const doc = parseXml(xml);
+
+      expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/"')).toBe(true);
+      expect(doc.querySelector('parsererror')).toBeNull();
+      expect(detectDmnVersion(doc).version).toBe('1.3');
+      expect(doc.getElementsByTagNameNS('*', 'documentation')).toHaveLength(0);
+      expect(getDocument(xml)).toEqual(getDocument(source));
+      expect(getDocument(xml, 'en')).toEqual(getDocument(source, 'en'));
+    });
+
+    it('should keep decision tables, requirements and the diagram interchange', () => {
+      const source = readFixture('../campylobacter_classification.dmn');
+      const original = parseModel(source);
+      const written = parseModel(serializeDMN(original));
+      const withoutIds = decision => ({
+        ...decision.decisionTable,
+        inputs: decision.decisionTable.inputs.map(({ id, ...input }) => input),
+        outputs: decision.decisionTable.outputs.map(({ id, ...output }) => output),
+        // Empty input entries are written as "-"
+        rules: decision.decisionTable.rules.map(rule => ({ ...rule, inputEntries: rule.inputEntries.map(entry => entry || '-') }))
+      });
+
+      expect(written.allDecisions.map(withoutIds)).toEqual(original.allDecisions.map(withoutIds));
+      expect(written.allDecisions.map(decision => decision.requirements)).toEqual(original.allDecisions.map(decision => decision.requirements));
+      expect(written.inputData).toEqual(original.inputData);
+      expect(written.dmndi).toEqual(original.dmndi);
+      expect(validateDecisionGraph(written).errors).toEqual([]);
+    });
+
+    it('should write the same document again when reading its output', () => {
+      const xml = serializeDMN(parseModel(readFixture('../diagram.dmn')));
+      expect(serializeDMN(parseModel(xml))).toBe(xml);
+    });
+
+    it('should normalise ids and follow them in references', () => {
+      const xml = serializeDMN(parseModel(`<?xml version="1.0"?>
+        <definitions xmlns="http://www.omg.org/spec/DMN/20151101/dmn.xsd" name="Test">
+          <inputData id="1 Fieber" name="Fieber" />
+          <inputData id="1 Fieber" name="Husten" />
+          <inputData name="Schnupfen" />
+          <decision id="klinik" name="Klinik">
+            <informationRequirement><requiredInput href="#1 Fieber" /></informationRequirement>
+            <decisionTable>
+              <input><inputExpression><text>Fieber</text></inputExpression></input>
+              <output name="erfuellt" />
+              <rule><inputEntry><text>true</text></inputEntry><outputEntry><text>true</text></outputEntry></rule>
+            </decisionTable>
+          </decision>
+          <textAnnotation id="note"><text>Hinweis</text></textAnnotation>
+          <association id="a1"><sourceRef href="#note" /><targetRef href="#1 Fieber" /></association>
+        </definitions>`));
+      const written = parseModel(xml);
+
+      expect(written.definitions.id).toBe('Definitions_1');
+      expect(written.inputData.map(input => input.id)).toEqual(['_1_Fieber', '_1_Fieber_2', 'InputData_3']);
+      expect(written.allDecisions[0].requirements).toEqual([{ id: 'klinik_requirement_1', kind: 'information', source: '_1_Fieber' }]);
+      expect(written.allDecisions[0].decisionTable.rules[0].id).toBe('klinik_rule_1');
+      expect(written.associations).toEqual([{ id: 'a1', sourceRef: 'note', targetRef: '_1_Fieber' }]);
+
+      const ids = [...parseXml(xml).querySelectorAll('[id]')].map(element => element.getAttribute('id'));
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    it('should write the translations with their language', () => {
+      const source = `<?xml version="1.0"?>
+        <dmn:definitions xmlns:dmn="https://www.omg.org/spec/DMN/20191111/MODEL/" xmlns:rki="http://rki.de/schema/falldefinition/1.0" id="d">
+          <dmn:extensionElements>
+            <rki:metadata><rki:krankheit>Campylobacter-Enteritis</rki:krankheit><rki:erreger>Campylobacter spp.</rki:erreger></rki:metadata>
+            <rki:metadata xml:lang="en"><rki:krankheit>Campylobacter enteritis</rki:krankheit></rki:metadata>
+            <rki:textTemplates xml:lang="en">
+              <rki:template section="klinisches_bild" part="single">Clinical picture of {krankheit} with one criterion:</rki:template>
+            </rki:textTemplates>
+          </dmn:extensionElements>
+          <dmn:inputData id="durchfall" name="Durchfall">
+            <dmn:description>Mindestens 3 Stühle</dmn:description>
+            <dmn:extensionElements>
+              <rki:translation xml:lang="en"><rki:label>Diarrhoea</rki:label><rki:description>At least 3 stools</rki:description></rki:translation>
+            </dmn:extensionElements>
+          </dmn:inputData>
+          <dmn:decision id="clinical_picture" name="Klinisches Bild">
+            <dmn:informationRequirement id="ir1"><dmn:requiredInput href="#durchfall"/></dmn:informationRequirement>
+          </dmn:decision>
+        </dmn:definitions>`;
+      const xml = serializeDMN(parseModel(source));
+
+      expect(xml).toContain('xmlns:rki="http://rki.de/schema/falldefinition/1.0"');
+      expect(xml).toContain('<rki:translation xml:lang="en">');
+      expect(parseModel(xml, 'en').klinischesBild).toEqual(parseModel(source, 'en').klinischesBild);
+      expect(parseModel(xml, 'en').metadata).toEqual({ krankheit: 'Campylobacter enteritis', erreger: 'Campylobacter spp.' });
+    });
+
+    it('should keep the description and documentation of a decision', () => {
+      const source = `<?xml version="1.0"?>
+        <definitions xmlns="http://www.omg.org/spec/DMN/20151101/dmn.xsd" id="d">
+          <decision id="klinik" name="Klinisches Bild">
+            <description>Kurzbeschreibung</description>
+            <documentation>Ausführliche Falldefinition</documentation>
+          </decision>
+        </definitions>`;
+      const xml = serializeDMN(parseModel(source));
+      const [decision] = parseModel(xml).allDecisions;
+
+      expect(xml).toContain('<rki:documentation>Ausführliche Falldefinition</rki:documentation>');
+      expect(decision.description).toBe('Kurzbeschreibung');
+      expect(decision.documentation).toBe('Ausführliche Falldefinition');
+    });
+
+    it('should escape texts and attributes', () => {
+      const xml = serializeDMN(parseModel(`<?xml version="1.0"?>
+        <definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/" id="d">
+          <inputData id="alter" name="Alter &quot;in Jahren&quot;"><description>&lt; 5 &amp; ≥ 1</description></inputData>
+        </definitions>`));
+      const [input] = parseModel(xml).inputData;
+
+      expect(xml).toContain('name="Alter &quot;in Jahren&quot;"');
+      expect(input.name).toBe('Alter "in Jahren"');
+      expect(input.description).toBe('< 5 & ≥ 1');
+      expect(xml).not.toContain('xmlns:rki');
+    });
+
+    it('should reject models parsed in another language', () => {
+      const model = parseModel(readFixture('../test-data/campylobacter.dmn'), 'en');
+      expect(() => serializeDMN(model)).toThrow(DmnWriterError);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { buildDocumentModel } from '../src/document-model.js';
+import { loadDmnData } from './helpers.js';
+
+function getHeadings(model) {
+  return model.blocks.filter(block => block.type === 'heading').map(block => block.text);
+}
+
+describe('Document Model', () => {
+  describe('buildDocumentModel', () => {
+    it('should list the sections in the order of the mapping profile', () => {
+      const model = buildDocumentModel(loadDmnData('../test-data/campylobacter.dmn'));
+
+      expect(model.language).toBe('de');
+      expect(model.blocks[0]).toEqual({
+        type: 'title',
+        runs: [
+          { text: 'Campylobacter-Enteritis', bold: true, italics: true },
+          { text: ' (Campylobacter spp., darmpathogen)', italics: true }
+        ]
+      });
+      expect(getHeadings(model)).toEqual([
+        'Klinisches Bild',
+        'Labordiagnostischer Nachweis',
+        'Epidemiologische Bestätigung',
+        'Über die zuständige Landesbehörde an das RKI zu übermittelnder Fall',
+        'Referenzdefinition',
+        'Gesetzliche Grundlage'
+      ]);
+    });
+
+    it('should leave the title fields and section fields out of the metadata block', () => {
+      const model = buildDocumentModel(loadDmnData('../test-data/campylobacter.dmn'));
+
+      expect(model.blocks[1]).toEqual({
+        type: 'metadata',
+        fields: [{ label: 'Stand', text: '01.09.2023' }, { label: 'Version', text: '2025' }]
+      });
+      expect(model.blocks).toContainEqual({
+        type: 'paragraph',
+        runs: [{ text: 'Inkubationszeit ', italics: true }, { text: '1 - 10 Tage, gewöhnlich 2 - 5 Tage.' }]
+      });
+    });
+
+    it('should split documentation into bullets and paragraphs with bold connectors', () => {
+      const model = buildDocumentModel(loadDmnData('../test-data/campylobacter.dmn'));
+
+      expect(model.blocks).toContainEqual({ type: 'bullet', runs: [{ text: 'Bauchschmerzen,' }] });
+      expect(model.blocks).toContainEqual({
+        type: 'paragraph',
+        runs: [{ text: '' }, { text: 'ODER', bold: true }, { text: ' krankheitsbedingter Tod.' }]
+      });
+    });
+
+    it('should list the categories after the hit policy', () => {
+      const model = buildDocumentModel(loadDmnData('../test-data/campylobacter.dmn'));
+      const index = model.blocks.findIndex(block => block.type === 'subheading' && block.runs[0].text === 'A. ');
+
+      expect(model.blocks[index - 1].runs[0]).toEqual({ text: 'Trefferrichtlinie: ', italics: true });
+      expect(model.blocks[index].runs[1]).toEqual({ text: 'Klinisch diagnostizierte Erkrankung', bold: true });
+      expect(model.blocks[index + 1]).toEqual({ type: 'paragraph', runs: [{ text: 'Entfällt.' }] });
+    });
+
+    it('should append the diagram and the decision tables on a new page', () => {
+      const model = buildDocumentModel(loadDmnData('../test-data/campylobacter.dmn'), { includeAppendix: true });
+      const index = model.blocks.findIndex(block => block.type === 'pageBreak');
+      const table = model.blocks.find(block => block.type === 'table');
+
+      expect(model.blocks.slice(index, index + 3)).toEqual([
+        { type: 'pageBreak' },
+        { type: 'heading', level: 1, text: 'Anhang: Entscheidungslogik' },
+        { type: 'diagram', title: 'Entscheidungsanforderungsdiagramm' }
+      ]);
+      expect(table.columns[0]).toEqual({ text: 'U', kind: 'hitPolicy' });
+      expect(table.columns[1]).toEqual({ text: 'Klinisches Bild', kind: 'input' });
+      expect(table.columns.some(column => column.kind === 'output')).toBe(true);
+      expect(table.rows[0][0]).toBe('1');
+      expect(table.rows.every(row => row.length === table.columns.length)).toBe(true);
+    });
+
+    it('should leave the appendix out by default', () => {
+      const model = buildDocumentModel(loadDmnData('../test-data/campylobacter.dmn'));
+
+      expect(model.blocks.some(block => ['pageBreak', 'diagram', 'table'].includes(block.type))).toBe(false);
+    });
+
+    it('should write the fixed texts in the language of the model', () => {
+      const model = buildDocumentModel(loadDmnData('../test-data/campylobacter.dmn', 'en'), { includeAppendix: true });
+
+      expect(model.language).toBe('en');
+      expect(getHeadings(model)).toContain('Clinical picture');
+      expect(getHeadings(model)).toContain('Appendix: Decision logic');
+      expect(model.blocks[1].fields[0]).toEqual({ label: 'Date', text: '01.09.2023' });
+    });
+
+    it('should skip sections without text and the metadata block without fields', () => {
+      const model = buildDocumentModel({
+        metadata: { krankheit: 'Test', erreger: 'Test Pathogen' },
+        klinischesBild: { label: 'Klinisches Bild', documentation: '' },
+        labordiagnostik: { label: 'Labordiagnostik', documentation: 'Nachweis' },
+        fallkategorien: null
+      });
+
+      expect(model.blocks.map(block => block.type)).toEqual(['title', 'heading', 'paragraph', 'heading', 'heading']);
+      expect(getHeadings(model)[0]).toBe('Labordiagnostischer Nachweis');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { downloadBlob, formatCsvField } from '../src/download.js';
+
+// jsdom has no object URLs; the link click is recorded instead of navigating
+function captureDownload(action) {
+  const download = {};
+  URL.createObjectURL = vi.fn(blob => {
+    download.blob = blob;
+    return 'blob:test';
+  });
+  URL.revokeObjectURL = vi.fn();
+  vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+    download.href = this.href;
+    download.filename = this.download;
+  });
+  action();
+  return download;
+}
+
+describe('Download', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('downloadBlob', () => {
+    it('should store text in a blob of the given type', () => {
+      const download = captureDownload(() => downloadBlob(['\uFEFF', 'a;b'], 'cases.csv', 'text/csv;charset=utf-8'));
+
+      expect(download.filename).toBe('cases.csv');
+      expect(download.href).toBe('blob:test');
+      expect(download.blob.type).toBe('text/csv;charset=utf-8');
+      expect(download.blob.size).toBe(6);
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:test');
+      expect(document.querySelector('a')).toBeNull();
+    });
+
+    it('should download a blob as it is', () => {
+      const blob = new Blob(['PK'], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+      const download = captureDownload(() => downloadBlob(blob, 'campylobacter.docx'));
+
+      expect(download.blob).toBe(blob);
+      expect(download.filename).toBe('campylobacter.docx');
+    });
+  });
+
+  describe('formatCsvField', () => {
+    it('should leave plain values unquoted', () => {
+      expect(formatCsvField('Campylobacter')).toBe('Campylobacter');
+      expect(formatCsvField(42)).toBe('42');
+      expect(formatCsvField(null)).toBe('');
+    });
+
+    it('should quote the delimiter, quotes and line breaks', () => {
+      expect(formatCsvField('a,b')).toBe('"a,b"');
+      expect(formatCsvField('a;b', ';')).toBe('"a;b"');
+      expect(formatCsvField('a,b', ';')).toBe('a,b');
+      expect(formatCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(formatCsvField('line\nbreak', ';')).toBe('"line\nbreak"');
+    });
+  });
+});
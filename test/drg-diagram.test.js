@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { layoutDiagram, renderDiagramSvg, generateDiagramSvg } from '../src/drg-diagram.js';
+import { loadDmnData } from './helpers.js';
+
+const overlaps = (a, b) =>
+  a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+describe('DRG Diagram', () => {
+  describe('layoutDiagram', () => {
+    it('should keep the DMNDI bounds relative to each other', () => {
+      const diagram = layoutDiagram(loadDmnData('../campylobacter_classification.dmn'));
+      const node = id => diagram.nodes.find(n => n.id === id);
+
+      expect(diagram.layout).toBe('partial');
+      expect(node('lab_evidence').x - node('clinical_picture').x).toBe(490);
+      expect(node('campylobacter_classification').y - node('lab_evidence').y).toBe(180);
+      expect(node('clinical_picture')).toMatchObject({ kind: 'decision', label: 'Klinisches Bild', width: 180, height: 80 });
+    });
+
+    it('should place input data without shapes above the decisions without overlaps', () => {
+      const diagram = layoutDiagram(loadDmnData('../campylobacter_classification.dmn'));
+      const inputs = diagram.nodes.filter(node => node.kind === 'inputData');
+      const decisions = diagram.nodes.filter(node => node.kind === 'decision');
+
+      expect(inputs).toHaveLength(12);
+      inputs.forEach(input => {
+        expect(input.y + input.height).toBeLessThan(Math.min(...decisions.map(decision => decision.y)));
+        inputs.filter(other => other !== input).forEach(other => expect(overlaps(input, other)).toBe(false));
+      });
+    });
+
+    it('should use DMNDI waypoints and compute the missing edges', () => {
+      const diagram = layoutDiagram(loadDmnData('../campylobacter_classification.dmn'));
+      const edge = id => diagram.edges.find(e => e.id === id);
+
+      expect(edge('req_lab').waypoints).toHaveLength(3);
+      expect(edge('req_clinical_2')).toMatchObject({ kind: 'information', source: 'InputData_Durchfall', target: 'clinical_picture' });
+      const clinical = diagram.nodes.find(n => n.id === 'clinical_picture');
+      expect(edge('req_clinical_2').waypoints[1].y).toBeCloseTo(clinical.y);
+      expect(diagram.edges).toHaveLength(15);
+    });
+
+    it('should lay out graphs without DMNDI in layers', () => {
+      const diagram = layoutDiagram({
+        inputData: [{ id: 'fieber', name: 'Fieber' }, { id: 'meldepflicht', name: 'meldepflicht' }],
+        knowledgeSources: [{ id: 'rki', name: 'RKI', requirements: [] }],
+        textAnnotations: [{ id: 'notiz', text: 'Entwurf' }],
+        associations: [{ id: 'a1', sourceRef: 'notiz', targetRef: 'kategorie' }],
+        allDecisions: [
+          { id: 'klinik', name: 'Klinik', requiredInputs: ['fieber'], requirements: [{ id: 'r1', kind: 'information', source: 'fieber' }] },
+          {
+            id: 'kategorie',
+            name: 'Kategorie',
+            requirements: [
+              { id: 'r2', kind: 'information', source: 'klinik' },
+              { id: 'r3', kind: 'authority', source: 'rki' }
+            ]
+          }
+        ],
+        dmndi: null
+      });
+      const node = id => diagram.nodes.find(n => n.id === id);
+
+      expect(diagram.layout).toBe('auto');
+      expect(diagram.nodes.map(n => n.id)).not.toContain('meldepflicht');
+      expect(node('fieber').y).toBeLessThan(node('klinik').y);
+      expect(node('klinik').y).toBeLessThan(node('kategorie').y);
+      expect(node('rki').y).toBe(node('fieber').y + (node('fieber').height - node('rki').height) / 2);
+      expect(node('notiz').y + node('notiz').height / 2).toBe(node('kategorie').y + node('kategorie').height / 2);
+      expect(diagram.edges.map(edge => edge.kind)).toEqual(['information', 'information', 'authority', 'association']);
+    });
+  });
+
+  describe('renderDiagramSvg', () => {
+    it('should produce well-formed SVG with one group per element', () => {
+      const svg = generateDiagramSvg(loadDmnData('../campylobacter_classification.dmn'));
+      const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+      expect(doc.querySelector('parsererror')).toBeNull();
+      expect(doc.querySelector('title').textContent).toBe('Decision requirements diagram: Campylobacter-Enteritis');
+      expect(doc.querySelectorAll('g.drg-decision')).toHaveLength(4);
+      expect(doc.querySelectorAll('g.drg-inputData')).toHaveLength(12);
+      expect(doc.querySelectorAll('polyline[marker-end="url(#drg-arrow)"]')).toHaveLength(15);
+    });
+
+    it('should wrap and escape labels', () => {
+      const svg = renderDiagramSvg({
+        width: 200,
+        height: 100,
+        nodes: [{ id: 'd1', kind: 'decision', label: 'Fieber <38,5 °C> & Durchfall seit mehr als drei Tagen', x: 10, y: 10, width: 180, height: 80 }],
+        edges: []
+      });
+      const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+      const lines = [...doc.querySelectorAll('tspan')].map(span => span.textContent);
+
+      expect(lines.length).toBeGreaterThan(1);
+      expect(lines.join(' ')).toBe('Fieber <38,5 °C> & Durchfall seit mehr als drei Tagen');
+    });
+
+    it('should render text annotations without text', () => {
+      const svg = generateDiagramSvg({
+        textAnnotations: [{ id: 'notiz' }],
+        allDecisions: [{ id: 'kategorie', name: 'Kategorie', requirements: [] }],
+        dmndi: null
+      });
+      const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+
+      expect(doc.querySelector('parsererror')).toBeNull();
+      expect(doc.querySelectorAll('g.drg-textAnnotation')).toHaveLength(1);
+      expect(doc.querySelector('g.drg-textAnnotation tspan')).toBeNull();
+    });
+  });
+});
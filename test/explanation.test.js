@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { explainEvaluation, formatGermanValue } from '../src/explanation.js';
+import { evaluateDecisionGraph } from '../src/decision-engine.js';
+import { loadDmnData } from './helpers.js';
+
+describe('Explanation', () => {
+  describe('formatGermanValue', () => {
+    it('should format values for German text', () => {
+      expect(formatGermanValue(true)).toBe('ja');
+      expect(formatGermanValue(false)).toBe('nein');
+      expect(formatGermanValue(38.5)).toBe('38,5');
+      expect(formatGermanValue(null)).toBe('kein Wert');
+      expect(formatGermanValue('C')).toBe('C');
+    });
+  });
+
+  describe('explainEvaluation', () => {
+    const dmnData = loadDmnData('../campylobacter_classification.dmn');
+    const explain = values => explainEvaluation(dmnData, evaluateDecisionGraph(dmnData, values));
+
+    it('should justify the category with the reasons of the required decisions', () => {
+      const explanation = explain({ durchfall: true, pcr: true });
+
+      expect(explanation.summary).toEqual([
+        'Fallkategorie C, weil Klinisches Bild erfüllt (Durchfall) UND Labordiagnostischer Nachweis erfüllt (Nukleinsäurenachweis).'
+      ]);
+    });
+
+    it('should record the deciding rule and its satisfied entries', () => {
+      const { decisions } = explain({ durchfall: true, pcr: true });
+      const [rule] = decisions.clinical_picture.rules;
+
+      expect(rule.number).toBe(2);
+      expect(rule.conditions).toEqual([{
+        label: 'Durchfall',
+        entry: 'true',
+        value: true,
+        decisionId: null,
+        description: 'Mindestens 3 ungeformte Stühle in 24 Stunden',
+        text: 'Durchfall'
+      }]);
+      expect(decisions.campylobacter_classification.rules[0].conditions.map(c => c.decisionId))
+        .toEqual(['clinical_picture', 'lab_evidence']);
+    });
+
+    it('should phrase negated findings and unfulfilled decisions', () => {
+      const explanation = explain({ durchfall: true, gemeinsame_quelle: true, antigen_nachweis: false, kultur: false, pcr: false });
+
+      expect(explanation.decisions.lab_evidence.sentence).toBe(
+        'Labordiagnostischer Nachweis nicht erfüllt, weil Antigennachweis verneint UND Erregerisolierung verneint UND Nukleinsäurenachweis verneint.'
+      );
+      expect(explanation.summary[0]).toMatch(/^Fallkategorie B, weil .* UND Epidemiologische Bestätigung erfüllt\.$/);
+    });
+
+    it('should mention rules without conditions and decisions no rule matched', () => {
+      const { decisions } = explain({});
+
+      expect(decisions.clinical_picture.sentence).toBe('Klinisches Bild: keine Regel trifft zu.');
+      expect(decisions.epi_confirmation.sentence).toBe('Epidemiologische Bestätigung erfüllt, weil Regel 2 ohne Bedingung zutrifft.');
+    });
+
+    it('should explain every rule of multi-hit tables', () => {
+      const table = {
+        allDecisions: [{
+          id: 'hinweise',
+          name: 'Hinweise',
+          decisionTable: {
+            hitPolicy: 'COLLECT',
+            inputs: [{ label: 'Alter', expression: 'alter' }, { label: 'Fieber', expression: 'fieber' }],
+            outputs: [{ label: 'Hinweis', name: 'hinweis' }],
+            rules: [
+              { inputEntries: ['< 5', '-'], outputEntries: ['"Kleinkind"'] },
+              { inputEntries: ['-', 'true'], outputEntries: ['"Fieber"'] }
+            ]
+          }
+        }],
+        inputData: []
+      };
+      const explanation = explainEvaluation(table, evaluateDecisionGraph(table, { alter: 2.5, fieber: true }));
+
+      expect(explanation.summary).toEqual(['Hinweis Kleinkind, Fieber, weil (Alter: 2,5) sowie (Fieber).']);
+    });
+  });
+});
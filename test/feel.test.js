@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseUnaryTests,
+  evaluateUnaryTests,
+  evaluateExpression,
+  collectLiterals,
+  referencesNames,
+  collectNames,
+  FeelError
+} from '../src/feel.js';
+
+describe('FEEL', () => {
+  describe('evaluateUnaryTests', () => {
+    it('should treat "-" and empty entries as matching anything', () => {
+      expect(evaluateUnaryTests('-', 'erfüllt')).toBe(true);
+      expect(evaluateUnaryTests('', null)).toBe(true);
+      expect(evaluateUnaryTests('  ', 42)).toBe(true);
+    });
+
+    it('should match string literals', () => {
+      expect(evaluateUnaryTests('"erfüllt"', 'erfüllt')).toBe(true);
+      expect(evaluateUnaryTests('"erfüllt"', 'nicht erfüllt')).toBe(false);
+    });
+
+    it('should match boolean literals', () => {
+      expect(evaluateUnaryTests('true', true)).toBe(true);
+      expect(evaluateUnaryTests('true', false)).toBe(false);
+      expect(evaluateUnaryTests('false', false)).toBe(true);
+      expect(evaluateUnaryTests('false', null)).toBe(false);
+    });
+
+    it('should evaluate comparisons', () => {
+      expect(evaluateUnaryTests('<3', 2)).toBe(true);
+      expect(evaluateUnaryTests('<3', 3)).toBe(false);
+      expect(evaluateUnaryTests('<= 3', 3)).toBe(true);
+      expect(evaluateUnaryTests('>= 60', 59)).toBe(false);
+      expect(evaluateUnaryTests('> -1', 0)).toBe(true);
+      expect(evaluateUnaryTests('!= "negativ"', 'positiv')).toBe(true);
+    });
+
+    it('should not match comparisons against missing values', () => {
+      expect(evaluateUnaryTests('<3', null)).toBe(false);
+      expect(evaluateUnaryTests('<3', '2')).toBe(false);
+    });
+
+    it('should evaluate ranges with inclusive and exclusive bounds', () => {
+      expect(evaluateUnaryTests('[1..10]', 1)).toBe(true);
+      expect(evaluateUnaryTests('[1..10]', 10)).toBe(true);
+      expect(evaluateUnaryTests('(1..10)', 1)).toBe(false);
+      expect(evaluateUnaryTests(']1..10[', 10)).toBe(false);
+      expect(evaluateUnaryTests('[18..59]', 60)).toBe(false);
+    });
+
+    it('should evaluate lists as disjunction', () => {
+      expect(evaluateUnaryTests('"PCR","Kultur"', 'Kultur')).toBe(true);
+      expect(evaluateUnaryTests('"PCR", "Kultur"', 'ELISA')).toBe(false);
+      expect(evaluateUnaryTests('<0, >100', 150)).toBe(true);
+    });
+
+    it('should negate tests with not()', () => {
+      expect(evaluateUnaryTests('not("erfüllt")', 'nicht erfüllt')).toBe(true);
+      expect(evaluateUnaryTests('not("a", "b")', 'b')).toBe(false);
+      expect(evaluateUnaryTests('not([1..5])', 7)).toBe(true);
+    });
+
+    it('should resolve variable names from the context', () => {
+      expect(evaluateUnaryTests('< grenzwert', 5, { grenzwert: 10 })).toBe(true);
+      expect(evaluateUnaryTests('patient.alter', 30, { patient: { alter: 30 } })).toBe(true);
+    });
+
+    it('should throw FeelError for unsupported syntax', () => {
+      expect(() => evaluateUnaryTests('18-59', 20)).toThrow(FeelError);
+      expect(() => evaluateUnaryTests('"offen', 'offen')).toThrow(FeelError);
+      expect(() => evaluateUnaryTests('[1..', 1)).toThrow(FeelError);
+    });
+  });
+
+  describe('parseUnaryTests', () => {
+    it('should parse a range', () => {
+      expect(parseUnaryTests('[1..10)')).toEqual({
+        type: 'range',
+        start: { type: 'literal', value: 1 },
+        end: { type: 'literal', value: 10 },
+        startInclusive: true,
+        endInclusive: false
+      });
+    });
+  });
+
+  describe('collectLiterals', () => {
+    it('should list the literals of all tests', () => {
+      expect(collectLiterals(parseUnaryTests('"a", [1..5], null'))).toEqual(['a', 1, 5]);
+      expect(collectLiterals(parseUnaryTests('not("b")'))).toEqual(['b']);
+      expect(collectLiterals(parseUnaryTests('-'))).toEqual([]);
+    });
+  });
+
+  describe('referencesNames', () => {
+    it('should detect tests against other variables', () => {
+      expect(referencesNames(parseUnaryTests('> grenzwert'))).toBe(true);
+      expect(referencesNames(parseUnaryTests('> 5'))).toBe(false);
+    });
+  });
+
+  describe('collectNames', () => {
+    it('should list the first segments of referenced names', () => {
+      expect(collectNames('patient.alter >= 18 and not(fieber)')).toEqual(['patient', 'fieber']);
+      expect(collectNames('date("2024-01-01") - beginn')).toEqual(['date', 'beginn']);
+      expect(collectNames('ergebnis + 1')).toEqual(['ergebnis']);
+    });
+
+    it('should skip literals, keywords and names in strings', () => {
+      expect(collectNames('"fieber" = true or null')).toEqual([]);
+      expect(collectNames('"offen')).toEqual([]);
+    });
+  });
+
+  describe('evaluateExpression', () => {
+    it('should evaluate literals', () => {
+      expect(evaluateExpression('"A"')).toBe('A');
+      expect(evaluateExpression('true')).toBe(true);
+      expect(evaluateExpression('2.5')).toBe(2.5);
+      expect(evaluateExpression('')).toBeNull();
+    });
+
+    it('should resolve variable names', () => {
+      expect(evaluateExpression('klinisch', { klinisch: 'erfüllt' })).toBe('erfüllt');
+    });
+
+    it('should return unquoted prose unchanged', () => {
+      expect(evaluateExpression('A')).toBe('A');
+      expect(evaluateExpression('Entfällt.')).toBe('Entfällt.');
+    });
+  });
+});
@@ -0,0 +1,25 @@
+/**
+ * Fixture loading shared by the tests
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseDMN } from '../src/dmn-parser.js';
+
+/**
+ * Reads a fixture file
+ * @param {string} path - Path relative to the test directory, e.g. '../test-data/campylobacter.dmn'
+ * @returns {string} File content
+ */
+export function readFixture(path) {
+  return readFileSync(new URL(path, import.meta.url), 'utf-8');
+}
+
+/**
+ * Parses a DMN fixture with the default mapping profile
+ * @param {string} path - Path relative to the test directory
+ * @param {string} [language] - Output language
+ * @returns {Object} Parsed DMN data
+ */
+export function loadDmnData(path, language) {
+  return parseDMN(new DOMParser().parseFromString(readFixture(path), 'text/xml'), undefined, language);
+}
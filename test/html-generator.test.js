@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { generateHtmlDocument } from '../src/html-generator.js';
+import { loadDmnData } from './helpers.js';
+
+function parseHtml(html) {
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('HTML Generator', () => {
+  describe('generateHtmlDocument', () => {
+    it('should generate a standalone page with embedded styles', () => {
+      const html = generateHtmlDocument(loadDmnData('../test-data/campylobacter.dmn'));
+      const doc = parseHtml(html);
+
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(doc.documentElement.lang).toBe('de');
+      expect(doc.title).toBe('Campylobacter-Enteritis');
+      expect(doc.querySelector('style').textContent).toContain('#0563C1');
+      expect(doc.querySelector('link, script')).toBeNull();
+    });
+
+    it('should render the sections of the Word document', () => {
+      const doc = parseHtml(generateHtmlDocument(loadDmnData('../test-data/campylobacter.dmn')));
+
+      expect(doc.querySelector('h1').textContent).toBe('Campylobacter-Enteritis (Campylobacter spp., darmpathogen)');
+      expect([...doc.querySelectorAll('.metadata dt')].map(dt => dt.textContent)).toEqual(['Stand:', 'Version:']);
+      expect([...doc.querySelectorAll('h2')].map(h2 => h2.textContent)).toContain('Gesetzliche Grundlage');
+      expect([...doc.querySelectorAll('.subheading')].map(p => p.textContent)).toContain('A. Klinisch diagnostizierte Erkrankung');
+      expect([...doc.querySelectorAll('strong')].map(strong => strong.textContent)).toContain('mindestens eines');
+    });
+
+    it('should join consecutive bullets into one list', () => {
+      const doc = parseHtml(generateHtmlDocument(loadDmnData('../test-data/campylobacter.dmn')));
+      const firstList = doc.querySelector('ul');
+
+      expect([...firstList.children].map(li => li.textContent)).toEqual(['Bauchschmerzen,', 'Durchfall,', 'Fieber']);
+      expect(firstList.nextElementSibling.textContent).toBe('ODER krankheitsbedingter Tod.');
+    });
+
+    it('should escape the texts of the model', () => {
+      const doc = parseHtml(generateHtmlDocument({
+        metadata: { krankheit: 'Test <b>', erreger: 'A & B' },
+        klinischesBild: { label: 'Klinisches Bild', documentation: '<script>alert(1)</script>' },
+        fallkategorien: null
+      }));
+
+      expect(doc.querySelector('script')).toBeNull();
+      expect(doc.querySelector('h1').textContent).toBe('Test <b> (A & B)');
+      expect(doc.querySelector('h2 + p').textContent).toBe('<script>alert(1)</script>');
+    });
+
+    it('should append the diagram and the decision tables', () => {
+      const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"></svg>';
+      const doc = parseHtml(generateHtmlDocument(loadDmnData('../test-data/campylobacter.dmn'), {
+        includeAppendix: true,
+        diagramSvg: svg
+      }));
+
+      expect(doc.querySelector('hr.page-break')).not.toBeNull();
+      expect(doc.querySelector('figure svg')).not.toBeNull();
+      expect(doc.querySelector('th.input').textContent).toBe('Klinisches Bild');
+      expect(doc.querySelectorAll('table tbody tr').length).toBeGreaterThan(0);
+    });
+
+    it('should leave the diagram out without its markup', () => {
+      const doc = parseHtml(generateHtmlDocument(loadDmnData('../test-data/campylobacter.dmn'), { includeAppendix: true }));
+
+      expect(doc.querySelector('figure')).toBeNull();
+      expect([...doc.querySelectorAll('h3')].map(h3 => h3.textContent)).not.toContain('Entscheidungsanforderungsdiagramm');
+      expect(doc.querySelector('table')).not.toBeNull();
+    });
+
+    it('should write the document in the language of the model', () => {
+      const doc = parseHtml(generateHtmlDocument(loadDmnData('../test-data/campylobacter.dmn', 'en')));
+
+      expect(doc.documentElement.lang).toBe('en');
+      expect([...doc.querySelectorAll('h2')].map(h2 => h2.textContent)).toContain('Clinical picture');
+    });
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { translate, localize, matchesLanguage, OUTPUT_LANGUAGES } from '../src/i18n.js';
+
+describe('Output languages', () => {
+  it('should offer German and English', () => {
+    expect(Object.keys(OUTPUT_LANGUAGES)).toEqual(['de', 'en']);
+  });
+
+  describe('translate', () => {
+    it('should return the text of the catalog and fall back to German', () => {
+      expect(translate('de', 'hitPolicy')).toBe('Trefferrichtlinie');
+      expect(translate('en', 'hitPolicy')).toBe('Hit policy');
+      expect(translate('en', 'hitPolicyDescriptions').FIRST).toBe('The first matching rule in the given order applies.');
+      expect(translate('fr', 'appendix')).toBe('Anhang: Entscheidungslogik');
+    });
+  });
+
+  describe('localize', () => {
+    it('should pick the text of a language from texts by language', () => {
+      const title = { de: 'Klinisches Bild', en: 'Clinical picture' };
+
+      expect(localize(title, 'en')).toBe('Clinical picture');
+      expect(localize(title, 'fr')).toBe('Klinisches Bild');
+      expect(localize({ en: 'Only English' }, 'de')).toBe('Only English');
+      expect(localize('Meldepflicht', 'en')).toBe('Meldepflicht');
+    });
+  });
+
+  describe('matchesLanguage', () => {
+    it('should compare the primary language and treat untagged texts as German', () => {
+      expect(matchesLanguage('en-GB', 'en')).toBe(true);
+      expect(matchesLanguage('EN', 'en')).toBe(true);
+      expect(matchesLanguage('', 'de')).toBe(true);
+      expect(matchesLanguage('', 'en')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import { generateJavaCode, getJavaClassName } from '../src/java-generator.js';
+import { loadDmnData } from './helpers.js';
+
+describe('Java Generator', () => {
+  describe('getJavaClassName', () => {
+    it('should derive the class name from the disease', () => {
+      expect(getJavaClassName({ metadata: { krankheit: 'Campylobacter-Enteritis' } })).toBe('CampylobacterEnteritisDecisions');
+      expect(getJavaClassName({ metadata: {} })).toBe('Decisions');
+    });
+  });
+
+  describe('generateJavaCode', () => {
+    const dmnData = loadDmnData('../campylobacter_classification.dmn');
+
+    it('should generate one class per decision with Input and Output records', () => {
+      const code = generateJavaCode(dmnData);
+
+      expect(code).toContain('package epilogic.falldefinitionen.campylobacterenteritis;');
+      expect(code).toContain('public final class CampylobacterEnteritisDecisions {');
+      expect(code).toContain('public static final class KlinischesBild {');
+      expect(code).toContain('public record Input(Boolean bauchschmerzen, Boolean durchfall, Boolean fieber, Boolean krankheitsbedingterTod) {');
+      expect(code).toContain('public record Output(String category, Boolean transmit, String referenzdefinition) {');
+      expect(code).toContain('if (Objects.equals(input.bauchschmerzen(), true)) {');
+    });
+
+    it('should build case data from the inputData variables', () => {
+      const code = generateJavaCode(dmnData);
+
+      expect(code).toContain('public record CaseData(Boolean bauchschmerzen, Boolean durchfall, Boolean fieber, Boolean krankheitsbedingterTod, Boolean antigenNachweis');
+      expect(code).toContain('@param durchfall Mindestens 3 ungeformte Stühle in 24 Stunden');
+    });
+
+    it('should chain required decisions', () => {
+      const code = generateJavaCode(dmnData);
+
+      expect(code).toContain('KlinischesBild.Output klinischesBild = KlinischesBild.evaluate(caseData);');
+      expect(code).toContain('return evaluate(new Input(klinischesBild == null ? null : klinischesBild.clinical(), labordiagnostischerNachweis == null ? null : labordiagnostischerNachweis.lab()');
+    });
+
+    it('should rename decisions named like the nested records and box counts', () => {
+      const code = generateJavaCode({
+        metadata: {},
+        allDecisions: [
+          {
+            id: 'd1',
+            name: 'Output',
+            decisionTable: {
+              hitPolicy: 'COLLECT',
+              aggregation: 'COUNT',
+              inputs: [{ label: 'Fieber', expression: 'fieber', typeRef: 'boolean' }],
+              outputs: [{ name: 'anzahl', typeRef: 'number' }],
+              rules: [{ inputEntries: ['true'], outputEntries: ['1'] }]
+            }
+          },
+          {
+            id: 'd2',
+            name: 'Input',
+            requiredDecisions: ['d1'],
+            decisionTable: {
+              hitPolicy: 'FIRST',
+              inputs: [{ label: 'Anzahl', expression: 'anzahl', typeRef: 'number' }],
+              outputs: [{ name: 'schwer', typeRef: 'boolean' }],
+              rules: [{ inputEntries: ['> 0'], outputEntries: ['true'] }]
+            }
+          }
+        ]
+      });
+
+      expect(code).toContain('public static final class Output2 {');
+      expect(code).toContain('public static final class Input2 {');
+      expect(code).toContain('int output2 = Output2.evaluate(caseData);');
+      expect(code).toContain('return evaluate(new Input(Double.valueOf(output2)));');
+    });
+
+    it('should implement hit policies', () => {
+      const table = (hitPolicy, aggregation = '') => ({
+        hitPolicy,
+        aggregation,
+        inputs: [{ label: 'Alter', expression: 'alter', typeRef: 'number' }],
+        outputs: [{ name: 'punkte', typeRef: 'number', outputValues: '2,1' }],
+        rules: [
+          { inputEntries: ['[18..59]'], outputEntries: ['1'] },
+          { inputEntries: ['>= 60'], outputEntries: ['2'] }
+        ]
+      });
+      const code = generateJavaCode({
+        metadata: {},
+        allDecisions: [
+          { id: 'd1', name: 'Eindeutig', decisionTable: table('UNIQUE') },
+          { id: 'd2', name: 'Prioritaet', decisionTable: table('PRIORITY') },
+          { id: 'd3', name: 'Anzahl', decisionTable: table('COLLECT', 'COUNT') }
+        ]
+      });
+
+      expect(code).toContain('((input.alter() != null && input.alter() >= 18.0) && (input.alter() != null && input.alter() <= 59.0))');
+      expect(code).toContain('throw new IllegalStateException("UNIQUE hit policy violated: rules "');
+      expect(code).toContain('rankOf(Arrays.asList(2.0, 1.0), output.punkte())');
+      expect(code).toContain('import java.util.Arrays;');
+      expect(code).toContain('import java.util.stream.Collectors;');
+      expect(code).toContain('public static int evaluate(Input input) {');
+      expect(code).toContain('public record CaseData(Double alter) {');
+    });
+
+    it('should import no collections or streams for FIRST and UNIQUE tables', () => {
+      const decisionTable = hitPolicy => ({
+        hitPolicy,
+        inputs: [{ label: 'Fieber', expression: 'fieber', typeRef: 'boolean' }],
+        outputs: [{ name: 'erfuellt', typeRef: 'boolean' }],
+        rules: [
+          { inputEntries: ['true'], outputEntries: ['true'] },
+          { inputEntries: ['false'], outputEntries: ['false'] }
+        ]
+      });
+      const code = generateJavaCode({
+        metadata: {},
+        allDecisions: [
+          { id: 'd1', name: 'Erste', decisionTable: decisionTable('FIRST') },
+          { id: 'd2', name: 'Eindeutig', decisionTable: decisionTable('UNIQUE') }
+        ]
+      });
+      const collectionImports = /import java\.util\.(ArrayList|Arrays|Comparator|List|stream\.Collectors);/;
+
+      expect(code).toContain('import java.util.Objects;');
+      expect(code).not.toMatch(collectionImports);
+      expect(code).toContain('throw new IllegalStateException("UNIQUE hit policy violated: rules " + matched + " and 2 match");');
+      expect(code).toContain('matched = 2;');
+      expect(generateJavaCode(dmnData)).not.toMatch(collectionImports);
+    });
+
+    it('should fail when the case data and a table input disagree on a type', () => {
+      expect(() => generateJavaCode({
+        metadata: {},
+        inputData: [{ id: 'fieber', name: 'Fieber', variable: 'fieber', typeRef: 'string' }],
+        allDecisions: [{
+          id: 'd1',
+          name: 'Klinik',
+          requiredInputs: ['fieber'],
+          decisionTable: {
+            inputs: [{ label: 'Fieber', expression: 'fieber', typeRef: 'boolean' }],
+            outputs: [{ name: 'erfuellt', typeRef: 'boolean' }],
+            rules: [{ inputEntries: ['true'], outputEntries: ['true'] }]
+          }
+        }]
+      })).toThrow('Variable "fieber" is a string in inputData "Fieber" but a boolean in decision "Klinik"');
+    });
+
+    it('should avoid Java keywords as member names', () => {
+      const code = generateJavaCode({
+        metadata: {},
+        allDecisions: [{
+          id: 'd1',
+          name: 'Schluesselwort',
+          decisionTable: {
+            hitPolicy: 'FIRST',
+            inputs: [{ label: 'Neu', expression: 'new', typeRef: 'boolean' }],
+            outputs: [{ name: 'default', typeRef: 'string' }],
+            rules: [{ inputEntries: ['true'], outputEntries: ['"ja"'] }]
+          }
+        }]
+      });
+
+      expect(code).toContain('public record Input(Boolean new_) {');
+      expect(code).toContain('public record Output(String default_) {');
+    });
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import { readFixture } from './helpers.js';
+
+// Upload through the drop handler of the upload area
+function dropFile(name, content) {
+  const file = { name, size: content.length, text: async () => content };
+  const event = new Event('drop', { bubbles: true, cancelable: true });
+  Object.defineProperty(event, 'dataTransfer', { value: { files: [file] } });
+  document.getElementById('uploadArea').dispatchEvent(event);
+}
+
+describe('Main UI', () => {
+  beforeAll(async () => {
+    const page = new DOMParser().parseFromString(readFixture('../index.html'), 'text/html');
+    document.body.innerHTML = page.body.innerHTML;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    await import('../src/main.js');
+  });
+
+  it('should leave no preview of the previous file after a failed upload', async () => {
+    const previewPanel = document.getElementById('previewPanel');
+    const previewFrame = document.getElementById('previewFrame');
+    const statusMessage = document.getElementById('statusMessage');
+
+    dropFile('campylobacter.dmn', readFixture('../test-data/campylobacter.dmn'));
+    await vi.waitFor(() => expect(previewPanel.hidden).toBe(false));
+    expect(previewFrame.srcdoc).toContain('Campylobacter-Enteritis');
+
+    dropFile('broken.dmn', '<definitions');
+    await vi.waitFor(() => expect(statusMessage.textContent).toContain('Validation failed'));
+    document.getElementById('languageSelect').dispatchEvent(new Event('change'));
+    document.getElementById('includeAppendixCheckbox').dispatchEvent(new Event('change'));
+
+    expect(previewPanel.hidden).toBe(true);
+    expect(previewFrame.srcdoc).toBe('');
+    expect(document.getElementById('downloadHtmlBtn').disabled).toBe(true);
+  });
+});
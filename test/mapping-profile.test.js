@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateProfile,
+  parseProfile,
+  matchesElement,
+  getSectionInputNames,
+  ProfileError,
+  DEFAULT_PROFILE,
+  RESERVED_KEYS
+} from '../src/mapping-profile.js';
+import { parseDMN } from '../src/dmn-parser.js';
+import { generateWordDocument } from '../src/word-generator.js';
+import { getCategoryOutputKey } from '../src/batch-classification.js';
+import { readFixture } from './helpers.js';
+
+function loadDocument(path) {
+  return new DOMParser().parseFromString(readFixture(path), 'text/xml');
+}
+
+function getProfileErrors(profile) {
+  try {
+    validateProfile(profile);
+  } catch (error) {
+    return error.errors;
+  }
+  return [];
+}
+
+// Case definition laid out like an ECDC fact sheet
+const ECDC_PROFILE = {
+  name: 'ECDC case definition',
+  sections: [
+    {
+      title: 'Case classification',
+      style: 'categories',
+      decision: ['fallklassifikation'],
+      categoryOutput: 'Beschreibung'
+    },
+    {
+      key: 'clinical',
+      title: 'Clinical criteria',
+      style: 'heading',
+      sources: [{ inputData: 'klinisches_bild' }]
+    },
+    {
+      key: 'laboratory',
+      title: 'Laboratory criteria',
+      style: 'heading',
+      sources: [{ inputData: 'labordiagnostik' }]
+    }
+  ]
+};
+
+describe('Mapping Profile', () => {
+  describe('validateProfile', () => {
+    it('should accept the bundled default profile', () => {
+      expect(DEFAULT_PROFILE.name).toBe('RKI Falldefinition');
+      expect(getProfileErrors(DEFAULT_PROFILE)).toEqual([]);
+    });
+
+    it('should name the path of every problem', () => {
+      const errors = getProfileErrors({
+        name: 'Broken',
+        sections: [
+          { key: 'a', title: 'A', style: 'heading', sources: [{}] },
+          { key: 'a', title: 'B', style: 'table', sources: [] },
+          { key: 'metadata', title: 'C', style: 'subheading', sources: [{ decision: 'x', text: 'criteria' }] }
+        ]
+      });
+
+      expect(errors).toEqual([
+        'sections[0].sources[0]: needs "decision" or "inputData"',
+        'sections[1].style: must be one of heading, subheading, categories, group',
+        'sections[2].key: "metadata" is reserved',
+        'sections[2].sources[0].decision: must be a list of decision names or ids',
+        'sections[2].sources[0].template: must be one of klinisches_bild, labordiagnostik, epidemiologische_bestaetigung'
+      ]);
+    });
+
+    it('should reserve every property parseDMN writes next to the sections', () => {
+      const dmnData = parseDMN(loadDocument('../test-data/campylobacter.dmn'), ECDC_PROFILE);
+      const sectionKeys = ECDC_PROFILE.sections.map(section => section.key).filter(Boolean);
+
+      expect(RESERVED_KEYS).toEqual(expect.arrayContaining(Object.keys(dmnData).filter(key => !sectionKeys.includes(key))));
+      expect(getProfileErrors({
+        name: 'Warnings',
+        sections: [{ key: 'warnings', title: 'W', style: 'heading', sources: [{ inputData: 'w' }] }]
+      })).toEqual(['sections[0].key: "warnings" is reserved']);
+    });
+
+    it('should reject duplicate keys, nested groups and a second categories section', () => {
+      const errors = getProfileErrors({
+        name: 'Broken',
+        sections: [
+          { key: 'a', title: 'A', style: 'heading', sources: [{ inputData: 'a' }] },
+          { key: 'a', title: 'A', style: 'heading', sources: [{ inputData: 'a' }] },
+          {
+            key: 'g',
+            title: 'G',
+            style: 'group',
+            sections: [{ key: 'inner', title: 'I', style: 'group', sections: [] }]
+          },
+          { title: 'K1', style: 'categories', decision: ['x'] },
+          { title: 'K2', style: 'categories', decision: ['y'] }
+        ]
+      });
+
+      expect(errors).toContain('sections[1].key: "a" is used twice');
+      expect(errors).toContain('sections[2].sections[0]: groups cannot be nested');
+      expect(errors).toContain('sections: only one section can hold the categories');
+    });
+
+    it('should accept titles by language', () => {
+      const profile = {
+        name: 'Bilingual',
+        sections: [
+          { key: 'a', title: { de: 'Klinik', en: 'Clinic' }, style: 'heading', sources: [{ inputData: 'a' }] },
+          { key: 'b', title: { de: '' }, style: 'heading', sources: [{ inputData: 'b' }] }
+        ]
+      };
+
+      expect(getProfileErrors(profile)).toEqual(['sections[1].title: must be a text or texts by language']);
+    });
+
+    it('should throw a ProfileError quoting the first problem', () => {
+      expect(() => validateProfile({ sections: [] })).toThrow(ProfileError);
+      expect(() => validateProfile({ sections: [] })).toThrow('Invalid mapping profile: name: must be a text');
+      expect(() => validateProfile([])).toThrow('The mapping profile must be a JSON object');
+    });
+  });
+
+  describe('parseProfile', () => {
+    it('should parse a valid profile', () => {
+      expect(parseProfile(JSON.stringify(ECDC_PROFILE))).toEqual(ECDC_PROFILE);
+    });
+
+    it('should report invalid JSON', () => {
+      expect(() => parseProfile('{ "name": ')).toThrow(/not valid JSON/);
+    });
+  });
+
+  describe('matchesElement', () => {
+    it('should compare names and ids with "*" as wildcard', () => {
+      const element = { id: 'decision_uebermittlung', name: 'Übermittlungsdefinition (C.)' };
+
+      expect(matchesElement(['*bermittlungsdefinition*'], element)).toBe(true);
+      expect(matchesElement(['decision_uebermittlung'], element)).toBe(true);
+      expect(matchesElement(['Übermittlung'], element)).toBe(false);
+      expect(matchesElement(['Klinisches Bild', 'clinical_picture'], { id: 'clinical_picture' })).toBe(true);
+    });
+  });
+
+  describe('getSectionInputNames', () => {
+    it('should list the inputData elements holding section text', () => {
+      expect(getSectionInputNames(DEFAULT_PROFILE)).toEqual([
+        'klinisches_bild', 'labordiagnostik', 'zusatzinformation', 'epidemiologische_bestaetigung',
+        'referenzdefinition', 'meldepflicht', 'uebermittlung'
+      ]);
+      expect(getSectionInputNames(ECDC_PROFILE)).toEqual(['klinisches_bild', 'labordiagnostik']);
+    });
+  });
+
+  describe('custom profile', () => {
+    it('should parse the sections and category column the profile names', () => {
+      const dmnData = parseDMN(loadDocument('../test-data/campylobacter.dmn'), ECDC_PROFILE);
+
+      expect(dmnData.clinical.label).toBe('Klinisches Bild');
+      expect(dmnData.laboratory.label).toBe('Labordiagnostischer Nachweis');
+      expect(dmnData.klinischesBild).toBeUndefined();
+      expect(dmnData.fallkategorien.id).toBe('fallklassifikation');
+      expect(dmnData.categoryOutput).toBe('Beschreibung');
+      expect(dmnData.sectionNames).toEqual(['klinisches_bild', 'labordiagnostik']);
+      expect(getCategoryOutputKey(dmnData.fallkategorien, dmnData.categoryOutput)).toBe('beschreibung');
+    });
+
+    it('should generate the Word document in the order of the profile', async () => {
+      const dmnData = parseDMN(loadDocument('../test-data/campylobacter.dmn'), ECDC_PROFILE);
+      const blob = await generateWordDocument(dmnData);
+
+      expect(blob).toBeInstanceOf(Blob);
+      expect(blob.size).toBeGreaterThan(0);
+    });
+  });
+
+  describe('getCategoryOutputKey', () => {
+    it('should fall back to the first output column', () => {
+      const decision = {
+        decisionTable: { outputs: [{ name: 'kategorie', label: 'Kategorie' }, { name: 'text', label: 'Text' }] }
+      };
+
+      expect(getCategoryOutputKey(decision)).toBe('kategorie');
+      expect(getCategoryOutputKey(decision, 'Text')).toBe('text');
+      expect(getCategoryOutputKey(decision, 'unknown')).toBe('kategorie');
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { generateMarkdownDocument } from '../src/markdown-generator.js';
+import { generateMarkdownDocument, generateExplanationMarkdown, generateMermaidFlowchart, generateFrontMatter } from '../src/markdown-generator.js';
 
 describe('Markdown Generator', () => {
   describe('generateMarkdownDocument', () => {
@@ -22,6 +22,44 @@ describe('Markdown Generator', () => {
       expect(markdown).toContain('**Version:** 2025');
     });
 
+    it('should label the metadata in the language of the model', () => {
+      const markdown = generateMarkdownDocument({
+        metadata: { stand: '01.09.2023', version: '2025' },
+        language: 'en',
+        fallkategorien: null
+      });
+
+      expect(markdown).toContain('**Date:** 01.09.2023');
+      expect(markdown).toContain('**Version:** 2025');
+    });
+
+    it('should open with the metadata as YAML front matter', () => {
+      const markdown = generateMarkdownDocument({
+        metadata: {
+          krankheit: 'Campylobacter-Enteritis',
+          erreger: 'Campylobacter spp., darmpathogen',
+          icd10: 'A04.5',
+          stand: '01.09.2023',
+          version: 'Ausgabe 2023',
+          meldekategorie: '§ 7 "Abs. 1" IfSG'
+        },
+        fallkategorien: null
+      });
+
+      expect(markdown.startsWith([
+        '---',
+        'krankheit: "Campylobacter-Enteritis"',
+        'erreger: "Campylobacter spp., darmpathogen"',
+        'icd10: "A04.5"',
+        'stand: 2023-09-01',
+        'version: "Ausgabe 2023"',
+        'meldekategorie: "§ 7 \\"Abs. 1\\" IfSG"',
+        '---',
+        '',
+        '# Campylobacter-Enteritis (Campylobacter spp., darmpathogen)'
+      ].join('\n'))).toBe(true);
+    });
+
     it('should generate markdown with decision table', () => {
       const dmnData = {
         metadata: {
@@ -60,6 +98,127 @@ describe('Markdown Generator', () => {
       expect(markdown).toContain('| C ');
     });
 
+    it('should render the hit policy above and in the corner of the table', () => {
+      const dmnData = {
+        metadata: {},
+        fallkategorien: {
+          label: 'Punkte',
+          decisionTable: {
+            hitPolicy: 'COLLECT',
+            aggregation: 'SUM',
+            inputs: [{ label: 'Fieber' }],
+            outputs: [{ label: 'Punkte' }],
+            rules: [
+              { inputEntries: ['true'], outputEntries: ['1'] },
+              { inputEntries: ['-'], outputEntries: ['0'] }
+            ]
+          }
+        }
+      };
+
+      const markdown = generateMarkdownDocument(dmnData);
+      const lines = markdown.split('\n');
+
+      expect(markdown).toContain('**Trefferrichtlinie:** COLLECT SUM');
+      expect(lines).toContain('| C+ | Fieber | Punkte |');
+      expect(lines).toContain('| 1  | true   | 1      |');
+      expect(lines).toContain('| 2  | -      | 0      |');
+    });
+
+    it('should append uncovered input combinations on request', () => {
+      const dmnData = {
+        metadata: {},
+        allDecisions: [{
+          id: 'd1',
+          label: 'Labor',
+          decisionTable: {
+            inputs: [{ label: 'Labor', inputValues: '"erfüllt","unbekannt"' }],
+            outputs: [{ label: 'Ergebnis' }],
+            rules: [{ inputEntries: ['"erfüllt"'], outputEntries: ['true'] }]
+          }
+        }]
+      };
+
+      const markdown = generateMarkdownDocument(dmnData, { includeGaps: true });
+      const lines = markdown.split('\n');
+
+      expect(markdown).toContain('## Nicht abgedeckte Eingabekombinationen');
+      expect(lines).toContain('| "unbekannt" |');
+      expect(markdown).toContain('Mit unbekannten (null) Eingaben nicht abgedeckt:');
+      expect(generateMarkdownDocument(dmnData)).not.toContain('Nicht abgedeckte');
+    });
+
+    it('should append before and after tables of simplified decisions on request', () => {
+      const dmnData = {
+        metadata: {},
+        allDecisions: [{
+          id: 'd1',
+          label: 'Klinik',
+          decisionTable: {
+            hitPolicy: 'UNIQUE',
+            inputs: [{ label: 'Fieber' }],
+            outputs: [{ label: 'Klinisch' }],
+            rules: [
+              { inputEntries: ['true'], outputEntries: ['"ja"'] },
+              { inputEntries: ['false'], outputEntries: ['"ja"'] }
+            ]
+          }
+        }]
+      };
+
+      const markdown = generateMarkdownDocument(dmnData, { includeSimplification: true });
+      const lines = markdown.split('\n');
+
+      expect(markdown).toContain('## Vereinfachungsvorschläge');
+      expect(markdown).toContain('- Rules 1 and 2 can be merged into one rule');
+      expect(markdown).toContain('**Vorher** (2 Regeln)');
+      expect(markdown).toContain('**Nachher** (1 Regel)');
+      expect(lines).toContain('| 1, 2 | true, false | "ja"     |');
+    });
+
+    describe('headings', () => {
+      const dmnData = language => ({
+        metadata: {},
+        language,
+        allDecisions: [{
+          id: 'd1',
+          label: 'Klinik',
+          decisionTable: {
+            hitPolicy: 'UNIQUE',
+            inputs: [{ label: 'Fieber' }],
+            outputs: [{ label: 'Klinisch' }],
+            rules: [
+              { inputEntries: ['true'], outputEntries: ['"ja"'] },
+              { inputEntries: ['false, null'], outputEntries: ['"ja"'] }
+            ]
+          }
+        }]
+      });
+      const options = { includeGaps: true, includeSimplification: true };
+      const englishHeadings = [
+        '**Hit policy:**',
+        '## Decision requirements graph',
+        '## Uncovered input combinations',
+        'All input combinations are covered.',
+        '## Simplification suggestions',
+        '**Before** (2 rules)',
+        '**After** (1 rule)'
+      ];
+
+      it('should write English headings for English documents', () => {
+        const markdown = generateMarkdownDocument(dmnData('en'), options);
+        englishHeadings.forEach(heading => expect(markdown).toContain(heading));
+      });
+
+      it('should write no English headings in German documents', () => {
+        const markdown = generateMarkdownDocument(dmnData('de'), options);
+
+        englishHeadings.forEach(heading => expect(markdown).not.toContain(heading));
+        expect(markdown).toContain('**Trefferrichtlinie:** UNIQUE');
+        expect(markdown).toContain('Alle Eingabekombinationen sind abgedeckt.');
+      });
+    });
+
     it('should handle minimal data', () => {
       const dmnData = {
         metadata: {},
@@ -101,4 +260,143 @@ describe('Markdown Generator', () => {
       expect(lines[tableStart + 2]).toContain('| value1');
     });
   });
+
+  describe('generateFrontMatter', () => {
+    it('should list several ICD-10 codes and keep malformed values as text', () => {
+      expect(generateFrontMatter({ icd10: 'A02.0, A02.1', stand: 'Herbst 2023', 'rki.id': '42' }))
+        .toBe('---\nicd10: ["A02.0", "A02.1"]\nstand: "Herbst 2023"\n"rki.id": "42"\n---\n\n');
+    });
+
+    it('should be empty without metadata', () => {
+      expect(generateFrontMatter({})).toBe('');
+    });
+  });
+
+  describe('generateMermaidFlowchart', () => {
+    const graph = {
+      metadata: {},
+      inputData: [
+        { id: 'fieber', name: 'Fieber "hoch"' },
+        { id: 'pcr-test', name: 'PCR' }
+      ],
+      allDecisions: [
+        {
+          id: 'kategorie',
+          name: 'Fallkategorie',
+          requiredInputs: [],
+          requiredDecisions: ['klinik', 'labor', 'unbekannt'],
+          decisionTable: { inputs: [{ label: 'K' }], outputs: [{ label: 'Kategorie' }], rules: [] }
+        },
+        {
+          id: 'klinik',
+          name: 'Klinisches Bild',
+          requiredInputs: ['fieber'],
+          requiredDecisions: [],
+          decisionTable: { inputs: [{ label: 'Fieber' }], outputs: [{ label: 'Klinik' }], rules: [] }
+        },
+        {
+          id: 'labor',
+          name: 'Labor',
+          requiredInputs: ['pcr-test'],
+          requiredDecisions: [],
+          decisionTable: { inputs: [{ label: 'PCR' }], outputs: [{ label: 'Labor' }], rules: [] }
+        }
+      ]
+    };
+
+    it('should draw input data, decisions and information requirements', () => {
+      const lines = generateMermaidFlowchart(graph).trim().split('\n');
+
+      expect(lines[0]).toBe('flowchart BT');
+      expect(lines).toContain('  fieber(["Fieber #quot;hoch#quot;"])');
+      expect(lines).toContain('  pcr_test(["PCR"])');
+      expect(lines).toContain('  kategorie["Fallkategorie"]');
+      expect(lines).toContain('  fieber --> klinik');
+      expect(lines).toContain('  pcr_test --> labor');
+      expect(lines).toContain('  klinik --> kategorie');
+      expect(lines).toContain('  labor --> kategorie');
+      expect(lines.some(line => line.includes('unbekannt'))).toBe(false);
+    });
+
+    it('should make node ids unique and avoid the end keyword', () => {
+      const lines = generateMermaidFlowchart({
+        allDecisions: [{ id: 'end', name: 'Ende' }, { id: 'a.b', name: 'A' }, { id: 'a-b', name: 'B' }, { id: '1x', name: 'C' }]
+      }).trim().split('\n');
+
+      expect(lines.slice(1)).toEqual(['  n_end["Ende"]', '  a_b["A"]', '  a_b_2["B"]', '  n_1x["C"]']);
+    });
+
+    it('should leave out input data that only holds section text', () => {
+      const lines = generateMermaidFlowchart({
+        inputData: [
+          { id: 'zusatzinformation', name: 'zusatzinformation' },
+          { id: 'meldepflicht', name: 'meldepflicht' },
+          { id: 'fieber', name: 'Fieber' }
+        ],
+        allDecisions: [{ id: 'klinik', name: 'Klinik', requiredInputs: ['fieber', 'meldepflicht'] }]
+      }).trim().split('\n');
+
+      expect(lines.some(line => line.includes('zusatzinformation'))).toBe(false);
+      expect(lines).toContain('  meldepflicht --> klinik');
+      expect(lines).toContain('  fieber --> klinik');
+    });
+
+    it('should embed the flowchart and order tables after the decisions they require', () => {
+      const markdown = generateMarkdownDocument(graph);
+
+      expect(markdown).toContain('## Entscheidungsanforderungsgraph\n\n```mermaid\nflowchart BT\n');
+      expect(markdown.indexOf('## Klinisches Bild')).toBeLessThan(markdown.indexOf('## Fallkategorie'));
+      expect(markdown.indexOf('## Labor')).toBeLessThan(markdown.indexOf('## Fallkategorie'));
+      expect(markdown.indexOf('```mermaid')).toBeLessThan(markdown.indexOf('## Klinisches Bild'));
+    });
+
+    it('should keep the document order of cyclic models', () => {
+      const markdown = generateMarkdownDocument({
+        metadata: {},
+        allDecisions: [
+          { id: 'a', name: 'A', requiredDecisions: ['b'], decisionTable: { inputs: [], outputs: [], rules: [] } },
+          { id: 'b', name: 'B', requiredDecisions: ['a'], decisionTable: { inputs: [], outputs: [], rules: [] } }
+        ]
+      });
+
+      expect(markdown.indexOf('## A')).toBeLessThan(markdown.indexOf('## B'));
+      expect(markdown).toContain('  a --> b');
+      expect(markdown).toContain('  b --> a');
+    });
+  });
+
+  describe('generateExplanationMarkdown', () => {
+    const explanation = {
+      order: ['klinik', 'kategorie'],
+      finalDecisions: ['kategorie'],
+      summary: ['Fallkategorie C, weil Klinisches Bild erfüllt (Durchfall).'],
+      decisions: {
+        klinik: {
+          label: 'Klinisches Bild',
+          outcome: 'Klinisches Bild erfüllt',
+          rules: [{
+            number: 2,
+            conditions: [{ label: 'Durchfall', entry: 'true', value: true, description: 'Mindestens 3 | Stühle\npro Tag' }]
+          }]
+        },
+        kategorie: { label: 'Fallkategorie', outcome: 'Fallkategorie', rules: [] }
+      }
+    };
+
+    it('should list the result sentences and the decision path', () => {
+      const markdown = generateExplanationMarkdown({ metadata: { krankheit: 'Campylobacter-Enteritis' } }, explanation);
+
+      expect(markdown).toContain('# Begründung der Fallklassifikation: Campylobacter-Enteritis');
+      expect(markdown).toContain('- Fallkategorie C, weil Klinisches Bild erfüllt (Durchfall).');
+      expect(markdown).toContain('**Klinisches Bild erfüllt** (Regel 2)');
+      expect(markdown).toContain('### Fallkategorie\n\nKeine Regel trifft zu.');
+    });
+
+    it('should write the conditions as a table with escaped descriptions', () => {
+      const markdown = generateExplanationMarkdown({ metadata: {} }, explanation);
+
+      expect(markdown).toMatch(/\| Bedingung +\| Regeleintrag \| Wert \| Beschreibung +\|/);
+      expect(markdown).toMatch(/\| Durchfall +\| true +\| ja +\| Mindestens 3 \\\| Stühle pro Tag \|/);
+    });
+  });
 });
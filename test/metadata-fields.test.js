@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { getMetadataFields, parseMetadataDate, parseIcd10Codes } from '../src/metadata-fields.js';
+
+describe('Metadata Fields', () => {
+  describe('parseMetadataDate', () => {
+    it('should read German and ISO dates', () => {
+      expect(parseMetadataDate('01.09.2023')).toBe('2023-09-01');
+      expect(parseMetadataDate('1.9.2023')).toBe('2023-09-01');
+      expect(parseMetadataDate('2024-02-29')).toBe('2024-02-29');
+    });
+
+    it('should reject impossible or other dates', () => {
+      expect(parseMetadataDate('31.02.2023')).toBeNull();
+      expect(parseMetadataDate('2023-13-01')).toBeNull();
+      expect(parseMetadataDate('September 2023')).toBeNull();
+    });
+  });
+
+  describe('parseIcd10Codes', () => {
+    it('should split and normalise code lists', () => {
+      expect(parseIcd10Codes('A04.5')).toEqual(['A04.5']);
+      expect(parseIcd10Codes('a02.0; A02.1, U07.1!')).toEqual(['A02.0', 'A02.1', 'U07.1!']);
+    });
+
+    it('should reject malformed codes', () => {
+      expect(parseIcd10Codes('A4.5')).toBeNull();
+      expect(parseIcd10Codes('A04.5, Campylobacter')).toBeNull();
+      expect(parseIcd10Codes('')).toBeNull();
+    });
+  });
+
+  describe('getMetadataFields', () => {
+    it('should list known fields first and label unknown ones by name', () => {
+      const fields = getMetadataFields({
+        meldekategorie: '§ 7 IfSG',
+        stand: '01.09.2023',
+        krankheit: 'Campylobacter-Enteritis',
+        icd10: 'A04.5',
+        leer: ''
+      });
+
+      expect(fields.map(({ name, label, value }) => ({ name, label, value }))).toEqual([
+        { name: 'krankheit', label: 'Krankheit', value: 'Campylobacter-Enteritis' },
+        { name: 'icd10', label: 'ICD-10', value: ['A04.5'] },
+        { name: 'stand', label: 'Stand', value: '2023-09-01' },
+        { name: 'meldekategorie', label: 'Meldekategorie', value: '§ 7 IfSG' }
+      ]);
+      expect(fields.every(field => field.error === null)).toBe(true);
+    });
+
+    it('should describe malformed typed values', () => {
+      const [icd10, stand] = getMetadataFields({ stand: 'Herbst 2023', icd10: 'A045' });
+
+      expect(icd10).toMatchObject({ text: 'A045', value: null, error: '"A045" is not an ICD-10 code (expected e.g. A04.5)' });
+      expect(stand).toMatchObject({ text: 'Herbst 2023', value: null, error: '"Herbst 2023" is not a date (expected DD.MM.YYYY or YYYY-MM-DD)' });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { jsPDF } from 'jspdf';
+import { generatePdfDocument, toWinAnsi } from '../src/pdf-generator.js';
+import { loadDmnData } from './helpers.js';
+
+// The text of the generated PDF is not compressed; WinAnsi bytes read as Latin-1
+function getPdfText(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsBinaryString(blob);
+  });
+}
+
+function countPages(text) {
+  return (text.match(/\/Type \/Page\b(?!s)/g) || []).length;
+}
+
+describe('PDF Generator', () => {
+  describe('generatePdfDocument', () => {
+    it('should generate a PDF document', async () => {
+      const blob = await generatePdfDocument(loadDmnData('../test-data/campylobacter.dmn'));
+      const text = await getPdfText(blob);
+
+      expect(blob).toBeInstanceOf(Blob);
+      expect(blob.type).toBe('application/pdf');
+      expect(text.startsWith('%PDF-')).toBe(true);
+    });
+
+    it('should lay out the sections of the Word document', async () => {
+      const text = await getPdfText(await generatePdfDocument(loadDmnData('../test-data/campylobacter.dmn')));
+
+      expect(text).toContain('(Campylobacter-Enteritis) Tj');
+      expect(text).toContain('(Klinisches Bild) Tj');
+      expect(text).toContain('(Epidemiologische Bestätigung) Tj');
+      expect(text).toContain('(A. Klinisch diagnostizierte Erkrankung) Tj');
+      expect(text).toContain('(Gesetzliche Grundlage) Tj');
+      expect(text).toContain('(Übermittlung) Tj');
+      expect(text).toContain('(Inkubationszeit) Tj');
+      // Bullets are drawn in front of the documentation lines
+      expect(text).toContain('(\x95) Tj');
+    });
+
+    it('should show disease and Stand in the header of every page', async () => {
+      const text = await getPdfText(await generatePdfDocument(loadDmnData('../test-data/campylobacter.dmn')));
+      const pages = countPages(text);
+
+      expect(pages).toBeGreaterThan(1);
+      expect(text.match(/\(Stand: 01\.09\.2023\) Tj/g)).toHaveLength(pages);
+      expect(text).toContain(`(Seite ${pages} von ${pages}) Tj`);
+    });
+
+    it('should write the fixed texts in the language of the model', async () => {
+      const text = await getPdfText(await generatePdfDocument(loadDmnData('../test-data/campylobacter.dmn', 'en')));
+
+      expect(text).toContain('(Clinical picture) Tj');
+      expect(text).toContain('(Date: 01.09.2023) Tj');
+      expect(text).toContain('(Page 1 of ');
+      expect(text).toContain('/Lang (en)');
+    });
+
+    it('should break long sections across pages', async () => {
+      const documentation = Array.from({ length: 120 }, (_, i) => `- Kriterium ${i + 1} mit einer längeren Beschreibung`).join('\n');
+      const dmnData = {
+        metadata: { krankheit: 'Test' },
+        klinischesBild: { label: 'Klinisches Bild', documentation },
+        fallkategorien: null
+      };
+
+      const text = await getPdfText(await generatePdfDocument(dmnData));
+
+      expect(countPages(text)).toBeGreaterThanOrEqual(3);
+      expect(text).toContain('(Kriterium 120 mit einer längeren Beschreibung) Tj');
+      expect(text).not.toContain('Stand:');
+    });
+
+    it('should split words wider than the line', async () => {
+      const url = `https://www.rki.de/${'falldefinition'.repeat(40)}`;
+      const dmnData = {
+        metadata: { krankheit: 'Test' },
+        klinischesBild: { label: 'Klinisches Bild', documentation: url },
+        fallkategorien: null
+      };
+
+      const text = await getPdfText(await generatePdfDocument(dmnData));
+      const pieces = [...text.matchAll(/\(((?:https:\/\/www\.rki\.de\/)?[a-z]+)\) Tj/g)].map(match => match[1]);
+      const measure = new jsPDF({ unit: 'pt', format: 'a4' }).setFont('helvetica', 'normal').setFontSize(11);
+
+      expect(pieces.length).toBeGreaterThan(1);
+      expect(pieces.join('')).toBe(url);
+      // A4 width less the margins of 72pt
+      pieces.forEach(piece => expect(measure.getTextWidth(piece)).toBeLessThanOrEqual(595.28 - 144));
+    });
+  });
+
+  describe('toWinAnsi', () => {
+    it('should keep Western European characters', () => {
+      expect(toWinAnsi('Übermittlung gemäß § 11 – „Fall“ • A04.5†')).toBe('Übermittlung gemäß § 11 – „Fall“ • A04.5†');
+    });
+
+    it('should replace characters the standard fonts cannot show', () => {
+      expect(toWinAnsi('Alter ≥ 18\tJahre')).toBe('Alter >= 18 Jahre');
+      expect(toWinAnsi('Erreger α')).toBe('Erreger ?');
+    });
+  });
+});
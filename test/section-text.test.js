@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { buildSectionText, resolveSectionTemplates, formatCount, DEFAULT_SECTION_TEMPLATES } from '../src/section-text.js';
+
+const criteria = [
+  { name: 'Durchfall', description: 'Mindestens 3 ungeformte Stühle in 24 Stunden' },
+  { name: 'Erbrechen' },
+  { name: 'Fieber', description: '' }
+];
+
+describe('Section Text', () => {
+  describe('formatCount', () => {
+    it('should write small counts as German words', () => {
+      expect(formatCount(1)).toBe('eins');
+      expect(formatCount(3)).toBe('drei');
+      expect(formatCount(12)).toBe('zwölf');
+      expect(formatCount(13)).toBe('13');
+    });
+
+    it('should write counts in other languages', () => {
+      expect(formatCount(3, 'en')).toBe('three');
+      expect(formatCount(20, 'en')).toBe('20');
+    });
+  });
+
+  describe('buildSectionText', () => {
+    it('should name the disease and count the criteria', () => {
+      const text = buildSectionText('klinisches_bild', criteria, { krankheit: 'Norovirus-Gastroenteritis' });
+
+      expect(text).toBe([
+        'Klinisches Bild einer akuten Norovirus-Gastroenteritis, definiert als mindestens eines der drei folgenden Kriterien:',
+        '- Durchfall (Mindestens 3 ungeformte Stühle in 24 Stunden),',
+        '- Erbrechen,',
+        '- Fieber.'
+      ].join('\n'));
+    });
+
+    it('should phrase a single criterion and missing criteria', () => {
+      expect(buildSectionText('labordiagnostik', [{ name: 'Nukleinsäurenachweis' }], {}))
+        .toBe('Positiver Befund mit folgender Methode:\n- Nukleinsäurenachweis.');
+      expect(buildSectionText('klinisches_bild', [], {})).toBe('Klinisches Bild einer akuten Erkrankung');
+    });
+
+    it('should use the bullet of the epidemiological section', () => {
+      const text = buildSectionText('epidemiologische_bestaetigung', criteria.slice(0, 2), { krankheit: 'Salmonellose' });
+
+      expect(text.split('\n')[0]).toContain('mindestens einer der zwei folgenden Nachweise');
+      expect(text.split('\n')[1]).toBe('• Durchfall (Mindestens 3 ungeformte Stühle in 24 Stunden),');
+    });
+
+    it('should apply overridden template parts', () => {
+      const templates = resolveSectionTemplates({
+        klinisches_bild: {
+          intro: 'Klinisches Bild von {krankheit} ({erreger}) mit mindestens {anzahl} Kriterien:',
+          item: '* {name}: {beschreibung}',
+          end: ''
+        }
+      });
+      const text = buildSectionText('klinisches_bild', criteria.slice(0, 2), { krankheit: 'Masern', erreger: 'Masernvirus' }, templates);
+
+      expect(text).toBe([
+        'Klinisches Bild von Masern (Masernvirus) mit mindestens zwei Kriterien:',
+        '* Durchfall: Mindestens 3 ungeformte Stühle in 24 Stunden,',
+        '* Erbrechen: '
+      ].join('\n'));
+      expect(templates.labordiagnostik).toEqual(DEFAULT_SECTION_TEMPLATES.labordiagnostik);
+    });
+
+    it('should use the templates of the output language', () => {
+      const text = buildSectionText('klinisches_bild', criteria.slice(1), {}, resolveSectionTemplates({}, 'en'), 'en');
+
+      expect(text).toBe([
+        'Clinical picture of acute disease, defined as at least one of the following two criteria:',
+        '- Erbrechen,',
+        '- Fieber.'
+      ].join('\n'));
+    });
+
+    it('should keep unknown placeholders', () => {
+      const templates = resolveSectionTemplates({ klinisches_bild: { empty: 'Siehe {quelle}' } });
+      expect(buildSectionText('klinisches_bild', [], {}, templates)).toBe('Siehe {quelle}');
+    });
+  });
+});
@@ -0,0 +1,346 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findTableGaps,
+  analyzeCompleteness,
+  checkRuleConsistency,
+  analyzeRuleConsistency,
+  simplifyTable,
+  analyzeSimplification
+} from '../src/table-analysis.js';
+import { loadDmnData } from './helpers.js';
+
+describe('Table Analysis', () => {
+  describe('findTableGaps', () => {
+    it('should report uncovered boolean combinations', () => {
+      const { gaps } = findTableGaps({
+        inputs: [{ label: 'Fieber' }, { label: 'Husten' }],
+        rules: [
+          { inputEntries: ['true', '-'] },
+          { inputEntries: ['false', 'true'] }
+        ]
+      });
+
+      expect(gaps).toEqual([['false', 'false']]);
+    });
+
+    it('should list combinations with unknown inputs separately', () => {
+      const { gaps, unknownGaps } = findTableGaps({
+        inputs: [{ label: 'Fieber' }, { label: 'Husten' }],
+        rules: [
+          { inputEntries: ['true', '-'] },
+          { inputEntries: ['false', 'true'] },
+          { inputEntries: ['false', 'false'] }
+        ]
+      });
+
+      expect(gaps).toEqual([]);
+      expect(unknownGaps).toEqual([['false', 'null'], ['null', '-']]);
+    });
+
+    it('should use declared input values as the string domain', () => {
+      const { domains, gaps } = findTableGaps({
+        inputs: [
+          { label: 'Klinisch', inputValues: '"erfüllt","nicht erfüllt"' },
+          { label: 'Labor', inputValues: '"erfüllt","nicht erfüllt","unbekannt"' }
+        ],
+        rules: [
+          { inputEntries: ['"erfüllt"', '"erfüllt"'] },
+          { inputEntries: ['"erfüllt"', '"nicht erfüllt"'] },
+          { inputEntries: ['"nicht erfüllt"', '-'] }
+        ]
+      });
+
+      expect(domains[1].cells).toEqual(['"erfüllt"', '"nicht erfüllt"', '"unbekannt"']);
+      expect(gaps).toEqual([['"erfüllt"', '"unbekannt"']]);
+    });
+
+    it('should include other string values when a rule can match them', () => {
+      const { gaps } = findTableGaps({
+        inputs: [{ label: 'IgM' }, { label: 'PCR' }],
+        rules: [
+          { inputEntries: ['"positiv"', '-'] },
+          { inputEntries: ['-', '"positiv"'] },
+          { inputEntries: ['"negativ"', '"negativ"'] }
+        ]
+      });
+
+      expect(gaps).toEqual([
+        ['"negativ"', 'not("positiv", "negativ")'],
+        ['not("positiv", "negativ")', 'not("positiv")']
+      ]);
+    });
+
+    it('should split numeric inputs at the tested endpoints', () => {
+      const { domains, gaps } = findTableGaps({
+        inputs: [{ label: 'Alter', typeRef: 'number' }],
+        rules: [
+          { inputEntries: ['< 18'] },
+          { inputEntries: ['[18..59]'] },
+          { inputEntries: ['> 60'] }
+        ]
+      });
+
+      expect(domains[0].cells).toEqual(['< 18', '18', '(18..59)', '59', '(59..60)', '60', '> 60']);
+      expect(gaps).toEqual([['(59..60]']]);
+    });
+
+    it('should restrict numeric inputs to declared input values', () => {
+      const { gaps } = findTableGaps({
+        inputs: [{ label: 'Alter', inputValues: '[0..120]' }],
+        rules: [{ inputEntries: ['[0..120]'] }]
+      });
+
+      expect(gaps).toEqual([]);
+    });
+
+    it('should treat entries referring to other inputs as covering', () => {
+      const { gaps } = findTableGaps({
+        inputs: [{ label: 'Wert' }],
+        rules: [{ inputEntries: ['> grenzwert'] }]
+      });
+
+      expect(gaps).toEqual([]);
+    });
+
+    it('should report rule and input of invalid entries', () => {
+      expect(() => findTableGaps({
+        inputs: [{ label: 'Alter' }],
+        rules: [{ inputEntries: ['18-59'] }]
+      })).toThrow(/Rule 1, input 1/);
+    });
+
+    it('should report truncation only when gaps are left out', () => {
+      // Each value is covered for "x" only, which leaves one gap ("y") per value
+      const table = count => {
+        const values = Array.from({ length: count }, (value, i) => `"v${i}"`);
+        return {
+          inputs: [{ label: 'Wert', inputValues: values.join(',') }, { label: 'Art', inputValues: '"x","y"' }],
+          rules: values.map(value => ({ inputEntries: [value, '"x"'] }))
+        };
+      };
+
+      expect(findTableGaps(table(100))).toMatchObject({ truncated: false });
+      expect(findTableGaps(table(100)).gaps).toHaveLength(100);
+      expect(findTableGaps(table(101))).toMatchObject({ truncated: true });
+      expect(findTableGaps(table(101)).gaps).toHaveLength(100);
+    });
+  });
+
+  describe('analyzeCompleteness', () => {
+    it('should find no gaps in the Campylobacter model', () => {
+      const analyses = analyzeCompleteness(loadDmnData('../campylobacter_classification.dmn'));
+
+      expect(analyses).toHaveLength(4);
+      analyses.forEach(analysis => {
+        expect(analysis.error).toBeNull();
+        expect(analysis.gaps).toEqual([]);
+      });
+    });
+
+    it('should report a clinical picture with unknown abdominal pain', () => {
+      const analyses = analyzeCompleteness(loadDmnData('../campylobacter_classification.dmn'));
+      const clinical = analyses.find(analysis => analysis.decision.id === 'clinical_picture');
+
+      expect(clinical.unknownGaps).toContainEqual(['null', 'false', 'false', 'false']);
+    });
+
+    it('should report the uncovered case categories of the sample model', () => {
+      const analyses = analyzeCompleteness(loadDmnData('../test-data/sample.dmn'));
+      const classification = analyses.find(analysis => analysis.decision.id === 'fallklassifikation');
+
+      expect(classification.gaps).toEqual([['"erfüllt"', '"nicht erfüllt"', 'not("erfüllt")']]);
+    });
+
+    it('should keep going when a table cannot be analysed', () => {
+      const [analysis] = analyzeCompleteness(loadDmnData('../diagram.dmn'));
+
+      expect(analysis.error).toMatch(/Rule 2, input 4/);
+      expect(analysis.gaps).toEqual([]);
+    });
+  });
+
+  describe('checkRuleConsistency', () => {
+    const inputs = [{ label: 'Klinisch' }, { label: 'Labor' }];
+
+    it('should report overlapping rules of UNIQUE tables', () => {
+      const issues = checkRuleConsistency({
+        hitPolicy: 'UNIQUE',
+        inputs,
+        rules: [
+          { id: 'r1', inputEntries: ['true', '-'], outputEntries: ['"A"'] },
+          { id: 'r2', inputEntries: ['-', 'true'], outputEntries: ['"A"'] },
+          { id: 'r3', inputEntries: ['false', 'false'], outputEntries: ['"B"'] }
+        ]
+      });
+
+      expect(issues).toEqual([{
+        type: 'overlap',
+        ruleIndices: [0, 1],
+        ruleIds: ['r1', 'r2'],
+        message: 'Rules 1 (r1) and 2 (r2) overlap'
+      }]);
+    });
+
+    it('should only report conflicting outputs for ANY tables', () => {
+      const issues = checkRuleConsistency({
+        hitPolicy: 'ANY',
+        inputs,
+        rules: [
+          { inputEntries: ['true', '-'], outputEntries: ['"A"'] },
+          { inputEntries: ['-', 'true'], outputEntries: ['"A"'] },
+          { inputEntries: ['true', 'false'], outputEntries: ['"B"'] }
+        ]
+      });
+
+      expect(issues.map(issue => [issue.type, issue.ruleIndices])).toEqual([['conflict', [0, 2]]]);
+      expect(issues[0].message).toBe('Rules 1 and 3 overlap with conflicting outputs');
+    });
+
+    it('should report rules of FIRST tables that earlier rules shadow', () => {
+      const issues = checkRuleConsistency({
+        hitPolicy: 'FIRST',
+        inputs,
+        rules: [
+          { inputEntries: ['true', '-'], outputEntries: ['"A"'] },
+          { inputEntries: ['false', 'true'], outputEntries: ['"B"'] },
+          { inputEntries: ['true, false', 'true'], outputEntries: ['"C"'] },
+          { inputEntries: ['-', 'true'], outputEntries: ['"D"'] },
+          { inputEntries: ['-', '-'], outputEntries: ['"E"'] }
+        ]
+      });
+
+      // Rule 4 still fires for a missing first input
+      expect(issues).toHaveLength(1);
+      expect(issues[0].type).toBe('shadowed');
+      expect(issues[0].ruleIndices).toEqual([2, 0, 1]);
+      expect(issues[0].message).toBe('Rule 3 is shadowed by rules 1 and 2 and can never fire');
+    });
+
+    it('should not treat entries referring to other inputs as overlapping', () => {
+      const issues = checkRuleConsistency({
+        hitPolicy: 'UNIQUE',
+        inputs: [{ label: 'Wert' }],
+        rules: [
+          { inputEntries: ['> grenzwert'], outputEntries: ['"hoch"'] },
+          { inputEntries: ['<= grenzwert'], outputEntries: ['"niedrig"'] }
+        ]
+      });
+
+      expect(issues).toEqual([]);
+    });
+
+    it('should skip hit policies that allow several matches', () => {
+      const issues = checkRuleConsistency({
+        hitPolicy: 'COLLECT',
+        inputs,
+        rules: [
+          { inputEntries: ['-', '-'], outputEntries: ['1'] },
+          { inputEntries: ['-', '-'], outputEntries: ['2'] }
+        ]
+      });
+
+      expect(issues).toEqual([]);
+    });
+  });
+
+  describe('analyzeRuleConsistency', () => {
+    it('should find the shadowed rules of the Campylobacter model', () => {
+      const analyses = analyzeRuleConsistency(loadDmnData('../campylobacter_classification.dmn'));
+      const epi = analyses.find(analysis => analysis.decision.id === 'epi_confirmation');
+      const classification = analyses.find(analysis => analysis.decision.id === 'campylobacter_classification');
+
+      expect(epi.issues.map(issue => issue.ruleIds[0])).toEqual(['epi_rule_3', 'epi_rule_4', 'epi_rule_5', 'epi_rule_6']);
+      // Rule 5 covers a missing clinical picture
+      expect(classification.issues).toEqual([]);
+    });
+  });
+
+  describe('simplifyTable', () => {
+    it('should merge rules that differ in a single input', () => {
+      const result = simplifyTable({
+        hitPolicy: 'UNIQUE',
+        inputs: [{ label: 'Labor' }, { label: 'Alter' }],
+        rules: [
+          { id: 'r1', inputEntries: ['"positiv"', '< 18'], outputEntries: ['"A"'] },
+          { id: 'r2', inputEntries: ['"positiv"', '[18..60]'], outputEntries: ['"A"'] },
+          { id: 'r3', inputEntries: ['"negativ"', '-'], outputEntries: ['"B"'] }
+        ]
+      });
+
+      expect(result.changed).toBe(true);
+      expect(result.rules).toEqual([
+        { sources: [0, 1], inputEntries: ['"positiv"', '<= 60'], outputEntries: ['"A"'] },
+        { sources: [2], inputEntries: ['"negativ"', '-'], outputEntries: ['"B"'] }
+      ]);
+      expect(result.merged[0].message).toBe('Rules 1 (r1) and 2 (r2) can be merged into one rule');
+    });
+
+    it('should keep missing values out of merged entries', () => {
+      const result = simplifyTable({
+        hitPolicy: 'UNIQUE',
+        inputs: [{ label: 'Fieber' }],
+        rules: [
+          { inputEntries: ['true'], outputEntries: ['1'] },
+          { inputEntries: ['false'], outputEntries: ['1'] }
+        ]
+      });
+
+      expect(result.rules).toEqual([{ sources: [0, 1], inputEntries: ['true, false'], outputEntries: ['1'] }]);
+    });
+
+    it('should drop rules contained in a rule with the same outputs', () => {
+      const result = simplifyTable({
+        hitPolicy: 'ANY',
+        inputs: [{ label: 'Fieber' }, { label: 'Husten' }],
+        rules: [
+          { inputEntries: ['true', 'true'], outputEntries: ['"ja"'] },
+          { inputEntries: ['true', '-'], outputEntries: ['"ja"'] }
+        ]
+      });
+
+      expect(result.removed).toEqual([{
+        ruleIndices: [0],
+        by: [1],
+        reason: 'subsumed',
+        message: 'Rule 1 is contained in rule 2'
+      }]);
+      expect(result.rules.map(rule => rule.sources)).toEqual([[1]]);
+    });
+
+    it('should only merge neighbouring rules of FIRST tables', () => {
+      const result = simplifyTable({
+        hitPolicy: 'FIRST',
+        inputs: [{ label: 'Labor' }],
+        rules: [
+          { inputEntries: ['"positiv"'], outputEntries: ['"A"'] },
+          { inputEntries: ['"negativ"'], outputEntries: ['"B"'] },
+          { inputEntries: ['"grenzwertig"'], outputEntries: ['"A"'] }
+        ]
+      });
+
+      expect(result.changed).toBe(false);
+    });
+
+    it('should reduce the shadowed epidemiological rules of the Campylobacter model', () => {
+      const analyses = analyzeSimplification(loadDmnData('../campylobacter_classification.dmn'));
+      const epi = analyses.find(analysis => analysis.decision.id === 'epi_confirmation').simplification;
+
+      expect(epi.rules).toEqual([{ sources: [1], inputEntries: ['-', '-', '-', '-'], outputEntries: ['true'] }]);
+      expect(epi.removed.map(change => change.reason)).toEqual(['subsumed', 'shadowed', 'shadowed', 'shadowed', 'shadowed']);
+    });
+
+    it('should leave tables returning several rules unchanged', () => {
+      const result = simplifyTable({
+        hitPolicy: 'COLLECT',
+        inputs: [{ label: 'Fieber' }],
+        rules: [
+          { inputEntries: ['true'], outputEntries: ['1'] },
+          { inputEntries: ['true'], outputEntries: ['1'] }
+        ]
+      });
+
+      expect(result.supported).toBe(false);
+      expect(result.rules).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateTableTestCases,
+  generateTestCases,
+  testCasesToCsv,
+  testCasesToJson,
+  getInputKey
+} from '../src/test-vectors.js';
+import { loadDmnData } from './helpers.js';
+
+describe('Test Vectors', () => {
+  describe('getInputKey', () => {
+    it('should use the expression and fall back to the label', () => {
+      expect(getInputKey({ expression: 'alter', label: 'Alter' })).toBe('alter');
+      expect(getInputKey({ expression: '', label: 'Alter' })).toBe('Alter');
+    });
+  });
+
+  describe('generateTableTestCases', () => {
+    const decisionTable = {
+      hitPolicy: 'UNIQUE',
+      inputs: [
+        { label: 'Alter', expression: 'alter', typeRef: 'number' },
+        { label: 'Labor', expression: 'labor' }
+      ],
+      outputs: [{ name: 'gruppe' }],
+      rules: [
+        { inputEntries: ['< 18', '-'], outputEntries: ['"Kind"'] },
+        { inputEntries: ['[18..60]', '"positiv"'], outputEntries: ['"Erwachsen"'] },
+        { inputEntries: ['[18..60]', '"negativ"'], outputEntries: ['"Negativ"'] }
+      ]
+    };
+
+    it('should find an input that triggers each rule alone', () => {
+      const { cases, unreachable } = generateTableTestCases(decisionTable);
+      const ruleCases = cases.filter(testCase => testCase.kind === 'rule');
+
+      expect(unreachable).toEqual([]);
+      expect(ruleCases.map(testCase => testCase.matchedRules)).toEqual([[1], [2], [3]]);
+      expect(ruleCases[1].inputs).toEqual({ alter: 18, labor: 'positiv' });
+      expect(ruleCases[1].expected).toEqual({ gruppe: 'Erwachsen' });
+    });
+
+    it('should add boundary cases around tested numbers without repeating cases', () => {
+      const { cases } = generateTableTestCases(decisionTable);
+      const boundaries = cases
+        .filter(testCase => testCase.inputs.labor === 'positiv')
+        .map(testCase => [testCase.inputs.alter, testCase.matchedRules])
+        .sort((a, b) => a[0] - b[0]);
+
+      expect(boundaries).toEqual([[17, [1]], [18, [2]], [19, [2]], [59, [2]], [60, [2]], [61, []]]);
+    });
+
+    it('should report rules no input can trigger', () => {
+      const { unreachable } = generateTableTestCases({
+        hitPolicy: 'FIRST',
+        inputs: [{ label: 'Fieber' }],
+        outputs: [{ name: 'klinisch' }],
+        rules: [
+          { inputEntries: ['-'], outputEntries: ['true'] },
+          { inputEntries: ['true'], outputEntries: ['false'] }
+        ]
+      });
+
+      expect(unreachable).toEqual([2]);
+    });
+  });
+
+  describe('generateTestCases', () => {
+    const testCases = generateTestCases(loadDmnData('../campylobacter_classification.dmn'));
+
+    it('should cover every reachable rule of the Campylobacter model', () => {
+      const classification = testCases.decisions.find(decision => decision.id === 'campylobacter_classification');
+
+      expect(testCases.model.krankheit).toBe('Campylobacter-Enteritis');
+      expect(classification.cases.map(testCase => testCase.rule)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(classification.cases[4].inputs).toEqual({ clinical: null, lab: true, epi: true });
+      expect(classification.cases[4].expected.category).toBe('E');
+    });
+
+    it('should list shadowed rules as unreachable', () => {
+      const epi = testCases.decisions.find(decision => decision.id === 'epi_confirmation');
+      expect(epi.unreachable).toEqual([3, 4, 5, 6]);
+    });
+
+    it('should record tables that cannot be analysed', () => {
+      const [decision] = generateTestCases(loadDmnData('../diagram.dmn')).decisions;
+      expect(decision.error).toMatch(/Rule 2, input 4/);
+      expect(decision.cases).toEqual([]);
+    });
+  });
+
+  describe('testCasesToCsv', () => {
+    it('should write one row per case with input and output columns', () => {
+      const csv = testCasesToCsv({
+        model: {},
+        decisions: [{
+          id: 'd1',
+          inputs: [{ key: 'labor' }],
+          outputs: [{ key: 'ergebnis' }],
+          cases: [{
+            id: 'd1-1',
+            kind: 'rule',
+            rule: 1,
+            description: 'Rule 1',
+            inputs: { labor: 'positiv, bestätigt' },
+            matchedRules: [1],
+            expected: { ergebnis: 'A' }
+          }]
+        }]
+      });
+
+      expect(csv.split('\n')).toEqual([
+        'decision,case,kind,rule,description,matched_rules,in:labor,out:ergebnis,error',
+        'd1,d1-1,rule,1,Rule 1,1,"positiv, bestätigt",A,',
+        ''
+      ]);
+    });
+  });
+
+  describe('testCasesToJson', () => {
+    it('should serialize the test suite', () => {
+      const json = testCasesToJson({ model: { krankheit: 'Test' }, decisions: [] });
+      expect(JSON.parse(json)).toEqual({ model: { krankheit: 'Test' }, decisions: [] });
+    });
+  });
+});
@@ -4,8 +4,12 @@ import {
   validateFileType,
   validateXML,
   validateDMNStructure,
-  validateFile
+  validateFile,
+  validateDecisionGraph,
+  validateCategories,
+  validateMetadata
 } from '../src/validator.js';
+import { loadDmnData } from './helpers.js';
 
 describe('Validator', () => {
   describe('validateFileSize', () => {
@@ -131,6 +135,42 @@ describe('Validator', () => {
     });
   });
 
+  describe('DMN versions', () => {
+    const metadata = `
+      <extensionElements>
+        <rki:metadata xmlns:rki="http://rki.de/schema/falldefinition/1.0">
+          <rki:krankheit>Test Disease</rki:krankheit>
+          <rki:erreger>Test Pathogen</rki:erreger>
+          <rki:stand>2024-01-01</rki:stand>
+          <rki:version>1.0</rki:version>
+        </rki:metadata>
+      </extensionElements>`;
+
+    it('should report the DMN version of prefixed documents', () => {
+      const xml = `<dmn:definitions xmlns:dmn="https://www.omg.org/spec/DMN/20211108/MODEL/">
+        ${metadata.replace(/extensionElements/g, 'dmn:extensionElements')}
+      </dmn:definitions>`;
+      const result = validateDMNStructure(new DOMParser().parseFromString(xml, 'text/xml'));
+      expect(result).toEqual({ valid: true, version: '1.4' });
+    });
+
+    it('should reject definitions in an unknown namespace', () => {
+      const xml = `<definitions xmlns="http://example.com/not-dmn">${metadata}</definitions>`;
+      const result = validateDMNStructure(new DOMParser().parseFromString(xml, 'text/xml'));
+      expect(result.valid).toBe(false);
+      expect(result.error).toContain('unsupported namespace "http://example.com/not-dmn"');
+    });
+
+    it('should not read metadata fields of other extensions', () => {
+      const xml = `<definitions xmlns="https://www.omg.org/spec/DMN/20191111/MODEL/">
+        ${metadata.replace('<rki:version>1.0</rki:version>', '<camunda:version xmlns:camunda="http://camunda.org/schema/1.0/dmn">1.0</camunda:version>')}
+      </definitions>`;
+      const result = validateDMNStructure(new DOMParser().parseFromString(xml, 'text/xml'));
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Missing required metadata fields: version');
+    });
+  });
+
   describe('validateFile', () => {
     it('should validate complete valid file', () => {
       const xmlContent = `<?xml version="1.0"?>
@@ -165,4 +205,165 @@ describe('Validator', () => {
       expect(result.error).toContain('Invalid file type');
     });
   });
+
+  describe('validateDecisionGraph', () => {
+    const table = (...expressions) => ({
+      inputs: expressions.map((expression, i) => ({ id: `in${i + 1}`, label: `Input ${i + 1}`, expression })),
+      outputs: [{ name: 'ergebnis' }],
+      rules: []
+    });
+
+    it('should accept the Campylobacter model', () => {
+      const result = validateDecisionGraph(loadDmnData('../campylobacter_classification.dmn'));
+      expect(result).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+
+    it('should report dangling requirements with element ids', () => {
+      const result = validateDecisionGraph({
+        allDecisions: [{ id: 'd1', name: 'Klinik', requiredInputs: ['fehlt'], requiredDecisions: ['weg'] }],
+        inputData: []
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        {
+          code: 'dangling-input',
+          elementIds: ['d1', 'fehlt'],
+          message: 'Decision "Klinik" (d1) requires input data "fehlt", which does not exist'
+        },
+        {
+          code: 'dangling-decision',
+          elementIds: ['d1', 'weg'],
+          message: 'Decision "Klinik" (d1) requires decision "weg", which does not exist'
+        }
+      ]);
+    });
+
+    it('should report dependency cycles', () => {
+      const result = validateDecisionGraph({
+        allDecisions: [
+          { id: 'a', name: 'a', requiredDecisions: ['c'] },
+          { id: 'b', name: 'b', requiredDecisions: ['a'] },
+          { id: 'c', name: 'c', requiredDecisions: ['b'] },
+          { id: 'd', name: 'd', requiredDecisions: ['a'] }
+        ],
+        inputData: []
+      });
+
+      expect(result.errors).toEqual([
+        { code: 'cycle', elementIds: ['a', 'c', 'b'], message: 'Cyclic decision requirements: a → c → b → a' }
+      ]);
+    });
+
+    it('should warn about unused input data but not about document sections', () => {
+      const result = validateDecisionGraph({
+        allDecisions: [{ id: 'd1', name: 'Klinik', requiredInputs: ['fieber'], decisionTable: table('durchfall') }],
+        inputData: [
+          { id: 'fieber', name: 'Fieber', variable: 'fieber' },
+          { id: 'durchfall', name: 'Durchfall', variable: 'durchfall' },
+          { id: 'tod', name: 'Tod', variable: 'tod' },
+          { id: 'meldepflicht', name: 'meldepflicht', variable: 'meldepflicht' }
+        ]
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toEqual([
+        { code: 'unused-input', elementIds: ['tod'], message: 'Input data "Tod" (tod) is not used by any decision' }
+      ]);
+    });
+
+    it('should warn about input expressions that reference no known variable', () => {
+      const result = validateDecisionGraph({
+        allDecisions: [
+          { id: 'alter', name: 'Alter', decisionTable: table('alter_jahre', 'patient.alter', 'date("2024-01-01") - beginn', '') },
+          { id: 'd2', name: 'Kategorie', requiredDecisions: ['alter'], decisionTable: table('Alter', 'ergebnis + 1') }
+        ],
+        inputData: [{ id: 'patient', name: 'Patient', variable: 'patient' }]
+      });
+
+      expect(result.warnings.map(warning => warning.elementIds)).toEqual([['alter', 'in1'], ['alter', 'in3']]);
+      expect(result.warnings[0].message)
+        .toBe('Decision "Alter" (alter), input 1 "Input 1": expression "alter_jahre" references no known variable');
+    });
+  });
+
+  describe('validateCategories', () => {
+    const fallkategorien = (...categories) => ({
+      id: 'fallklassifikation',
+      label: 'Fallklassifikation',
+      decisionTable: {
+        outputs: [{ name: 'kategorie' }],
+        rules: categories.map((category, i) => ({ id: `r${i + 1}`, inputEntries: [], outputEntries: [category] }))
+      }
+    });
+
+    it('should accept the Campylobacter models', () => {
+      expect(validateCategories(loadDmnData('../test-data/campylobacter.dmn')))
+        .toEqual({ valid: true, errors: [], warnings: [] });
+
+      const result = validateCategories(loadDmnData('../campylobacter_classification.dmn'));
+      expect(result.valid).toBe(true);
+      expect(result.warnings.map(warning => warning.message)).toEqual([
+        'Decision "Übermittlungsdefinition und Referenzdefinition" (campylobacter_classification), rule 6 sets no category'
+      ]);
+    });
+
+    it('should report categories missing from the definitions and defined categories no rule sets', () => {
+      const result = validateCategories({
+        fallkategorien: fallkategorien('"A"', '"F"', '"F"'),
+        categoryDefinitions: [
+          { value: 'A', label: 'Klinisch', description: '' },
+          { value: 'B', label: 'Klinisch-epidemiologisch', description: '' }
+        ]
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        {
+          code: 'missing-category',
+          elementIds: ['fallklassifikation'],
+          message: 'Category "B" is defined, but no rule of decision "Fallklassifikation" (fallklassifikation) sets it'
+        },
+        {
+          code: 'undefined-category',
+          elementIds: ['fallklassifikation', 'r2', 'r3'],
+          message: 'Decision "Fallklassifikation" (fallklassifikation), rule 2, 3: category "F" is not defined in the categories extension'
+        }
+      ]);
+    });
+
+    it('should report duplicated categories', () => {
+      const result = validateCategories({
+        fallkategorien: fallkategorien('"A - Klinisch"', '"A - Klinisch bestätigt"', '"B"'),
+        categoryDefinitions: null
+      });
+
+      expect(result.errors.map(error => error.message)).toEqual([
+        'Decision "Fallklassifikation" (fallklassifikation): category A is set with different values ("A - Klinisch", "A - Klinisch bestätigt")'
+      ]);
+
+      const defined = validateCategories({
+        fallkategorien: fallkategorien('"A"'),
+        categoryDefinitions: [{ value: 'A', label: '', description: '' }, { value: 'A', label: '', description: '' }]
+      });
+      expect(defined.errors.map(error => error.code)).toEqual(['duplicate-category']);
+    });
+
+    it('should accept models without classification decision', () => {
+      expect(validateCategories({ fallkategorien: null })).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+  });
+
+  describe('validateMetadata', () => {
+    it('should warn about malformed dates and ICD-10 codes', () => {
+      expect(validateMetadata({ krankheit: 'Masern', stand: '2023-02-30', icd10: 'B05' })).toEqual([
+        {
+          code: 'invalid-metadata',
+          field: 'stand',
+          message: 'Metadata field Stand: "2023-02-30" is not a date (expected DD.MM.YYYY or YYYY-MM-DD)'
+        }
+      ]);
+      expect(validateMetadata(loadDmnData('../campylobacter_classification.dmn').metadata)).toEqual([]);
+    });
+  });
 });
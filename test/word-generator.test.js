@@ -1,5 +1,41 @@
 import { describe, it, expect } from 'vitest';
+import { inflateRawSync } from 'node:zlib';
 import { generateWordDocument } from '../src/word-generator.js';
+import { loadDmnData } from './helpers.js';
+
+// 1x1 pixel PNG
+const PNG_PIXEL = Uint8Array.from(atob(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg=='
+), char => char.charCodeAt(0));
+
+// Reads a blob as a binary string; the Blob of jsdom has no arrayBuffer()
+function getArchiveText(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsBinaryString(blob);
+  });
+}
+
+// Reads word/document.xml from the local file entries of the .docx zip
+async function getDocumentXml(blob) {
+  const bytes = Uint8Array.from(await getArchiveText(blob), char => char.charCodeAt(0));
+  const view = new DataView(bytes.buffer);
+  for (let offset = 0; view.getUint32(offset, true) === 0x04034b50;) {
+    const method = view.getUint16(offset + 8, true);
+    const size = view.getUint32(offset + 18, true);
+    const nameLength = view.getUint16(offset + 26, true);
+    const start = offset + 30 + nameLength + view.getUint16(offset + 28, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+    if (name === 'word/document.xml') {
+      const data = bytes.subarray(start, start + size);
+      return new TextDecoder().decode(method === 8 ? inflateRawSync(data) : data);
+    }
+    offset = start + size;
+  }
+  throw new Error('word/document.xml not found');
+}
 
 describe('Word Generator - RKI Format', () => {
   describe('generateWordDocument', () => {
@@ -27,6 +63,25 @@ describe('Word Generator - RKI Format', () => {
       expect(blob.size).toBeGreaterThan(0);
     });
 
+    it('should list further metadata fields below the title', async () => {
+      const dmnData = {
+        metadata: {
+          krankheit: 'Campylobacter-Enteritis',
+          erreger: 'Campylobacter spp., darmpathogen',
+          icd10: 'A04.5',
+          meldekategorie: '§ 7 IfSG'
+        },
+        gesetzlicheGrundlage: {}
+      };
+
+      const xml = await getDocumentXml(await generateWordDocument(dmnData));
+      expect(xml).toContain('>ICD-10: <');
+      expect(xml).toContain('>A04.5<');
+      expect(xml).toContain('>Meldekategorie: <');
+      expect(xml).toContain('>§ 7 IfSG<');
+      expect(xml).not.toContain('>Krankheit: <');
+    });
+
     it('should generate document with klinisches bild section', async () => {
       const dmnData = {
         metadata: {
@@ -80,6 +135,35 @@ describe('Word Generator - RKI Format', () => {
       expect(blob.size).toBeGreaterThan(0);
     });
 
+    it('should generate document for fall kategorien with hit policy', async () => {
+      const dmnData = {
+        metadata: {},
+        klinischesBild: null,
+        labordiagnostik: null,
+        epidemiologie: null,
+        fallkategorien: {
+          name: 'fallklassifikation',
+          decisionTable: {
+            hitPolicy: 'COLLECT',
+            aggregation: 'MAX',
+            inputs: [],
+            outputs: [],
+            rules: [
+              { inputEntries: [], outputEntries: ['A', 'Kategorie A Beschreibung'] }
+            ]
+          }
+        },
+        zusatzinfo: null,
+        referenzdefinition: null,
+        gesetzlicheGrundlage: {}
+      };
+
+      const xml = await getDocumentXml(await generateWordDocument(dmnData));
+      expect(xml).toContain('Trefferrichtlinie: ');
+      expect(xml).toContain('>COLLECT MAX<');
+      expect(xml).toContain('Es werden die Ergebnisse aller zutreffenden Regeln gesammelt. Es gilt das größte Ergebnis.');
+    });
+
     it('should generate complete RKI Falldefinition document', async () => {
       const dmnData = {
         metadata: {
@@ -160,4 +244,68 @@ describe('Word Generator - RKI Format', () => {
       expect(blob.size).toBeGreaterThan(0);
     });
   });
+
+  describe('languages', () => {
+    it('should generate the English document with appendix', async () => {
+      const dmnData = loadDmnData('../campylobacter_classification.dmn', 'en');
+      const blob = await generateWordDocument(dmnData, { includeAppendix: true });
+
+      expect(dmnData.klinischesBild.label).toBe('Clinical picture');
+      expect(dmnData.klinischesBild.documentation.split('\n')[0])
+        .toBe('Clinical picture of acute Campylobacter-Enteritis, defined as at least one of the following four criteria:');
+      expect(blob.size).toBeGreaterThan(0);
+    });
+  });
+
+  describe('appendix', () => {
+    it('should append the decision tables when requested', async () => {
+      const dmnData = loadDmnData('../campylobacter_classification.dmn');
+
+      const plain = await generateWordDocument(dmnData);
+      const withAppendix = await generateWordDocument(dmnData, { includeAppendix: true });
+
+      expect(withAppendix.size).toBeGreaterThan(plain.size);
+      expect(await getArchiveText(withAppendix)).not.toContain('word/media/');
+    });
+
+    it('should embed the diagram image in the appendix', async () => {
+      const dmnData = loadDmnData('../campylobacter_classification.dmn');
+      const diagramImage = { data: PNG_PIXEL, width: 900, height: 450 };
+
+      const blob = await generateWordDocument(dmnData, { includeAppendix: true, diagramImage });
+
+      expect(await getArchiveText(blob)).toMatch(/word\/media\/[^/]+\.png/);
+    });
+
+    it('should ignore the diagram image without appendix', async () => {
+      const dmnData = loadDmnData('../campylobacter_classification.dmn');
+      const diagramImage = { data: PNG_PIXEL, width: 100, height: 50 };
+
+      const blob = await generateWordDocument(dmnData, { diagramImage });
+
+      expect(await getArchiveText(blob)).not.toContain('word/media/');
+    });
+
+    it('should write rule annotations and descriptions', async () => {
+      const decisionTable = {
+        hitPolicy: 'UNIQUE',
+        aggregation: '',
+        inputs: [{ id: 'i1', label: 'Labor', expression: 'labor' }],
+        outputs: [{ id: 'o1', label: 'Ergebnis', name: 'ergebnis' }],
+        annotations: [],
+        rules: [
+          { id: 'r1', description: 'Positiver Befund', inputEntries: ['true'], outputEntries: ['true'], annotationEntries: [] },
+          { id: 'r2', description: '', inputEntries: [''], outputEntries: ['false'], annotationEntries: [] }
+        ]
+      };
+      const dmnData = {
+        metadata: {},
+        gesetzlicheGrundlage: {},
+        allDecisions: [{ id: 'd1', name: 'Labor', decisionTable }, { id: 'd2', name: 'Ohne Tabelle', decisionTable: null }]
+      };
+
+      const blob = await generateWordDocument(dmnData, { includeAppendix: true });
+      expect(blob.size).toBeGreaterThan(0);
+    });
+  });
 });